@@ -31,6 +31,11 @@ const CARD_SHADERS = [
     'etched'
 ]
 
+// Material shaders (non-selectable surfaces like the card edge, share base vertex)
+const MATERIAL_SHADERS = [
+    'edge'
+]
+
 // Post-processing shaders
 const POST_SHADERS = {
     fullscreen: { vertex: 'fullscreen.vert.glsl' },
@@ -89,6 +94,36 @@ async function resolveIncludes(source) {
     return source
 }
 
+/**
+ * Extract tunable parameters from annotated uniform declarations:
+ *   uniform float u_sparkleDensity;  // @param 80.0 [10.0, 300.0] Optional description
+ * Returns { sparkleDensity: { uniform, type, default, min, max, description? } }
+ */
+function extractParams(source, shaderName) {
+    const paramRegex = /^uniform\s+(float|int)\s+(u_\w+)\s*;\s*\/\/\s*@param\s+(-?[\d.]+)\s*\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\][ \t]*(.*)$/gm
+    const params = {}
+
+    for (const match of source.matchAll(paramRegex)) {
+        const [, type, uniform, defaultValue, min, max, description] = match
+        const param = {
+            uniform,
+            type,
+            default: Number(defaultValue),
+            min: Number(min),
+            max: Number(max)
+        }
+        if (description.trim()) param.description = description.trim()
+
+        if (!(param.min <= param.default && param.default <= param.max)) {
+            throw new Error(`${shaderName}: @param default for ${uniform} is outside [${min}, ${max}]`)
+        }
+
+        params[uniform.slice(2)] = param
+    }
+
+    return params
+}
+
 /**
  * Load and process a shader file
  */
@@ -111,6 +146,8 @@ async function buildShaderRegistry() {
 
     const registry = {
         card: {},
+        params: {},
+        material: {},
         post: {}
     }
 
@@ -127,8 +164,20 @@ async function buildShaderRegistry() {
             vertex: shaderName === 'base' ? baseVertex : null,
             fragment: fragment
         }
+        registry.params[shaderName] = extractParams(fragment, shaderName)
 
-        console.log(`  ✓ ${shaderName}`)
+        const paramCount = Object.keys(registry.params[shaderName]).length
+        console.log(`  ✓ ${shaderName}${paramCount ? ` (${paramCount} params)` : ''}`)
+    }
+
+    // Load material shaders
+    for (const materialName of MATERIAL_SHADERS) {
+        const fragPath = path.join(SHADERS_DIR, `${materialName}/${materialName}.frag.glsl`)
+        registry.material[materialName] = {
+            fragment: await loadShader(fragPath)
+        }
+
+        console.log(`  ✓ material/${materialName}`)
     }
 
     // Load post-processing shaders
@@ -180,6 +229,35 @@ export const CARD_SHADERS = {
 
     output += `}
 
+// Tunable parameters per card shader (from \`// @param default [min, max]\` uniform annotations)
+export const SHADER_PARAMS = {
+`
+
+    for (const [name, params] of Object.entries(registry.params)) {
+        output += `    '${name}': {\n`
+        for (const [paramName, param] of Object.entries(params)) {
+            const description = param.description ? `, description: ${JSON.stringify(param.description)}` : ''
+            output += `        ${paramName}: { uniform: '${param.uniform}', type: '${param.type}', default: ${param.default}, min: ${param.min}, max: ${param.max}${description} },\n`
+        }
+        output += `    },\n`
+    }
+
+    output += `}
+
+// Material shaders (not user-selectable, use BASE_VERTEX)
+export const MATERIAL_SHADERS = {
+`
+
+    for (const [name, shader] of Object.entries(registry.material)) {
+        output += `    '${name}': {
+        vertex: null,
+        fragment: \`${shader.fragment}\`
+    },
+`
+    }
+
+    output += `}
+
 // Post-processing shaders
 export const POST_SHADERS = {
 `
@@ -234,6 +312,7 @@ async function main() {
 
         console.log(`\n✓ Shader registry written to: ${path.relative(ROOT_DIR, OUTPUT_FILE)}`)
         console.log(`  Card shaders: ${CARD_SHADERS.length}`)
+        console.log(`  Material shaders: ${MATERIAL_SHADERS.length}`)
         console.log(`  Post shaders: ${Object.keys(POST_SHADERS).length}`)
     } catch (err) {
         console.error('Build failed:', err)
@@ -27,16 +27,24 @@ export class Card {
         }
 
         this.textures = {}
+        this.backTextures = {}  // Card back face (empty = single-sided card)
         this.effectParams = {
             intensity: 1.0
         }
 
-        // Parallel variant (null, 'blue', 'red', 'purple', 'green', 'gold', 'black')
+        // Parallel variant: null, a name, CSS colour or gradient (see Variants.js)
         this.variant = options.variant ?? null
 
         this.modelMatrix = new Matrix4()
         this.smoothing = options.smoothing ?? 8
 
+        // Flip animation (Y rotation added on top of tilt, 0 = front, PI = back)
+        this.flipAngle = 0
+        this.flipDuration = options.flipDuration ?? 0.6
+        this._flipFrom = 0
+        this._flipTo = 0
+        this._flipElapsed = 0
+
         // Dirty flag to avoid redundant matrix recalculations
         this._matrixDirty = true
     }
@@ -47,6 +55,17 @@ export class Card {
         this.targetRotation.z = z
     }
 
+    /**
+     * Set rotation immediately, skipping smoothing (e.g. for one-off exports)
+     */
+    setRotation(x, y, z = 0) {
+        this.setTargetRotation(x, y, z)
+        this.rotation.x = x
+        this.rotation.y = y
+        this.rotation.z = z
+        this._matrixDirty = true
+    }
+
     update(deltaTime) {
         // Smooth interpolation toward target rotation
         const t = Math.min(1, deltaTime * this.smoothing)
@@ -66,6 +85,64 @@ export class Card {
             Math.abs(this.rotation.z - prevZ) > threshold) {
             this._matrixDirty = true
         }
+
+        // Advance flip animation (ease-in-out over flipDuration seconds)
+        if (this.flipAngle !== this._flipTo) {
+            this._flipElapsed += deltaTime
+            const progress = this.flipDuration > 0 ? Math.min(1, this._flipElapsed / this.flipDuration) : 1
+            const eased = progress < 0.5
+                ? 4 * progress * progress * progress
+                : 1 - Math.pow(-2 * progress + 2, 3) / 2
+            this.flipAngle = progress >= 1
+                ? this._flipTo
+                : this._flipFrom + (this._flipTo - this._flipFrom) * eased
+            this._matrixDirty = true
+        }
+    }
+
+    /**
+     * Animate the card over to the other face
+     * @param {boolean} flipped - true shows the back, false the front (default: toggle)
+     */
+    flip(flipped = !this.isFlipped()) {
+        const target = flipped ? Math.PI : 0
+        if (target === this._flipTo) return
+        this._flipFrom = this.flipAngle
+        this._flipTo = target
+        this._flipElapsed = 0
+    }
+
+    /**
+     * Show a face immediately, without animating
+     * @param {boolean} flipped - true shows the back, false the front
+     */
+    setFlipped(flipped) {
+        const target = flipped ? Math.PI : 0
+        this.flipAngle = target
+        this._flipFrom = target
+        this._flipTo = target
+        this._flipElapsed = 0
+        this._matrixDirty = true
+    }
+
+    isFlipped() {
+        return this._flipTo !== 0
+    }
+
+    isFlipping() {
+        return this.flipAngle !== this._flipTo
+    }
+
+    /**
+     * Whether the card has come to rest (at its target rotation, not flipping)
+     * @param {number} epsilon - Largest remaining rotation difference, in radians
+     * @returns {boolean}
+     */
+    isSettled(epsilon = 0.001) {
+        return !this.isFlipping() &&
+            Math.abs(this.rotation.x - this.targetRotation.x) < epsilon &&
+            Math.abs(this.rotation.y - this.targetRotation.y) < epsilon &&
+            Math.abs(this.rotation.z - this.targetRotation.z) < epsilon
     }
 
     lerp(a, b, t) {
@@ -76,7 +153,7 @@ export class Card {
         this.modelMatrix.identity()
         this.modelMatrix.translate(this.position.x, this.position.y, this.position.z)
         this.modelMatrix.rotateX(this.rotation.x)
-        this.modelMatrix.rotateY(this.rotation.y)
+        this.modelMatrix.rotateY(this.rotation.y + this.flipAngle)
         this.modelMatrix.rotateZ(this.rotation.z)
         this.modelMatrix.scale(this.scale.x, this.scale.y, this.scale.z)
     }
@@ -108,6 +185,26 @@ export class Card {
         return this.textures[name]
     }
 
+    setBackTexture(name, texture) {
+        this.backTextures[name] = texture
+    }
+
+    /**
+     * Get a back face texture, falling back to the front face's
+     * (shared procedural textures are only set once, on the front)
+     */
+    getBackTexture(name) {
+        return this.backTextures[name] ?? this.textures[name]
+    }
+
+    clearBackTextures() {
+        this.backTextures = {}
+    }
+
+    hasBack() {
+        return !!this.backTextures.base
+    }
+
     setVariant(variant) {
         this.variant = variant
     }
@@ -1,148 +1,283 @@
 import { CONFIG } from '../config.js'
+import { PointerDriver } from '../input/PointerDriver.js'
+import { GyroDriver } from '../input/GyroDriver.js'
+import { KeyboardDriver } from '../input/KeyboardDriver.js'
+import { GamepadDriver } from '../input/GamepadDriver.js'
+import { ProgrammaticDriver } from '../input/ProgrammaticDriver.js'
+
+// Supported tilt sources
+const TILT_SOURCES = ['pointer', 'gyro']
 
 export class CardController {
-    constructor(card, canvas) {
+    /**
+     * @param {Card} card
+     * @param {HTMLElement} element - Element receiving pointer input (the display canvas)
+     * @param {Object} options
+     * @param {boolean} options.interactive - Attach user input drivers (default: true)
+     * @param {string} options.tiltSource - 'pointer' (default) or 'gyro'
+     * @param {boolean} options.keyboard - Arrow-key tilt while focused (default: true)
+     * @param {boolean} options.gamepad - Gamepad left-stick tilt (default: false)
+     * @param {boolean} options.idle - Idle wobble without input (default: true; off = rest at the hero tilt)
+     * @param {HTMLElement} options.focusTarget - Element receiving key events (default: element)
+     * @param {Function} options.onGyroStateChange - Called with the new gyro state
+     */
+    constructor(card, element, options = {}) {
         this.card = card
-        this.canvas = canvas
+        this.canvas = element
         this.maxTilt = CONFIG.card.maxTiltRadians
 
         this.mouseX = 0
         this.mouseY = 0
-        this.isHovering = false
 
         // Idle animation parameters
         this.time = 0
         this.idleSpeed = CONFIG.idle.speed
         this.idleAmount = CONFIG.idle.amplitude
+        this.idle = options.idle ?? true
 
-        // Cached bounding rect (updated on resize/enter, not every mouse move)
-        this._cachedRect = null
-        this._resizeObserver = null
+        this.interactive = options.interactive ?? true
+        this.tiltSource = TILT_SOURCES.includes(options.tiltSource) ? options.tiltSource : 'pointer'
+        this.focusTarget = options.focusTarget ?? element
+        this.onGyroStateChange = options.onGyroStateChange ?? null
 
-        // Bind methods for proper event listener removal
-        this.handleMouseMove = this.onMouseMove.bind(this)
-        this.handleMouseLeave = this.onMouseLeave.bind(this)
-        this.handleMouseEnter = this.onMouseEnter.bind(this)
-        this.handleTouchMove = this.onTouchMove.bind(this)
+        // Input drivers, highest priority first
+        this.drivers = []
+        this.programmatic = new ProgrammaticDriver()
+        this.pointer = null
+        this.gyro = null
+        this.keyboard = null
+        this.gamepad = null
 
-        this.bindEvents()
-        this._setupResizeObserver()
+        this.addDriver(this.programmatic)
 
-        // Check if mouse is already over canvas (e.g., overlay opened under cursor)
-        if (this.canvas.matches(':hover')) {
-            this.isHovering = true
-            this._updateCachedRect()
+        if (this.interactive) {
+            this._createTiltDrivers()
+            this.setKeyboardEnabled(options.keyboard ?? true)
+            this.setGamepadEnabled(options.gamepad ?? false)
         }
     }
 
     /**
-     * Setup ResizeObserver to invalidate cached rect when canvas resizes
+     * Whether the pointer is currently over the card
      */
-    _setupResizeObserver() {
-        this._resizeObserver = new ResizeObserver(() => {
-            this._cachedRect = null  // Invalidate cache on resize
-        })
-        this._resizeObserver.observe(this.canvas)
+    get isHovering() {
+        return this.pointer?.isHovering ?? false
     }
 
     /**
-     * Update the cached bounding rect
+     * Current gyro state: 'inactive' | 'prompt' | 'granted' | 'denied' | 'unsupported'
      */
-    _updateCachedRect() {
-        this._cachedRect = this.canvas.getBoundingClientRect()
+    get gyroState() {
+        return this.gyro?.state ?? 'inactive'
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime
+
+        let input = null
+        for (const driver of this.drivers) {
+            driver.update(deltaTime)
+            // Keep updating lower-priority drivers so their easing/calibration stays current
+            if (!input) input = driver.getInput()
+        }
+
+        if (input) {
+            this.mouseX = input.x
+            this.mouseY = input.y
+            this.updateCardTilt()
+            return
+        }
+
+        // Without the wobble (reduced motion) the card rests at a fixed hero angle
+        if (!this.idle) {
+            const [heroX, heroY] = CONFIG.motion.heroTilt
+            this.card.setTargetRotation(heroX, heroY, 0)
+            return
+        }
+
+        // Idle wobble animation using sine waves with different frequencies
+        const wobbleX = Math.sin(this.time * this.idleSpeed) * this.idleAmount
+        const wobbleY = Math.sin(this.time * this.idleSpeed * 0.7 + 1.0) * this.idleAmount
+        this.card.setTargetRotation(wobbleX, wobbleY, 0)
+    }
+
+    updateCardTilt() {
+        // Convert pointer position to tilt angles
+        // Horizontal movement -> Y-axis rotation (card tilts left/right)
+        // Vertical movement -> X-axis rotation (card tilts up/down)
+        const tiltY = this.mouseX * this.maxTilt
+        const tiltX = -this.mouseY * this.maxTilt
+
+        this.card.setTargetRotation(tiltX, tiltY, 0)
+    }
+
+    getMousePosition() {
+        return [this.mouseX, this.mouseY]
     }
 
     /**
-     * Get the cached rect, updating if necessary
+     * Turn the idle wobble on or off
+     * @param {boolean} enabled - Off rests the card at CONFIG.motion.heroTilt
      */
-    _getRect() {
-        if (!this._cachedRect) {
-            this._updateCachedRect()
-        }
-        return this._cachedRect
+    setIdle(enabled) {
+        this.idle = !!enabled
     }
 
-    update(deltaTime) {
-        this.time += deltaTime
+    /**
+     * Whether any driver currently has input (pointer over the card, key held, ...)
+     * @returns {boolean}
+     */
+    hasActiveInput() {
+        return this.getActiveInput() !== null
+    }
 
-        if (!this.isHovering) {
-            // Idle wobble animation using sine waves with different frequencies
-            const wobbleX = Math.sin(this.time * this.idleSpeed) * this.idleAmount
-            const wobbleY = Math.sin(this.time * this.idleSpeed * 0.7 + 1.0) * this.idleAmount
-            this.card.setTargetRotation(wobbleX, wobbleY, 0)
+    /**
+     * Input of the highest-priority driver that has any
+     * @returns {{x: number, y: number}|null} Pointer position, -1 to 1 on each axis
+     */
+    getActiveInput() {
+        for (const driver of this.drivers) {
+            const input = driver.getInput()
+            if (input) return input
         }
+        return null
+    }
+
+    // ==================== Drivers ====================
+
+    /**
+     * Add an input driver
+     * @param {InputDriver} driver
+     */
+    addDriver(driver) {
+        if (this.drivers.includes(driver)) return
+        driver.attach(this)
+        this.drivers.push(driver)
+        // Stable sort keeps insertion order among equal priorities
+        this.drivers.sort((a, b) => b.priority - a.priority)
     }
 
-    bindEvents() {
-        this.canvas.addEventListener('mousemove', this.handleMouseMove)
-        this.canvas.addEventListener('mouseleave', this.handleMouseLeave)
-        this.canvas.addEventListener('mouseenter', this.handleMouseEnter)
+    /**
+     * Remove an input driver
+     * @param {InputDriver} driver
+     */
+    removeDriver(driver) {
+        const index = this.drivers.indexOf(driver)
+        if (index === -1) return
+        this.drivers.splice(index, 1)
+        driver.detach()
+    }
 
-        // Touch support (passive: false needed for preventDefault to stop page scroll)
-        this.canvas.addEventListener('touchmove', this.handleTouchMove, { passive: false })
-        this.canvas.addEventListener('touchend', this.handleMouseLeave)
+    /**
+     * Programmatically set the pointer position (overrides user input until released)
+     * @param {number|null} x - -1 (left) to 1 (right), null releases
+     * @param {number|null} y - -1 (top) to 1 (bottom)
+     */
+    setPointer(x, y) {
+        this.programmatic.setPointer(x, y)
     }
 
-    onMouseMove(event) {
-        const rect = this._getRect()
+    /**
+     * Programmatically set the tilt (overrides user input until released)
+     * @param {number|null} x - -1 (left edge away) to 1 (right edge away), null releases
+     * @param {number|null} y - -1 (top edge away) to 1 (top edge toward viewer)
+     */
+    setTilt(x, y) {
+        this.programmatic.setTilt(x, y)
+    }
 
-        // Calculate mouse position relative to canvas center, normalized to -1 to 1
-        this.mouseX = ((event.clientX - rect.left) / rect.width) * 2 - 1
-        this.mouseY = ((event.clientY - rect.top) / rect.height) * 2 - 1
+    /**
+     * Enable or disable arrow-key tilt
+     * @param {boolean} enabled
+     */
+    setKeyboardEnabled(enabled) {
+        if (!this.interactive || !!enabled === !!this.keyboard) return
+        if (enabled) {
+            this.keyboard = new KeyboardDriver(this.focusTarget)
+            this.addDriver(this.keyboard)
+        } else {
+            this.removeDriver(this.keyboard)
+            this.keyboard = null
+        }
+    }
 
-        this.updateCardTilt()
+    /**
+     * Enable or disable gamepad tilt
+     * @param {boolean} enabled
+     */
+    setGamepadEnabled(enabled) {
+        if (!this.interactive || !!enabled === !!this.gamepad) return
+        if (enabled) {
+            this.gamepad = new GamepadDriver()
+            this.addDriver(this.gamepad)
+        } else {
+            this.removeDriver(this.gamepad)
+            this.gamepad = null
+        }
     }
 
-    onTouchMove(event) {
-        event.preventDefault()
-        const touch = event.touches[0]
-        const rect = this._getRect()
+    // ==================== Gyro ====================
 
-        this.mouseX = ((touch.clientX - rect.left) / rect.width) * 2 - 1
-        this.mouseY = ((touch.clientY - rect.top) / rect.height) * 2 - 1
+    /**
+     * Switch between pointer and gyro tilt
+     * @param {string} source - 'pointer' or 'gyro'
+     */
+    setTiltSource(source) {
+        if (!TILT_SOURCES.includes(source) || source === this.tiltSource) return
+        this.tiltSource = source
+        if (!this.interactive) return
 
-        this.updateCardTilt()
+        this._removeTiltDrivers()
+        this._createTiltDrivers()
     }
 
-    onMouseEnter() {
-        this.isHovering = true
-        // Refresh cached rect on mouse enter (handles scroll/layout changes)
-        this._updateCachedRect()
+    /**
+     * Request device-orientation permission (iOS 13+ requires a user gesture)
+     * @returns {Promise<boolean>} True if orientation events can be used
+     */
+    async requestGyroPermission() {
+        return this.gyro?.requestPermission() ?? false
     }
 
-    onMouseLeave() {
-        this.isHovering = false
-        // Idle animation will take over
+    /**
+     * Use the device's next orientation reading as the resting angle
+     */
+    calibrate() {
+        this.gyro?.calibrate()
     }
 
-    updateCardTilt() {
-        if (!this.isHovering) return
+    /**
+     * Create the pointer (and gyro) drivers for the current tilt source
+     */
+    _createTiltDrivers() {
+        const isGyro = this.tiltSource === 'gyro'
 
-        // Convert mouse position to tilt angles
-        // Horizontal mouse movement -> Y-axis rotation (card tilts left/right)
-        // Vertical mouse movement -> X-axis rotation (card tilts up/down)
-        const tiltY = this.mouseX * this.maxTilt
-        const tiltX = -this.mouseY * this.maxTilt
+        // In gyro mode touches must scroll the page, so only the mouse tilts
+        this.pointer = new PointerDriver(this.canvas, { touch: !isGyro })
+        this.addDriver(this.pointer)
 
-        this.card.setTargetRotation(tiltX, tiltY, 0)
+        if (isGyro) {
+            this.gyro = new GyroDriver(this.canvas, {
+                onStateChange: (state) => this.onGyroStateChange?.(state)
+            })
+            this.addDriver(this.gyro)
+        }
     }
 
-    getMousePosition() {
-        return [this.mouseX, this.mouseY]
+    _removeTiltDrivers() {
+        if (this.pointer) this.removeDriver(this.pointer)
+        if (this.gyro) this.removeDriver(this.gyro)
+        this.pointer = null
+        this.gyro = null
     }
 
     destroy() {
-        this.canvas.removeEventListener('mousemove', this.handleMouseMove)
-        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave)
-        this.canvas.removeEventListener('mouseenter', this.handleMouseEnter)
-        this.canvas.removeEventListener('touchmove', this.handleTouchMove)
-        this.canvas.removeEventListener('touchend', this.handleMouseLeave)
-
-        // Clean up ResizeObserver
-        if (this._resizeObserver) {
-            this._resizeObserver.disconnect()
-            this._resizeObserver = null
+        for (const driver of [...this.drivers]) {
+            this.removeDriver(driver)
         }
-        this._cachedRect = null
+        this.pointer = null
+        this.gyro = null
+        this.keyboard = null
+        this.gamepad = null
     }
 }
@@ -1,5 +1,9 @@
 import { Matrix4 } from '../math/Matrix4.js'
 import { CONFIG } from '../config.js'
+import { getCustomShader } from '../shaders/CustomShaders.js'
+import { getShaderParamSchema, applyShaderParams } from '../shaders/ShaderParams.js'
+import { BLEND_MODES } from './EffectLayers.js'
+import { applyVariantUniforms } from './Variants.js'
 
 const TEXTURE_BINDINGS = [
     { slot: 0, name: 'base', uniform: 'u_baseTexture' },
@@ -10,21 +14,22 @@ const TEXTURE_BINDINGS = [
     { slot: 5, name: 'effectMask', uniform: 'u_effectMask' },
     { slot: 6, name: 'text', uniform: 'u_textTexture' },
     { slot: 7, name: 'number', uniform: 'u_numberTexture' },
-    { slot: 8, name: 'collection', uniform: 'u_collectionTexture' }
+    { slot: 8, name: 'collection', uniform: 'u_collectionTexture' },
+    { slot: 9, name: 'normal', uniform: 'u_normalMap' }
 ]
 
 // Map of which textures each shader actually uses (for conditional binding)
 const SHADER_TEXTURES = {
     'base': ['base', 'effectMask', 'text', 'number', 'collection'],
-    'holographic': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection'],
-    'foil': ['base', 'noise', 'foil', 'effectMask', 'text', 'number', 'collection'],
-    'parallax': ['base', 'depth', 'effectMask', 'text', 'number', 'collection'],
-    'cracked-ice': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection'],
-    'refractor': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection'],
-    'galaxy': ['base', 'rainbow', 'effectMask', 'text', 'number', 'collection'],
-    'starburst': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection'],
-    'prizm': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection'],
-    'etched': ['base', 'rainbow', 'noise', 'depth', 'effectMask', 'text', 'number', 'collection']
+    'holographic': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'foil': ['base', 'noise', 'foil', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'parallax': ['base', 'depth', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'cracked-ice': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'refractor': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'galaxy': ['base', 'rainbow', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'starburst': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'prizm': ['base', 'rainbow', 'noise', 'effectMask', 'text', 'number', 'collection', 'normal'],
+    'etched': ['base', 'rainbow', 'noise', 'depth', 'effectMask', 'text', 'number', 'collection', 'normal']
 }
 
 export class CardRenderer {
@@ -61,6 +66,9 @@ export class CardRenderer {
         this.cameraPosition = [0, 0, cameraZ]
         this.time = 0
 
+        // Cardstock colour for the edge strip (and the reverse of single-sided thick cards)
+        this.edgeColor = [...CONFIG.card.edgeColor]
+
         this.setupCamera()
     }
 
@@ -82,13 +90,138 @@ export class CardRenderer {
         this.projectionMatrix.perspective(fov, aspect, near, far)
     }
 
-    render(card, controller, deltaTime, effectSettings = {}) {
+    /**
+     * Render the card
+     * @param {Card} card
+     * @param {CardController} controller
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} effectSettings - Front face settings (maskActive, isBaseShader, textOpacity, effectScale, shaderParams, layers)
+     * @param {Object|null} backSettings - Back face settings plus `shader` name, or null for single-sided
+     */
+    render(card, controller, deltaTime, effectSettings = {}, backSettings = null) {
         this.time += deltaTime
 
         const shader = this.shaderManager.getActive()
         if (!shader) return
 
-        const shaderName = this.shaderManager.getActiveName()
+        const gl = this.gl
+        const drawBack = !!backSettings && card.hasBack() && this.geometry.hasRange('back')
+        // A mesh with an edge strip is closed, so its reverse must always be drawn
+        const isSolid = this.geometry.hasRange('edge')
+
+        // Faces share a plane (or enclose a volume) - cull whichever side faces away
+        if (drawBack || isSolid) {
+            gl.enable(gl.CULL_FACE)
+            gl.cullFace(gl.BACK)
+        }
+
+        this._drawFace(shader, this.shaderManager.getActiveName(), card, controller, effectSettings, 'front')
+
+        if (effectSettings.layers?.length > 0) {
+            this._drawLayers(card, controller, effectSettings.layers)
+        }
+
+        if (drawBack) {
+            const backShaderName = this.shaderManager.has(backSettings.shader)
+                ? backSettings.shader
+                : this.shaderManager.getActiveName()
+            const backShader = this.shaderManager.get(backShaderName)
+            this._drawFace(backShader, backShaderName, card, controller, backSettings, 'back')
+        } else if (isSolid) {
+            this._drawMaterial('edge', card, 'back')
+        }
+
+        if (isSolid) {
+            this._drawMaterial('edge', card, 'edge')
+        }
+
+        if (drawBack || isSolid) {
+            gl.disable(gl.CULL_FACE)
+        }
+    }
+
+    /**
+     * Composite overlay layers onto the front face
+     * Each layer is drawn with its shader's premultiplied output (u_layerOpacity > 0)
+     * and the blend mode's factors; destination alpha is left untouched.
+     * @param {Card} card
+     * @param {CardController} controller
+     * @param {Array<Object>} layers - Effect settings per layer, plus shader, blend,
+     *   layerOpacity and maskTexture
+     */
+    _drawLayers(card, controller, layers) {
+        const gl = this.gl
+        gl.enable(gl.BLEND)
+
+        for (const layer of layers) {
+            const shader = this.shaderManager.get(layer.shader)
+            if (!shader || !(layer.layerOpacity > 0)) continue
+
+            const [src, dst] = BLEND_MODES[layer.blend] ?? BLEND_MODES.normal
+            gl.blendFuncSeparate(gl[src], gl[dst], gl.ZERO, gl.ONE)
+            this._drawFace(shader, layer.shader, card, controller, layer, 'front')
+        }
+
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
+        gl.disable(gl.BLEND)
+    }
+
+    /**
+     * Draw a geometry range with a material shader (no card textures)
+     * @param {string} materialName - Material shader name
+     * @param {Card} card
+     * @param {string} range - Geometry range name
+     */
+    _drawMaterial(materialName, card, range) {
+        const material = this.shaderManager.getMaterial(materialName)
+        if (!material) return
+
+        material.use()
+        // Next card shader draw must re-send its cached uniforms
+        this._cachedShaderName = null
+
+        material.setUniformMatrix4fv('u_modelMatrix', card.getModelMatrix())
+        material.setUniformMatrix4fv('u_viewMatrix', this.viewMatrix.elements)
+        material.setUniformMatrix4fv('u_projectionMatrix', this.projectionMatrix.elements)
+        material.setUniform3f('u_cameraPosition',
+            this.cameraPosition[0],
+            this.cameraPosition[1],
+            this.cameraPosition[2]
+        )
+        material.setUniform3f('u_edgeColor', this.edgeColor[0], this.edgeColor[1], this.edgeColor[2])
+
+        applyVariantUniforms(material, card.getVariant())
+
+        this.geometry.bind()
+        this.geometry.drawRange(range)
+    }
+
+    /**
+     * Set the edge (cardstock) colour
+     * @param {number[]} color - RGB in 0-1 range
+     */
+    setEdgeColor(color) {
+        this.edgeColor = [color[0], color[1], color[2]]
+    }
+
+    /**
+     * Swap the geometry (e.g. when the card shape changes)
+     * @param {Geometry} geometry
+     */
+    setGeometry(geometry) {
+        this.geometry = geometry
+    }
+
+    /**
+     * Draw one face of the card with the given shader
+     * @param {ShaderProgram} shader
+     * @param {string} shaderName
+     * @param {Card} card
+     * @param {CardController} controller
+     * @param {Object} effectSettings
+     * @param {string} face - 'front' or 'back'
+     */
+    _drawFace(shader, shaderName, card, controller, effectSettings, face) {
         shader.use()
 
         // Invalidate uniform cache on shader switch
@@ -147,19 +280,30 @@ export class CardRenderer {
             this._uniformCache.effectScale = effectScaleVal
         }
 
-        // Set variant uniforms for parallel cards
-        const variant = card.getVariant()
-        const variantActive = variant ? 1.0 : 0.0
-        const variantColor = variant ? (CONFIG.variants[variant] || [0, 0, 0]) : [0, 0, 0]
-        shader.setUniform1f('u_variantActive', variantActive)
-        shader.setUniform3f('u_variantColor', variantColor[0], variantColor[1], variantColor[2])
+        // Set variant uniforms for parallel cards (colour or gradient)
+        applyVariantUniforms(shader, card.getVariant())
+
+        // Tunable parameters (built-in @param uniforms or custom shader uniforms)
+        applyShaderParams(shader, getShaderParamSchema(shaderName), effectSettings.shaderParams)
+
+        // Programs are shared between the primary pass and overlay layers
+        shader.setUniform1f('u_layerOpacity', effectSettings.layerOpacity ?? 0)
+
+        // Runtime-registered shaders declare their own textures
+        const custom = getCustomShader(shaderName)
 
         // Bind only textures needed by the active shader
-        const requiredTextures = SHADER_TEXTURES[shaderName] || TEXTURE_BINDINGS.map(b => b.name)
+        const requiredTextures = SHADER_TEXTURES[shaderName] || custom?.textures || TEXTURE_BINDINGS.map(b => b.name)
+        const isBack = face === 'back'
+
+        // Normal maps belong to the front image only (0 disables perturbation)
+        const normalStrength = !isBack && card.getTexture('normal') ? (effectSettings.normalStrength ?? 1) : 0
+        shader.setUniform1f('u_normalStrength', normalStrength)
 
         for (const { slot, name, uniform } of TEXTURE_BINDINGS) {
             if (!requiredTextures.includes(name)) continue
-            const texture = card.getTexture(name)
+            const texture = (name === 'effectMask' && effectSettings.maskTexture)
+                || (isBack ? card.getBackTexture(name) : card.getTexture(name))
             if (texture) {
                 // Only bind if texture changed for this slot (skip redundant GL calls)
                 if (this._boundTextures.get(slot) !== texture) {
@@ -172,7 +316,11 @@ export class CardRenderer {
 
         // Draw (skip unbind - VAO is rebound at start of next frame anyway)
         this.geometry.bind()
-        this.geometry.draw()
+        if (this.geometry.hasRange(face)) {
+            this.geometry.drawRange(face)
+        } else {
+            this.geometry.draw()
+        }
     }
 
     /**
@@ -0,0 +1,126 @@
+/**
+ * EffectLayers - Overlay effects stacked above a card's primary shader
+ *
+ * Each layer redraws the front face with its own shader and mask. When
+ * u_layerOpacity > 0 the card shaders output colour premultiplied by
+ * mask × opacity, so a layer only covers its own mask; CardRenderer then
+ * composites it with the blend mode's GL blend factors. Layers draw in
+ * order, later ones on top.
+ *
+ * Layer:
+ *   { shader: 'galaxy', mask: 'art-window', blend: 'screen', opacity: 0.8, params: { starBrightness: 2 } }
+ */
+
+// GL blend factors [src, dst] for premultiplied layer output
+export const BLEND_MODES = {
+    normal: ['ONE', 'ONE_MINUS_SRC_ALPHA'],       // layer over card
+    add: ['ONE', 'ONE'],                          // card + layer
+    screen: ['ONE_MINUS_DST_COLOR', 'ONE'],       // 1 - (1 - card)(1 - layer)
+    multiply: ['DST_COLOR', 'ONE_MINUS_SRC_ALPHA'] // card × layer
+}
+
+// Every layer is a full extra draw of the front face
+export const MAX_LAYERS = 4
+
+/**
+ * Validate a layer and fill in defaults
+ * @param {Object|string} layer - Layer object, or a shader name for a full-card normal layer
+ * @returns {{shader: string, mask: string|CanvasImageSource, blend: string, opacity: number, params: Object|null}}
+ */
+export function normalizeLayer(layer) {
+    if (typeof layer === 'string') layer = { shader: layer }
+    const { shader, mask = 'full', blend = 'normal', opacity = 1, params = null } = layer ?? {}
+
+    if (typeof shader !== 'string' || !shader) {
+        throw new Error('EffectLayers: layer needs a shader name')
+    }
+    if (!mask || (typeof mask !== 'string' && typeof mask !== 'object')) {
+        throw new Error(`EffectLayers: invalid mask for layer '${shader}'`)
+    }
+    if (!BLEND_MODES[blend]) {
+        throw new Error(`EffectLayers: unknown blend mode '${blend}'. Available: ${Object.keys(BLEND_MODES).join(', ')}`)
+    }
+    if (!Number.isFinite(opacity)) {
+        throw new Error(`EffectLayers: opacity for layer '${shader}' must be a number`)
+    }
+    if (params !== null && (typeof params !== 'object' || Array.isArray(params))) {
+        throw new Error(`EffectLayers: params for layer '${shader}' must be an object`)
+    }
+
+    return {
+        shader,
+        mask,
+        blend,
+        opacity: Math.max(0, Math.min(1, opacity)),
+        params: params ? { ...params } : null
+    }
+}
+
+/**
+ * Normalize a layer list, dropping invalid layers with a warning
+ * @param {Array|null} layers
+ * @returns {Array} Normalized layers (at most MAX_LAYERS)
+ */
+export function normalizeLayers(layers) {
+    if (!layers) return []
+    if (!Array.isArray(layers)) {
+        console.warn('EffectLayers: layers must be an array')
+        return []
+    }
+
+    const normalized = []
+    for (const layer of layers) {
+        try {
+            normalized.push(normalizeLayer(layer))
+        } catch (err) {
+            console.warn(err.message)
+        }
+    }
+
+    if (normalized.length > MAX_LAYERS) {
+        console.warn(`EffectLayers: only the first ${MAX_LAYERS} layers are drawn`)
+        normalized.length = MAX_LAYERS
+    }
+    return normalized
+}
+
+/**
+ * Parse a layers attribute value
+ * Accepts a JSON array or a comma-separated list of "shader [mask] [blend] [opacity]",
+ * e.g. 'foil border, galaxy art-window screen 0.8'.
+ * @param {string|null} value
+ * @returns {Array} Layer objects (not yet normalized)
+ */
+export function parseLayers(value) {
+    if (!value || !value.trim()) return []
+
+    const text = value.trim()
+    if (text.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(text)
+            return Array.isArray(parsed) ? parsed : []
+        } catch {
+            console.warn(`EffectLayers: Invalid JSON in layers '${value}'`)
+            return []
+        }
+    }
+
+    const layers = []
+    for (const entry of text.split(',')) {
+        const [shader, ...tokens] = entry.trim().split(/\s+/).filter(Boolean)
+        if (!shader) continue
+
+        const layer = { shader }
+        for (const token of tokens) {
+            if (BLEND_MODES[token]) {
+                layer.blend = token
+            } else if (/^-?[\d.]+$/.test(token)) {
+                layer.opacity = Number(token)
+            } else {
+                layer.mask = token
+            }
+        }
+        layers.push(layer)
+    }
+    return layers
+}
@@ -0,0 +1,116 @@
+/**
+ * Rarity - Named presets that set a card's whole look at once
+ *
+ * A rarity picks any of shader, mask, variant, bloom, shaderParams and
+ * layers; options it leaves out fall back to the sticker defaults, so
+ * switching rarity never keeps parts of the previous one. Options given
+ * explicitly alongside a rarity win over the preset.
+ *
+ * Preset:
+ *   { shader: 'foil', mask: 'border', variant: 'gold', bloom: 1.2, shaderParams: { sparkleIntensity: 2 } }
+ */
+
+import { resolveVariant } from './Variants.js'
+
+// Options a rarity preset may set
+export const RARITY_OPTIONS = ['shader', 'mask', 'variant', 'bloom', 'shaderParams', 'layers']
+
+// Built-in tiers, lowest to highest
+export const RARITY_PRESETS = {
+    common: { shader: 'base', mask: 'full', bloom: 0 },
+    uncommon: { shader: 'etched', mask: 'border', bloom: 0.4 },
+    rare: { shader: 'foil', mask: 'border', bloom: 0.95 },
+    ultra: { shader: 'holographic', mask: 'full', bloom: 1.2, shaderParams: { sparkleDensity: 140, sparkleIntensity: 2 } },
+    secret: {
+        shader: 'prizm',
+        mask: 'border',
+        variant: 'gold',
+        bloom: 1.5,
+        shaderParams: { colorIntensity: 0.8 },
+        layers: [{ shader: 'galaxy', mask: 'art-window', blend: 'screen', opacity: 0.5 }]
+    }
+}
+
+// Registered presets (see registerRarity)
+const rarities = new Map(Object.entries(RARITY_PRESETS))
+
+/**
+ * Validate a rarity preset
+ * @param {string} name - For error messages
+ * @param {Object} preset
+ * @returns {Object} A copy holding only the preset's options
+ * @throws {Error} If the preset is invalid
+ */
+export function normalizeRarity(name, preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error(`Rarity: preset '${name}' must be an object`)
+    }
+
+    const normalized = {}
+    for (const [key, value] of Object.entries(preset)) {
+        if (!RARITY_OPTIONS.includes(key)) {
+            throw new Error(`Rarity: preset '${name}' has unknown option '${key}'. Available: ${RARITY_OPTIONS.join(', ')}`)
+        }
+        normalized[key] = value
+    }
+
+    if ('bloom' in normalized && !(normalized.bloom >= 0 && normalized.bloom <= 2)) {
+        throw new Error(`Rarity: preset '${name}' bloom must be between 0 and 2`)
+    }
+    if (normalized.variant) {
+        try {
+            resolveVariant(normalized.variant)
+        } catch (err) {
+            throw new Error(`Rarity: preset '${name}' has an invalid variant (${err.message})`)
+        }
+    }
+    if (normalized.shaderParams != null && (typeof normalized.shaderParams !== 'object' || Array.isArray(normalized.shaderParams))) {
+        throw new Error(`Rarity: preset '${name}' shaderParams must be an object`)
+    }
+    if (normalized.layers != null && !Array.isArray(normalized.layers)) {
+        throw new Error(`Rarity: preset '${name}' layers must be an array`)
+    }
+
+    return normalized
+}
+
+/**
+ * Register (or replace) a rarity preset
+ * @param {string} name
+ * @param {Object} preset - See module docs
+ * @throws {Error} If the preset is invalid
+ */
+export function registerRarity(name, preset) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('Rarity: rarity name must be a non-empty string')
+    }
+    rarities.set(name, normalizeRarity(name, preset))
+}
+
+/**
+ * Names of the registered rarities, built-in tiers first
+ * @returns {string[]}
+ */
+export function getRarityNames() {
+    return [...rarities.keys()]
+}
+
+/**
+ * Options a rarity sets, with everything it leaves out taken from defaults
+ * @param {string} name - Registered rarity
+ * @param {Object} defaults - Values for options the preset doesn't set
+ * @returns {Object} Every RARITY_OPTIONS key
+ * @throws {Error} If the rarity is unknown
+ */
+export function getRarityOptions(name, defaults) {
+    if (!rarities.has(name)) {
+        throw new Error(`Rarity: unknown rarity '${name}'. Available: ${getRarityNames().join(', ')}`)
+    }
+
+    const preset = rarities.get(name)
+    const options = {}
+    for (const key of RARITY_OPTIONS) {
+        options[key] = key in preset ? preset[key] : defaults[key]
+    }
+    return options
+}
@@ -0,0 +1,414 @@
+/**
+ * Variants - Parallel colours: named, CSS colours and gradients
+ *
+ * A variant can be:
+ *   - a registered name: 'gold', 'rainbow' (CONFIG.variants plus registerVariant)
+ *   - any CSS colour: '#ff5252', 'rgb(255 82 82)', 'hsl(200, 80%, 50%)', 'teal'
+ *   - a CSS gradient: 'linear-gradient(135deg, #ff5f6d, #ffc371)', 'conic-gradient(red, gold, red)'
+ *   - an RGB triple (0-1): [1, 0.75, 0]
+ *   - a gradient object: { colors: ['#f00', '#00f'], positions: [0, 1], angle: 90, type: 'linear' }
+ *
+ * Shaders get the gradient through variant.glsl: up to MAX_VARIANT_STOPS
+ * stops in u_variantStops (rgb + position), u_variantStopCount (0 = solid)
+ * and u_variantGradient (angle in radians, type). u_variantColor stays the
+ * solid colour, or the gradient's average for effects that need one colour.
+ * Angles follow CSS: 0deg points up the card, 90deg to the right.
+ */
+
+import { CONFIG } from '../config.js'
+import { canCreateCanvas, createCanvas } from '../utils/CanvasFactory.js'
+
+export const MAX_VARIANT_STOPS = 8
+export const GRADIENT_TYPES = ['linear', 'conic']
+
+// Built-in gradient variants (added to the CONFIG.variants colours)
+export const GRADIENT_VARIANTS = {
+    rainbow: { type: 'conic', colors: ['#ff3b3b', '#ffb300', '#fff200', '#3bd16f', '#2f80ff', '#8e44ff', '#ff3b3b'] },
+    sunset: { type: 'linear', angle: 135, colors: ['#ff5f6d', '#ffc371'] },
+    aurora: { type: 'linear', angle: 0, colors: ['#00c9a7', '#4d8dff', '#b05cff'] }
+}
+
+// Keywords for linear-gradient(to <side>)
+const SIDE_ANGLES = {
+    'top': 0, 'right': 90, 'bottom': 180, 'left': 270,
+    'top right': 45, 'right top': 45, 'bottom right': 135, 'right bottom': 135,
+    'bottom left': 225, 'left bottom': 225, 'top left': 315, 'left top': 315
+}
+
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }
+const ANGLE_PATTERN = /^(-?\d*\.?\d+)(deg|grad|rad|turn)$/
+
+// Registered variants: name → normalized variant
+const variants = new Map()
+
+// Resolved values, so renderers can look variants up every frame
+const stringCache = new Map()
+const objectCache = new WeakMap()
+const warned = new Set()
+
+/**
+ * Parse a CSS colour into 0-1 RGB
+ * Handles hex, rgb()/rgba() and hsl()/hsla(); other keywords ('teal') are
+ * resolved by the browser's canvas when one is available. Alpha is ignored.
+ * @param {string} color
+ * @returns {number[]|null} RGB triple, or null if unparseable
+ */
+export function parseCssColor(color) {
+    if (typeof color !== 'string') return null
+    const text = color.trim().toLowerCase()
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/)
+    if (hex) {
+        let digits = hex[1]
+        if (digits.length === 3 || digits.length === 4) digits = digits.split('').map(c => c + c).join('')
+        if (digits.length !== 6 && digits.length !== 8) return null
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255)
+    }
+
+    const fn = text.match(/^(rgba?|hsla?)\((.*)\)$/)
+    if (fn) {
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean).slice(0, 3)
+        if (parts.length < 3) return null
+        return fn[1].startsWith('rgb') ? parseRgb(parts) : parseHsl(parts)
+    }
+
+    return parseColorKeyword(text)
+}
+
+function parseRgb(parts) {
+    const rgb = parts.map(part => part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255)
+    return rgb.some(Number.isNaN) ? null : rgb.map(clamp01)
+}
+
+function parseHsl(parts) {
+    const angle = parts[0].match(ANGLE_PATTERN)
+    const h = angle ? parseFloat(angle[1]) * ANGLE_UNITS[angle[2]] : parseFloat(parts[0])
+    const s = parseFloat(parts[1]) / 100
+    const l = parseFloat(parts[2]) / 100
+    if ([h, s, l].some(Number.isNaN)) return null
+
+    // CSS Color 4 hsl-to-rgb
+    const sat = clamp01(s)
+    const light = clamp01(l)
+    const hue = ((h % 360) + 360) % 360
+    const channel = n => {
+        const k = (n + hue / 30) % 12
+        const a = sat * Math.min(light, 1 - light)
+        return light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))
+    }
+    return [channel(0), channel(8), channel(4)]
+}
+
+// Named colours need the browser's colour table
+let keywordContext = null
+function parseColorKeyword(text) {
+    if (!/^[a-z]+$/.test(text) || !canCreateCanvas()) return null
+
+    keywordContext ??= createCanvas(1, 1).getContext('2d')
+    if (!keywordContext) return null
+
+    // Invalid colours leave fillStyle unchanged, so set a sentinel first
+    keywordContext.fillStyle = '#010203'
+    keywordContext.fillStyle = text
+    const resolved = keywordContext.fillStyle
+    if (resolved === '#010203' && text !== 'transparent') return null
+    return parseCssColor(resolved)  // Canvas reports '#rrggbb' or 'rgba(...)'
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value))
+}
+
+/**
+ * Parse a CSS angle ('45deg', '0.25turn', ...)
+ * @param {string} text
+ * @returns {number|null} Degrees
+ */
+function parseAngle(text) {
+    const match = text.trim().match(ANGLE_PATTERN)
+    return match ? parseFloat(match[1]) * ANGLE_UNITS[match[2]] : null
+}
+
+/**
+ * Split on commas outside parentheses
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+    const parts = []
+    let depth = 0
+    let start = 0
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++
+        else if (text[i] === ')') depth--
+        else if (text[i] === ',' && depth === 0) {
+            parts.push(text.substring(start, i).trim())
+            start = i + 1
+        }
+    }
+    parts.push(text.substring(start).trim())
+    return parts
+}
+
+/**
+ * Parse a CSS linear-gradient() or conic-gradient() into a gradient object
+ * Supports angles, 'to <side>', 'from <angle>' and percentage stop positions.
+ * @param {string} text
+ * @returns {{type: string, angle: number, colors: string[], positions: Array<number|null>}|null}
+ *   null if the text isn't a gradient
+ * @throws {Error} If the gradient is malformed
+ */
+export function parseCssGradient(text) {
+    const match = text.trim().match(/^(linear|conic)-gradient\((.*)\)$/i)
+    if (!match) return null
+
+    const type = match[1].toLowerCase()
+    const args = splitTopLevel(match[2])
+    let angle = type === 'linear' ? 180 : 0  // CSS defaults: to bottom / from 0deg
+
+    const first = args[0].toLowerCase()
+    if (type === 'linear' && first.startsWith('to ')) {
+        angle = SIDE_ANGLES[first.substring(3).trim().replace(/\s+/g, ' ')]
+        if (angle === undefined) throw new Error(`Variants: unknown gradient direction '${args[0]}'`)
+        args.shift()
+    } else if (type === 'linear' && parseAngle(first) !== null) {
+        angle = parseAngle(first)
+        args.shift()
+    } else if (type === 'conic' && /^(from|at)\s/.test(first)) {
+        // 'at <position>' is not supported; conic gradients centre on the card
+        const from = first.match(/^from\s+(\S+)/)
+        if (from) {
+            angle = parseAngle(from[1])
+            if (angle === null) throw new Error(`Variants: invalid gradient angle '${from[1]}'`)
+        }
+        args.shift()
+    }
+
+    const colors = []
+    const positions = []
+    for (const stop of args) {
+        const position = stop.match(/\s(-?\d*\.?\d+)%$/)
+        colors.push(position ? stop.substring(0, position.index).trim() : stop)
+        positions.push(position ? parseFloat(position[1]) / 100 : null)
+    }
+
+    return { type, angle, colors, positions }
+}
+
+/**
+ * Fill in missing stop positions the way CSS does
+ * Missing ends are 0 and 1, missing middles spread evenly between their
+ * neighbours, and positions never go backwards.
+ * @param {Array<number|null>} positions
+ * @returns {number[]}
+ */
+export function fillStopPositions(positions) {
+    const filled = positions.map(position => position ?? null)
+    const last = filled.length - 1
+    if (filled[0] === null) filled[0] = 0
+    if (filled[last] === null) filled[last] = 1
+
+    let previous = filled[0]
+    for (let i = 1; i <= last; i++) {
+        if (filled[i] === null) continue
+        filled[i] = Math.max(filled[i], previous)
+        previous = filled[i]
+    }
+
+    let start = 0
+    for (let i = 1; i <= last; i++) {
+        if (filled[i] === null) continue
+        for (let j = start + 1; j < i; j++) {
+            filled[j] = filled[start] + (filled[i] - filled[start]) * (j - start) / (i - start)
+        }
+        start = i
+    }
+    return filled
+}
+
+/**
+ * Validate a variant and convert it to renderer form
+ * @param {string|number[]|Object|null} variant - See module docs
+ * @returns {{color: number[], stops: Array<{color: number[], position: number}>, type: string, angle: number}|null}
+ *   null for no variant; solid colours have a single stop
+ * @throws {Error} If the variant is invalid
+ */
+export function resolveVariant(variant) {
+    if (variant === null || variant === undefined || variant === '' || variant === false) return null
+
+    if (typeof variant === 'string') {
+        if (variants.has(variant)) return variants.get(variant)
+
+        const gradient = parseCssGradient(variant)
+        if (gradient) return normalizeGradient(gradient)
+
+        const rgb = parseCssColor(variant)
+        if (!rgb) {
+            throw new Error(`Variants: unknown variant '${variant}'. Use a CSS colour, a gradient or one of: ${getVariantNames().join(', ')}`)
+        }
+        return solidVariant(rgb)
+    }
+
+    if (Array.isArray(variant)) {
+        if (variant.length === 3 && variant.every(Number.isFinite)) return solidVariant(variant.map(clamp01))
+        throw new Error('Variants: an array variant must be an RGB triple (0-1)')
+    }
+
+    if (typeof variant === 'object') return normalizeGradient(variant)
+
+    throw new Error(`Variants: invalid variant ${String(variant)}`)
+}
+
+function solidVariant(rgb) {
+    return { color: rgb, stops: [{ color: rgb, position: 0 }], type: 'linear', angle: 0 }
+}
+
+function normalizeGradient({ colors, positions = [], angle, type = 'linear' }) {
+    if (!GRADIENT_TYPES.includes(type)) {
+        throw new Error(`Variants: unknown gradient type '${type}'. Available: ${GRADIENT_TYPES.join(', ')}`)
+    }
+    if (!Array.isArray(colors) || colors.length < 1) {
+        throw new Error('Variants: a gradient needs at least one colour')
+    }
+    if (colors.length > MAX_VARIANT_STOPS) {
+        throw new Error(`Variants: a gradient can have at most ${MAX_VARIANT_STOPS} colours`)
+    }
+    angle ??= type === 'linear' ? 180 : 0
+    if (!Number.isFinite(angle)) {
+        throw new Error('Variants: gradient angle must be a number of degrees')
+    }
+
+    const rgbs = colors.map(color => {
+        const rgb = Array.isArray(color) ? color.slice(0, 3) : parseCssColor(color)
+        if (!rgb || rgb.length < 3 || !rgb.every(Number.isFinite)) {
+            throw new Error(`Variants: invalid gradient colour '${color}'`)
+        }
+        return rgb
+    })
+    const filled = fillStopPositions(colors.map((_, i) => {
+        const position = positions[i]
+        return Number.isFinite(position) ? clamp01(position) : null
+    }))
+    const stops = rgbs.map((color, i) => ({ color, position: filled[i] }))
+
+    return { color: averageColor(stops), stops, type, angle: angle * Math.PI / 180 }
+}
+
+/**
+ * Average colour of a gradient over 0-1 (stops interpolate linearly, ends hold)
+ * @param {Array<{color: number[], position: number}>} stops
+ * @returns {number[]}
+ */
+function averageColor(stops) {
+    const first = stops[0]
+    const last = stops[stops.length - 1]
+    const sum = [0, 1, 2].map(c => first.color[c] * first.position + last.color[c] * (1 - last.position))
+    for (let i = 0; i < stops.length - 1; i++) {
+        const width = stops[i + 1].position - stops[i].position
+        for (let c = 0; c < 3; c++) sum[c] += (stops[i].color[c] + stops[i + 1].color[c]) / 2 * width
+    }
+    return sum
+}
+
+/**
+ * Register (or replace) a named variant
+ * @param {string} name
+ * @param {string|number[]|Object} variant - Anything resolveVariant accepts (names resolve now)
+ * @throws {Error} If the variant is invalid
+ */
+export function registerVariant(name, variant) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('Variants: variant name must be a non-empty string')
+    }
+    const resolved = resolveVariant(variant)
+    if (!resolved) throw new Error(`Variants: variant '${name}' needs a colour`)
+
+    variants.set(name, resolved)
+    stringCache.delete(name)
+}
+
+/**
+ * Names of the registered variants
+ * @returns {string[]}
+ */
+export function getVariantNames() {
+    return [...variants.keys()]
+}
+
+/**
+ * Resolved variant for rendering (cached; invalid variants warn once and render as none)
+ * @param {string|number[]|Object|null} variant
+ * @returns {Object|null} See resolveVariant
+ */
+export function getVariantData(variant) {
+    if (!variant) return null
+    const cache = typeof variant === 'string' ? stringCache : objectCache
+    if (cache.has(variant)) return cache.get(variant)
+
+    let resolved = null
+    try {
+        resolved = resolveVariant(variant)
+    } catch (err) {
+        const key = typeof variant === 'string' ? variant : JSON.stringify(variant)
+        if (!warned.has(key)) {
+            warned.add(key)
+            console.warn(err.message)
+        }
+    }
+    // Names follow registerVariant; everything else is immutable once parsed
+    if (!variants.has(variant)) cache.set(variant, resolved)
+    return resolved
+}
+
+/**
+ * Parse a variant attribute value
+ * JSON values (gradient objects, RGB triples) are parsed; other text is a name, CSS colour or gradient.
+ * @param {string|null} value
+ * @returns {string|number[]|Object|null} null when empty or invalid JSON
+ */
+export function parseVariantAttribute(value) {
+    const text = value?.trim()
+    if (!text) return null
+    if (!/^[{[]/.test(text)) return text
+    try {
+        return JSON.parse(text)
+    } catch {
+        console.warn(`Variants: Invalid JSON in variant '${value}'`)
+        return null
+    }
+}
+
+// Stop data is packed once per variant: rgb + position per stop
+const stopData = new WeakMap()
+
+/**
+ * Set a variant's uniforms (u_variantActive, u_variantColor and the variant.glsl gradient)
+ * @param {ShaderProgram} shader
+ * @param {string|number[]|Object|null} variant - Raw variant value
+ */
+export function applyVariantUniforms(shader, variant) {
+    const data = getVariantData(variant)
+    const color = data ? data.color : [0, 0, 0]
+    shader.setUniform1f('u_variantActive', data ? 1.0 : 0.0)
+    shader.setUniform3f('u_variantColor', color[0], color[1], color[2])
+
+    const stopCount = data && data.stops.length > 1 ? data.stops.length : 0
+    shader.setUniform1i('u_variantStopCount', stopCount)
+    if (stopCount === 0) return
+
+    let packed = stopData.get(data)
+    if (!packed) {
+        packed = new Float32Array(MAX_VARIANT_STOPS * 4)
+        data.stops.forEach((stop, i) => packed.set([...stop.color, stop.position], i * 4))
+        stopData.set(data, packed)
+    }
+    shader.setUniform4fv('u_variantStops', packed)
+    shader.setUniform2f('u_variantGradient', data.angle, GRADIENT_TYPES.indexOf(data.type))
+}
+
+for (const [name, rgb] of Object.entries(CONFIG.variants)) {
+    registerVariant(name, rgb)
+}
+for (const [name, gradient] of Object.entries(GRADIENT_VARIANTS)) {
+    registerVariant(name, gradient)
+}
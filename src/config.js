@@ -4,7 +4,9 @@ export const CONFIG = {
         viewportFillPercent: 0.85,
         aspectRatio: 5 / 8,  // width:height = 1:1.6
         maxTiltRadians: 0.35,
-        rotationSmoothing: 8
+        rotationSmoothing: 8,
+        flipDuration: 0.6,  // Seconds for a full flip to the other face
+        edgeColor: [0.93, 0.91, 0.86]  // Cardstock colour for the edge of thick cards (RGB 0-1)
     },
 
     // Idle animation
@@ -13,6 +15,37 @@ export const CONFIG = {
         amplitude: 0.15
     },
 
+    // Reduced motion and power saving (see MotionPolicy.js)
+    motion: {
+        heroTilt: [0.1, -0.16],  // Resting tilt [x, y] in radians when the idle wobble is off
+        settledFps: 5,           // Redraw rate of a reduced-motion card at rest (picks up option changes)
+        lowPowerFps: 30,         // Frame cap while the battery is low and discharging
+        lowBatteryLevel: 0.2     // Battery level (0-1) counted as low
+    },
+
+    // Shared full-viewport canvas (sticker backend: 'shared', see SharedViewportContext.js)
+    sharedViewport: {
+        zIndex: 1000  // Stacking order of the canvas drawn over the page
+    },
+
+    // Cached card textures and decoded images (see TextureCache.js)
+    textureCache: {
+        gpuBudget: 96 * 1024 * 1024,    // Bytes of GPU textures kept, idle ones evicted oldest first
+        decodeBudget: 64 * 1024 * 1024  // Bytes of decoded images kept for re-upload to other contexts
+    },
+
+    // Device-orientation tilt (tiltSource: 'gyro')
+    gyro: {
+        range: 25,           // Degrees of device tilt from rest that map to full card tilt
+        recenterSpeed: 0.2   // How fast the rest angle drifts toward the current pose (per second)
+    },
+
+    // Keyboard/gamepad tilt drivers
+    input: {
+        keyboardSpeed: 6,      // Easing rate toward the held direction (per second)
+        gamepadDeadzone: 0.15  // Stick radius treated as centered
+    },
+
     // Demo card generation
     demo: {
         resolutionScale: 2,
@@ -0,0 +1,256 @@
+/**
+ * AnimatedTexture - Textures whose pixels change over time
+ *
+ * VideoTexture re-uploads the current frame of a <video>; SpriteSheetTexture
+ * steps through the cells of a sprite sheet image. Both expose update(deltaTime),
+ * which returns true when it re-uploaded (the texture was bound to upload, so
+ * the renderer's binding cache must be invalidated), and showPoster() for
+ * single-frame renders such as lazy snapshots. getPosterCanvas() gives the
+ * poster frame's pixels for brightness masks and depth estimates.
+ *
+ * Sprite sheet descriptor:
+ *   { src: 'sheet.png', frameWidth: 256, frameHeight: 358, frames: 24, fps: 12, loop: true, poster: 0 }
+ */
+
+import { Texture } from './Texture.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
+
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'ogv', 'mov', 'm4v']
+
+// HTMLMediaElement.HAVE_CURRENT_DATA
+const HAVE_CURRENT_DATA = 2
+
+/**
+ * Check whether a URL points at a video file
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isVideoUrl(url) {
+    if (typeof url !== 'string') return false
+    if (url.startsWith('data:video/')) return true
+    const path = url.split(/[?#]/)[0]
+    const dot = path.lastIndexOf('.')
+    return dot !== -1 && VIDEO_EXTENSIONS.includes(path.substring(dot + 1).toLowerCase())
+}
+
+/**
+ * Check whether a card source is a sprite sheet descriptor
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSpriteSheetDescriptor(value) {
+    return !!value && typeof value === 'object' && typeof value.src === 'string'
+        && ('frameWidth' in value || 'frameHeight' in value)
+}
+
+/**
+ * Validate a sprite sheet descriptor against its image and fill in defaults
+ * Frames are read left to right, top to bottom.
+ * @param {Object} descriptor - See module docs
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @returns {{frameWidth: number, frameHeight: number, columns: number, frames: number, fps: number, loop: boolean, poster: number}}
+ */
+export function normalizeSpriteSheet(descriptor, imageWidth, imageHeight) {
+    const { frameWidth, frameHeight, fps = 12, loop = true, poster = 0 } = descriptor
+
+    if (!(frameWidth > 0) || !(frameHeight > 0)) {
+        throw new Error('SpriteSheet: frameWidth and frameHeight must be positive numbers')
+    }
+    if (frameWidth > imageWidth || frameHeight > imageHeight) {
+        throw new Error(`SpriteSheet: ${frameWidth}x${frameHeight} frames don't fit a ${imageWidth}x${imageHeight} sheet`)
+    }
+    if (!(fps > 0)) {
+        throw new Error('SpriteSheet: fps must be a positive number')
+    }
+
+    const columns = Math.floor(imageWidth / frameWidth)
+    const capacity = columns * Math.floor(imageHeight / frameHeight)
+    const frames = Math.min(capacity, Math.max(1, Math.floor(descriptor.frames ?? capacity)))
+
+    return {
+        frameWidth,
+        frameHeight,
+        columns,
+        frames,
+        fps,
+        loop: !!loop,
+        poster: Math.min(frames - 1, Math.max(0, Math.floor(poster)))
+    }
+}
+
+/**
+ * Frame index shown after a given playback time
+ * @param {Object} sheet - From normalizeSpriteSheet()
+ * @param {number} elapsed - Seconds since playback started
+ * @returns {number}
+ */
+export function getSpriteFrameIndex(sheet, elapsed) {
+    const frame = Math.floor(Math.max(0, elapsed) * sheet.fps)
+    return sheet.loop ? frame % sheet.frames : Math.min(frame, sheet.frames - 1)
+}
+
+/**
+ * Pixel rectangle of a frame within the sheet
+ * @param {Object} sheet - From normalizeSpriteSheet()
+ * @param {number} index - Frame index
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getSpriteFrameRect(sheet, index) {
+    return {
+        x: (index % sheet.columns) * sheet.frameWidth,
+        y: Math.floor(index / sheet.columns) * sheet.frameHeight,
+        width: sheet.frameWidth,
+        height: sheet.frameHeight
+    }
+}
+
+/**
+ * Texture fed from a <video> element
+ */
+export class VideoTexture extends Texture {
+    /**
+     * @param {WebGL2RenderingContext} gl
+     * @param {HTMLVideoElement} video - Must have current data (readyState >= 2)
+     * @param {boolean} owned - Whether the texture created the element (and may pause it)
+     */
+    constructor(gl, video, owned = false) {
+        super(gl)
+        this.video = video
+        this.owned = owned
+        this.isAnimated = true
+
+        this.createFromImage(video)
+        this._lastTime = video.currentTime
+
+        // Keep the first frame for snapshots - the video keeps playing
+        this._poster = document.createElement('canvas')
+        this._poster.width = this.width
+        this._poster.height = this.height
+        this._poster.getContext('2d').drawImage(video, 0, 0, this.width, this.height)
+    }
+
+    /**
+     * Upload the current video frame if it changed
+     * @returns {boolean} Whether the texture was re-uploaded
+     */
+    update() {
+        const video = this.video
+        if (!this.texture || video.readyState < HAVE_CURRENT_DATA) return false
+        if (video.currentTime === this._lastTime) return false
+
+        this._lastTime = video.currentTime
+        this._upload(video)
+        return true
+    }
+
+    /**
+     * Upload the poster frame
+     * @returns {boolean} Whether the texture was re-uploaded (false if it already shows the poster)
+     */
+    showPoster() {
+        if (this._lastTime === -1) return false
+        this._upload(this._poster)
+        this._lastTime = -1  // Resume from the video on the next update
+        return true
+    }
+
+    /**
+     * Canvas holding the poster frame
+     * @returns {HTMLCanvasElement}
+     */
+    getPosterCanvas() {
+        return this._poster
+    }
+
+    _upload(source) {
+        const gl = this.gl
+        gl.bindTexture(gl.TEXTURE_2D, this.texture)
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source)
+        gl.bindTexture(gl.TEXTURE_2D, null)
+    }
+
+    destroy() {
+        if (this.owned) {
+            this.video.pause()
+            this.video.removeAttribute('src')
+            this.video.load()
+        }
+        super.destroy()
+    }
+}
+
+/**
+ * Texture stepping through the frames of a sprite sheet
+ */
+export class SpriteSheetTexture extends Texture {
+    /**
+     * @param {WebGL2RenderingContext} gl
+     * @param {HTMLImageElement} image - Loaded sheet image
+     * @param {Object} descriptor - See module docs
+     */
+    constructor(gl, image, descriptor) {
+        super(gl)
+        this.image = image
+        this.sheet = normalizeSpriteSheet(descriptor, image.naturalWidth || image.width, image.naturalHeight || image.height)
+        this.isAnimated = true
+        this.elapsed = 0
+        this.frame = -1
+
+        // Frames are copied through a canvas the size of one cell
+        this._frameCanvas = createCanvas(this.sheet.frameWidth, this.sheet.frameHeight)
+        this._frameContext = this._frameCanvas.getContext('2d')
+
+        this._drawFrame(this.sheet.poster)
+        this.createFromImage(this._frameCanvas)
+    }
+
+    /**
+     * Advance playback and upload the frame if it changed
+     * @param {number} deltaTime - Seconds since the last update
+     * @returns {boolean} Whether the texture was re-uploaded
+     */
+    update(deltaTime) {
+        this.elapsed += deltaTime
+        return this._showFrame(getSpriteFrameIndex(this.sheet, this.elapsed))
+    }
+
+    /**
+     * Upload the poster frame
+     * @returns {boolean} Whether the texture was re-uploaded
+     */
+    showPoster() {
+        return this._showFrame(this.sheet.poster)
+    }
+
+    _showFrame(index) {
+        if (!this.texture || index === this.frame) return false
+
+        this._drawFrame(index)
+        const gl = this.gl
+        gl.bindTexture(gl.TEXTURE_2D, this.texture)
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this._frameCanvas)
+        gl.bindTexture(gl.TEXTURE_2D, null)
+        return true
+    }
+
+    _drawFrame(index) {
+        const { x, y, width, height } = getSpriteFrameRect(this.sheet, index)
+        this._frameContext.clearRect(0, 0, width, height)
+        this._frameContext.drawImage(this.image, x, y, width, height, 0, 0, width, height)
+        this.frame = index
+    }
+
+    /**
+     * Canvas holding the poster frame
+     * @returns {HTMLCanvasElement}
+     */
+    getPosterCanvas() {
+        if (!this._poster) {
+            const { x, y, width, height } = getSpriteFrameRect(this.sheet, this.sheet.poster)
+            this._poster = createCanvas(width, height)
+            this._poster.getContext('2d').drawImage(this.image, x, y, width, height, 0, 0, width, height)
+        }
+        return this._poster
+    }
+}
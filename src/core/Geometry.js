@@ -1,3 +1,117 @@
+/**
+ * Build vertex/index data for a card with rounded corners and edge thickness
+ * Pure function (no GL) - the result is uploaded by Geometry.createCardMesh().
+ *
+ * Layout matches createQuad(): 11 floats per vertex (position, uv, normal, tangent).
+ * Face UVs are derived from position, so rounded corners cut into the card image
+ * exactly like a die-cut card. The outline runs counter-clockwise seen from +Z.
+ *
+ * @param {Object} options
+ * @param {number} options.width - Card width in world units
+ * @param {number} options.height - Card height in world units
+ * @param {number} options.cornerRadius - Corner radius in world units (clamped to half the short side)
+ * @param {number} options.thickness - Edge thickness in world units (0 = flat, no edge strip)
+ * @param {number} options.segments - Segments per rounded corner
+ * @returns {{vertices: Float32Array, indices: Uint16Array, ranges: Object}}
+ */
+export function buildCardMeshData({
+    width = 1,
+    height = 1.6,
+    cornerRadius = 0,
+    thickness = 0,
+    segments = 8
+} = {}) {
+    const hw = width / 2
+    const hh = height / 2
+    const radius = Math.max(0, Math.min(cornerRadius, hw, hh))
+    const steps = Math.max(1, Math.floor(segments))
+    const hz = Math.max(0, thickness) / 2
+
+    // Outline points with their outward normal angle, corner by corner (CCW from bottom-right).
+    // A zero radius still emits one point per step so square corners get sharp edge normals.
+    const corners = [
+        { cx: hw - radius, cy: -hh + radius, start: -Math.PI / 2 },
+        { cx: hw - radius, cy: hh - radius, start: 0 },
+        { cx: -hw + radius, cy: hh - radius, start: Math.PI / 2 },
+        { cx: -hw + radius, cy: -hh + radius, start: Math.PI }
+    ]
+    const outline = []
+    for (const { cx, cy, start } of corners) {
+        for (let i = 0; i <= steps; i++) {
+            const angle = start + (i / steps) * (Math.PI / 2)
+            const nx = Math.cos(angle)
+            const ny = Math.sin(angle)
+            outline.push({ x: cx + nx * radius, y: cy + ny * radius, nx, ny })
+        }
+    }
+    const count = outline.length
+
+    const vertices = []
+    const indices = []
+
+    // Front face (+Z): fan around the center
+    const frontStart = 0
+    vertices.push(0, 0, hz, 0.5, 0.5, 0, 0, 1, 1, 0, 0)
+    for (const { x, y } of outline) {
+        vertices.push(x, y, hz, x / width + 0.5, 0.5 - y / height, 0, 0, 1, 1, 0, 0)
+    }
+    for (let i = 0; i < count; i++) {
+        indices.push(frontStart, frontStart + 1 + i, frontStart + 1 + (i + 1) % count)
+    }
+
+    // Back face (-Z): mirrored U, reversed winding so it faces away from the front
+    const backStart = count + 1
+    vertices.push(0, 0, -hz, 0.5, 0.5, 0, 0, -1, -1, 0, 0)
+    for (const { x, y } of outline) {
+        vertices.push(x, y, -hz, 0.5 - x / width, 0.5 - y / height, 0, 0, -1, -1, 0, 0)
+    }
+    for (let i = 0; i < count; i++) {
+        indices.push(backStart, backStart + 1 + (i + 1) % count, backStart + 1 + i)
+    }
+
+    const ranges = {
+        front: { offset: 0, count: count * 3 },
+        back: { offset: count * 3, count: count * 3 }
+    }
+
+    // Edge strip: one front/back vertex pair per outline point, U runs along the perimeter
+    if (hz > 0) {
+        const edgeStart = backStart + count + 1
+        let perimeter = 0
+        const distances = [0]
+        for (let i = 1; i <= count; i++) {
+            const a = outline[i - 1]
+            const b = outline[i % count]
+            perimeter += Math.hypot(b.x - a.x, b.y - a.y)
+            distances.push(perimeter)
+        }
+
+        for (let i = 0; i < count; i++) {
+            const { x, y, nx, ny } = outline[i]
+            const u = perimeter > 0 ? distances[i] / perimeter : 0
+            vertices.push(x, y, hz, u, 0, nx, ny, 0, -ny, nx, 0)
+            vertices.push(x, y, -hz, u, 1, nx, ny, 0, -ny, nx, 0)
+        }
+
+        for (let i = 0; i < count; i++) {
+            const j = (i + 1) % count
+            const f0 = edgeStart + i * 2
+            const b0 = f0 + 1
+            const f1 = edgeStart + j * 2
+            const b1 = f1 + 1
+            indices.push(f0, b0, b1, f0, b1, f1)
+        }
+
+        ranges.edge = { offset: count * 6, count: count * 6 }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint16Array(indices),
+        ranges
+    }
+}
+
 export class Geometry {
     constructor(gl) {
         this.gl = gl
@@ -5,10 +119,12 @@ export class Geometry {
         this.vbo = null
         this.ebo = null
         this.indexCount = 0
+
+        // Named index ranges (e.g. 'front', 'back') for drawing parts of the mesh
+        this.ranges = {}
     }
 
     createQuad(width = 1, height = 1.4) {
-        const gl = this.gl
         const hw = width / 2
         const hh = height / 2
 
@@ -27,6 +143,72 @@ export class Geometry {
             0, 2, 3   // Second triangle
         ])
 
+        this.ranges = {
+            front: { offset: 0, count: 6 }
+        }
+
+        return this._upload(vertices, indices)
+    }
+
+    /**
+     * Create a quad with a separate back face (for cards with a printed reverse)
+     * The back face faces -Z with mirrored U so its image reads correctly when the
+     * card is turned around. Both faces share the same plane, so draw them with
+     * back-face culling enabled.
+     * @param {number} width
+     * @param {number} height
+     */
+    createDoubleSidedQuad(width = 1, height = 1.4) {
+        const hw = width / 2
+        const hh = height / 2
+
+        const vertices = new Float32Array([
+            // Position          UV          Normal       Tangent
+            // Front face (+Z)
+            -hw, -hh, 0,    0, 1,      0, 0, 1,     1, 0, 0,   // Bottom-left
+             hw, -hh, 0,    1, 1,      0, 0, 1,     1, 0, 0,   // Bottom-right
+             hw,  hh, 0,    1, 0,      0, 0, 1,     1, 0, 0,   // Top-right
+            -hw,  hh, 0,    0, 0,      0, 0, 1,     1, 0, 0,   // Top-left
+
+            // Back face (-Z), wound counter-clockwise when viewed from behind
+             hw, -hh, 0,    0, 1,      0, 0, -1,   -1, 0, 0,   // Bottom-left (seen from behind)
+            -hw, -hh, 0,    1, 1,      0, 0, -1,   -1, 0, 0,   // Bottom-right
+            -hw,  hh, 0,    1, 0,      0, 0, -1,   -1, 0, 0,   // Top-right
+             hw,  hh, 0,    0, 0,      0, 0, -1,   -1, 0, 0    // Top-left
+        ])
+
+        const indices = new Uint16Array([
+            0, 1, 2,  0, 2, 3,  // Front
+            4, 5, 6,  4, 6, 7   // Back
+        ])
+
+        this.ranges = {
+            front: { offset: 0, count: 6 },
+            back: { offset: 6, count: 6 }
+        }
+
+        return this._upload(vertices, indices)
+    }
+
+    /**
+     * Create a card mesh with rounded corners and (optionally) an edge strip
+     * Ranges: 'front', 'back' and, when thickness > 0, 'edge'.
+     * @param {Object} options - See buildCardMeshData()
+     */
+    createCardMesh(options = {}) {
+        const { vertices, indices, ranges } = buildCardMeshData(options)
+        this.ranges = ranges
+        return this._upload(vertices, indices)
+    }
+
+    /**
+     * Upload interleaved vertex data and indices into a new VAO
+     * @param {Float32Array} vertices - 11 floats per vertex (position, uv, normal, tangent)
+     * @param {Uint16Array} indices
+     */
+    _upload(vertices, indices) {
+        const gl = this.gl
+
         this.indexCount = indices.length
 
         // Create VAO (WebGL 2.0)
@@ -83,6 +265,26 @@ export class Geometry {
         this.gl.drawElements(this.gl.TRIANGLES, this.indexCount, this.gl.UNSIGNED_SHORT, 0)
     }
 
+    /**
+     * Check if the geometry defines a named index range
+     * @param {string} name - Range name ('front', 'back', ...)
+     * @returns {boolean}
+     */
+    hasRange(name) {
+        return name in this.ranges
+    }
+
+    /**
+     * Draw a named index range only
+     * @param {string} name - Range name ('front', 'back', ...)
+     */
+    drawRange(name) {
+        const range = this.ranges[name]
+        if (!range) return
+        // Offset is in bytes (Uint16 indices = 2 bytes each)
+        this.gl.drawElements(this.gl.TRIANGLES, range.count, this.gl.UNSIGNED_SHORT, range.offset * 2)
+    }
+
     destroy() {
         const gl = this.gl
         if (this.vao) gl.deleteVertexArray(this.vao)
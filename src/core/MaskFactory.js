@@ -1,5 +1,6 @@
 import { Texture } from './Texture.js'
 import { CONFIG } from '../config.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
 // Helper: smoothstep function
 export function smoothstep(edge0, edge1, x) {
@@ -7,104 +8,111 @@ export function smoothstep(edge0, edge1, x) {
     return t * t * (3 - 2 * t)
 }
 
-// No mask - full effect everywhere
-export function createFullMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
-    const data = new Uint8Array(width * height * 4)
-    for (let i = 0; i < width * height; i++) {
-        data[i * 4 + 0] = 255
-        data[i * 4 + 1] = 255
-        data[i * 4 + 2] = 255
-        data[i * 4 + 3] = 255
-    }
-    return new Texture(gl).createFromData(width, height, data)
+// Procedural mask shapes: (uvX, uvY, aspect) → effect strength 0-1, where aspect = width / height
+const MASK_SHAPES = {
+    // No mask - full effect everywhere
+    'full': () => 1.0,
+
+    // Border only - effect on border, none in center (hard edge)
+    'border': (uvX, uvY) => {
+        // Distance from nearest edge (0 at edge, 0.5 at center)
+        const distFromEdge = Math.min(uvX, 1.0 - uvX, uvY, 1.0 - uvY)
+        return distFromEdge < CONFIG.masks.borderThickness ? 1.0 : 0.0
+    },
+
+    // Center only - effect in center, none on border (hard edge)
+    'center': (uvX, uvY) => {
+        const { left, right, top, bottom } = CONFIG.masks.center
+        const insideCenter = uvX > left && uvX < (1.0 - right) && uvY > top && uvY < (1.0 - bottom)
+        return insideCenter ? 1.0 : 0.0
+    },
+
+    // Art window - rectangular cutout where art would be (no effect), border has effect (hard edge)
+    'art-window': (uvX, uvY) => {
+        const { left, right, top, bottom } = CONFIG.masks.artWindow
+        const insideArtWindow = uvX > left && uvX < right && uvY > top && uvY < bottom
+        return insideArtWindow ? 0.0 : 1.0
+    },
+
+    // Radial gradient - effect stronger at edges, fades toward center
+    'radial-edge': (uvX, uvY, aspect) => smoothstep(0.0, 1.0, radialDistance(uvX, uvY, aspect)),
+
+    // Inverse radial - effect stronger at center, fades toward edges
+    'radial-center': (uvX, uvY, aspect) => 1.0 - smoothstep(0.0, 1.0, radialDistance(uvX, uvY, aspect))
 }
 
-// Border only - effect on border, none in center (hard edge)
-export function createBorderMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
-    const data = new Uint8Array(width * height * 4)
-    const borderSize = CONFIG.masks.borderThickness
+// Normalized distance from the card center (accounting for aspect ratio)
+function radialDistance(uvX, uvY, aspect) {
+    const dx = (uvX - 0.5) * 2.0
+    const dy = (uvY - 0.5) * 2.0 * aspect
+    return Math.sqrt(dx * dx + dy * dy)
+}
 
+export const MASK_SHAPE_NAMES = Object.keys(MASK_SHAPES)
+
+/**
+ * Sample a procedural mask shape
+ * @param {string} name - One of MASK_SHAPE_NAMES
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array} Row-major values 0-1
+ */
+export function sampleMaskShape(name, width, height) {
+    const shape = MASK_SHAPES[name]
+    if (!shape) throw new Error(`MaskFactory: Unknown mask shape '${name}'`)
+
+    const values = new Float32Array(width * height)
+    const aspect = width / height
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-            const i = (y * width + x) * 4
-            const uvX = x / width
-            const uvY = y / height
-
-            // Distance from nearest edge (0 at edge, 0.5 at center)
-            const distFromEdge = Math.min(
-                uvX, 1.0 - uvX,
-                uvY, 1.0 - uvY
-            )
-
-            // Hard edge border mask
-            const mask = distFromEdge < borderSize ? 1.0 : 0.0
-            const value = Math.floor(mask * 255)
-
-            data[i + 0] = value
-            data[i + 1] = value
-            data[i + 2] = value
-            data[i + 3] = 255
+            values[y * width + x] = shape(x / width, y / height, aspect)
         }
     }
-    return new Texture(gl).createFromData(width, height, data)
+    return values
 }
 
-// Center only - effect in center, none on border (hard edge)
-export function createCenterMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+/**
+ * Upload mask values as a greyscale texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {Float32Array} values - Row-major values 0-1
+ * @returns {Texture}
+ */
+export function createMaskTexture(gl, width, height, values) {
     const data = new Uint8Array(width * height * 4)
-    const { left: borderLeft, right: borderRight, top: borderTop, bottom: borderBottom } = CONFIG.masks.center
-
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const i = (y * width + x) * 4
-            const uvX = x / width
-            const uvY = y / height
-
-            // Check if inside center area
-            const insideCenter = uvX > borderLeft && uvX < (1.0 - borderRight) &&
-                                 uvY > borderTop && uvY < (1.0 - borderBottom)
-
-            // Hard edge center mask
-            const mask = insideCenter ? 1.0 : 0.0
-            const value = Math.floor(mask * 255)
-
-            data[i + 0] = value
-            data[i + 1] = value
-            data[i + 2] = value
-            data[i + 3] = 255
-        }
+    for (let i = 0; i < width * height; i++) {
+        const value = Math.floor(Math.max(0, Math.min(1, values[i])) * 255)
+        data[i * 4 + 0] = value
+        data[i * 4 + 1] = value
+        data[i * 4 + 2] = value
+        data[i * 4 + 3] = 255
     }
     return new Texture(gl).createFromData(width, height, data)
 }
 
-// Art window - rectangular cutout where art would be (no effect), border has effect (hard edge)
+export function createFullMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+    return createMaskTexture(gl, width, height, sampleMaskShape('full', width, height))
+}
+
+export function createBorderMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+    return createMaskTexture(gl, width, height, sampleMaskShape('border', width, height))
+}
+
+export function createCenterMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+    return createMaskTexture(gl, width, height, sampleMaskShape('center', width, height))
+}
+
 export function createArtWindowMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
-    const data = new Uint8Array(width * height * 4)
+    return createMaskTexture(gl, width, height, sampleMaskShape('art-window', width, height))
+}
 
-    // Art window bounds (typical trading card layout)
-    const { left: artLeft, right: artRight, top: artTop, bottom: artBottom } = CONFIG.masks.artWindow
+export function createRadialEdgeMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+    return createMaskTexture(gl, width, height, sampleMaskShape('radial-edge', width, height))
+}
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const i = (y * width + x) * 4
-            const uvX = x / width
-            const uvY = y / height
-
-            // Check if inside art window
-            const insideArtWindow = uvX > artLeft && uvX < artRight &&
-                                    uvY > artTop && uvY < artBottom
-
-            // Inside art window = 0 (no effect), outside = 1 (effect)
-            const mask = insideArtWindow ? 0.0 : 1.0
-            const value = Math.floor(mask * 255)
-
-            data[i + 0] = value
-            data[i + 1] = value
-            data[i + 2] = value
-            data[i + 3] = 255
-        }
-    }
-    return new Texture(gl).createFromData(width, height, data)
+export function createRadialCenterMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
+    return createMaskTexture(gl, width, height, sampleMaskShape('radial-center', width, height))
 }
 
 // Texture brightness mask - uses luminance of source texture as mask
@@ -141,61 +149,272 @@ export function createTextureBrightnessMask(gl, sourceCanvas) {
     return new Texture(gl).createFromData(width, height, data)
 }
 
-// Radial gradient - effect stronger at edges, fades toward center
-export function createRadialEdgeMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
-    const data = new Uint8Array(width * height * 4)
-    const centerX = 0.5
-    const centerY = 0.5
+// ==================== Mask composition ====================
+//
+// A mask can be a shape name, an image, or an expression combining them:
+//   'border+radial-center'            add (clamped)
+//   'art-window - center'             subtract (spaces needed: names contain dashes)
+//   'border*0.5'                      multiply
+//   'invert(art-window)'              1 - mask
+//   'multiply(url(foil.png), border)' functions: invert, add, subtract, multiply, screen, min, max
+// Images (URLs or canvases/images) contribute luminance × alpha, so white paint = full effect.
+
+// Combine functions: name → [minArgs, maxArgs, (a, b) → value]
+const MASK_OPERATIONS = {
+    invert: [1, 1, (a) => 1 - a],
+    add: [2, Infinity, (a, b) => Math.min(1, a + b)],
+    subtract: [2, 2, (a, b) => Math.max(0, a - b)],
+    multiply: [2, Infinity, (a, b) => a * b],
+    screen: [2, Infinity, (a, b) => 1 - (1 - a) * (1 - b)],
+    min: [2, Infinity, Math.min],
+    max: [2, Infinity, Math.max]
+}
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const i = (y * width + x) * 4
-            const uvX = x / width
-            const uvY = y / height
-
-            // Normalized distance from center (accounting for aspect ratio)
-            const dx = (uvX - centerX) * 2.0
-            const dy = (uvY - centerY) * 2.0 * (width / height)
-            const dist = Math.sqrt(dx * dx + dy * dy)
-
-            // Radial gradient: 0 at center, 1 at edges
-            let mask = smoothstep(0.0, 1.0, dist)
-            const value = Math.floor(mask * 255)
-
-            data[i + 0] = value
-            data[i + 1] = value
-            data[i + 2] = value
-            data[i + 3] = 255
+// Largest edge used for image masks (print-resolution masks can be huge)
+const MAX_IMAGE_MASK_SIZE = 2048
+
+/**
+ * Whether a string names an image rather than a mask expression
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isMaskImageUrl(value) {
+    return /^(https?:|data:|blob:|\.{0,2}\/)/i.test(value) ||
+        /\.(png|jpe?g|webp|gif|svg|avif|bmp)(\?.*)?$/i.test(value)
+}
+
+/**
+ * Parse a mask value into a node tree
+ * @param {string|CanvasImageSource} mask - Shape name, image URL, expression, or image/canvas
+ * @returns {Object} { type: 'shape', name } | { type: 'image', source } | { type: 'number', value } |
+ *   { type: 'op', op, args }
+ */
+export function parseMask(mask) {
+    if (mask && typeof mask === 'object') return { type: 'image', source: mask }
+    if (typeof mask !== 'string' || !mask.trim()) {
+        throw new Error('MaskFactory: mask must be a name, expression, image URL or image')
+    }
+
+    const text = mask.trim()
+    if (isMaskImageUrl(text)) return { type: 'image', source: text }
+
+    const parser = new MaskExpressionParser(text)
+    return parser.parse()
+}
+
+class MaskExpressionParser {
+    constructor(text) {
+        this.text = text
+        this.pos = 0
+    }
+
+    parse() {
+        const node = this.parseSum()
+        this.skipSpace()
+        if (this.pos < this.text.length) this.fail(`unexpected '${this.text[this.pos]}'`)
+        return node
+    }
+
+    // sum := product (('+' | '-') product)*
+    parseSum() {
+        let node = this.parseProduct()
+        for (let char = this.peek(); char === '+' || char === '-'; char = this.peek()) {
+            this.pos++
+            node = { type: 'op', op: char === '+' ? 'add' : 'subtract', args: [node, this.parseProduct()] }
         }
+        return node
+    }
+
+    // product := factor ('*' factor)*
+    parseProduct() {
+        let node = this.parseFactor()
+        while (this.peek() === '*') {
+            this.pos++
+            node = { type: 'op', op: 'multiply', args: [node, this.parseFactor()] }
+        }
+        return node
+    }
+
+    // factor := number | name | name '(' args ')' | 'url(' source ')' | '(' sum ')'
+    parseFactor() {
+        const char = this.peek()
+
+        if (char === '(') {
+            this.pos++
+            const node = this.parseSum()
+            this.expect(')')
+            return node
+        }
+
+        const number = this.match(/\d*\.?\d+/y)
+        if (number !== null) return { type: 'number', value: Number(number) }
+
+        const name = this.match(/[a-z][a-z0-9]*(?:-[a-z0-9]+)*/y)
+        if (name === null) this.fail(char ? `unexpected '${char}'` : 'unexpected end')
+
+        if (name === 'url' && this.peek() === '(') {
+            this.pos++
+            const end = this.text.indexOf(')', this.pos)
+            if (end < 0) this.fail("missing ')' after url(")
+            const source = this.text.slice(this.pos, end).trim().replace(/^(['"])(.*)\1$/, '$2')
+            this.pos = end + 1
+            if (!source) this.fail('empty url()')
+            return { type: 'image', source }
+        }
+
+        if (this.peek() === '(') {
+            const operation = MASK_OPERATIONS[name]
+            if (!operation) this.fail(`unknown function '${name}'. Available: ${Object.keys(MASK_OPERATIONS).join(', ')}`)
+            this.pos++
+            const args = [this.parseSum()]
+            while (this.peek() === ',') {
+                this.pos++
+                args.push(this.parseSum())
+            }
+            this.expect(')')
+
+            const [minArgs, maxArgs] = operation
+            if (args.length < minArgs || args.length > maxArgs) {
+                this.fail(`${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs}+`} argument${maxArgs === 1 ? '' : 's'}`)
+            }
+            return { type: 'op', op: name, args }
+        }
+
+        if (!MASK_SHAPES[name]) {
+            const hint = name.includes('-') ? ' (put spaces around - to subtract)' : ''
+            this.fail(`unknown mask '${name}'${hint}. Available: ${MASK_SHAPE_NAMES.join(', ')}`)
+        }
+        return { type: 'shape', name }
+    }
+
+    peek() {
+        this.skipSpace()
+        return this.text[this.pos]
+    }
+
+    match(regex) {
+        this.skipSpace()
+        regex.lastIndex = this.pos
+        const result = regex.exec(this.text)
+        if (!result) return null
+        this.pos = regex.lastIndex
+        return result[0]
+    }
+
+    expect(char) {
+        if (this.peek() !== char) this.fail(`expected '${char}'`)
+        this.pos++
+    }
+
+    skipSpace() {
+        while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++
+    }
+
+    fail(message) {
+        throw new Error(`MaskFactory: Invalid mask '${this.text}': ${message}`)
     }
-    return new Texture(gl).createFromData(width, height, data)
 }
 
-// Inverse radial - effect stronger at center, fades toward edges
-export function createRadialCenterMask(gl, width = CONFIG.textures.maskWidth, height = CONFIG.textures.maskHeight) {
-    const data = new Uint8Array(width * height * 4)
-    const centerX = 0.5
-    const centerY = 0.5
+/**
+ * Image sources referenced by a parsed mask
+ * @param {Object} node - From parseMask()
+ * @returns {Array<string|CanvasImageSource>} Unique sources, in order
+ */
+export function collectMaskImages(node) {
+    const sources = new Set()
+    const visit = (n) => {
+        if (n.type === 'image') sources.add(n.source)
+        else if (n.type === 'op') n.args.forEach(visit)
+    }
+    visit(node)
+    return Array.from(sources)
+}
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const i = (y * width + x) * 4
-            const uvX = x / width
-            const uvY = y / height
-
-            const dx = (uvX - centerX) * 2.0
-            const dy = (uvY - centerY) * 2.0 * (width / height)
-            const dist = Math.sqrt(dx * dx + dy * dy)
-
-            // Inverse radial: 1 at center, 0 at edges
-            let mask = 1.0 - smoothstep(0.0, 1.0, dist)
-            const value = Math.floor(mask * 255)
-
-            data[i + 0] = value
-            data[i + 1] = value
-            data[i + 2] = value
-            data[i + 3] = 255
+/**
+ * Evaluate a parsed mask
+ * @param {Object} node - From parseMask()
+ * @param {number} width
+ * @param {number} height
+ * @param {Function} sampleImage - (source, width, height) → Float32Array, for image nodes
+ * @returns {Float32Array} Row-major values 0-1
+ */
+export function evaluateMask(node, width, height, sampleImage) {
+    switch (node.type) {
+        case 'shape':
+            return sampleMaskShape(node.name, width, height)
+        case 'number':
+            return new Float32Array(width * height).fill(Math.max(0, Math.min(1, node.value)))
+        case 'image':
+            return sampleImage(node.source, width, height)
+        case 'op': {
+            const [, , combine] = MASK_OPERATIONS[node.op]
+            const values = evaluateMask(node.args[0], width, height, sampleImage)
+            if (node.args.length === 1) {
+                for (let i = 0; i < values.length; i++) values[i] = combine(values[i])
+                return values
+            }
+            for (const arg of node.args.slice(1)) {
+                const other = evaluateMask(arg, width, height, sampleImage)
+                for (let i = 0; i < values.length; i++) values[i] = combine(values[i], other[i])
+            }
+            return values
         }
+        default:
+            throw new Error(`MaskFactory: Unknown mask node '${node.type}'`)
     }
-    return new Texture(gl).createFromData(width, height, data)
+}
+
+/**
+ * Sample an image as mask values (luminance × alpha)
+ * @param {CanvasImageSource} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function sampleImageMask(image, width, height) {
+    const canvas = createCanvas(width, height)
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(image, 0, 0, width, height)
+    const pixels = ctx.getImageData(0, 0, width, height).data
+
+    const values = new Float32Array(width * height)
+    for (let i = 0; i < values.length; i++) {
+        const luminance = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]
+        values[i] = (luminance / 255) * (pixels[i * 4 + 3] / 255)
+    }
+    return values
+}
+
+/**
+ * Resolution to evaluate a mask at: the largest image it uses (capped), else the
+ * configured mask size
+ * @param {Array<CanvasImageSource>} images - Loaded images
+ * @returns {{width: number, height: number}}
+ */
+export function getMaskSize(images) {
+    let width = 0
+    let height = 0
+    for (const image of images) {
+        width = Math.max(width, image.naturalWidth || image.videoWidth || image.width || 0)
+        height = Math.max(height, image.naturalHeight || image.videoHeight || image.height || 0)
+    }
+    if (!width || !height) {
+        return { width: CONFIG.textures.maskWidth, height: CONFIG.textures.maskHeight }
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_MASK_SIZE / Math.max(width, height))
+    return { width: Math.round(width * scale), height: Math.round(height * scale) }
+}
+
+/**
+ * Create a texture for a parsed mask
+ * @param {WebGL2RenderingContext} gl
+ * @param {Object} node - From parseMask()
+ * @param {Map<string|CanvasImageSource, CanvasImageSource>} images - Loaded image for every source
+ * @returns {Texture}
+ */
+export function createCompositeMask(gl, node, images) {
+    const { width, height } = getMaskSize(images.values())
+    const values = evaluateMask(node, width, height, (source, w, h) => sampleImageMask(images.get(source), w, h))
+    return createMaskTexture(gl, width, height, values)
 }
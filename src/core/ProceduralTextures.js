@@ -1,4 +1,5 @@
 import { Texture } from './Texture.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
 // Seeded random for deterministic noise
 export function seededRandom(seed) {
@@ -6,6 +7,38 @@ export function seededRandom(seed) {
     return x - Math.floor(x)
 }
 
+/**
+ * Normalize a seed to a number
+ * Numbers (and numeric strings) pass through; other strings are hashed (FNV-1a).
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number') return seed
+    const str = String(seed)
+    if (str.trim() !== '' && Number.isFinite(Number(str))) return Number(str)
+
+    let hash = 0x811c9dc5
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    // Keep seeds small so Math.sin stays precise in seededRandom
+    return (hash >>> 0) % 1000000
+}
+
+/**
+ * Create a reproducible random stream (drop-in for Math.random)
+ * Each call steps seededRandom() along a sequence derived from the seed.
+ * @param {number|string} seed
+ * @returns {() => number} Values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    const base = hashSeed(seed)
+    let step = 0
+    return () => seededRandom(base + ++step * 1.618)
+}
+
 export function hslToRgb(h, s, l) {
     h /= 360
     let r, g, b
@@ -134,3 +167,149 @@ export function createDepthMap(gl, width = 256, height = 358) {
 
     return new Texture(gl).createFromData(width, height, data)
 }
+
+// Derive a tangent-space normal map from an image's brightness (bright = raised)
+// Sobel gradients of luminance; green points up the image (OpenGL convention)
+export function computeNormalMapData(pixels, width, height, strength = 2.0) {
+    const heights = new Float32Array(width * height)
+    for (let i = 0; i < width * height; i++) {
+        heights[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255
+    }
+
+    // Edge pixels repeat their neighbours
+    const h = (x, y) => heights[
+        Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))
+    ]
+
+    const data = new Uint8Array(width * height * 4)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = (h(x + 1, y - 1) + 2 * h(x + 1, y) + h(x + 1, y + 1)
+                - h(x - 1, y - 1) - 2 * h(x - 1, y) - h(x - 1, y + 1)) / 8
+            // Rows run down the image, so a height rising downwards tilts the normal up
+            const gy = (h(x - 1, y + 1) + 2 * h(x, y + 1) + h(x + 1, y + 1)
+                - h(x - 1, y - 1) - 2 * h(x, y - 1) - h(x + 1, y - 1)) / 8
+
+            const nx = -gx * strength
+            const ny = gy * strength
+            const len = Math.sqrt(nx * nx + ny * ny + 1)
+
+            const i = (y * width + x) * 4
+            data[i + 0] = Math.round((nx / len * 0.5 + 0.5) * 255)
+            data[i + 1] = Math.round((ny / len * 0.5 + 0.5) * 255)
+            data[i + 2] = Math.round((1 / len * 0.5 + 0.5) * 255)
+            data[i + 3] = 255
+        }
+    }
+
+    return data
+}
+
+// Create a normal map texture from a canvas (see computeNormalMapData)
+export function createNormalMapFromCanvas(gl, canvas, strength = 2.0) {
+    const { width, height } = canvas
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data
+    return new Texture(gl).createFromData(width, height, computeNormalMapData(pixels, width, height, strength))
+}
+
+// Separable box blur of a single-channel image (radius in pixels)
+function boxBlur(values, width, height, radius) {
+    const temp = new Float32Array(values.length)
+    const out = new Float32Array(values.length)
+    const size = radius * 2 + 1
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0
+            for (let k = -radius; k <= radius; k++) {
+                sum += values[y * width + Math.min(width - 1, Math.max(0, x + k))]
+            }
+            temp[y * width + x] = sum / size
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0
+            for (let k = -radius; k <= radius; k++) {
+                sum += temp[Math.min(height - 1, Math.max(0, y + k)) * width + x]
+            }
+            out[y * width + x] = sum / size
+        }
+    }
+    return out
+}
+
+// Estimate a depth map from an image (white = foreground, black = background)
+// Subjects tend to be brighter, more detailed and more central than their
+// backdrop; transparent pixels are always background.
+export function computeDepthMapData(pixels, width, height) {
+    const count = width * height
+    const luminance = new Float32Array(count)
+    for (let i = 0; i < count; i++) {
+        luminance[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255
+    }
+
+    // Local detail: gradient magnitude, spread over a neighbourhood
+    const edges = new Float32Array(count)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const right = luminance[y * width + Math.min(width - 1, x + 1)]
+            const left = luminance[y * width + Math.max(0, x - 1)]
+            const down = luminance[Math.min(height - 1, y + 1) * width + x]
+            const up = luminance[Math.max(0, y - 1) * width + x]
+            edges[y * width + x] = Math.hypot(right - left, down - up)
+        }
+    }
+    const radius = Math.max(1, Math.round(Math.min(width, height) / 32))
+    const detail = boxBlur(edges, width, height, radius)
+    let maxDetail = 0
+    for (let i = 0; i < count; i++) maxDetail = Math.max(maxDetail, detail[i])
+
+    const depth = new Float32Array(count)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x
+            const dx = (x + 0.5) / width * 2 - 1
+            const dy = (y + 0.5) / height * 2 - 1
+            const centrality = 1 - Math.min(1, Math.sqrt(dx * dx + dy * dy) / Math.SQRT2)
+            const detailScore = maxDetail > 0 ? detail[i] / maxDetail : 0
+            const alpha = pixels[i * 4 + 3] / 255
+            depth[i] = (0.4 * luminance[i] + 0.35 * detailScore + 0.25 * centrality) * alpha
+        }
+    }
+
+    // Smooth into layers, then stretch to the full 0-1 range
+    const smoothed = boxBlur(depth, width, height, radius)
+    let min = Infinity
+    let max = -Infinity
+    for (let i = 0; i < count; i++) {
+        min = Math.min(min, smoothed[i])
+        max = Math.max(max, smoothed[i])
+    }
+    const range = max - min
+
+    const data = new Uint8Array(count * 4)
+    for (let i = 0; i < count; i++) {
+        const value = range > 1e-6 ? Math.round((smoothed[i] - min) / range * 255) : 128
+        data[i * 4 + 0] = value
+        data[i * 4 + 1] = value
+        data[i * 4 + 2] = value
+        data[i * 4 + 3] = 255
+    }
+    return data
+}
+
+// Create an estimated depth map texture from a canvas (see computeDepthMapData)
+// Depth is low-frequency, so large images are estimated at reduced size
+export function createDepthMapFromCanvas(gl, canvas, maxSize = 256) {
+    const scale = Math.min(1, maxSize / Math.max(canvas.width, canvas.height))
+    const width = Math.max(1, Math.round(canvas.width * scale))
+    const height = Math.max(1, Math.round(canvas.height * scale))
+
+    const small = createCanvas(width, height)
+    const ctx = small.getContext('2d')
+    ctx.drawImage(canvas, 0, 0, width, height)
+    const pixels = ctx.getImageData(0, 0, width, height).data
+
+    return new Texture(gl).createFromData(width, height, computeDepthMapData(pixels, width, height))
+}
@@ -115,6 +115,14 @@ export class ShaderProgram {
         }
     }
 
+    // Sets a vec4 array uniform (pass the name without [0])
+    setUniform4fv(name, values) {
+        const location = this.getUniformLocation(name)
+        if (location !== null) {
+            this.gl.uniform4fv(location, values)
+        }
+    }
+
     setUniform1i(name, value) {
         const location = this.getUniformLocation(name)
         if (location !== null) {
@@ -50,8 +50,9 @@ export class Texture {
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
         }
 
-        this.width = image.width
-        this.height = image.height
+        // Videos report their intrinsic size separately from the element size
+        this.width = image.videoWidth || image.width
+        this.height = image.videoHeight || image.height
 
         gl.bindTexture(gl.TEXTURE_2D, null)
     }
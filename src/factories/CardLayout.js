@@ -0,0 +1,236 @@
+/**
+ * CardLayout - Declarative templates for the text drawn on a card
+ *
+ * A layout is a canvas size (in layout pixels, stretched over the card face)
+ * and a set of named fields. TextRenderer draws fields with `effects: true`
+ * into the text texture, which shaders add to the effect mask, and all other
+ * fields into an overlay drawn on top without effects.
+ *
+ * Field values come from the card (name, number, collection) and from
+ * arbitrary extra fields (e.g. { hp: '120', rarity: '★★' }); a field's
+ * `text` is used when no value is given.
+ *
+ * Layout:
+ *   {
+ *     width: 500, height: 800,
+ *     fields: {
+ *       name: { x: 0.5, y: 0.85, size: 64, minSize: 40, maxWidth: 0.9, effects: true },
+ *       hp: { x: 0.92, y: 0.05, align: 'right', baseline: 'top', color: '#ff5252', stroke: { color: '#000', width: 4 } }
+ *     }
+ *   }
+ *
+ * Templates can be registered by name (registerLayout) and selected with a string.
+ * Field text may contain inline markup (see RichText.js).
+ */
+
+export const TEXT_ALIGNS = ['left', 'center', 'right']
+export const TEXT_BASELINES = ['top', 'middle', 'bottom', 'alphabetic']
+
+// Field properties not given in a template
+export const FIELD_DEFAULTS = {
+    text: '',                    // Static text when no value is given
+    x: 0.5,                      // Anchor position, fraction of the layout size
+    y: 0.5,
+    align: 'center',
+    baseline: 'middle',
+    font: 'Arial, sans-serif',
+    weight: 'bold',
+    style: 'normal',
+    size: 32,                    // Font size in layout pixels
+    minSize: null,               // Auto-shrink floor (null = never shrink)
+    maxWidth: null,              // Auto-shrink width, fraction of the layout width
+    color: '#ffffff',
+    stroke: null,                // { color, width } outline drawn under the fill
+    effects: false               // Whether shader effects apply to the text
+}
+
+// The original fixed text layout
+export const DEFAULT_LAYOUT = {
+    width: 500,
+    height: 800,
+    fields: {
+        name: { x: 0.5, y: 0.85, size: 64, minSize: 40, maxWidth: 0.92, effects: true },
+        number: { x: 0.92, y: 0.05, align: 'right', baseline: 'top', size: 28 },
+        collection: { x: 0.04, y: 0.05, align: 'left', baseline: 'top', size: 28 }
+    }
+}
+
+// Named templates (see registerLayout)
+const layouts = new Map([['default', DEFAULT_LAYOUT]])
+
+/**
+ * Register a named layout template
+ * @param {string} name
+ * @param {Object} layout - Layout template
+ * @throws {Error} If the template is invalid
+ */
+export function registerLayout(name, layout) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('CardLayout: layout name must be a non-empty string')
+    }
+    if (typeof layout === 'string') {
+        throw new Error(`CardLayout: layout '${name}' must be a template object`)
+    }
+    normalizeLayout(layout)  // Validate up front
+    layouts.set(name, layout)
+}
+
+/**
+ * Names of the registered layout templates
+ * @returns {string[]}
+ */
+export function getLayoutNames() {
+    return [...layouts.keys()]
+}
+
+/**
+ * Validate a layout template and fill in field defaults
+ * Fields set to null or false are left out.
+ * @param {Object|string|null} layout - Layout template or registered name (null = DEFAULT_LAYOUT)
+ * @param {Object} options
+ * @param {string|null} options.font - Font family for fields that don't set their own
+ * @returns {{width: number, height: number, fields: Object<string, Object>}}
+ * @throws {Error} If the template is invalid or the name unknown
+ */
+export function normalizeLayout(layout, { font = null } = {}) {
+    if (!layout) layout = DEFAULT_LAYOUT
+    if (typeof layout === 'string') {
+        if (!layouts.has(layout)) {
+            throw new Error(`CardLayout: unknown layout '${layout}'. Available: ${getLayoutNames().join(', ')}`)
+        }
+        layout = layouts.get(layout)
+    }
+    if (typeof layout !== 'object' || Array.isArray(layout)) {
+        throw new Error('CardLayout: layout must be an object')
+    }
+
+    const { width = DEFAULT_LAYOUT.width, height = DEFAULT_LAYOUT.height, fields = {} } = layout
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('CardLayout: width and height must be positive numbers')
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error('CardLayout: fields must be an object')
+    }
+
+    const defaults = font ? { ...FIELD_DEFAULTS, font } : FIELD_DEFAULTS
+    const normalized = {}
+    for (const [name, field] of Object.entries(fields)) {
+        if (field === null || field === false) continue
+        normalized[name] = normalizeField(name, field, defaults)
+    }
+
+    return { width, height, fields: normalized }
+}
+
+function normalizeField(name, field, defaults) {
+    if (typeof field !== 'object' || Array.isArray(field)) {
+        throw new Error(`CardLayout: field '${name}' must be an object`)
+    }
+
+    const merged = { ...defaults, ...field }
+    if (!TEXT_ALIGNS.includes(merged.align)) {
+        throw new Error(`CardLayout: field '${name}' has unknown align '${merged.align}'. Available: ${TEXT_ALIGNS.join(', ')}`)
+    }
+    if (!TEXT_BASELINES.includes(merged.baseline)) {
+        throw new Error(`CardLayout: field '${name}' has unknown baseline '${merged.baseline}'. Available: ${TEXT_BASELINES.join(', ')}`)
+    }
+    for (const key of ['x', 'y']) {
+        if (!Number.isFinite(merged[key])) {
+            throw new Error(`CardLayout: field '${name}' needs a numeric ${key}`)
+        }
+    }
+    if (!(merged.size > 0)) {
+        throw new Error(`CardLayout: field '${name}' needs a positive size`)
+    }
+    if (merged.minSize !== null && !(merged.minSize > 0 && merged.minSize <= merged.size)) {
+        throw new Error(`CardLayout: field '${name}' minSize must be between 0 and size`)
+    }
+    if (merged.maxWidth !== null && !(merged.maxWidth > 0)) {
+        throw new Error(`CardLayout: field '${name}' maxWidth must be a positive fraction`)
+    }
+    if (typeof merged.color !== 'string') {
+        throw new Error(`CardLayout: field '${name}' color must be a CSS colour string`)
+    }
+    if (merged.stroke !== null) {
+        const { color, width } = merged.stroke
+        if (typeof color !== 'string' || !(width > 0)) {
+            throw new Error(`CardLayout: field '${name}' stroke needs a colour and a positive width`)
+        }
+        merged.stroke = { color, width }
+    }
+
+    merged.text = String(merged.text ?? '')
+    merged.effects = !!merged.effects
+    return merged
+}
+
+/**
+ * Text a field shows for the given values
+ * @param {string} name - Field name
+ * @param {Object} field - Normalized field
+ * @param {Object<string, *>} values - Field name → value
+ * @returns {string}
+ */
+export function getFieldText(name, field, values) {
+    const value = values?.[name]
+    return value === undefined || value === null || value === '' ? field.text : String(value)
+}
+
+/**
+ * CSS font for a field at a given size
+ * @param {Object} field - Normalized field
+ * @param {number} size - Font size in layout pixels
+ * @returns {string}
+ */
+export function getFieldFont(field, size) {
+    return `${field.style} ${field.weight} ${size}px ${field.font}`
+}
+
+/**
+ * Font size that fits a field's text within its maxWidth
+ * Text width scales with font size, so one measurement is enough.
+ * @param {Object} field - Normalized field
+ * @param {number} measuredWidth - Text width at field.size, in layout pixels
+ * @param {number} layoutWidth - Layout width in pixels
+ * @returns {number}
+ */
+export function fitFontSize(field, measuredWidth, layoutWidth) {
+    if (field.minSize === null || field.maxWidth === null) return field.size
+
+    const available = field.maxWidth * layoutWidth
+    if (measuredWidth <= available) return field.size
+    return Math.max(field.minSize, Math.floor(field.size * available / measuredWidth))
+}
+
+/**
+ * Parse a card-fields attribute value
+ * Accepts a JSON object or "name: value; name: value" (values stay strings).
+ * @param {string|null} value
+ * @returns {Object<string, string>|null} null when empty or invalid
+ */
+export function parseCardFields(value) {
+    if (!value || !value.trim()) return null
+
+    const text = value.trim()
+    if (text.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(text)
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null
+        } catch {
+            console.warn(`CardLayout: Invalid JSON in card fields '${value}'`)
+            return null
+        }
+    }
+
+    const fields = {}
+    for (const entry of text.split(';')) {
+        const colon = entry.indexOf(':')
+        if (colon === -1) {
+            if (entry.trim()) console.warn(`CardLayout: Ignoring card field '${entry.trim()}' (expected name: value)`)
+            continue
+        }
+        const name = entry.substring(0, colon).trim()
+        if (name) fields[name] = entry.substring(colon + 1).trim()
+    }
+    return Object.keys(fields).length ? fields : null
+}
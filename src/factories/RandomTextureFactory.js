@@ -1,11 +1,15 @@
 import { Texture } from '../core/Texture.js'
 import { createTextureBrightnessMask } from '../core/MaskFactory.js'
+import { createSeededRandom } from '../core/ProceduralTextures.js'
 import { CONFIG } from '../config.js'
 import { COMMON_EMOJIS, COLOR_PALETTES, GEOMETRIC_TYPES } from '../data/emojis.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
 export class RandomTextureFactory {
     constructor(gl) {
         this.gl = gl
+        // Random source for the card being generated (seeded per createRandomCard call)
+        this._random = Math.random
     }
 
     /**
@@ -17,6 +21,7 @@ export class RandomTextureFactory {
      * @param {string} options.emoji - Force specific emoji (optional)
      * @param {string} options.geometricType - Force specific geometric type (optional)
      * @param {string[]} options.palette - Force specific color palette (optional)
+     * @param {number|string} options.seed - Makes every random choice reproducible (optional)
      * @returns {{ texture: Texture, canvas: HTMLCanvasElement, brightnessMask: Texture, generatedName: string }}
      */
     createRandomCard(options = {}) {
@@ -29,16 +34,17 @@ export class RandomTextureFactory {
             palette = null,
             noMask = false,
             name = null,
-            collectionName = null
+            collectionName = null,
+            seed = null
         } = options
 
+        this._random = seed !== null && seed !== undefined ? createSeededRandom(seed) : Math.random
+
         // Setup canvas with resolution scaling
         const scale = CONFIG.demo.resolutionScale
         const width = CONFIG.demo.baseWidth * scale
         const height = CONFIG.demo.baseHeight * scale
-        const canvas = document.createElement('canvas')
-        canvas.width = width
-        canvas.height = height
+        const canvas = createCanvas(width, height)
         const ctx = canvas.getContext('2d')
 
         // Draw background gradient
@@ -46,7 +52,7 @@ export class RandomTextureFactory {
 
         // Draw center content based on type
         const actualType = type === 'random'
-            ? (Math.random() > 0.5 ? 'emoji' : 'geometric')
+            ? (this._random() > 0.5 ? 'emoji' : 'geometric')
             : type
 
         // Determine collection name (use provided or default based on type)
@@ -77,15 +83,19 @@ export class RandomTextureFactory {
     /**
      * Create multiple unique random cards
      * @param {number} count - Number of cards to create
-     * @param {Object} options - Options passed to createRandomCard
+     * @param {Object} options - Options passed to createRandomCard (a seed gives card i the seed `${seed}:${i}`)
      * @returns {Array<{ texture: Texture, canvas: HTMLCanvasElement, brightnessMask: Texture }>}
      */
     createMultipleCards(count, options = {}) {
         const cards = []
         const usedEmojis = new Set()
+        const seeded = options.seed !== null && options.seed !== undefined
+        const random = seeded ? createSeededRandom(options.seed) : Math.random
 
         for (let i = 0; i < count; i++) {
             let cardOptions = { ...options }
+            if (seeded) cardOptions.seed = `${options.seed}:${i}`
+            this._random = random
 
             // Ensure unique emojis if type is emoji
             if (options.type === 'emoji' || options.type === 'random') {
@@ -386,6 +396,6 @@ export class RandomTextureFactory {
     }
 
     _pickRandom(array) {
-        return array[Math.floor(Math.random() * array.length)]
+        return array[Math.floor(this._random() * array.length)]
     }
 }
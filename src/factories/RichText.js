@@ -0,0 +1,133 @@
+/**
+ * RichText - Inline markup for card text fields
+ *
+ *   [b]bold[/b]  [i]italic[/i]  [color=#ff5252]red[/color]  [icon=fire]
+ *
+ * Tags nest. Unclosed tags run to the end of the text; stray closing tags and
+ * unknown tags stay as literal text. Emoji need no markup - they draw with the
+ * system's emoji glyphs. Icons are images registered with registerTextIcon and
+ * drawn at the font size.
+ */
+
+const TAG_PATTERN = /\[(\/?)(b|i|color|icon)(?:=([^\]]*))?\]/g
+
+// Registered icons: name → { image, ready }
+const icons = new Map()
+
+/**
+ * Split marked-up text into styled runs
+ * @param {string} text
+ * @returns {Array<{text: string, bold: boolean, italic: boolean, color: string|null, icon: string|null}>}
+ *   Icon runs have empty text
+ */
+export function parseRichText(text) {
+    const runs = []
+    const stack = []  // Open tags: { tag, value }
+    let style = { bold: false, italic: false, color: null }
+    let last = 0
+
+    const pushText = (end) => {
+        if (end > last) runs.push({ text: text.substring(last, end), ...style, icon: null })
+    }
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const [tag, closing, name, value] = match
+        const valued = name === 'color' || name === 'icon'
+        let handled = false
+
+        if (closing) {
+            // Closes the innermost open tag only
+            handled = value === undefined && stack.length > 0 && stack[stack.length - 1].tag === name
+        } else if (valued ? !!value?.trim() : value === undefined) {
+            handled = true
+        }
+        if (!handled) continue
+
+        pushText(match.index)
+        last = match.index + tag.length
+
+        if (name === 'icon') {
+            runs.push({ text: '', ...style, icon: value.trim() })
+        } else if (closing) {
+            stack.pop()
+            style = getStyle(stack)
+        } else {
+            stack.push({ tag: name, value: value?.trim() })
+            style = getStyle(stack)
+        }
+    }
+    pushText(text.length)
+
+    return runs
+}
+
+function getStyle(stack) {
+    const style = { bold: false, italic: false, color: null }
+    for (const { tag, value } of stack) {
+        if (tag === 'b') style.bold = true
+        else if (tag === 'i') style.italic = true
+        else if (tag === 'color') style.color = value
+    }
+    return style
+}
+
+/**
+ * Remove markup, leaving the plain text (icons are dropped)
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripRichText(text) {
+    return parseRichText(text).map(run => run.text).join('')
+}
+
+/**
+ * Register an inline icon (`[icon=name]`)
+ * @param {string} name
+ * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - Image URL or drawable image
+ */
+export function registerTextIcon(name, source) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('RichText: icon name must be a non-empty string')
+    }
+
+    let image = source
+    if (typeof source === 'string') {
+        image = new Image()
+        image.crossOrigin = 'anonymous'
+        image.src = source
+    }
+
+    let ready = Promise.resolve()
+    if (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement && !image.complete) {
+        ready = new Promise(resolve => {
+            image.addEventListener('load', resolve, { once: true })
+            image.addEventListener('error', () => {
+                console.warn(`RichText: failed to load icon '${name}'`)
+                resolve()
+            }, { once: true })
+        })
+    }
+
+    icons.set(name, { image, ready })
+}
+
+/**
+ * Look up a registered icon
+ * @param {string} name
+ * @returns {{image: CanvasImageSource, ready: Promise<void>}|undefined}
+ */
+export function getTextIcon(name) {
+    return icons.get(name)
+}
+
+/**
+ * Width of an icon drawn at a font size (icons are as tall as the font size)
+ * @param {{width: number, height: number, naturalWidth?: number, naturalHeight?: number}} image
+ * @param {number} size - Font size in layout pixels
+ * @returns {number} 0 while the image has no size yet
+ */
+export function getIconWidth(image, size) {
+    const width = image.naturalWidth || image.width
+    const height = image.naturalHeight || image.height
+    return width > 0 && height > 0 ? size * width / height : 0
+}
@@ -1,117 +1,341 @@
 import { Texture } from '../core/Texture.js'
+import { normalizeLayout, getFieldText, getFieldFont, fitFontSize } from './CardLayout.js'
+import { parseRichText, getTextIcon, getIconWidth } from './RichText.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
+// Top of an icon relative to the text baseline, as a fraction of the font size
+const ICON_OFFSETS = { top: 0, middle: -0.5, bottom: -1, alphabetic: -0.8 }
+
+// Bumped whenever a late font or icon arrives, so cached text drawn in
+// fallback fonts stops matching (see the TextureCache keys in _updateTexture)
+let drawGeneration = 0
+
+/**
+ * TextRenderer - Draws a card's text fields (see CardLayout.js)
+ *
+ * Fields with effects go into the 'text' texture (part of the effect mask),
+ * the rest into the 'number' overlay. The 'collection' slot stays blank for
+ * layout-driven cards. Textures are premultiplied so coloured and stroked
+ * text keeps clean edges under filtering.
+ *
+ * Text is drawn straight away, in fallback fonts if web fonts are still
+ * loading. Fonts and icons that weren't ready are loaded in the background;
+ * once they are, the caches are dropped and onInvalidate is called so the
+ * owner can redraw. ready() waits for those loads.
+ *
+ * Given a TextureScope (see TextureCache.js), textures are shared by every
+ * card on the context showing the same text in the same layout.
+ */
 export class TextRenderer {
-    constructor(gl) {
+    /**
+     * @param {WebGL2RenderingContext} gl
+     * @param {Object|string|null} layout - Template, registered name, or null for the default
+     * @param {string|null} font - Font family for fields that don't set their own
+     * @param {TextureScope|null} textures - Scope to get cached textures from (null = own textures)
+     */
+    constructor(gl, layout = null, font = null, textures = null) {
         this.gl = gl
+        this.textures = textures
         this.textTexture = null
         this.numberTexture = null
         this.collectionTexture = null
+        this.font = font
+        this.template = layout  // As given, re-normalized when the font changes
+        this.layout = normalizeLayout(layout, { font })
+        this._layoutKey = JSON.stringify(this.layout)
+        this.onInvalidate = null  // Called when late fonts or icons need a redraw
 
-        // Cache for tracking last rendered text values
-        this._lastText = null
-        this._lastNumber = null
-        this._lastCollection = null
+        // Cache keys of the last rendered field values per texture
+        this._lastEffectKey = null
+        this._lastOverlayKey = null
+
+        // Font and icon loads in flight or done: key → Promise
+        this._loads = new Map()
     }
 
-    createTextTextures(cardText, cardNumber, cardCollection, card) {
-        // Balanced resolution (2x base resolution)
-        const width = 500
-        const height = 800
-
-        // Normalize empty strings (preserve spaces for positioning)
-        const normalizedText = cardText || ''
-        const normalizedNumber = cardNumber || ''
-        const normalizedCollection = cardCollection || ''
-
-        // Only update textures that have changed
-        const textChanged = this._lastText !== normalizedText
-        const numberChanged = this._lastNumber !== normalizedNumber
-        const collectionChanged = this._lastCollection !== normalizedCollection
-
-        // Create name texture (for effect mask - shader effects apply to this)
-        if (textChanged) {
-            const nameCanvas = document.createElement('canvas')
-            nameCanvas.width = width
-            nameCanvas.height = height
-            const nameCtx = nameCanvas.getContext('2d')
-            nameCtx.clearRect(0, 0, width, height)
-
-            if (normalizedText) {
-                nameCtx.fillStyle = '#ffffff'
-                nameCtx.textAlign = 'center'
-                nameCtx.textBaseline = 'middle'
-
-                // Scale font sizes by 2x for balanced res
-                let fontSize = 64
-                if (normalizedText.length > 10) fontSize = 48
-                if (normalizedText.length > 15) fontSize = 40
-
-                nameCtx.font = `bold ${fontSize}px Arial, sans-serif`
-                nameCtx.fillText(normalizedText, width / 2, height * 0.85)
-            }
+    /**
+     * Switch layout template (textures redraw on the next createTextTextures)
+     * @param {Object|string|null} layout - Template, registered name, or null for the default
+     * @throws {Error} If the template is invalid
+     */
+    setLayout(layout) {
+        this.layout = normalizeLayout(layout, { font: this.font })
+        this._layoutKey = JSON.stringify(this.layout)
+        this.template = layout
+        this.invalidate()
+    }
 
-            if (!this.textTexture) {
-                this.textTexture = new Texture(this.gl)
-            }
-            this.textTexture.createFromImage(nameCanvas, false)
-            this._lastText = normalizedText
+    /**
+     * Switch the font family of fields that don't set their own
+     * @param {string|null} font - CSS font-family (null = layout defaults)
+     */
+    setFont(font) {
+        this.font = font
+        this.layout = normalizeLayout(this.template, { font })
+        this._layoutKey = JSON.stringify(this.layout)
+        this.invalidate()
+    }
+
+    /**
+     * Drop the text caches so the next createTextTextures redraws everything
+     */
+    invalidate() {
+        this._lastEffectKey = null
+        this._lastOverlayKey = null
+    }
+
+    /**
+     * Wait for the fonts and icons requested by the last draw
+     * @returns {Promise<void>} Resolves after any redraw they caused
+     */
+    async ready() {
+        await Promise.all(this._loads.values())
+    }
+
+    /**
+     * Draw the text fields and attach them to the card
+     * @param {string} cardText - Value of the 'name' field
+     * @param {string} cardNumber - Value of the 'number' field
+     * @param {string} cardCollection - Value of the 'collection' field
+     * @param {Card} card
+     * @param {Object<string, *>} fields - Values for any other layout fields
+     */
+    createTextTextures(cardText, cardNumber, cardCollection, card, fields = {}) {
+        const values = {
+            ...fields,
+            name: cardText || '',
+            number: cardNumber || '',
+            collection: cardCollection || ''
+        }
+
+        // Only redraw textures whose fields changed
+        const effectKey = this._getFieldsKey(values, true)
+        if (effectKey !== this._lastEffectKey) {
+            this.textTexture = this._updateTexture(this.textTexture, values, true, effectKey)
+            this._lastEffectKey = effectKey
         }
         card.setTexture('text', this.textTexture)
 
-        // Create number texture (overlay only - no shader effects)
-        if (numberChanged) {
-            const numberCanvas = document.createElement('canvas')
-            numberCanvas.width = width
-            numberCanvas.height = height
-            const numberCtx = numberCanvas.getContext('2d')
-            numberCtx.clearRect(0, 0, width, height)
-
-            if (normalizedNumber) {
-                numberCtx.fillStyle = '#ffffff'
-                numberCtx.textAlign = 'right'
-                numberCtx.textBaseline = 'top'
-                // Scale font size by 2x for balanced res
-                numberCtx.font = 'bold 28px Arial, sans-serif'
-                numberCtx.fillText(normalizedNumber, width * 0.92, height * 0.05)
+        const overlayKey = this._getFieldsKey(values, false)
+        if (overlayKey !== this._lastOverlayKey) {
+            this.numberTexture = this._updateTexture(this.numberTexture, values, false, overlayKey)
+            this._lastOverlayKey = overlayKey
+        }
+        card.setTexture('number', this.numberTexture)
+
+        if (!this.collectionTexture) {
+            const createBlank = () => {
+                const texture = new Texture(this.gl)
+                texture.createEmpty(1, 1)
+                return texture
             }
+            this.collectionTexture = this.textures ? this.textures.acquire('blank', createBlank) : createBlank()
+        }
+        card.setTexture('collection', this.collectionTexture)
+    }
+
+    /**
+     * Key identifying what a texture shows
+     * @param {Object} values - Field values
+     * @param {boolean} effects - Effect fields or overlay fields
+     * @returns {string}
+     */
+    _getFieldsKey(values, effects) {
+        const texts = []
+        for (const [name, field] of Object.entries(this.layout.fields)) {
+            if (field.effects === effects) texts.push(getFieldText(name, field, values))
+        }
+        return JSON.stringify(texts)
+    }
+
+    /**
+     * Replace a texture with one showing the given fields
+     * With a TextureScope the texture comes from the cache (drawn on a miss) and
+     * the previous one is given back; otherwise the previous one is redrawn.
+     * @param {Texture|null} previous
+     * @param {Object} values - Field values
+     * @param {boolean} effects - Effect fields or overlay fields
+     * @param {string} fieldsKey - From _getFieldsKey()
+     * @returns {Texture}
+     */
+    _updateTexture(previous, values, effects, fieldsKey) {
+        if (!this.textures) return this._drawFields(previous, values, effects)
+
+        const key = `text:${effects ? 'effects' : 'overlay'}:${drawGeneration}:${this._layoutKey}:${fieldsKey}`
+        const texture = this.textures.acquire(key, () => this._drawFields(null, values, effects))
+        if (previous) this.textures.release(previous)
+        return texture
+    }
 
-            if (!this.numberTexture) {
-                this.numberTexture = new Texture(this.gl)
+    /**
+     * Draw the effect or overlay fields into a texture
+     * @param {Texture|null} texture - Texture to reuse
+     * @param {Object} values - Field values
+     * @param {boolean} effects - Effect fields or overlay fields
+     * @returns {Texture}
+     */
+    _drawFields(texture, values, effects) {
+        const { width, height, fields } = this.layout
+        const canvas = createCanvas(width, height)
+        const ctx = canvas.getContext('2d')
+
+        for (const [name, field] of Object.entries(fields)) {
+            if (field.effects !== effects) continue
+            const text = getFieldText(name, field, values)
+            if (text) this._drawField(ctx, field, text)
+        }
+
+        const gl = this.gl
+        if (!texture) {
+            texture = new Texture(gl)
+        } else {
+            texture.destroy()  // createFromImage allocates a new GL texture
+        }
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true)
+        texture.createFromImage(canvas, false)
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false)
+        return texture
+    }
+
+    /**
+     * Draw one field, shrinking it to its maxWidth when allowed
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} field - Normalized field
+     * @param {string} text
+     */
+    _drawField(ctx, field, text) {
+        const { width, height } = this.layout
+        const runs = parseRichText(text)
+
+        let size = field.size
+        let line = this._layoutRuns(ctx, field, runs, size)
+        size = fitFontSize(field, line.width, width)
+        if (size !== field.size) line = this._layoutRuns(ctx, field, runs, size)
+        if (line.width === 0) return
+
+        // Fields that can't shrink further are squeezed horizontally instead
+        const maxWidth = field.maxWidth !== null ? field.maxWidth * width : Infinity
+        const squeeze = Math.min(1, maxWidth / line.width)
+        const startX = field.align === 'left' ? 0 : field.align === 'right' ? -line.width : -line.width / 2
+
+        ctx.save()
+        ctx.translate(field.x * width, field.y * height)
+        ctx.scale(squeeze, 1)
+        ctx.textAlign = 'left'
+        ctx.textBaseline = field.baseline
+
+        // Outline every run before filling, so strokes don't cut into neighbouring runs
+        if (field.stroke) {
+            ctx.strokeStyle = field.stroke.color
+            ctx.lineWidth = field.stroke.width
+            ctx.lineJoin = 'round'
+            for (const item of line.items) {
+                if (item.font) {
+                    ctx.font = item.font
+                    ctx.strokeText(item.run.text, startX + item.x, 0)
+                }
             }
-            this.numberTexture.createFromImage(numberCanvas, false)
-            this._lastNumber = normalizedNumber
         }
-        card.setTexture('number', this.numberTexture)
 
-        // Create collection texture (top left - overlay only)
-        if (collectionChanged) {
-            const collectionCanvas = document.createElement('canvas')
-            collectionCanvas.width = width
-            collectionCanvas.height = height
-            const collectionCtx = collectionCanvas.getContext('2d')
-            collectionCtx.clearRect(0, 0, width, height)
-
-            if (normalizedCollection) {
-                collectionCtx.fillStyle = '#ffffff'
-                collectionCtx.textAlign = 'left'
-                collectionCtx.textBaseline = 'top'
-                // Scale font size by 2x for balanced res
-                collectionCtx.font = 'bold 28px Arial, sans-serif'
-                collectionCtx.fillText(normalizedCollection, width * 0.04, height * 0.05)
+        for (const item of line.items) {
+            if (item.image) {
+                const top = ICON_OFFSETS[field.baseline] * size
+                ctx.drawImage(item.image, startX + item.x, top, item.width, size)
+            } else if (item.font) {
+                ctx.font = item.font
+                ctx.fillStyle = item.run.color ?? field.color
+                ctx.fillText(item.run.text, startX + item.x, 0)
             }
+        }
+        ctx.restore()
+    }
 
-            if (!this.collectionTexture) {
-                this.collectionTexture = new Texture(this.gl)
+    /**
+     * Measure and place a field's runs on one line
+     * Fonts and icons that aren't ready yet start loading (see _waitFor).
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} field - Normalized field
+     * @param {Array} runs - From parseRichText()
+     * @param {number} size - Font size in layout pixels
+     * @returns {{items: Array<{run: Object, font: string|null, image: CanvasImageSource|null, x: number, width: number}>, width: number}}
+     */
+    _layoutRuns(ctx, field, runs, size) {
+        const items = []
+        let x = 0
+
+        for (const run of runs) {
+            const item = { run, font: null, image: null, x, width: 0 }
+
+            if (run.icon) {
+                const icon = getTextIcon(run.icon)
+                if (!icon) {
+                    console.warn(`TextRenderer: unknown icon '${run.icon}'`)
+                } else {
+                    item.width = getIconWidth(icon.image, size)
+                    if (item.width > 0) item.image = icon.image
+                    else this._waitFor(`icon:${run.icon}`, icon.ready.then(() => true))
+                }
+            } else {
+                item.font = getFieldFont({
+                    ...field,
+                    weight: run.bold ? 'bold' : field.weight,
+                    style: run.italic ? 'italic' : field.style
+                }, size)
+                this._loadFont(item.font, run.text)
+                ctx.font = item.font
+                item.width = ctx.measureText(run.text).width
             }
-            this.collectionTexture.createFromImage(collectionCanvas, false)
-            this._lastCollection = normalizedCollection
+
+            items.push(item)
+            x += item.width
         }
-        card.setTexture('collection', this.collectionTexture)
+
+        return { items, width: x }
+    }
+
+    /**
+     * Start loading a web font the text needs, if it isn't loaded yet
+     * @param {string} font - CSS font shorthand
+     * @param {string} text - Characters to load faces for
+     */
+    _loadFont(font, text) {
+        const fonts = globalThis.document?.fonts ?? globalThis.fonts ?? null  // A worker has its own
+        if (!fonts) return
+        try {
+            if (fonts.check(font, text)) return
+        } catch {
+            return  // Not a valid CSS font - canvas falls back the same way
+        }
+
+        // load() resolves with no faces for fonts the page doesn't declare
+        this._waitFor(`font:${font}`, fonts.load(font, text).then(faces => faces.length > 0))
+    }
+
+    /**
+     * Redraw once a font or icon load finishes (each key is only waited on once)
+     * @param {string} key
+     * @param {Promise<boolean>} load - Resolves true if a redraw would change the result
+     */
+    _waitFor(key, load) {
+        if (this._loads.has(key)) return
+
+        this._loads.set(key, load.then(changed => {
+            if (!changed) return
+            drawGeneration++
+            if (!this.onInvalidate) return
+            this.invalidate()
+            this.onInvalidate()
+        }).catch(err => {
+            console.warn(`TextRenderer: failed to load ${key}:`, err)
+        }))
     }
 
     destroy() {
-        if (this.textTexture) this.textTexture.destroy()
-        if (this.numberTexture) this.numberTexture.destroy()
-        if (this.collectionTexture) this.collectionTexture.destroy()
+        this.onInvalidate = null
+        for (const texture of [this.textTexture, this.numberTexture, this.collectionTexture]) {
+            if (!texture) continue
+            if (this.textures) this.textures.release(texture)
+            else texture.destroy()
+        }
     }
 }
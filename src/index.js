@@ -25,9 +25,19 @@ export { stickerElement, registerstickerElement } from './lib/stickerElement.js'
 
 // Utilities
 export { TextureLoader } from './lib/TextureLoader.js'
+export { TILT_PATHS } from './lib/ClipRecorder.js'
+export { GifEncoder } from './utils/GifEncoder.js'
+
+// Input drivers (custom tilt sources via sticker.addInputDriver)
+export { InputDriver } from './input/InputDriver.js'
+export { KeyboardDriver } from './input/KeyboardDriver.js'
+export { GamepadDriver } from './input/GamepadDriver.js'
 
 // Context pool (for advanced configuration)
 export { WebGLContextPool } from './lib/WebGLContextPool.js'
+export { SharedViewportContext } from './lib/SharedViewportContext.js'
+export { TextureCache } from './lib/TextureCache.js'
+export { WorkerBackend, WorkerSticker, supportsWorkerBackend } from './lib/WorkerBackend.js'
 
 // Shader registry (for advanced use)
 export * as ShaderRegistry from './lib/ShaderRegistry.js'
@@ -0,0 +1,61 @@
+import { InputDriver } from './InputDriver.js'
+import { CONFIG } from '../config.js'
+
+/**
+ * Apply a radial dead zone to a stick and rescale the remainder to 0-1
+ * @param {number} x - Raw stick X (-1 to 1)
+ * @param {number} y - Raw stick Y (-1 to 1)
+ * @param {number} deadzone - Radius treated as centered
+ * @returns {{x: number, y: number}|null} Null inside the dead zone
+ */
+export function applyDeadzone(x, y, deadzone = CONFIG.input.gamepadDeadzone) {
+    const magnitude = Math.hypot(x, y)
+    if (magnitude <= deadzone) return null
+
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone))
+    return {
+        x: (x / magnitude) * scaled,
+        y: (y / magnitude) * scaled
+    }
+}
+
+/**
+ * GamepadDriver - Left-stick tilt via the Gamepad API
+ *
+ * Polls the first connected gamepad every frame. Every card with this driver
+ * follows the same stick, so enable it only where that is wanted.
+ */
+export class GamepadDriver extends InputDriver {
+    /**
+     * @param {Object} options
+     * @param {number} options.index - Gamepad index (default: first connected)
+     */
+    constructor(options = {}) {
+        super(30)
+        this.index = options.index ?? null
+        this._input = null
+    }
+
+    detach() {
+        this._input = null
+        super.detach()
+    }
+
+    update() {
+        this._input = null
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return
+
+        const pads = navigator.getGamepads()
+        const pad = this.index !== null
+            ? pads[this.index]
+            : Array.prototype.find.call(pads, p => p && p.connected)
+        if (!pad || pad.axes.length < 2) return
+
+        // Gamepad axes already use pointer space (+y = stick pulled down)
+        this._input = applyDeadzone(pad.axes[0], pad.axes[1])
+    }
+
+    getInput() {
+        return this._input
+    }
+}
@@ -0,0 +1,177 @@
+import { InputDriver } from './InputDriver.js'
+import { CONFIG } from '../config.js'
+
+/**
+ * Convert a device orientation reading to normalized tilt (-1 to 1 per axis)
+ * Pure function so the mapping can be tested without a device.
+ * @param {number} beta - Front-back tilt in degrees (DeviceOrientationEvent.beta)
+ * @param {number} gamma - Left-right tilt in degrees (DeviceOrientationEvent.gamma)
+ * @param {{beta: number, gamma: number}} rest - Calibrated resting orientation
+ * @param {number} screenAngle - Screen orientation angle (0, 90, 180, 270)
+ * @param {number} range - Degrees from rest that map to full tilt
+ * @returns {{x: number, y: number}} x = horizontal (like mouseX), y = vertical (up positive)
+ */
+export function orientationToTilt(beta, gamma, rest, screenAngle = 0, range = CONFIG.gyro.range) {
+    let dx = gamma - rest.gamma
+    let dy = beta - rest.beta
+
+    // Device axes are fixed to the hardware - rotate them into screen space
+    switch (((screenAngle % 360) + 360) % 360) {
+        case 90: [dx, dy] = [dy, -dx]; break
+        case 180: [dx, dy] = [-dx, -dy]; break
+        case 270: [dx, dy] = [-dy, dx]; break
+    }
+
+    const clamp = (v) => Math.max(-1, Math.min(1, v))
+    return {
+        x: clamp(dx / range),
+        y: clamp(dy / range)
+    }
+}
+
+/**
+ * GyroDriver - Device-orientation tilt
+ *
+ * The first reading becomes the resting angle, which then slowly follows posture
+ * changes. On iOS 13+ permission is requested on the next tap of the element.
+ * State: 'inactive' | 'prompt' | 'granted' | 'denied' | 'unsupported'
+ */
+export class GyroDriver extends InputDriver {
+    /**
+     * @param {HTMLElement} element - Element whose tap requests permission
+     * @param {Object} options
+     * @param {Function} options.onStateChange - Called with the new state
+     */
+    constructor(element, options = {}) {
+        super(20)
+        this.element = element
+        this.onStateChange = options.onStateChange ?? null
+
+        this.state = 'inactive'
+        this._rest = null       // Calibrated resting orientation {beta, gamma}
+        this._reading = null    // Latest orientation reading {beta, gamma}
+        this._input = null
+
+        this.handleOrientation = this.onDeviceOrientation.bind(this)
+        this.handlePermissionGesture = () => this.requestPermission()
+    }
+
+    attach(controller) {
+        super.attach(controller)
+
+        if (typeof window === 'undefined' || typeof DeviceOrientationEvent === 'undefined') {
+            this._setState('unsupported')
+            return
+        }
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            // Permission can only be requested from a user gesture on the card
+            this._setState('prompt')
+            this._addPermissionGesture()
+            return
+        }
+
+        this._listen()
+    }
+
+    detach() {
+        this._removePermissionGesture()
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('deviceorientation', this.handleOrientation)
+        }
+        this._rest = null
+        this._reading = null
+        this._input = null
+        this._setState('inactive')
+
+        super.detach()
+    }
+
+    /**
+     * Request device-orientation permission (iOS 13+ requires a user gesture)
+     * @returns {Promise<boolean>} True if orientation events can be used
+     */
+    async requestPermission() {
+        if (!this.controller) return false
+        if (this.state === 'granted') return true
+        if (this.state !== 'prompt') return false
+
+        this._removePermissionGesture()
+
+        try {
+            const result = await DeviceOrientationEvent.requestPermission()
+            if (result !== 'granted') {
+                this._setState('denied')
+                return false
+            }
+        } catch (err) {
+            // Thrown when not called from a user gesture - wait for the next one
+            console.warn('GyroDriver: Device orientation permission request failed:', err.message)
+            this._addPermissionGesture()
+            return false
+        }
+
+        // Driver may have been detached while the prompt was open
+        if (!this.controller) return false
+
+        this._listen()
+        return true
+    }
+
+    /**
+     * Use the next orientation reading as the resting angle
+     */
+    calibrate() {
+        this._rest = null
+    }
+
+    update(deltaTime) {
+        const reading = this._reading
+        if (!reading) return
+
+        if (!this._rest) {
+            this._rest = { ...reading }
+        }
+
+        // Let the rest angle follow slow posture changes (e.g. leaning back on a couch)
+        const rest = this._rest
+        const drift = Math.min(1, deltaTime * CONFIG.gyro.recenterSpeed)
+        rest.beta += (reading.beta - rest.beta) * drift
+        rest.gamma += (reading.gamma - rest.gamma) * drift
+
+        const screenAngle = (typeof screen !== 'undefined' && screen.orientation?.angle) || 0
+        const { x, y } = orientationToTilt(reading.beta, reading.gamma, rest, screenAngle)
+        this._input = { x, y: -y }
+    }
+
+    getInput() {
+        return this._input
+    }
+
+    onDeviceOrientation(event) {
+        // Devices without a sensor fire events with null angles - keep the idle wobble
+        if (event.beta === null || event.gamma === null) return
+        this._reading = { beta: event.beta, gamma: event.gamma }
+    }
+
+    _listen() {
+        window.addEventListener('deviceorientation', this.handleOrientation)
+        this._setState('granted')
+    }
+
+    _addPermissionGesture() {
+        this.element.addEventListener('click', this.handlePermissionGesture)
+        this.element.addEventListener('touchend', this.handlePermissionGesture)
+    }
+
+    _removePermissionGesture() {
+        this.element.removeEventListener('click', this.handlePermissionGesture)
+        this.element.removeEventListener('touchend', this.handlePermissionGesture)
+    }
+
+    _setState(state) {
+        if (this.state === state) return
+        this.state = state
+        this.onStateChange?.(state)
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * InputDriver - Base class for card tilt input sources
+ *
+ * Drivers report a normalized pointer-space position (-1 to 1, +y down - the same
+ * space as CardController.mouseX/mouseY) or null while they have no input.
+ * CardController polls its drivers each frame, highest priority first, and uses
+ * the first active reading; with no active driver the card falls back to the
+ * idle wobble.
+ *
+ * Custom drivers extend this class and override update()/getInput():
+ *
+ *   class TimelineDriver extends InputDriver {
+ *       getInput() { return { x: Math.sin(this.t), y: 0 } }
+ *   }
+ *   controller.addDriver(new TimelineDriver())
+ */
+export class InputDriver {
+    /**
+     * @param {number} priority - Higher priorities win when several drivers are active
+     */
+    constructor(priority = 0) {
+        this.priority = priority
+        this.controller = null
+    }
+
+    /**
+     * Called when the driver is added to a controller
+     * @param {CardController} controller
+     */
+    attach(controller) {
+        this.controller = controller
+    }
+
+    /**
+     * Called when the driver is removed from its controller (remove listeners here)
+     */
+    detach() {
+        this.controller = null
+    }
+
+    /**
+     * Advance per-frame state (easing, polling)
+     * @param {number} deltaTime - Seconds since last frame
+     */
+    update(deltaTime) {}
+
+    /**
+     * Get the current input
+     * @returns {{x: number, y: number}|null} Pointer-space position, or null when inactive
+     */
+    getInput() {
+        return null
+    }
+}
@@ -0,0 +1,88 @@
+import { InputDriver } from './InputDriver.js'
+import { CONFIG } from '../config.js'
+
+// Key → pointer-space direction
+const KEY_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+}
+
+/**
+ * KeyboardDriver - Arrow-key tilt for focused cards
+ *
+ * Held arrow keys ease the card toward that side; releasing eases it back to
+ * center, after which the driver goes inactive and the idle wobble resumes.
+ */
+export class KeyboardDriver extends InputDriver {
+    /**
+     * @param {HTMLElement} target - Focusable element receiving key events
+     */
+    constructor(target) {
+        super(40)
+        this.target = target
+        this.speed = CONFIG.input.keyboardSpeed
+
+        this.x = 0
+        this.y = 0
+        this._held = new Set()
+
+        this.handleKeyDown = this.onKeyDown.bind(this)
+        this.handleKeyUp = this.onKeyUp.bind(this)
+        this.handleBlur = () => this._held.clear()
+    }
+
+    attach(controller) {
+        super.attach(controller)
+        this.target.addEventListener('keydown', this.handleKeyDown)
+        this.target.addEventListener('keyup', this.handleKeyUp)
+        this.target.addEventListener('blur', this.handleBlur)
+    }
+
+    detach() {
+        this.target.removeEventListener('keydown', this.handleKeyDown)
+        this.target.removeEventListener('keyup', this.handleKeyUp)
+        this.target.removeEventListener('blur', this.handleBlur)
+        this._held.clear()
+        this.x = 0
+        this.y = 0
+
+        super.detach()
+    }
+
+    onKeyDown(event) {
+        if (!(event.key in KEY_DIRECTIONS)) return
+        // Arrow keys would otherwise scroll the page while the card has focus
+        event.preventDefault()
+        this._held.add(event.key)
+    }
+
+    onKeyUp(event) {
+        this._held.delete(event.key)
+    }
+
+    update(deltaTime) {
+        let targetX = 0
+        let targetY = 0
+        for (const key of this._held) {
+            targetX += KEY_DIRECTIONS[key][0]
+            targetY += KEY_DIRECTIONS[key][1]
+        }
+
+        const t = Math.min(1, deltaTime * this.speed)
+        this.x += (targetX - this.x) * t
+        this.y += (targetY - this.y) * t
+
+        // Snap to rest so the driver releases control
+        if (this._held.size === 0 && Math.abs(this.x) < 0.001 && Math.abs(this.y) < 0.001) {
+            this.x = 0
+            this.y = 0
+        }
+    }
+
+    getInput() {
+        if (this._held.size === 0 && this.x === 0 && this.y === 0) return null
+        return { x: this.x, y: this.y }
+    }
+}
@@ -0,0 +1,129 @@
+import { InputDriver } from './InputDriver.js'
+
+/**
+ * PointerDriver - Mouse and touch tilt
+ *
+ * Active while the pointer hovers the element (or a finger drags across it).
+ */
+export class PointerDriver extends InputDriver {
+    /**
+     * @param {HTMLElement} element - Element receiving pointer events
+     * @param {Object} options
+     * @param {boolean} options.touch - Track touch drags (calls preventDefault, blocking page scroll)
+     */
+    constructor(element, options = {}) {
+        super(50)
+        this.element = element
+        this.touch = options.touch ?? true
+
+        this.x = 0
+        this.y = 0
+        this.isHovering = false
+
+        // Cached bounding rect (updated on resize/enter, not every mouse move)
+        this._cachedRect = null
+        this._resizeObserver = null
+
+        // Bind methods for proper event listener removal
+        this.handleMouseMove = this.onMouseMove.bind(this)
+        this.handleMouseLeave = this.onMouseLeave.bind(this)
+        this.handleMouseEnter = this.onMouseEnter.bind(this)
+        this.handleTouchMove = this.onTouchMove.bind(this)
+    }
+
+    attach(controller) {
+        super.attach(controller)
+
+        this.element.addEventListener('mousemove', this.handleMouseMove)
+        this.element.addEventListener('mouseleave', this.handleMouseLeave)
+        this.element.addEventListener('mouseenter', this.handleMouseEnter)
+
+        if (this.touch) {
+            // passive: false needed for preventDefault to stop page scroll
+            this.element.addEventListener('touchmove', this.handleTouchMove, { passive: false })
+            this.element.addEventListener('touchend', this.handleMouseLeave)
+        }
+
+        this._resizeObserver = new ResizeObserver(() => {
+            this._cachedRect = null  // Invalidate cache on resize
+        })
+        this._resizeObserver.observe(this.element)
+
+        // Check if mouse is already over element (e.g., overlay opened under cursor)
+        if (this.element.matches(':hover')) {
+            this.isHovering = true
+            this._updateCachedRect()
+        }
+    }
+
+    detach() {
+        this.element.removeEventListener('mousemove', this.handleMouseMove)
+        this.element.removeEventListener('mouseleave', this.handleMouseLeave)
+        this.element.removeEventListener('mouseenter', this.handleMouseEnter)
+        this.element.removeEventListener('touchmove', this.handleTouchMove)
+        this.element.removeEventListener('touchend', this.handleMouseLeave)
+
+        // Clean up ResizeObserver
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect()
+            this._resizeObserver = null
+        }
+        this._cachedRect = null
+        this.isHovering = false
+
+        super.detach()
+    }
+
+    getInput() {
+        return this.isHovering ? { x: this.x, y: this.y } : null
+    }
+
+    /**
+     * Update the cached bounding rect
+     */
+    _updateCachedRect() {
+        this._cachedRect = this.element.getBoundingClientRect()
+    }
+
+    /**
+     * Get the cached rect, updating if necessary
+     */
+    _getRect() {
+        if (!this._cachedRect) {
+            this._updateCachedRect()
+        }
+        return this._cachedRect
+    }
+
+    /**
+     * Store a client-space position as normalized (-1 to 1) element coordinates
+     */
+    _setFromClient(clientX, clientY) {
+        const rect = this._getRect()
+        this.x = ((clientX - rect.left) / rect.width) * 2 - 1
+        this.y = ((clientY - rect.top) / rect.height) * 2 - 1
+    }
+
+    onMouseMove(event) {
+        // Mouse may already be inside when attached without a mouseenter
+        this.isHovering = true
+        this._setFromClient(event.clientX, event.clientY)
+    }
+
+    onTouchMove(event) {
+        event.preventDefault()
+        const touch = event.touches[0]
+        this.isHovering = true
+        this._setFromClient(touch.clientX, touch.clientY)
+    }
+
+    onMouseEnter() {
+        this.isHovering = true
+        // Refresh cached rect on mouse enter (handles scroll/layout changes)
+        this._updateCachedRect()
+    }
+
+    onMouseLeave() {
+        this.isHovering = false
+    }
+}
@@ -0,0 +1,81 @@
+import { InputDriver } from './InputDriver.js'
+
+/**
+ * ProgrammaticDriver - Tilt set from code (timelines, demos, tests)
+ *
+ * Highest built-in priority: while a value is set it overrides user input.
+ * Clear it to hand control back to the other drivers.
+ */
+export class ProgrammaticDriver extends InputDriver {
+    constructor() {
+        super(100)
+        this._input = null
+        this._mode = null  // 'pointer' or 'tilt': how the value was set (see getState)
+    }
+
+    /**
+     * Set a virtual pointer position
+     * @param {number|null} x - Horizontal position (-1 = left edge, 1 = right edge), null releases
+     * @param {number|null} y - Vertical position (-1 = top edge, 1 = bottom edge)
+     */
+    setPointer(x, y) {
+        this._set('pointer', x, y)
+    }
+
+    /**
+     * Set a tilt (y is flipped relative to the pointer: positive tilts the top edge toward the viewer)
+     * @param {number|null} x - -1 (left edge away) to 1 (right edge away), null releases
+     * @param {number|null} y - -1 (top edge away) to 1 (top edge toward viewer)
+     */
+    setTilt(x, y) {
+        this._set('tilt', x, y === null || y === undefined ? y : -y)
+    }
+
+    /**
+     * Release control back to the other drivers
+     */
+    clear() {
+        this._input = null
+        this._mode = null
+    }
+
+    /**
+     * Current value and how it was set, for restoring it later with setState()
+     * @returns {{mode: string, x: number, y: number}|null} x/y as passed to setPointer or setTilt
+     */
+    getState() {
+        if (!this._input) return null
+        const { x, y } = this._input
+        return { mode: this._mode, x, y: this._mode === 'tilt' ? -y : y }
+    }
+
+    /**
+     * Restore a value saved with getState()
+     * @param {{mode: string, x: number, y: number}|null} state - null releases
+     */
+    setState(state) {
+        if (!state) {
+            this.clear()
+        } else if (state.mode === 'tilt') {
+            this.setTilt(state.x, state.y)
+        } else {
+            this.setPointer(state.x, state.y)
+        }
+    }
+
+    _set(mode, x, y) {
+        if (x === null || x === undefined || y === null || y === undefined) {
+            this.clear()
+            return
+        }
+        this._input = {
+            x: Math.max(-1, Math.min(1, x)),
+            y: Math.max(-1, Math.min(1, y))
+        }
+        this._mode = mode
+    }
+
+    getInput() {
+        return this._input
+    }
+}
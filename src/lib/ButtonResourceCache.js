@@ -14,6 +14,8 @@
 import { ShaderProgram } from '../core/ShaderProgram.js'
 import { Texture } from '../core/Texture.js'
 import * as ShaderRegistry from './ShaderRegistry.js'
+import { getCustomShader } from '../shaders/CustomShaders.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
 // Button vertex shader - flat 2D, no transforms
 // Fills clip space (-1 to 1), maps UV to 0-1
@@ -166,7 +168,7 @@ class ContextResources {
      */
     _compileShader(name) {
         const { CARD_SHADERS } = ShaderRegistry
-        const cardShader = CARD_SHADERS[name]
+        const cardShader = CARD_SHADERS[name] ?? getCustomShader(name)
 
         if (!cardShader || !cardShader.fragment) {
             console.warn(`ButtonResourceCache: No fragment shader for '${name}'`)
@@ -208,9 +210,7 @@ class ContextResources {
         const gl = this.gl
         const size = 256
 
-        const canvas = document.createElement('canvas')
-        canvas.width = size
-        canvas.height = size
+        const canvas = createCanvas(size, size)
         const ctx = canvas.getContext('2d')
 
         if (isBorder) {
@@ -240,18 +240,27 @@ class ContextResources {
         }
 
         const gl = this.gl
-        const canvas = document.createElement('canvas')
-        canvas.width = 4
-        canvas.height = 4
-        const ctx = canvas.getContext('2d')
-        ctx.fillStyle = '#000000'
-        ctx.fillRect(0, 0, 4, 4)
+        // Transparent: text overlays composite by alpha
+        const canvas = createCanvas(4, 4)
 
         this.blankTexture = new Texture(gl)
         this.blankTexture.createFromImage(canvas)
         return this.blankTexture
     }
 
+    /**
+     * Re-create resources after the context was restored from a loss
+     * Shaders that were in use are recompiled straight away; geometry and
+     * masks are re-created on next use.
+     */
+    restore() {
+        const shaderNames = [...this.shaders.keys()]
+        this.destroy()  // Drops the dead GL objects
+        for (const name of shaderNames) {
+            this.getShader(name)
+        }
+    }
+
     /**
      * Destroy all resources for this context
      */
@@ -305,6 +314,15 @@ class ButtonResourceCache {
         return this._contextResources.get(gl)
     }
 
+    /**
+     * Re-create resources for a GL context that was restored from a loss
+     * Buttons must fetch their shader again (see ShaderButton.setShader).
+     * @param {WebGL2RenderingContext} gl
+     */
+    restoreResources(gl) {
+        this._contextResources.get(gl)?.restore()
+    }
+
     /**
      * Release resources for a GL context
      * @param {WebGL2RenderingContext} gl
@@ -0,0 +1,58 @@
+/**
+ * CardExport - Output size and card pose for sticker.exportImage() and recordClip()
+ */
+
+import { CONFIG } from '../config.js'
+
+/**
+ * Resolve export dimensions, filling a missing side from the card aspect ratio
+ * @param {number|undefined} width
+ * @param {number|undefined} height
+ * @param {{width: number, height: number}} defaultSize - Used when neither side is given
+ * @returns {{width: number, height: number}} Whole pixels
+ * @throws {Error} If the size isn't positive and finite
+ */
+export function resolveExportSize(width, height, defaultSize) {
+    const aspect = CONFIG.card.aspectRatio
+    if (!width && !height) {
+        width = defaultSize.width
+        height = defaultSize.height
+    } else if (!height) {
+        height = width / aspect
+    } else if (!width) {
+        width = height * aspect
+    }
+
+    width = Math.round(width)
+    height = Math.round(height)
+    if (!(width > 0 && height > 0 && Number.isFinite(width) && Number.isFinite(height))) {
+        throw new Error(`sticker: Invalid export size ${width}×${height}`)
+    }
+    return { width, height }
+}
+
+/**
+ * Resolve card rotation and pointer for an export
+ * Explicit tilt/pointer win; otherwise the card keeps its current pose.
+ * @param {Object} options - exportImage() options
+ * @param {{x: number, y: number}} options.tilt - Tilt as in setTilt()
+ * @param {{x: number, y: number}} options.pointer - Pointer as in setPointer()
+ * @param {{rotationX: number, rotationY: number, pointerX: number, pointerY: number}} currentPose
+ * @returns {{rotationX: number, rotationY: number, pointerX: number, pointerY: number}}
+ */
+export function resolveExportPose({ tilt, pointer }, currentPose) {
+    if (!tilt && !pointer) return currentPose
+
+    // Tilt and pointer share one space (pointer = tilt with y flipped)
+    const maxTilt = CONFIG.card.maxTiltRadians
+    const px = pointer ? pointer.x : tilt.x
+    const py = pointer ? pointer.y : -tilt.y
+    const tx = tilt ? tilt.x : px
+    const ty = tilt ? tilt.y : -py
+    return {
+        rotationX: ty * maxTilt,
+        rotationY: tx * maxTilt,
+        pointerX: px,
+        pointerY: py
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * ClipRecorder - Frame encoders and tilt paths for sticker.recordClip()
+ *
+ * Frames are pushed one at a time from a deterministic render loop:
+ * - WebM via canvas.captureStream(0) + MediaRecorder (frames paced to the clip rate,
+ *   since MediaRecorder timestamps by wall clock)
+ * - GIF via the pure-JS GifEncoder where MediaRecorder or WebM is unavailable
+ */
+
+import { GifEncoder } from '../utils/GifEncoder.js'
+
+const TWO_PI = Math.PI * 2
+
+/**
+ * Built-in tilt paths: t runs 0 → 1 over the clip and every path returns to its
+ * start at t = 1, so the clip loops without a seam. Values use setTilt() space.
+ */
+export const TILT_PATHS = {
+    orbit: (t) => ({ x: Math.cos(TWO_PI * t), y: Math.sin(TWO_PI * t) }),
+    sway: (t) => ({ x: Math.sin(TWO_PI * t), y: 0 }),
+    nod: (t) => ({ x: 0, y: Math.sin(TWO_PI * t) }),
+    figure8: (t) => ({ x: Math.sin(TWO_PI * t), y: Math.sin(TWO_PI * 2 * t) * 0.5 })
+}
+
+// MediaRecorder types in order of preference
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+/**
+ * Resolve a tilt path name or function
+ * @param {string|Function} path - TILT_PATHS name or (t) => {x, y}
+ * @returns {Function}
+ */
+export function resolveTiltPath(path) {
+    if (typeof path === 'function') return path
+    const fn = TILT_PATHS[path]
+    if (!fn) {
+        throw new Error(`ClipRecorder: Unknown tilt path '${path}'. Available: ${Object.keys(TILT_PATHS).join(', ')}`)
+    }
+    return fn
+}
+
+/**
+ * Sample a tilt path for every frame of a loop
+ * Frame i samples t = i / frameCount, so the frame after the last is frame 0 again.
+ * @param {string|Function} path - TILT_PATHS name or (t) => {x, y}
+ * @param {number} frameCount - Frames in the loop
+ * @param {number} amplitude - Scale applied to the path (0-1)
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function sampleTiltPath(path, frameCount, amplitude = 1) {
+    const fn = resolveTiltPath(path)
+    const frames = []
+    for (let i = 0; i < frameCount; i++) {
+        const { x = 0, y = 0 } = fn(i / frameCount) ?? {}
+        frames.push({
+            x: Math.max(-1, Math.min(1, x * amplitude)),
+            y: Math.max(-1, Math.min(1, y * amplitude))
+        })
+    }
+    return frames
+}
+
+/**
+ * Best WebM type MediaRecorder supports here
+ * @returns {string|null} MIME type, or null if WebM recording is unavailable
+ */
+export function getWebmMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined') return null
+    if (typeof HTMLCanvasElement.prototype.captureStream !== 'function') return null
+    return WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? null
+}
+
+/**
+ * Base class: owns the 2D canvas frames are composited onto
+ */
+class ClipEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {number} fps
+     * @param {string|null} background - Fill colour behind each frame (null = transparent)
+     */
+    constructor(width, height, fps, background) {
+        this.width = width
+        this.height = height
+        this.fps = fps
+        this.background = background
+
+        this.canvas = document.createElement('canvas')
+        this.canvas.width = width
+        this.canvas.height = height
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true })
+    }
+
+    /**
+     * Composite a rendered frame onto the encoder canvas
+     * @param {CanvasImageSource} source
+     */
+    _drawFrame(source) {
+        this.ctx.clearRect(0, 0, this.width, this.height)
+        if (this.background) {
+            this.ctx.fillStyle = this.background
+            this.ctx.fillRect(0, 0, this.width, this.height)
+        }
+        this.ctx.drawImage(source, 0, 0, this.width, this.height)
+    }
+
+    /**
+     * Release the encoder without producing output
+     */
+    abort() {}
+}
+
+export class WebmClipEncoder extends ClipEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {number} fps
+     * @param {Object} options
+     * @param {string} options.mimeType - From getWebmMimeType()
+     * @param {number} options.bitrate - Video bits per second (default: 8 Mbps)
+     * @param {string|null} options.background
+     */
+    constructor(width, height, fps, options) {
+        super(width, height, fps, options.background)
+        this.mimeType = options.mimeType
+        this.format = 'webm'
+
+        this.stream = this.canvas.captureStream(0)
+        this.track = this.stream.getVideoTracks()[0]
+        this.chunks = []
+        this.recorder = new MediaRecorder(this.stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: options.bitrate ?? 8_000_000
+        })
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data)
+        }
+
+        this._frameInterval = 1000 / fps
+        this._nextFrameAt = null
+        this.recorder.start()
+    }
+
+    /**
+     * Submit a frame (waits until its slot so every frame lasts exactly 1/fps)
+     * @param {CanvasImageSource} source
+     */
+    async addFrame(source) {
+        if (this._nextFrameAt !== null) {
+            await waitUntil(this._nextFrameAt)
+        } else {
+            this._nextFrameAt = performance.now()
+        }
+        this._nextFrameAt += this._frameInterval
+
+        this._drawFrame(source)
+        this.track.requestFrame()
+    }
+
+    /**
+     * Stop recording once the last frame has had its full duration
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        if (this._nextFrameAt !== null) await waitUntil(this._nextFrameAt)
+
+        const stopped = new Promise((resolve) => {
+            this.recorder.onstop = resolve
+        })
+        this.recorder.stop()
+        await stopped
+        this.track.stop()
+
+        return new Blob(this.chunks, { type: this.mimeType.split(';')[0] })
+    }
+
+    abort() {
+        if (this.recorder.state !== 'inactive') this.recorder.stop()
+        this.track.stop()
+        this.chunks = []
+    }
+}
+
+export class GifClipEncoder extends ClipEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {number} fps
+     * @param {Object} options
+     * @param {string|null} options.background
+     */
+    constructor(width, height, fps, options) {
+        super(width, height, fps, options.background)
+        this.format = 'gif'
+        this.gif = new GifEncoder(width, height)
+    }
+
+    /**
+     * Encode a frame immediately (no pacing needed)
+     * @param {CanvasImageSource} source
+     */
+    async addFrame(source) {
+        this._drawFrame(source)
+        const { data } = this.ctx.getImageData(0, 0, this.width, this.height)
+        this.gif.addFrame(data, 1000 / this.fps)
+    }
+
+    /**
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        return new Blob([this.gif.finish()], { type: 'image/gif' })
+    }
+}
+
+/**
+ * Create the encoder for a clip format
+ * @param {string} format - 'auto' (WebM, else GIF), 'webm' or 'gif'
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fps
+ * @param {Object} options - bitrate, background
+ * @returns {WebmClipEncoder|GifClipEncoder}
+ */
+export function createClipEncoder(format, width, height, fps, options = {}) {
+    if (!['auto', 'webm', 'gif'].includes(format)) {
+        throw new Error(`ClipRecorder: Unknown format '${format}'. Use 'auto', 'webm' or 'gif'`)
+    }
+
+    if (format !== 'gif') {
+        const mimeType = getWebmMimeType()
+        if (mimeType) {
+            return new WebmClipEncoder(width, height, fps, { ...options, mimeType })
+        }
+        if (format === 'webm') {
+            console.warn('ClipRecorder: WebM recording not supported here, falling back to GIF')
+        }
+    }
+
+    return new GifClipEncoder(width, height, fps, options)
+}
+
+function waitUntil(timestamp) {
+    const delay = timestamp - performance.now()
+    if (delay <= 0) return Promise.resolve()
+    return new Promise(resolve => setTimeout(resolve, delay))
+}
@@ -0,0 +1,142 @@
+/**
+ * MotionPolicy - Page-wide motion and power state shared by every card
+ *
+ * Tracks prefers-reduced-motion, tab visibility and, where the Battery Status
+ * API exists, a low and discharging battery. Cards subscribe while their
+ * render loop runs; the browser listeners are only installed while someone
+ * is subscribed.
+ *
+ * A card's `motion` option decides how it reacts:
+ *   'auto'    - follow prefers-reduced-motion (default)
+ *   'full'    - always animate
+ *   'reduced' - static hero frame: no idle wobble, frozen shader time and
+ *               poster frames for video; the card only tilts on interaction
+ */
+
+import { CONFIG } from '../config.js'
+
+export const MOTION_MODES = ['auto', 'full', 'reduced']
+
+// rAF timestamps jitter, so frames this close to the interval still count
+const FRAME_TOLERANCE = 3
+
+/**
+ * Whether a card should use reduced motion
+ * @param {string} mode - 'auto' | 'full' | 'reduced'
+ * @param {boolean} prefersReducedMotion - The user's system setting
+ * @returns {boolean}
+ */
+export function isReducedMotion(mode, prefersReducedMotion) {
+    return mode === 'reduced' || (mode !== 'full' && prefersReducedMotion)
+}
+
+/**
+ * Minimum time between drawn frames
+ * @param {number} maxFps - Frame rate cap (0 = display rate)
+ * @param {boolean} lowPower - Whether the low-battery cap applies
+ * @returns {number} Milliseconds (0 = draw every display frame)
+ */
+export function getFrameInterval(maxFps, lowPower = false) {
+    let fps = maxFps > 0 ? maxFps : Infinity
+    if (lowPower) fps = Math.min(fps, CONFIG.motion.lowPowerFps)
+    return Number.isFinite(fps) ? 1000 / fps : 0
+}
+
+/**
+ * Whether enough time has passed to draw the next frame
+ * @param {number} elapsed - Milliseconds since the last drawn frame
+ * @param {number} interval - From getFrameInterval()
+ * @returns {boolean}
+ */
+export function shouldDrawFrame(elapsed, interval) {
+    return interval <= 0 || elapsed >= interval - FRAME_TOLERANCE
+}
+
+export class MotionPolicy {
+    static instance = null
+
+    /**
+     * Get the singleton instance
+     * @returns {MotionPolicy}
+     */
+    static getInstance() {
+        if (!MotionPolicy.instance) {
+            MotionPolicy.instance = new MotionPolicy()
+        }
+        return MotionPolicy.instance
+    }
+
+    constructor() {
+        this.prefersReducedMotion = false
+        this.hidden = false
+        this.lowPower = false
+
+        this._listeners = new Set()
+        this._cleanup = []
+    }
+
+    /**
+     * Listen for changes (the listener is called with the policy)
+     * @param {Function} listener
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this._listeners.add(listener)
+        if (this._listeners.size === 1) this._install()
+
+        return () => {
+            if (!this._listeners.delete(listener)) return
+            if (this._listeners.size === 0) this._uninstall()
+        }
+    }
+
+    _install() {
+        if (typeof window === 'undefined') return
+
+        const query = window.matchMedia?.('(prefers-reduced-motion: reduce)')
+        if (query) {
+            const onMotionChange = () => this._update({ prefersReducedMotion: query.matches })
+            query.addEventListener('change', onMotionChange)
+            this._cleanup.push(() => query.removeEventListener('change', onMotionChange))
+            this.prefersReducedMotion = query.matches
+        }
+
+        const onVisibilityChange = () => this._update({ hidden: document.visibilityState === 'hidden' })
+        document.addEventListener('visibilitychange', onVisibilityChange)
+        this._cleanup.push(() => document.removeEventListener('visibilitychange', onVisibilityChange))
+        this.hidden = document.visibilityState === 'hidden'
+
+        // Battery Status API (Chromium only); resolves after we may have uninstalled
+        const cleanup = this._cleanup
+        navigator.getBattery?.().then(battery => {
+            if (this._cleanup !== cleanup) return
+            const onBatteryChange = () => this._update({
+                lowPower: !battery.charging && battery.level <= CONFIG.motion.lowBatteryLevel
+            })
+            battery.addEventListener('levelchange', onBatteryChange)
+            battery.addEventListener('chargingchange', onBatteryChange)
+            cleanup.push(() => {
+                battery.removeEventListener('levelchange', onBatteryChange)
+                battery.removeEventListener('chargingchange', onBatteryChange)
+            })
+            onBatteryChange()
+        }).catch(() => {})
+    }
+
+    _uninstall() {
+        for (const cleanup of this._cleanup) cleanup()
+        this._cleanup = []
+        this.lowPower = false
+    }
+
+    /**
+     * Apply a state change and notify listeners if anything changed
+     * @param {Object} state - Any of prefersReducedMotion, hidden, lowPower
+     */
+    _update(state) {
+        const changed = Object.entries(state).some(([key, value]) => this[key] !== value)
+        if (!changed) return
+        Object.assign(this, state)
+        for (const listener of [...this._listeners]) listener(this)
+    }
+}
@@ -4,20 +4,28 @@
  * Contains shared resources that are expensive to create:
  * - OffscreenCanvas (or hidden canvas fallback)
  * - WebGL2 context
- * - Geometry (shared quad)
- * - ShaderManager (all shaders pre-compiled)
+ * - Geometry (shared quad, plus cached rounded/thick card meshes)
+ * - ShaderManager (all shaders pre-compiled, including runtime-registered ones)
  * - Procedural textures (rainbow, noise, foil, depth)
  *
  * Does NOT contain card-specific resources:
  * - Card base texture
  * - Effect masks
  * - Text textures
+ * (those live in TextureCache, keyed by this context's id, and are dropped with it)
+ *
+ * Context loss: the context is marked invalid on 'webglcontextlost' and its
+ * shared resources are re-created on 'webglcontextrestored'; onLost/onRestored
+ * tell the pool, which passes it on to the current owner (whose card-specific
+ * resources died with the context).
  */
 
 import { Geometry } from '../core/Geometry.js'
 import { ShaderManager } from '../shaders/ShaderManager.js'
 import { createRainbowGradient, createNoiseTexture, createFoilPattern, createDepthMap } from '../core/ProceduralTextures.js'
 import * as ShaderRegistry from './ShaderRegistry.js'
+import { getCustomShaders } from '../shaders/CustomShaders.js'
+import { TextureCache } from './TextureCache.js'
 
 export class PooledRenderContext {
     /**
@@ -36,6 +44,7 @@ export class PooledRenderContext {
 
         // Shared resources
         this.geometry = null
+        this.cardMeshes = new Map()  // Rounded/thick card meshes keyed by shape params
         this.shaderManager = null
         this.proceduralTextures = {
             rainbow: null,
@@ -47,7 +56,20 @@ export class PooledRenderContext {
         // State
         this.inUse = false
         this.currentOwner = null
+        this.borrowed = null     // BorrowedContext handed to the owner (set by the pool)
+        this.priority = 0        // Borrow priority of the owner (see WebGLContextPool)
+        this.assignedAt = 0      // performance.now() when the owner got the context
+        this.preempting = false  // Owner was asked to give the context up
         this.isInitialized = false
+        this.isLost = false
+        this.generation = 0      // Incremented on every restore; older GL objects are invalid
+
+        // Context loss callbacks (set by the pool)
+        this.onLost = null
+        this.onRestored = null
+
+        this._handleContextLost = (event) => this._onContextLost(event)
+        this._handleContextRestored = () => this._onContextRestored()
     }
 
     /**
@@ -79,31 +101,11 @@ export class PooledRenderContext {
                 return false
             }
 
-            // Configure GL state
-            const gl = this.gl
-            gl.enable(gl.BLEND)
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
-            gl.enable(gl.DEPTH_TEST)
-            gl.depthFunc(gl.LEQUAL)
-            gl.clearColor(0, 0, 0, 0)
-            gl.viewport(0, 0, this.width, this.height)
-
-            // Create shared geometry (card quad)
-            this.geometry = new Geometry(this.gl)
-            this.geometry.createQuad(1, 1.6) // 5:8 aspect ratio
-
-            // Create shader manager and compile all shaders
-            this.shaderManager = new ShaderManager(this.gl, {
-                useBundled: true,
-                shaderRegistry: ShaderRegistry
-            })
-            this.shaderManager.loadAllFromRegistry()
+            // preventDefault() on loss lets the browser restore the context later
+            this.canvas.addEventListener('webglcontextlost', this._handleContextLost)
+            this.canvas.addEventListener('webglcontextrestored', this._handleContextRestored)
 
-            // Create procedural textures
-            this.proceduralTextures.rainbow = createRainbowGradient(this.gl)
-            this.proceduralTextures.noise = createNoiseTexture(this.gl)
-            this.proceduralTextures.foil = createFoilPattern(this.gl)
-            this.proceduralTextures.depth = createDepthMap(this.gl)
+            this._createResources()
 
             this.isInitialized = true
             return true
@@ -115,6 +117,80 @@ export class PooledRenderContext {
         }
     }
 
+    /**
+     * Configure GL state and create the shared resources
+     */
+    _createResources() {
+        // Configure GL state
+        const gl = this.gl
+        gl.enable(gl.BLEND)
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
+        gl.enable(gl.DEPTH_TEST)
+        gl.depthFunc(gl.LEQUAL)
+        gl.clearColor(0, 0, 0, 0)
+        gl.viewport(0, 0, this.width, this.height)
+
+        // Create shared geometry (card quad)
+        this.geometry = new Geometry(this.gl)
+        this.geometry.createDoubleSidedQuad(1, 1.6) // 5:8 aspect ratio, front + back face
+
+        // Create shader manager and compile all shaders
+        this.shaderManager = new ShaderManager(this.gl, {
+            useBundled: true,
+            shaderRegistry: ShaderRegistry
+        })
+        this.shaderManager.loadAllFromRegistry()
+        this.shaderManager.loadMaterialsFromRegistry()
+
+        // Shaders registered at runtime before this context existed
+        for (const [name, definition] of getCustomShaders()) {
+            try {
+                this.shaderManager.loadCustomShader(name, definition)
+            } catch (err) {
+                console.error(`PooledRenderContext ${this.id}: Custom shader '${name}' failed to compile`, err)
+            }
+        }
+
+        // Create procedural textures
+        this.proceduralTextures.rainbow = createRainbowGradient(this.gl)
+        this.proceduralTextures.noise = createNoiseTexture(this.gl)
+        this.proceduralTextures.foil = createFoilPattern(this.gl)
+        this.proceduralTextures.depth = createDepthMap(this.gl)
+    }
+
+    /**
+     * Handle 'webglcontextlost': drop the dead resources until the context is restored
+     * @param {Event} event
+     */
+    _onContextLost(event) {
+        event.preventDefault()
+        if (this.isLost) return
+
+        console.warn(`PooledRenderContext ${this.id}: WebGL context lost`)
+        this.isLost = true
+        this._cleanup()
+        this.onLost?.(this)
+    }
+
+    /**
+     * Handle 'webglcontextrestored': re-create the shared resources
+     */
+    _onContextRestored() {
+        if (!this.isLost || !this.gl) return
+
+        try {
+            this._createResources()
+        } catch (err) {
+            console.error(`PooledRenderContext ${this.id}: Failed to restore resources`, err)
+            this._cleanup()
+            return
+        }
+
+        this.isLost = false
+        this.generation++
+        this.onRestored?.(this)
+    }
+
     /**
      * Create a canvas for rendering
      * @returns {OffscreenCanvas|HTMLCanvasElement}
@@ -134,6 +210,31 @@ export class PooledRenderContext {
         return canvas
     }
 
+    /**
+     * Get a card mesh for the given shape, creating and caching it on first use
+     * Flat square cards share the default double-sided quad.
+     * @param {Object} shape
+     * @param {number} shape.cornerRadius - Corner radius in card widths
+     * @param {number} shape.thickness - Edge thickness in card widths
+     * @returns {Geometry}
+     */
+    getCardMesh({ cornerRadius = 0, thickness = 0 } = {}) {
+        if (cornerRadius <= 0 && thickness <= 0) return this.geometry
+
+        const key = `${cornerRadius}:${thickness}`
+        let mesh = this.cardMeshes.get(key)
+        if (!mesh) {
+            mesh = new Geometry(this.gl).createCardMesh({
+                width: 1,
+                height: 1.6,
+                cornerRadius,
+                thickness
+            })
+            this.cardMeshes.set(key, mesh)
+        }
+        return mesh
+    }
+
     /**
      * Resize the canvas
      * @param {number} width - New width
@@ -152,10 +253,14 @@ export class PooledRenderContext {
     /**
      * Assign this context to an owner (sticker instance)
      * @param {object} owner - The owner requesting this context
+     * @param {number} priority - Borrow priority level (see WebGLContextPool)
      */
-    assignTo(owner) {
+    assignTo(owner, priority = 0) {
         this.inUse = true
         this.currentOwner = owner
+        this.priority = priority
+        this.assignedAt = performance.now()
+        this.preempting = false
     }
 
     /**
@@ -164,6 +269,8 @@ export class PooledRenderContext {
     release() {
         this.inUse = false
         this.currentOwner = null
+        this.borrowed = null
+        this.preempting = false
 
         // Clear the canvas for next user
         if (this.gl && !this.gl.isContextLost()) {
@@ -177,7 +284,7 @@ export class PooledRenderContext {
      * @returns {boolean}
      */
     isValid() {
-        return this.gl && !this.gl.isContextLost() && this.isInitialized
+        return this.gl && !this.isLost && !this.gl.isContextLost() && this.isInitialized
     }
 
     /**
@@ -186,6 +293,13 @@ export class PooledRenderContext {
     _cleanup() {
         this.geometry?.destroy()
         this.shaderManager?.destroy()
+        for (const mesh of this.cardMeshes.values()) {
+            mesh.destroy()
+        }
+        this.cardMeshes.clear()
+
+        // Cached card textures die with the context
+        TextureCache.getInstance().dropContext(this.id)
 
         // Clean up procedural textures
         for (const texture of Object.values(this.proceduralTextures)) {
@@ -220,15 +334,20 @@ export class PooledRenderContext {
             }
         }
 
+        this.canvas?.removeEventListener('webglcontextlost', this._handleContextLost)
+        this.canvas?.removeEventListener('webglcontextrestored', this._handleContextRestored)
+        this.onLost = null
+        this.onRestored = null
+
         // Remove hidden canvas from DOM if it's an HTMLCanvasElement
-        if (this.canvas instanceof HTMLCanvasElement && this.canvas.parentElement) {
-            this.canvas.parentElement.removeChild(this.canvas)
-        }
+        this.canvas?.parentElement?.removeChild(this.canvas)
 
         this.gl = null
         this.canvas = null
         this.isInitialized = false
+        this.isLost = false
         this.inUse = false
         this.currentOwner = null
+        this.borrowed = null
     }
 }
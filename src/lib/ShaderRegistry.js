@@ -86,9 +86,59 @@ uniform vec2 u_mousePosition;
 uniform vec2 u_cardRotation;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
 
 out vec4 fragColor;
 
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 void main() {
     vec4 baseColor = texture(u_baseTexture, v_uv);
     vec3 finalColor = baseColor.rgb;
@@ -97,24 +147,28 @@ void main() {
     float mask = texture(u_effectMask, v_uv).r;
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Overlay text on base texture (white text)
-    float textAlpha = texture(u_textTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), textAlpha);
+    // Overlay text on base texture
+    finalColor = overlayText(finalColor, texture(u_textTexture, v_uv), 1.0);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = 1 for card pixels (no bloom for base shader, handled by bloom threshold)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -127,6 +181,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -145,26 +201,104 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Effect parameters
-const float FRESNEL_POWER = 2.5;
-const float CHROMATIC_ABERRATION = 0.008;
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
+uniform float u_chromaticAberration;  // @param 0.008 [0.0, 0.05]
 
 // Multi-layer rainbow parameters
-const float RAINBOW_INTENSITY_1 = 0.5;   // Large scale rainbow
-const float RAINBOW_INTENSITY_2 = 0.3;   // Medium scale rainbow
-const float RAINBOW_INTENSITY_3 = 0.2;   // Fine scale rainbow
+uniform float u_rainbowIntensity1;  // @param 0.5 [0.0, 1.5] Large scale rainbow
+uniform float u_rainbowIntensity2;  // @param 0.3 [0.0, 1.5] Medium scale rainbow
+uniform float u_rainbowIntensity3;  // @param 0.2 [0.0, 1.5] Fine scale rainbow
 
 // Sparkle parameters
-const float SPARKLE_DENSITY = 80.0;
-const float SPARKLE_THRESHOLD = 0.92;
-const float SPARKLE_INTENSITY = 1.5;
+uniform float u_sparkleDensity;  // @param 80.0 [10.0, 300.0]
+uniform float u_sparkleThreshold;  // @param 0.92 [0.5, 0.999]
+uniform float u_sparkleIntensity;  // @param 1.5 [0.0, 4.0]
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 vec3 chromaticAberration(sampler2D tex, vec2 uv, float amount) {
@@ -197,6 +331,9 @@ float getRainbowPhase(vec2 uv, vec2 tilt, float lightAngle, float fresnel, float
 }
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     float tiltMagnitude = length(u_cardRotation);
     // 0% minimum when no mask, 30% minimum when mask is active
     float minEffect = u_maskActive > 0.5 ? 0.3 : 0.0;
@@ -208,7 +345,7 @@ void main() {
     float alpha = originalBase.a;
 
     // Base color with chromatic aberration based on tilt
-    float chromaAmount = CHROMATIC_ABERRATION * tiltMagnitude * 3.0;
+    float chromaAmount = u_chromaticAberration * tiltMagnitude * 3.0;
     vec3 baseColor = chromaticAberration(u_baseTexture, v_uv, chromaAmount);
 
     // Sample noise texture for organic variation
@@ -216,11 +353,11 @@ void main() {
     float noiseValue = noise.r;
 
     // Calculate fresnel for edge effects
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
 
     // Calculate light reflection angle
     vec3 lightDir = normalize(vec3(0.0, 0.5, 1.0));
-    vec3 reflectDir = reflect(-lightDir, v_worldNormal);
+    vec3 reflectDir = reflect(-lightDir, surfaceNormal);
     float lightAngle = max(dot(reflectDir, v_viewDirection), 0.0);
 
     // === MULTI-LAYER RAINBOW ===
@@ -241,13 +378,13 @@ void main() {
     effectStrength *= (0.4 + lightAngle * 0.6);
 
     vec3 rainbowCombined = vec3(0.0);
-    rainbowCombined += rainbow1 * RAINBOW_INTENSITY_1;
-    rainbowCombined += rainbow2 * RAINBOW_INTENSITY_2;
-    rainbowCombined += rainbow3 * RAINBOW_INTENSITY_3;
+    rainbowCombined += rainbow1 * u_rainbowIntensity1;
+    rainbowCombined += rainbow2 * u_rainbowIntensity2;
+    rainbowCombined += rainbow3 * u_rainbowIntensity3;
     rainbowCombined *= effectStrength;
 
     // === MICRO-SPARKLE ===
-    vec2 sparkleUV = v_uv * SPARKLE_DENSITY;
+    vec2 sparkleUV = v_uv * u_sparkleDensity;
     vec2 sparkleCell = floor(sparkleUV);
     vec2 sparkleFract = fract(sparkleUV);
 
@@ -258,7 +395,7 @@ void main() {
             vec2 cell = sparkleCell + vec2(float(x), float(y));
             float h = hash(cell);
 
-            if (h > SPARKLE_THRESHOLD) {
+            if (h > u_sparkleThreshold) {
                 // Random position within cell
                 vec2 sparklePos = vec2(hash(cell + 1.0), hash(cell + 2.0));
                 float dist = length(sparkleFract - sparklePos - vec2(float(x), float(y)));
@@ -269,7 +406,7 @@ void main() {
                 // Sharp sparkle falloff
                 float sparkleSize = 0.08 * (0.5 + h * 0.5);
                 float sparkleBright = smoothstep(sparkleSize, sparkleSize * 0.2, dist);
-                sparkleBright *= visibility * SPARKLE_INTENSITY * (0.5 + h * 0.5);
+                sparkleBright *= visibility * u_sparkleIntensity * (0.5 + h * 0.5);
 
                 sparkle += sparkleBright;
             }
@@ -304,28 +441,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -338,6 +481,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -354,24 +499,105 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Effect parameters
-const float SPECULAR_POWER = 64.0;
-const float SPARKLE_INTENSITY = 1.2;
-const float SPARKLE_THRESHOLD = 0.85;
+uniform float u_specularPower;  // @param 64.0 [4.0, 256.0]
+uniform float u_sparkleIntensity;  // @param 1.2 [0.0, 4.0]
+uniform float u_sparkleThreshold;  // @param 0.85 [0.5, 0.999]
 
 float calculateSpecular(vec3 normal, vec3 viewDir, vec3 lightDir) {
     vec3 halfVec = normalize(lightDir + viewDir);
     float spec = max(dot(normal, halfVec), 0.0);
-    return pow(spec, SPECULAR_POWER);
+    return pow(spec, u_specularPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -388,7 +614,7 @@ void main() {
     ));
 
     // Main specular highlight
-    float spec = calculateSpecular(v_worldNormal, v_viewDirection, lightDir);
+    float spec = calculateSpecular(surfaceNormal, v_viewDirection, lightDir);
 
     // Sparkle pattern - visibility depends on light angle, not time
     vec2 sparkleUV = v_uv * 40.0;
@@ -396,11 +622,11 @@ void main() {
 
     // Sparkles appear based on how the light hits each micro-facet
     float sparkleAngle = spec * 0.5 + 0.5;
-    float sparkleThreshold = SPARKLE_THRESHOLD - effectIntensity * 0.1;
+    float sparkleThreshold = u_sparkleThreshold - effectIntensity * 0.1;
     float sparkle = 0.0;
     if (sparkleNoise > sparkleThreshold) {
         // Sparkle intensity based on angle alignment
-        sparkle = (sparkleNoise - sparkleThreshold) * SPARKLE_INTENSITY;
+        sparkle = (sparkleNoise - sparkleThreshold) * u_sparkleIntensity;
         sparkle *= sparkleAngle;
     }
 
@@ -428,7 +654,7 @@ void main() {
     circular = circular * circular * (0.35 + spec * 0.6) * effectIntensity * coreBrightness;
 
     // Fresnel for edge glint
-    float fresnel = 1.0 - max(dot(v_worldNormal, v_viewDirection), 0.0);
+    float fresnel = 1.0 - max(dot(surfaceNormal, v_viewDirection), 0.0);
     fresnel = fresnel * fresnel * fresnel;
 
     // Metallic tint
@@ -447,28 +673,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -481,6 +713,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -496,9 +730,87 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Hash functions for procedural generation
 float hash(vec2 p) {
     p = fract(p * vec2(234.34, 435.345));
@@ -549,20 +861,39 @@ float starLayer(vec2 uv, float density, float seed, float starSize) {
     return stars;
 }
 
-// Star layer parameters - 7 layers
-const int NUM_LAYERS = 7;
+// Star layer count (the per-layer arrays below hold 7)
+uniform int u_numLayers;  // @param 7 [1, 7]
+
+// Art parallax from the card's depth map (white = foreground, black = background)
+uniform float u_depthScale;  // @param 0.04 [0.0, 0.15] How far the art layers separate when tilted
+
+// Shift the art by its depth; a few fixed-point steps keep
+// foreground edges from smearing over the background
+vec2 depthParallaxUV(vec2 uv, vec2 direction) {
+    vec2 shifted = uv;
+    for (int i = 0; i < 4; i++) {
+        float depth = texture(u_depthMap, shifted).r;
+        shifted = uv + direction * (depth - 0.5) * u_depthScale;
+    }
+    return clamp(shifted, 0.0, 1.0);
+}
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
-    // Get base card texture (no parallax on this)
-    vec4 baseColor = texture(u_baseTexture, v_uv);
-    vec3 originalColor = baseColor.rgb;  // Store for mask blending
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
 
     // Tilt vector for parallax
     vec2 tilt = u_cardRotation;
     float tiltMagnitude = length(tilt);
+
+    // Get base card texture, its foreground shifted against the background
+    // Swap axes to match the star layers: tilt.y -> uv.x, tilt.x -> uv.y
+    vec2 artUV = depthParallaxUV(v_uv, vec2(tilt.y, tilt.x));
+    vec4 baseColor = texture(u_baseTexture, artUV);
+    vec3 originalColor = baseColor.rgb;  // Store for mask blending
     float effectIntensity = MIN_EFFECT + tiltMagnitude * (1.0 - MIN_EFFECT);
 
     // Star layer configuration - 7 layers
@@ -619,7 +950,7 @@ void main() {
     // Accumulate stars from all layers
     vec3 starColor = vec3(0.0);
 
-    for (int i = 0; i < NUM_LAYERS; i++) {
+    for (int i = 0; i < min(u_numLayers, 7); i++) {
         // Apply parallax offset to UV
         // Swap axes: tilt.y (horizontal mouse) -> uv.x, tilt.x (vertical mouse) -> uv.y
         vec2 offsetUV = v_uv + vec2(tilt.y, tilt.x) * parallaxStrengths[i];
@@ -632,7 +963,7 @@ void main() {
     }
 
     // Fresnel rim effect for depth
-    float fresnel = 1.0 - max(dot(v_worldNormal, v_viewDirection), 0.0);
+    float fresnel = 1.0 - max(dot(surfaceNormal, v_viewDirection), 0.0);
     fresnel = pow(fresnel, 2.5);
     vec3 rimGlow = vec3(0.3, 0.4, 0.8) * fresnel * 0.5 * effectIntensity;
 
@@ -648,28 +979,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -682,6 +1019,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -698,15 +1037,93 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const float CELL_SCALE = 12.0;
-const float CRACK_WIDTH = 0.04;
-const float CRACK_GLOW = 1.0;
-const float CELL_TINT_STRENGTH = 0.4;
-const float FRESNEL_POWER = 2.5;
+uniform float u_cellScale;  // @param 12.0 [2.0, 40.0]
+uniform float u_crackWidth;  // @param 0.04 [0.005, 0.2]
+uniform float u_crackGlow;  // @param 1.0 [0.0, 3.0]
+uniform float u_cellTintStrength;  // @param 0.4 [0.0, 1.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Hash functions
 float hash(vec2 p) {
@@ -789,13 +1206,16 @@ float voronoiEdge(vec2 uv, float scale) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -808,11 +1228,11 @@ void main() {
     // Calculate voronoi
     vec2 cellCenter;
     float cellId;
-    float dist = voronoi(v_uv, CELL_SCALE, cellCenter, cellId);
-    float edgeDist = voronoiEdge(v_uv, CELL_SCALE);
+    float dist = voronoi(v_uv, u_cellScale, cellCenter, cellId);
+    float edgeDist = voronoiEdge(v_uv, u_cellScale);
 
     // Crack lines (edges between cells)
-    float crack = 1.0 - smoothstep(0.0, CRACK_WIDTH, edgeDist);
+    float crack = 1.0 - smoothstep(0.0, u_crackWidth, edgeDist);
 
     // Each cell gets a unique color tint based on tilt
     float cellPhase = fract(cellId + tilt.x * 0.5 + tilt.y * 0.5);
@@ -822,18 +1242,18 @@ void main() {
     float cellBrightness = 0.85 + cellId * 0.3;
 
     // Apply cell tint based on effect intensity
-    vec3 cellColor = mix(baseColor, baseColor * cellTint, CELL_TINT_STRENGTH * effectIntensity);
+    vec3 cellColor = mix(baseColor, baseColor * cellTint, u_cellTintStrength * effectIntensity);
     cellColor *= cellBrightness;
 
     // Light direction based on tilt
     vec3 lightDir = normalize(vec3(tilt.y * 2.0, -tilt.x * 2.0 + 0.5, 1.0));
 
     // Specular highlight per cell (each cell reflects differently)
-    vec3 cellNormal = normalize(vec3(
+    vec3 cellNormal = perturbTangentNormal(normalize(vec3(
         (cellId - 0.5) * 0.3,
         (hash(vec2(cellId * 10.0, 0.0)) - 0.5) * 0.3,
         1.0
-    ));
+    )), v_uv);
     vec3 reflectDir = reflect(-lightDir, cellNormal);
     float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), 32.0);
     spec *= effectIntensity;
@@ -842,10 +1262,10 @@ void main() {
     vec3 crackColor = vec3(0.7, 0.9, 1.0);
 
     // Crack glow intensity increases with effect
-    float crackGlow = crack * CRACK_GLOW * (0.3 + effectIntensity * 0.7);
+    float crackGlow = crack * u_crackGlow * (0.3 + effectIntensity * 0.7);
 
     // Fresnel for edge effect
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.5, 0.7, 1.0);
     vec3 rim = rimColor * fresnel * 0.4 * effectIntensity;
 
@@ -861,28 +1281,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -895,6 +1321,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -911,26 +1339,107 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const float NUM_LINES = 24.0;
-const float LINE_SHARPNESS = 2.5;
-const float RAINBOW_INTENSITY = 0.5;
-const float HOTSPOT_SIZE = 12.0;
-const float FRESNEL_POWER = 2.5;
+uniform float u_numLines;  // @param 24.0 [4.0, 96.0]
+uniform float u_lineSharpness;  // @param 2.5 [0.5, 8.0]
+uniform float u_rainbowIntensity;  // @param 0.5 [0.0, 1.5]
+uniform float u_hotspotSize;  // @param 12.0 [1.0, 40.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 const float PI = 3.14159265359;
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -948,12 +1457,12 @@ void main() {
 
     // Create radial lines that rotate with tilt
     float lineAngle = angle + tilt.y * 3.0 + tilt.x * 2.0;
-    float lines = sin(lineAngle * NUM_LINES) * 0.5 + 0.5;
-    lines = pow(lines, LINE_SHARPNESS);
+    float lines = sin(lineAngle * u_numLines) * 0.5 + 0.5;
+    lines = pow(lines, u_lineSharpness);
 
     // Add secondary finer lines
-    float fineLines = sin(lineAngle * NUM_LINES * 2.0 + PI * 0.5) * 0.5 + 0.5;
-    fineLines = pow(fineLines, LINE_SHARPNESS * 1.5) * 0.3;
+    float fineLines = sin(lineAngle * u_numLines * 2.0 + PI * 0.5) * 0.5 + 0.5;
+    fineLines = pow(fineLines, u_lineSharpness * 1.5) * 0.3;
     lines = lines * 0.7 + fineLines;
 
     // Rainbow color based on angle (shifts with tilt)
@@ -964,12 +1473,12 @@ void main() {
     float radialFade = 1.0 - smoothstep(0.2, 0.8, dist);
 
     // Central hotspot glow
-    float hotspot = exp(-dist * dist * HOTSPOT_SIZE);
+    float hotspot = exp(-dist * dist * u_hotspotSize);
     hotspot *= effectIntensity * 1.5;
 
     // Combine line effect with rainbow
     float lineEffect = lines * radialFade;
-    vec3 refractorColor = rainbow * lineEffect * RAINBOW_INTENSITY * effectIntensity;
+    vec3 refractorColor = rainbow * lineEffect * u_rainbowIntensity * effectIntensity;
 
     // Add bright center
     vec3 hotspotColor = vec3(1.0, 0.98, 0.95) * hotspot;
@@ -979,7 +1488,7 @@ void main() {
     vec3 ringColor = rainbow * ring * 0.3 * effectIntensity;
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.6, 0.8, 1.0);
     vec3 rim = rimColor * fresnel * 0.35 * effectIntensity;
 
@@ -999,28 +1508,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -1033,6 +1548,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -1048,18 +1565,96 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const int STAR_LAYERS = 4;
-const float STAR_BRIGHTNESS = 1.2;
-const float FRESNEL_POWER = 2.5;
+uniform int u_starLayers;  // @param 4 [1, 4] Capped by the starTints array size
+uniform float u_starBrightness;  // @param 1.2 [0.0, 3.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Nebula parameters
-const float NEBULA_INTENSITY = 0.5;
-const float RAINBOW_BLEND = 0.35;
-const float ANGLE_THRESHOLD = 0.12;
+uniform float u_nebulaIntensity;  // @param 0.5 [0.0, 1.5]
+uniform float u_rainbowBlend;  // @param 0.35 [0.0, 1.0]
+uniform float u_angleThreshold;  // @param 0.12 [0.0, 0.5]
 
 // Hash functions
 float hash(vec2 p) {
@@ -1139,13 +1734,16 @@ float starLayer(vec2 uv, float density, float seed, float starSize) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -1161,19 +1759,19 @@ void main() {
     // Patch 1: upper left area
     float nebula1 = nebulaNoise(v_uv, vec2(0.15, 0.1));
     // Visible when tilting right (positive tilt.x)
-    float vis1 = smoothstep(ANGLE_THRESHOLD, ANGLE_THRESHOLD + 0.15, tilt.x);
+    float vis1 = smoothstep(u_angleThreshold, u_angleThreshold + 0.15, tilt.x);
     vis1 *= smoothstep(0.5, 0.3, tilt.x);
 
     // Patch 2: lower right area
     float nebula2 = nebulaNoise(v_uv, vec2(-0.25, -0.15));
     // Visible when tilting left (negative tilt.x)
-    float vis2 = smoothstep(-ANGLE_THRESHOLD, -ANGLE_THRESHOLD - 0.15, tilt.x);
+    float vis2 = smoothstep(-u_angleThreshold, -u_angleThreshold - 0.15, tilt.x);
     vis2 *= smoothstep(-0.5, -0.3, tilt.x);
 
     // Patch 3: center-bottom area
     float nebula3 = nebulaNoise(v_uv, vec2(0.0, -0.2));
     // Visible when tilting up/down (tilt.y)
-    float vis3 = smoothstep(ANGLE_THRESHOLD, ANGLE_THRESHOLD + 0.15, abs(tilt.y));
+    float vis3 = smoothstep(u_angleThreshold, u_angleThreshold + 0.15, abs(tilt.y));
     vis3 *= smoothstep(0.5, 0.3, abs(tilt.y));
 
     // === NEBULA COLORS ===
@@ -1191,9 +1789,9 @@ void main() {
     vec3 rainbow3 = texture(u_rainbowGradient, vec2(rainbowPhase3, 0.5)).rgb;
 
     // Blend base color with rainbow
-    vec3 finalNebula1 = mix(nebulaColor1, rainbow1, RAINBOW_BLEND * vis1);
-    vec3 finalNebula2 = mix(nebulaColor2, rainbow2, RAINBOW_BLEND * vis2);
-    vec3 finalNebula3 = mix(nebulaColor3, rainbow3, RAINBOW_BLEND * vis3);
+    vec3 finalNebula1 = mix(nebulaColor1, rainbow1, u_rainbowBlend * vis1);
+    vec3 finalNebula2 = mix(nebulaColor2, rainbow2, u_rainbowBlend * vis2);
+    vec3 finalNebula3 = mix(nebulaColor3, rainbow3, u_rainbowBlend * vis3);
 
     // Combine all nebula patches
     vec3 totalNebula = vec3(0.0);
@@ -1228,10 +1826,10 @@ void main() {
     starTints[2] = vec3(0.8, 0.9, 1.0);   // Cool
     starTints[3] = vec3(0.6, 0.7, 1.0);   // Blue (far)
 
-    for (int i = 0; i < STAR_LAYERS; i++) {
+    for (int i = 0; i < min(u_starLayers, 4); i++) {
         vec2 offsetUV = v_uv + vec2(tilt.y, tilt.x) * parallax[i];
         float stars = starLayer(offsetUV, densities[i], float(i) * 100.0, sizes[i]);
-        starColor += stars * STAR_BRIGHTNESS * starTints[i];
+        starColor += stars * u_starBrightness * starTints[i];
     }
 
     // === SHOOTING STAR (moves diagonally with up/down tilt) ===
@@ -1246,7 +1844,7 @@ void main() {
     shootStar *= smoothstep(0.05, 0.15, abs(tilt.y));  // Only visible when tilting up/down
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.4, 0.3, 0.8);
     vec3 rim = rimColor * fresnel * 0.5 * effectIntensity;
 
@@ -1254,7 +1852,7 @@ void main() {
     vec3 spaceBase = baseColor * 0.7;
 
     vec3 finalColor = spaceBase;
-    finalColor += totalNebula * NEBULA_INTENSITY;
+    finalColor += totalNebula * u_nebulaIntensity;
     finalColor += starColor;
     finalColor += vec3(shootStar) * vec3(1.0, 0.95, 0.8);
     finalColor += rim;
@@ -1262,28 +1860,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -1296,6 +1900,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -1313,27 +1919,108 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const float NUM_RAYS = 16.0;
-const float RAY_SHARPNESS = 3.0;
-const float RAY_FALLOFF = 1.8;
-const float GLOW_SIZE = 10.0;
-const float RAINBOW_TINT = 0.45;
-const float FRESNEL_POWER = 2.5;
+uniform float u_numRays;  // @param 16.0 [3.0, 64.0]
+uniform float u_raySharpness;  // @param 3.0 [0.5, 10.0]
+uniform float u_rayFalloff;  // @param 1.8 [0.2, 5.0]
+uniform float u_glowSize;  // @param 10.0 [1.0, 40.0]
+uniform float u_rainbowTint;  // @param 0.45 [0.0, 1.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 const float PI = 3.14159265359;
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -1352,11 +2039,11 @@ void main() {
     // === PRIMARY RAYS ===
     // Rays rotate more with tilt
     float rayAngle = angle + tilt.y * 4.0 - tilt.x * 3.0;
-    float rays = sin(rayAngle * NUM_RAYS) * 0.5 + 0.5;
-    rays = pow(rays, RAY_SHARPNESS);
+    float rays = sin(rayAngle * u_numRays) * 0.5 + 0.5;
+    rays = pow(rays, u_raySharpness);
 
     // Rays fade with distance
-    float rayFade = exp(-dist * RAY_FALLOFF);
+    float rayFade = exp(-dist * u_rayFalloff);
     rays *= rayFade;
 
     // Add noise variation for organic look
@@ -1364,12 +2051,12 @@ void main() {
     rays *= 0.7 + noise * 0.5;
 
     // === SECONDARY RAYS (finer) ===
-    float fineRays = sin(rayAngle * NUM_RAYS * 2.0 + PI * 0.25) * 0.5 + 0.5;
-    fineRays = pow(fineRays, RAY_SHARPNESS * 1.5);
+    float fineRays = sin(rayAngle * u_numRays * 2.0 + PI * 0.25) * 0.5 + 0.5;
+    fineRays = pow(fineRays, u_raySharpness * 1.5);
     fineRays *= rayFade * 0.4;
 
     // === CENTRAL GLOW ===
-    float glow = exp(-dist * dist * GLOW_SIZE);
+    float glow = exp(-dist * dist * u_glowSize);
 
     // Glow intensity (brighter core)
     float glowIntensity = 0.35 + effectIntensity * 0.6;
@@ -1389,12 +2076,12 @@ void main() {
     ring *= 0.4;
 
     // === COLORS ===
-    vec3 rayColor = mix(vec3(1.0, 0.98, 0.9), rainbow, RAINBOW_TINT * effectIntensity);
+    vec3 rayColor = mix(vec3(1.0, 0.98, 0.9), rainbow, u_rainbowTint * effectIntensity);
     vec3 glowColor = vec3(1.0, 0.95, 0.85);
     vec3 streakColor = vec3(1.0, 0.9, 0.95);
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(1.0, 0.8, 0.6);
     vec3 rim = rimColor * fresnel * 0.3 * effectIntensity;
 
@@ -1412,28 +2099,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -1446,6 +2139,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -1462,16 +2157,94 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const float GRID_SIZE = 10.0;
-const float COLOR_INTENSITY = 0.55;
-const float EDGE_WIDTH = 0.03;
-const float FACET_VARIATION = 0.4;
-const float SPECULAR_POWER = 24.0;
-const float FRESNEL_POWER = 2.5;
+uniform float u_gridSize;  // @param 10.0 [2.0, 40.0]
+uniform float u_colorIntensity;  // @param 0.55 [0.0, 1.5]
+uniform float u_edgeWidth;  // @param 0.03 [0.0, 0.2]
+uniform float u_facetVariation;  // @param 0.4 [0.0, 1.0]
+uniform float u_specularPower;  // @param 24.0 [4.0, 128.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Hash function
 float hash(vec2 p) {
@@ -1482,13 +2255,16 @@ float hash(vec2 p) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -1499,7 +2275,7 @@ void main() {
     vec2 tilt = u_cardRotation;
 
     // === TRIANGLE GRID ===
-    vec2 scaled = v_uv * GRID_SIZE;
+    vec2 scaled = v_uv * u_gridSize;
     vec2 cell = floor(scaled);
     vec2 local = fract(scaled);
 
@@ -1517,11 +2293,11 @@ void main() {
 
     // === FACET LIGHTING ===
     // Each triangle has a slightly perturbed normal
-    vec3 facetNormal = normalize(vec3(
-        (hash(cell + 0.1) - 0.5) * FACET_VARIATION,
-        (hash(cell + 0.2) - 0.5) * FACET_VARIATION,
+    vec3 facetNormal = perturbTangentNormal(normalize(vec3(
+        (hash(cell + 0.1) - 0.5) * u_facetVariation,
+        (hash(cell + 0.2) - 0.5) * u_facetVariation,
         1.0
-    ));
+    )), v_uv);
 
     // Light direction based on tilt
     vec3 lightDir = normalize(vec3(tilt.y * 2.0, -tilt.x * 2.0 + 0.5, 1.0));
@@ -1531,7 +2307,7 @@ void main() {
 
     // Specular highlight per facet
     vec3 reflectDir = reflect(-lightDir, facetNormal);
-    float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), SPECULAR_POWER);
+    float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), u_specularPower);
     spec *= effectIntensity;
 
     // === EDGE DETECTION ===
@@ -1544,14 +2320,14 @@ void main() {
         // Lower triangle: edges at x=1, y=1, x+y=1
         edge = min(1.0 - local.x, min(1.0 - local.y, local.x + local.y - 1.0));
     }
-    float edgeMask = smoothstep(0.0, EDGE_WIDTH, edge);
+    float edgeMask = smoothstep(0.0, u_edgeWidth, edge);
 
     // Edge glow
     float edgeGlow = (1.0 - edgeMask) * 0.5 * effectIntensity;
 
     // === COMBINE ===
     // Mix base color with prizm color based on effect
-    vec3 facetColor = mix(baseColor, prizmColor, COLOR_INTENSITY * effectIntensity);
+    vec3 facetColor = mix(baseColor, prizmColor, u_colorIntensity * effectIntensity);
 
     // Apply lighting
     facetColor *= 0.6 + diffuse * 0.5;
@@ -1565,7 +2341,7 @@ void main() {
     facetColor += edgeColor * edgeGlow;
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.6, 0.8, 1.0);
     vec3 rim = rimColor * fresnel * 0.35 * effectIntensity;
 
@@ -1574,28 +2350,34 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
 `
     },
@@ -1628,17 +2410,95 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
+
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
+
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
+
+
 // Parameters
-const float MATTE_FACTOR = 0.55;
-const float EMBOSS_STRENGTH = 0.7;
-const float PATTERN_SCALE = 25.0;
+uniform float u_matteFactor;  // @param 0.55 [0.0, 1.0]
+uniform float u_embossStrength;  // @param 0.7 [0.0, 2.0]
+uniform float u_patternScale;  // @param 25.0 [5.0, 100.0]
 
 // Anisotropic roughness - controls highlight stretch (brushed metal)
-const float ROUGHNESS_X = 0.02;  // Along brush direction (very tight)
-const float ROUGHNESS_Y = 0.9;   // Perpendicular (very stretched)
+uniform float u_roughnessX;  // @param 0.02 [0.005, 1.0] Along brush direction (very tight)
+uniform float u_roughnessY;  // @param 0.9 [0.05, 2.0] Perpendicular (very stretched)
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
@@ -1664,6 +2524,9 @@ float wardAnisotropic(vec3 N, vec3 H, vec3 T, vec3 B, float ax, float ay) {
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -1678,8 +2541,8 @@ void main() {
     float depthMask = texture(u_depthMap, v_uv).r;
 
     // Also add a procedural pattern (grid of dots/lines)
-    float patternX = sin(v_uv.x * PATTERN_SCALE * 3.14159) * 0.5 + 0.5;
-    float patternY = sin(v_uv.y * PATTERN_SCALE * 3.14159) * 0.5 + 0.5;
+    float patternX = sin(v_uv.x * u_patternScale * 3.14159) * 0.5 + 0.5;
+    float patternY = sin(v_uv.y * u_patternScale * 3.14159) * 0.5 + 0.5;
     float dots = patternX * patternY;
     dots = smoothstep(0.3, 0.7, dots);
 
@@ -1690,7 +2553,7 @@ void main() {
     // === MATTE AREAS ===
     // Reduced brightness, no specular, grainy texture
     float noise = texture(u_noiseTexture, v_uv * 8.0).r;
-    vec3 matteColor = baseColor * MATTE_FACTOR;
+    vec3 matteColor = baseColor * u_matteFactor;
     matteColor *= 0.85 + noise * 0.2; // More visible texture variation
     // Desaturate matte areas slightly for more contrast
     float matteLuma = dot(matteColor, vec3(0.299, 0.587, 0.114));
@@ -1705,11 +2568,15 @@ void main() {
     ));
 
     // Anisotropic specular highlight (brushed metal)
+    // Brush frame follows the normal map (Gram-Schmidt against the perturbed normal)
+    vec3 brushTangent = normalize(v_tangent - surfaceNormal * dot(surfaceNormal, v_tangent));
+    vec3 brushBitangent = cross(surfaceNormal, brushTangent);
+
     vec3 halfVec = normalize(lightDir + v_viewDirection);
     float spec = wardAnisotropic(
-        v_worldNormal, halfVec,
-        v_tangent, v_bitangent,
-        ROUGHNESS_X, ROUGHNESS_Y
+        surfaceNormal, halfVec,
+        brushTangent, brushBitangent,
+        u_roughnessX, u_roughnessY
     );
     spec = clamp(spec * 2.0, 0.0, 1.0);  // Normalize and boost
 
@@ -1730,15 +2597,15 @@ void main() {
     float maskDown = texture(u_depthMap, v_uv + vec2(0.0, texelSize)).r;
 
     // Emboss gradient
-    float embossX = (maskRight - maskLeft) * EMBOSS_STRENGTH;
-    float embossY = (maskDown - maskUp) * EMBOSS_STRENGTH;
+    float embossX = (maskRight - maskLeft) * u_embossStrength;
+    float embossY = (maskDown - maskUp) * u_embossStrength;
 
     // Light emboss based on tilt
     float embossLight = embossX * tilt.y + embossY * (-tilt.x);
     embossLight *= effectIntensity * 2.0;
 
     // === FRESNEL RIM ===
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
 
     // Metallic areas get more rim effect
     vec3 rimColor = vec3(0.8, 0.85, 1.0);
@@ -1763,28 +2630,148 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
+}
+`
+    },
+}
+
+// Tunable parameters per card shader (from `// @param default [min, max]` uniform annotations)
+export const SHADER_PARAMS = {
+    'base': {
+    },
+    'holographic': {
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+        chromaticAberration: { uniform: 'u_chromaticAberration', type: 'float', default: 0.008, min: 0, max: 0.05 },
+        rainbowIntensity1: { uniform: 'u_rainbowIntensity1', type: 'float', default: 0.5, min: 0, max: 1.5, description: "Large scale rainbow" },
+        rainbowIntensity2: { uniform: 'u_rainbowIntensity2', type: 'float', default: 0.3, min: 0, max: 1.5, description: "Medium scale rainbow" },
+        rainbowIntensity3: { uniform: 'u_rainbowIntensity3', type: 'float', default: 0.2, min: 0, max: 1.5, description: "Fine scale rainbow" },
+        sparkleDensity: { uniform: 'u_sparkleDensity', type: 'float', default: 80, min: 10, max: 300 },
+        sparkleThreshold: { uniform: 'u_sparkleThreshold', type: 'float', default: 0.92, min: 0.5, max: 0.999 },
+        sparkleIntensity: { uniform: 'u_sparkleIntensity', type: 'float', default: 1.5, min: 0, max: 4 },
+    },
+    'foil': {
+        specularPower: { uniform: 'u_specularPower', type: 'float', default: 64, min: 4, max: 256 },
+        sparkleIntensity: { uniform: 'u_sparkleIntensity', type: 'float', default: 1.2, min: 0, max: 4 },
+        sparkleThreshold: { uniform: 'u_sparkleThreshold', type: 'float', default: 0.85, min: 0.5, max: 0.999 },
+    },
+    'parallax': {
+        numLayers: { uniform: 'u_numLayers', type: 'int', default: 7, min: 1, max: 7 },
+        depthScale: { uniform: 'u_depthScale', type: 'float', default: 0.04, min: 0, max: 0.15, description: "How far the art layers separate when tilted" },
+    },
+    'cracked-ice': {
+        cellScale: { uniform: 'u_cellScale', type: 'float', default: 12, min: 2, max: 40 },
+        crackWidth: { uniform: 'u_crackWidth', type: 'float', default: 0.04, min: 0.005, max: 0.2 },
+        crackGlow: { uniform: 'u_crackGlow', type: 'float', default: 1, min: 0, max: 3 },
+        cellTintStrength: { uniform: 'u_cellTintStrength', type: 'float', default: 0.4, min: 0, max: 1 },
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+    },
+    'refractor': {
+        numLines: { uniform: 'u_numLines', type: 'float', default: 24, min: 4, max: 96 },
+        lineSharpness: { uniform: 'u_lineSharpness', type: 'float', default: 2.5, min: 0.5, max: 8 },
+        rainbowIntensity: { uniform: 'u_rainbowIntensity', type: 'float', default: 0.5, min: 0, max: 1.5 },
+        hotspotSize: { uniform: 'u_hotspotSize', type: 'float', default: 12, min: 1, max: 40 },
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+    },
+    'galaxy': {
+        starLayers: { uniform: 'u_starLayers', type: 'int', default: 4, min: 1, max: 4, description: "Capped by the starTints array size" },
+        starBrightness: { uniform: 'u_starBrightness', type: 'float', default: 1.2, min: 0, max: 3 },
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+        nebulaIntensity: { uniform: 'u_nebulaIntensity', type: 'float', default: 0.5, min: 0, max: 1.5 },
+        rainbowBlend: { uniform: 'u_rainbowBlend', type: 'float', default: 0.35, min: 0, max: 1 },
+        angleThreshold: { uniform: 'u_angleThreshold', type: 'float', default: 0.12, min: 0, max: 0.5 },
+    },
+    'starburst': {
+        numRays: { uniform: 'u_numRays', type: 'float', default: 16, min: 3, max: 64 },
+        raySharpness: { uniform: 'u_raySharpness', type: 'float', default: 3, min: 0.5, max: 10 },
+        rayFalloff: { uniform: 'u_rayFalloff', type: 'float', default: 1.8, min: 0.2, max: 5 },
+        glowSize: { uniform: 'u_glowSize', type: 'float', default: 10, min: 1, max: 40 },
+        rainbowTint: { uniform: 'u_rainbowTint', type: 'float', default: 0.45, min: 0, max: 1 },
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+    },
+    'prizm': {
+        gridSize: { uniform: 'u_gridSize', type: 'float', default: 10, min: 2, max: 40 },
+        colorIntensity: { uniform: 'u_colorIntensity', type: 'float', default: 0.55, min: 0, max: 1.5 },
+        edgeWidth: { uniform: 'u_edgeWidth', type: 'float', default: 0.03, min: 0, max: 0.2 },
+        facetVariation: { uniform: 'u_facetVariation', type: 'float', default: 0.4, min: 0, max: 1 },
+        specularPower: { uniform: 'u_specularPower', type: 'float', default: 24, min: 4, max: 128 },
+        fresnelPower: { uniform: 'u_fresnelPower', type: 'float', default: 2.5, min: 0.5, max: 8 },
+    },
+    'etched': {
+        matteFactor: { uniform: 'u_matteFactor', type: 'float', default: 0.55, min: 0, max: 1 },
+        embossStrength: { uniform: 'u_embossStrength', type: 'float', default: 0.7, min: 0, max: 2 },
+        patternScale: { uniform: 'u_patternScale', type: 'float', default: 25, min: 5, max: 100 },
+        roughnessX: { uniform: 'u_roughnessX', type: 'float', default: 0.02, min: 0.005, max: 1, description: "Along brush direction (very tight)" },
+        roughnessY: { uniform: 'u_roughnessY', type: 'float', default: 0.9, min: 0.05, max: 2, description: "Perpendicular (very stretched)" },
+    },
+}
+
+// Material shaders (not user-selectable, use BASE_VERTEX)
+export const MATERIAL_SHADERS = {
+    'edge': {
+        vertex: null,
+        fragment: `#version 300 es
+precision highp float;
+
+in vec2 v_uv;
+in vec3 v_worldPosition;
+in vec3 v_worldNormal;
+in vec3 v_viewDirection;
+in float v_depth;
+
+uniform vec3 u_edgeColor;
+uniform vec3 u_variantColor;
+uniform float u_variantActive;
+
+out vec4 fragColor;
+
+// Cardstock material for the card edge (and the reverse of single-sided cards)
+const float AMBIENT = 0.55;
+const float DIFFUSE = 0.45;
+const float SHEEN = 0.15;
+
+void main() {
+    vec3 normal = normalize(v_worldNormal);
+    vec3 lightDir = normalize(vec3(0.0, 0.5, 1.0));
+
+    float diffuse = max(dot(normal, lightDir), 0.0);
+
+    // Soft grazing sheen so the edge catches light as the card tilts
+    float sheen = pow(1.0 - max(dot(normal, v_viewDirection), 0.0), 3.0);
+
+    vec3 color = u_edgeColor * (AMBIENT + DIFFUSE * diffuse) + vec3(sheen * SHEEN);
+
+    // Parallels tint the cardstock too
+    color = mix(color, color * u_variantColor, 0.4 * u_variantActive);
+
+    fragColor = vec4(color, 1.0);
 }
 `
     },
@@ -0,0 +1,292 @@
+/**
+ * SharedViewportContext - One full-viewport WebGL canvas that draws every card
+ *
+ * Alternative to WebGLContextPool (sticker option `backend: 'shared'`). Instead
+ * of each card borrowing a context and copying its frame into its own 2D
+ * canvas, a single fixed canvas covers the viewport and one rAF loop draws
+ * every attached card into its element's rect (viewport + scissor). Rects are
+ * read in the frame they are drawn, so cards stay in step with scrolling, and
+ * the number of live cards isn't capped by the browser's context limit.
+ *
+ * Cards inside scroll containers (any ancestor whose overflow isn't 'visible')
+ * are scissored to those containers' rects, as the page would clip them. The
+ * containers are looked up on a card's first frame; re-attach (e.g. switch the
+ * backend) after moving a card or changing an ancestor's overflow.
+ *
+ * Trade-offs: the canvas sits above the page (pointer-events: none), so cards
+ * draw over content that overlaps them (sticky headers, dialogs, modals) and
+ * ignore stacking contexts, clip-path and masks unless CONFIG.sharedViewport.zIndex
+ * is below them; and cards render at their display size rather than their size preset.
+ *
+ * Usage:
+ *   const shared = SharedViewportContext.getInstance()
+ *   const borrowed = shared.attach(this, canvasElement)
+ *   borrowed.onDraw = (viewport, clip) => { ... draw into viewport [x, y, width, height], scissored to clip ... }
+ *   borrowed.release()
+ */
+
+import { PooledRenderContext } from './PooledRenderContext.js'
+import { CONFIG } from '../config.js'
+
+/**
+ * Element rect in the shared canvas's GL coordinates (origin bottom-left, device pixels)
+ * @param {{left: number, top: number, width: number, height: number}} rect - From getBoundingClientRect()
+ * @param {number} dpr - Device pixel ratio
+ * @param {number} canvasHeight - Shared canvas height in device pixels
+ * @returns {number[]|null} [x, y, width, height], or null for an empty rect
+ */
+export function getViewportRect(rect, dpr, canvasHeight) {
+    const width = Math.round(rect.width * dpr)
+    const height = Math.round(rect.height * dpr)
+    if (width <= 0 || height <= 0) return null
+
+    const x = Math.round(rect.left * dpr)
+    const y = canvasHeight - Math.round(rect.top * dpr) - height
+    return [x, y, width, height]
+}
+
+/**
+ * Overlap of two rects in the same coordinates
+ * @param {number[]} a - [x, y, width, height]
+ * @param {number[]} b - [x, y, width, height]
+ * @returns {number[]|null} [x, y, width, height], or null if they don't overlap
+ */
+export function intersectViewports(a, b) {
+    const x = Math.max(a[0], b[0])
+    const y = Math.max(a[1], b[1])
+    const width = Math.min(a[0] + a[2], b[0] + b[2]) - x
+    const height = Math.min(a[1] + a[3], b[1] + b[3]) - y
+    return width > 0 && height > 0 ? [x, y, width, height] : null
+}
+
+/**
+ * Ancestors that clip an element's content (overflow other than 'visible'),
+ * crossing shadow roots; the root scroller is the viewport itself and is skipped
+ * @param {Element} element
+ * @returns {Element[]} Nearest first
+ */
+export function getClippingAncestors(element) {
+    const ancestors = []
+    let node = element.parentElement ?? element.getRootNode?.().host ?? null
+    while (node && node !== document.body && node !== document.documentElement) {
+        const { overflowX, overflowY } = getComputedStyle(node)
+        if (overflowX !== 'visible' || overflowY !== 'visible') ancestors.push(node)
+        node = node.parentElement ?? node.getRootNode?.().host ?? null
+    }
+    return ancestors
+}
+
+/**
+ * Whether a viewport rect overlaps the canvas
+ * @param {number[]} viewport - [x, y, width, height]
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @returns {boolean}
+ */
+export function isViewportVisible([x, y, width, height], canvasWidth, canvasHeight) {
+    return x < canvasWidth && y < canvasHeight && x + width > 0 && y + height > 0
+}
+
+/**
+ * Pooled render context on a visible canvas fixed over the viewport
+ */
+class SharedRenderContext extends PooledRenderContext {
+    _createCanvas() {
+        const canvas = document.createElement('canvas')
+        canvas.width = this.width
+        canvas.height = this.height
+        canvas.style.cssText = 'position:fixed;left:0;top:0;width:100%;height:100%;pointer-events:none;' +
+            `z-index:${CONFIG.sharedViewport.zIndex}`
+        canvas.setAttribute('aria-hidden', 'true')
+        document.body.appendChild(canvas)
+        return canvas
+    }
+}
+
+class SharedViewportContext {
+    static instance = null
+
+    /**
+     * Get the singleton instance
+     * @returns {SharedViewportContext}
+     */
+    static getInstance() {
+        if (!SharedViewportContext.instance) {
+            SharedViewportContext.instance = new SharedViewportContext()
+        }
+        return SharedViewportContext.instance
+    }
+
+    /**
+     * Reset the singleton (for testing)
+     */
+    static reset() {
+        if (SharedViewportContext.instance) {
+            SharedViewportContext.instance.destroy()
+            SharedViewportContext.instance = null
+        }
+    }
+
+    constructor() {
+        this.context = null
+        this.attachments = new Map()  // Requester -> { element, borrowed, clippers }
+        this.frameId = null
+        this._drawnLastFrame = 0
+    }
+
+    /**
+     * Attach a card: it is drawn into the element's rect every frame
+     * @param {object} requester - The object attaching (sticker instance)
+     * @param {Element} element - Element whose rect the card is drawn into
+     * @returns {BorrowedContext} Same shape as a pool borrow, plus `shared` and `onDraw`
+     * @throws {Error} If WebGL2 is unavailable
+     */
+    attach(requester, element) {
+        if (this.attachments.has(requester)) {
+            return this.attachments.get(requester).borrowed
+        }
+
+        const context = this._getContext()
+        const borrowed = {
+            contextId: 'shared',
+            shared: true,
+            gl: context.gl,
+            canvas: context.canvas,
+            get generation() { return context.generation },
+            get isLost() { return context.isLost },
+            get geometry() { return context.geometry },
+            getCardMesh: (shape) => context.getCardMesh(shape),
+            get shaderManager() { return context.shaderManager },
+            get proceduralTextures() { return context.proceduralTextures },
+            resize: () => {},  // The shared canvas follows the viewport
+            release: () => this.detach(requester),
+            onDraw: null,             // (viewport, clip: [x, y, width, height]) => void, set by the requester
+            onContextLost: null,      // Set by the requester
+            onContextRestored: null   // Set by the requester: re-upload card-specific resources
+        }
+
+        this.attachments.set(requester, { element, borrowed, clippers: null })
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this._frame())
+        }
+        return borrowed
+    }
+
+    /**
+     * Stop drawing a card
+     * @param {object} requester
+     */
+    detach(requester) {
+        if (!this.attachments.delete(requester)) return
+        if (this.attachments.size > 0) return
+
+        // Nothing left to draw: stop the loop and clear the last frame
+        cancelAnimationFrame(this.frameId)
+        this.frameId = null
+        const gl = this.context?.gl
+        if (gl && this.context.isValid()) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+            gl.viewport(0, 0, this.context.canvas.width, this.context.canvas.height)
+            gl.clearColor(0, 0, 0, 0)
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
+        }
+    }
+
+    /**
+     * Create the shared context on first use
+     * @returns {SharedRenderContext}
+     */
+    _getContext() {
+        if (this.context) return this.context
+
+        const context = new SharedRenderContext('shared', window.innerWidth, window.innerHeight)
+        if (!context.initialize()) {
+            context.destroy()
+            throw new Error('SharedViewportContext: Failed to create the shared WebGL context')
+        }
+
+        context.onLost = () => {
+            for (const { borrowed } of [...this.attachments.values()]) borrowed.onContextLost?.()
+        }
+        context.onRestored = () => {
+            for (const { borrowed } of [...this.attachments.values()]) borrowed.onContextRestored?.()
+        }
+
+        this.context = context
+        return context
+    }
+
+    /**
+     * Draw every attached card that is on screen
+     */
+    _frame() {
+        this.frameId = requestAnimationFrame(() => this._frame())
+
+        const context = this.context
+        if (!context.isValid()) return
+
+        const canvas = context.canvas
+        const gl = context.gl
+        const dpr = window.devicePixelRatio || 1
+
+        // Follow the viewport size
+        const width = Math.round(canvas.clientWidth * dpr)
+        const height = Math.round(canvas.clientHeight * dpr)
+        if (width !== canvas.width || height !== canvas.height) {
+            context.resize(width, height)
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+        gl.disable(gl.SCISSOR_TEST)
+        gl.viewport(0, 0, width, height)
+        gl.clearColor(0, 0, 0, 0)
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
+
+        // Rects are read here, after this frame's scroll and layout
+        let drawn = 0
+        for (const attachment of this.attachments.values()) {
+            const { element, borrowed } = attachment
+            if (!borrowed.onDraw) continue
+            const viewport = getViewportRect(element.getBoundingClientRect(), dpr, height)
+            if (!viewport || !isViewportVisible(viewport, width, height)) continue
+
+            // Scissor to the scroll containers, skipping cards scrolled out of them
+            attachment.clippers ??= getClippingAncestors(element)
+            let clip = viewport
+            for (const ancestor of attachment.clippers) {
+                const bounds = getViewportRect(ancestor.getBoundingClientRect(), dpr, height)
+                clip = bounds && intersectViewports(clip, bounds)
+                if (!clip) break
+            }
+            if (!clip) continue
+
+            borrowed.onDraw(viewport, clip)
+            drawn++
+        }
+        this._drawnLastFrame = drawn
+    }
+
+    /**
+     * Get statistics
+     * @returns {{attached: number, drawn: number}} Attached cards, and cards drawn last frame (on screen)
+     */
+    getStats() {
+        return {
+            attached: this.attachments.size,
+            drawn: this._drawnLastFrame
+        }
+    }
+
+    /**
+     * Remove the shared canvas and release its context
+     */
+    destroy() {
+        cancelAnimationFrame(this.frameId)
+        this.frameId = null
+        this.attachments.clear()
+        this.context?.destroy()
+        this.context = null
+    }
+}
+
+export { SharedViewportContext }
@@ -0,0 +1,439 @@
+/**
+ * TextureCache - Reference-counted card textures shared across stickers
+ *
+ * GPU textures are keyed by pooled context id and a content key: an image URL,
+ * or what was derived from one ('brightness:<url>', 'normal:<url>', 'depth:<url>'),
+ * generated art by its source and seed ('image:generated:...'), or the drawn
+ * text ('text:...'). Cards acquire textures through a TextureScope
+ * and release them when they tear down; a released texture stays cached while
+ * the cache fits in CONFIG.textureCache.gpuBudget (idle textures are evicted
+ * least recently used first), so a card re-initializing on the same context
+ * (lazy hover, preemption, backend switch) reuses its uploads.
+ *
+ * Decoded images are cached per URL across contexts (ImageBitmap where
+ * available, within CONFIG.textureCache.decodeBudget), so a card that lands on
+ * another context re-uploads without downloading and decoding again. Callers
+ * use a decoded image inside decode()'s callback and copy what they keep, so
+ * evicted bitmaps can be closed.
+ *
+ * Usage:
+ *   const textures = TextureCache.getInstance().createScope(borrowed.contextId, gl)
+ *   const texture = await textures.load(`image:${url}`, () => loader.load(url))
+ *   textures.releaseAll()
+ *   await TextureCache.getInstance().decode(url, image => texture.createFromImage(image))
+ */
+
+import { CONFIG } from '../config.js'
+import { fetchImageBitmap, loadImage } from '../utils/CanvasFactory.js'
+
+/**
+ * Estimated GPU memory of a texture (RGBA8, no mipmaps)
+ * @param {{width: number, height: number}} texture
+ * @returns {number} Bytes
+ */
+export function getTextureBytes(texture) {
+    return (texture?.width ?? 0) * (texture?.height ?? 0) * 4
+}
+
+/**
+ * Whether images from this URL can be decoded through fetch + createImageBitmap
+ * (SVGs need an <img> to render at their drawn size)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function canDecodeToBitmap(url) {
+    return typeof createImageBitmap === 'function' &&
+        typeof fetch === 'function' &&
+        !/^data:image\/svg\+xml|\.svg(?:[?#]|$)/i.test(url)
+}
+
+/**
+ * Download and decode an image, off the main thread where the browser can
+ * @param {string} url
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+function decodeImage(url) {
+    return canDecodeToBitmap(url) ? fetchImageBitmap(url) : loadImage(url)
+}
+
+/**
+ * Textures one card holds on one context
+ * Everything acquired is released by releaseAll(), so cards don't track refs themselves.
+ */
+export class TextureScope {
+    /**
+     * @param {TextureCache} cache
+     * @param {number|string} contextId - Pooled context id
+     * @param {WebGL2RenderingContext} gl
+     */
+    constructor(cache, contextId, gl) {
+        this.cache = cache
+        this.contextId = contextId
+        this.gl = gl
+        this._held = []
+        this._closed = false
+    }
+
+    /**
+     * Get a cached texture, creating it synchronously on a miss
+     * @param {string} key - Content key
+     * @param {Function} create - () => Texture
+     * @returns {Texture}
+     */
+    acquire(key, create) {
+        return this._hold(this.cache.acquire(this.contextId, this.gl, key, create))
+    }
+
+    /**
+     * Get a cached texture, loading it on a miss (concurrent loads are shared)
+     * @param {string} key - Content key
+     * @param {Function} create - async () => Texture
+     * @returns {Promise<Texture>}
+     */
+    async load(key, create) {
+        return this._hold(await this.cache.load(this.contextId, this.gl, key, create))
+    }
+
+    /**
+     * Give one texture back (textures the cache doesn't hold are destroyed)
+     * @param {Texture} texture
+     * @returns {boolean} Whether this scope held the texture (if not, nothing happens)
+     */
+    release(texture) {
+        const index = this._held.indexOf(texture)
+        if (index === -1) return false
+        this._held.splice(index, 1)
+        this.cache.release(texture)
+        return true
+    }
+
+    /**
+     * Give every texture back; loads finishing later are released straight away
+     */
+    releaseAll() {
+        this._closed = true
+        for (const texture of this._held) this.cache.release(texture)
+        this._held = []
+    }
+
+    _hold(texture) {
+        if (this._closed) {
+            this.cache.release(texture)
+        } else {
+            this._held.push(texture)
+        }
+        return texture
+    }
+}
+
+class TextureCache {
+    static instance = null
+
+    /**
+     * Get the singleton instance
+     * @returns {TextureCache}
+     */
+    static getInstance() {
+        if (!TextureCache.instance) {
+            TextureCache.instance = new TextureCache()
+        }
+        return TextureCache.instance
+    }
+
+    /**
+     * Reset the singleton (for testing)
+     */
+    static reset() {
+        if (TextureCache.instance) {
+            TextureCache.instance.clear()
+            TextureCache.instance = null
+        }
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.gpuBudget - Bytes of GPU textures to keep (default: CONFIG)
+     * @param {number} options.decodeBudget - Bytes of decoded images to keep (default: CONFIG)
+     */
+    constructor(options = {}) {
+        this.gpuBudget = options.gpuBudget ?? CONFIG.textureCache.gpuBudget
+        this.decodeBudget = options.decodeBudget ?? CONFIG.textureCache.decodeBudget
+
+        // Insertion order is recency order (least recently used first)
+        this.entries = new Map()      // `${contextId}|${key}` -> entry
+        this._byTexture = new Map()   // Texture -> entry
+        this.decoded = new Map()      // URL -> { promise, image, bytes, users }
+
+        this.gpuBytes = 0
+        this.decodedBytes = 0
+        this._resetCounters()
+    }
+
+    /**
+     * Scope for one card's textures on one context
+     * @param {number|string} contextId
+     * @param {WebGL2RenderingContext} gl
+     * @returns {TextureScope}
+     */
+    createScope(contextId, gl) {
+        return new TextureScope(this, contextId, gl)
+    }
+
+    /**
+     * Get a texture, creating it synchronously on a miss (adds a reference)
+     * @param {number|string} contextId
+     * @param {WebGL2RenderingContext} gl - Entries from another context with the same id are stale
+     * @param {string} key
+     * @param {Function} create - () => Texture
+     * @returns {Texture}
+     */
+    acquire(contextId, gl, key, create) {
+        const entry = this._lookup(contextId, gl, key)
+        if (entry?.texture) return this._hit(entry).texture
+
+        // A pending load of the same key can't be waited for here; draw our own
+        if (entry) return create()
+
+        this.misses++
+        const texture = create()
+        this._store(this._createEntry(contextId, gl, key), texture)
+        return texture
+    }
+
+    /**
+     * Get a texture, loading it on a miss (adds a reference)
+     * @param {number|string} contextId
+     * @param {WebGL2RenderingContext} gl
+     * @param {string} key
+     * @param {Function} create - async () => Texture
+     * @returns {Promise<Texture>}
+     */
+    async load(contextId, gl, key, create) {
+        let entry = this._lookup(contextId, gl, key)
+        if (entry) {
+            this._hit(entry)
+            if (entry.texture) return entry.texture
+
+            const texture = await entry.promise
+            if (this._byTexture.get(texture) === entry) return texture
+            // Dropped while loading (context lost): that texture is the first caller's, load our own
+            return this.load(contextId, gl, key, create)
+        }
+
+        this.misses++
+        entry = this._createEntry(contextId, gl, key)
+        entry.promise = (async () => {
+            try {
+                const texture = await create()
+                // Dropped meanwhile (context lost): the caller owns the texture alone
+                if (this.entries.get(entry.id) === entry) this._store(entry, texture)
+                return texture
+            } catch (err) {
+                if (this.entries.get(entry.id) === entry) this.entries.delete(entry.id)
+                throw err
+            }
+        })()
+        return entry.promise
+    }
+
+    /**
+     * Drop a reference; unreferenced textures stay cached within the budget
+     * Textures the cache doesn't hold (uncacheable, or dropped with their context) are destroyed.
+     * @param {Texture} texture
+     */
+    release(texture) {
+        const entry = this._byTexture.get(texture)
+        if (!entry) {
+            texture?.destroy?.()
+            return
+        }
+        entry.refs = Math.max(0, entry.refs - 1)
+        if (entry.refs === 0) this._evict()
+    }
+
+    /**
+     * Decode an image URL, sharing the result across contexts
+     * The image is only valid inside `use` (it is closed once evicted); copy what you keep.
+     * @param {string} url
+     * @param {Function} use - (image: ImageBitmap|HTMLImageElement) => result, called synchronously
+     * @returns {Promise<*>} What `use` returned
+     */
+    async decode(url, use) {
+        const item = this._getDecoded(url)
+        item.users++
+        try {
+            return use(await item.promise)
+        } finally {
+            item.users--
+            if (this.decoded.get(url) === item) {
+                this._evictDecoded()  // It may have been skipped while in use
+            } else if (item.users === 0) {
+                item.image?.close?.()  // Forgotten while in use
+            }
+        }
+    }
+
+    /**
+     * Forget every texture of a context (lost or destroyed, so its textures are dead)
+     * @param {number|string} contextId
+     */
+    dropContext(contextId) {
+        for (const entry of [...this.entries.values()]) {
+            if (entry.contextId !== contextId) continue
+            this._delete(entry)
+        }
+    }
+
+    /**
+     * Get statistics
+     * @returns {{textures: number, inUse: number, gpuBytes: number, gpuBudget: number, hits: number,
+     *   misses: number, evictions: number, decoded: number, decodedBytes: number, decodeHits: number,
+     *   decodeMisses: number}}
+     */
+    getStats() {
+        let inUse = 0
+        for (const entry of this.entries.values()) {
+            if (entry.refs > 0) inUse++
+        }
+        return {
+            textures: this.entries.size,
+            inUse,
+            gpuBytes: this.gpuBytes,
+            gpuBudget: this.gpuBudget,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            decoded: this.decoded.size,
+            decodedBytes: this.decodedBytes,
+            decodeHits: this.decodeHits,
+            decodeMisses: this.decodeMisses
+        }
+    }
+
+    /**
+     * Reset the hit, miss and eviction counters
+     */
+    resetStats() {
+        this._resetCounters()
+    }
+
+    /**
+     * Destroy every cached texture and forget decoded images
+     */
+    clear() {
+        for (const entry of [...this.entries.values()]) this._delete(entry)
+        for (const item of this.decoded.values()) {
+            if (item.users === 0) item.image?.close?.()  // Images in use are closed by decode()
+        }
+        this.decoded.clear()
+        this.decodedBytes = 0
+    }
+
+    _resetCounters() {
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.decodeHits = 0
+        this.decodeMisses = 0
+    }
+
+    /**
+     * Cached decode of a URL, starting one on a miss
+     */
+    _getDecoded(url) {
+        const cached = this.decoded.get(url)
+        if (cached) {
+            this.decodeHits++
+            this.decoded.delete(url)
+            this.decoded.set(url, cached)
+            return cached
+        }
+
+        this.decodeMisses++
+        const item = { promise: null, image: null, bytes: 0, users: 0 }
+        item.promise = decodeImage(url).then(image => {
+            item.image = image
+            if (this.decoded.get(url) === item) {
+                item.bytes = getTextureBytes(image)
+                this.decodedBytes += item.bytes
+                this._evictDecoded()
+            }
+            return image
+        }, err => {
+            if (this.decoded.get(url) === item) this.decoded.delete(url)
+            throw err
+        })
+        this.decoded.set(url, item)
+        return item
+    }
+
+    _lookup(contextId, gl, key) {
+        const entry = this.entries.get(`${contextId}|${key}`)
+        if (!entry) return null
+        if (entry.gl !== gl) {
+            this._delete(entry)
+            return null
+        }
+        return entry
+    }
+
+    _createEntry(contextId, gl, key) {
+        const entry = { id: `${contextId}|${key}`, contextId, gl, key, texture: null, promise: null, refs: 1, bytes: 0 }
+        this.entries.set(entry.id, entry)
+        return entry
+    }
+
+    /**
+     * Count a hit: add a reference and mark the entry most recently used
+     */
+    _hit(entry) {
+        this.hits++
+        entry.refs++
+        this.entries.delete(entry.id)
+        this.entries.set(entry.id, entry)
+        return entry
+    }
+
+    _store(entry, texture) {
+        entry.texture = texture
+        entry.bytes = getTextureBytes(texture)
+        this.gpuBytes += entry.bytes
+        this._byTexture.set(texture, entry)
+        this._evict()
+    }
+
+    _delete(entry) {
+        this.entries.delete(entry.id)
+        if (!entry.texture) return
+        this._byTexture.delete(entry.texture)
+        this.gpuBytes -= entry.bytes
+        entry.texture.destroy?.()
+    }
+
+    /**
+     * Destroy idle textures, least recently used first, until the cache fits its budget
+     */
+    _evict() {
+        for (const entry of [...this.entries.values()]) {
+            if (this.gpuBytes <= this.gpuBudget) return
+            if (entry.refs > 0 || !entry.texture) continue
+            this._delete(entry)
+            this.evictions++
+        }
+    }
+
+    /**
+     * Close decoded images, least recently used first, until they fit their budget
+     */
+    _evictDecoded() {
+        for (const [url, item] of this.decoded) {
+            if (this.decodedBytes <= this.decodeBudget) return
+            if (item.bytes === 0 || item.users > 0) continue  // Still decoding, or in use
+            this.decoded.delete(url)
+            this.decodedBytes -= item.bytes
+            item.image.close?.()
+        }
+    }
+}
+
+export { TextureCache }
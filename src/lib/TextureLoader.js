@@ -2,13 +2,61 @@
  * TextureLoader - Helper for loading textures from various sources
  *
  * Supports:
- * - URL strings (fetches image)
+ * - URL strings (fetches image, decoded once and shared through TextureCache)
  * - HTMLImageElement (direct use)
- * - HTMLCanvasElement (direct use)
+ * - HTMLCanvasElement and OffscreenCanvas (direct use)
  * - ImageData (creates from data)
+ * - Video URLs and HTMLVideoElement (VideoTexture, re-uploaded each frame)
+ * - Sprite sheet descriptors (SpriteSheetTexture, see AnimatedTexture.js)
+ * - SVG URLs (rasterized at a requested size rather than the intrinsic one)
  */
 
 import { Texture } from '../core/Texture.js'
+import { VideoTexture, SpriteSheetTexture, isVideoUrl, isSpriteSheetDescriptor } from '../core/AnimatedTexture.js'
+import { TextureCache } from './TextureCache.js'
+import { createCanvas, isCanvas, loadImage } from '../utils/CanvasFactory.js'
+
+// Raster size for SVGs without an intrinsic size or requested size (xl card resolution)
+const DEFAULT_SVG_SIZE = { width: 400, height: 640 }
+
+// Largest SVG raster side, whatever the GPU allows (keeps canvas memory sane)
+const MAX_SVG_SIZE = 4096
+
+/**
+ * Check whether a URL points at an SVG image
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSvgUrl(url) {
+    if (typeof url !== 'string') return false
+    if (url.startsWith('data:image/svg+xml')) return true
+    return url.split(/[?#]/)[0].toLowerCase().endsWith('.svg')
+}
+
+/**
+ * Size to rasterize an SVG at so it covers a target size at its own aspect ratio
+ * @param {number} intrinsicWidth - 0 if the SVG has no intrinsic size
+ * @param {number} intrinsicHeight
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {number} maxSize - Largest allowed side
+ * @returns {{width: number, height: number}}
+ */
+export function getSvgRasterSize(intrinsicWidth, intrinsicHeight, targetWidth, targetHeight, maxSize = MAX_SVG_SIZE) {
+    let width = targetWidth
+    let height = targetHeight
+    if (intrinsicWidth > 0 && intrinsicHeight > 0) {
+        const scale = Math.max(targetWidth / intrinsicWidth, targetHeight / intrinsicHeight)
+        width = intrinsicWidth * scale
+        height = intrinsicHeight * scale
+    }
+
+    const fit = Math.min(1, maxSize / Math.max(width, height))
+    return {
+        width: Math.max(1, Math.round(width * fit)),
+        height: Math.max(1, Math.round(height * fit))
+    }
+}
 
 export class TextureLoader {
     constructor(gl) {
@@ -17,20 +65,40 @@ export class TextureLoader {
 
     /**
      * Load a texture from various source types
-     * @param {string|HTMLImageElement|HTMLCanvasElement|ImageData} source
+     * @param {string|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageData|Object} source
      * @param {Object} options - Loading options
      * @param {boolean} options.generateMipmaps - Whether to generate mipmaps (default: false for card textures)
-     * @returns {Promise<Texture>}
+     * @param {{width: number, height: number}} options.rasterSize - Size SVGs are rasterized to cover
+     *   (default: their intrinsic size)
+     * @returns {Promise<Texture>} Animated sources resolve to a VideoTexture or SpriteSheetTexture
      */
     async load(source, options = {}) {
-        const { generateMipmaps = false } = options
+        const { generateMipmaps = false, rasterSize = null } = options
+
+        // Animated sources upload their own frames
+        if (isVideoUrl(source)) {
+            const video = await this._loadVideoFromUrl(source)
+            return new VideoTexture(this.gl, video, true)
+        }
+        if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) {
+            await this.waitForVideoData(source)
+            return new VideoTexture(this.gl, source)
+        }
+        if (isSpriteSheetDescriptor(source)) {
+            const image = await this._loadImageFromUrl(source.src)
+            return new SpriteSheetTexture(this.gl, image, source)
+        }
+
         const texture = new Texture(this.gl)
 
-        if (typeof source === 'string') {
-            // URL string - load image (uses custom loader to respect mipmap setting)
-            const image = await this._loadImageFromUrl(source)
-            texture.createFromImage(image, generateMipmaps)
-        } else if (source instanceof HTMLImageElement) {
+        if (isSvgUrl(source)) {
+            // Vector image - rasterize at the requested resolution
+            const canvas = await this.rasterizeSvg(source, rasterSize)
+            texture.createFromImage(canvas, generateMipmaps)
+        } else if (typeof source === 'string') {
+            // URL string - decode once, re-upload to any context (custom loader respects mipmap setting)
+            await TextureCache.getInstance().decode(source, image => texture.createFromImage(image, generateMipmaps))
+        } else if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement) {
             // Image element
             if (source.complete && source.naturalWidth > 0) {
                 texture.createFromImage(source, generateMipmaps)
@@ -38,8 +106,8 @@ export class TextureLoader {
                 await this.waitForImageLoad(source)
                 texture.createFromImage(source, generateMipmaps)
             }
-        } else if (source instanceof HTMLCanvasElement) {
-            // Canvas element - use directly
+        } else if (isCanvas(source)) {
+            // Canvas - use directly
             texture.createFromImage(source, generateMipmaps)
         } else if (source instanceof ImageData) {
             // ImageData - create from data
@@ -58,15 +126,89 @@ export class TextureLoader {
     /**
      * Load an image from URL
      * @param {string} url - Image URL
-     * @returns {Promise<HTMLImageElement>}
+     * @returns {Promise<HTMLImageElement|ImageBitmap>}
      */
     _loadImageFromUrl(url) {
+        return loadImage(url)
+    }
+
+    /**
+     * Rasterize an SVG to a canvas
+     * Browsers render SVG images at their drawn size, so drawing at the target
+     * size keeps edges sharp where the intrinsic size would be upscaled.
+     * @param {string} url - SVG URL
+     * @param {{width: number, height: number}|null} targetSize - Size to cover (null = intrinsic size)
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async rasterizeSvg(url, targetSize = null) {
+        const image = await this._loadImageFromUrl(url)
+        const intrinsicWidth = image.naturalWidth
+        const intrinsicHeight = image.naturalHeight
+        const target = targetSize
+            ?? (intrinsicWidth > 0 && intrinsicHeight > 0 ? { width: intrinsicWidth, height: intrinsicHeight } : DEFAULT_SVG_SIZE)
+
+        const maxSize = Math.min(MAX_SVG_SIZE, this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE))
+        const { width, height } = getSvgRasterSize(intrinsicWidth, intrinsicHeight, target.width, target.height, maxSize)
+
+        const canvas = createCanvas(width, height)
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height)
+        return canvas
+    }
+
+    /**
+     * Load a looping, muted video from URL and start playing it
+     * @param {string} url - Video URL
+     * @returns {Promise<HTMLVideoElement>}
+     */
+    async _loadVideoFromUrl(url) {
+        const video = document.createElement('video')
+        video.crossOrigin = 'anonymous'
+        video.muted = true  // Required for autoplay
+        video.loop = true
+        video.playsInline = true
+        video.preload = 'auto'
+        video.src = url
+
+        try {
+            await this.waitForVideoData(video)
+        } catch {
+            throw new Error(`Failed to load video: ${url}`)
+        }
+
+        // Autoplay can still be refused (e.g. data saver); the first frame stays visible
+        video.play().catch(err => console.warn(`TextureLoader: video autoplay blocked for ${url}:`, err))
+        return video
+    }
+
+    /**
+     * Wait until a video element has a frame to upload
+     * @param {HTMLVideoElement} video
+     * @returns {Promise<void>}
+     */
+    waitForVideoData(video) {
         return new Promise((resolve, reject) => {
-            const image = new Image()
-            image.crossOrigin = 'anonymous'
-            image.onload = () => resolve(image)
-            image.onerror = () => reject(new Error(`Failed to load texture: ${url}`))
-            image.src = url
+            if (video.readyState >= 2) {  // HAVE_CURRENT_DATA
+                resolve()
+                return
+            }
+
+            const onLoaded = () => {
+                cleanup()
+                resolve()
+            }
+
+            const onError = () => {
+                cleanup()
+                reject(new Error('Video failed to load'))
+            }
+
+            const cleanup = () => {
+                video.removeEventListener('loadeddata', onLoaded)
+                video.removeEventListener('error', onError)
+            }
+
+            video.addEventListener('loadeddata', onLoaded)
+            video.addEventListener('error', onError)
         })
     }
 
@@ -113,9 +255,7 @@ export class TextureLoader {
      */
     createFromCanvas(width, height, drawFn, options = {}) {
         const { generateMipmaps = false } = options
-        const canvas = document.createElement('canvas')
-        canvas.width = width
-        canvas.height = height
+        const canvas = createCanvas(width, height)
         const ctx = canvas.getContext('2d')
 
         drawFn(ctx, width, height)
@@ -4,16 +4,27 @@
  * Solves the browser WebGL context limit problem by:
  * 1. Maintaining a fixed pool of contexts (default: 6)
  * 2. Components borrow contexts on hover, return on mouse leave
- * 3. If all contexts are in use, requests are queued
+ * 3. If all contexts are in use, requests are queued and served by priority
+ *    (interactive > visible > prefetch), then fewest past borrows per
+ *    requester, then arrival order. A queued request may preempt a holder of
+ *    lower priority that opted in (BorrowedContext.onPreempt), and may time out.
+ * 4. Lost contexts (GPU reset) are skipped until the browser restores them;
+ *    the shared resources are then re-created and the current borrower is
+ *    told through its BorrowedContext's onContextLost/onContextRestored
  *
  * Usage:
  *   const pool = WebGLContextPool.getInstance()
- *   const borrowed = await pool.borrow(this)
+ *   const borrowed = await pool.borrow(this, { priority: 'interactive', timeout: 5000 })
  *   // Use borrowed.gl, borrowed.geometry, borrowed.shaderManager, etc.
  *   borrowed.release()
  */
 
 import { PooledRenderContext } from './PooledRenderContext.js'
+import { ButtonResourceCache } from './ButtonResourceCache.js'
+import { TextureCache } from './TextureCache.js'
+import { ShaderProgram } from '../core/ShaderProgram.js'
+import * as ShaderRegistry from './ShaderRegistry.js'
+import { normalizeShaderDefinition, addCustomShader, getCustomShader } from '../shaders/CustomShaders.js'
 
 // Default pool configuration
 // Note: Most browsers limit active WebGL contexts. 5 is a safe default.
@@ -21,6 +32,37 @@ const DEFAULT_POOL_SIZE = 5
 const DEFAULT_WIDTH = 400
 const DEFAULT_HEIGHT = 640
 
+// ms before asking again when every holder declined to be preempted (e.g. still initializing)
+const PREEMPT_RETRY_DELAY = 100
+
+// Borrow priorities, highest served first
+const BORROW_PRIORITIES = {
+    prefetch: 0,     // Static frames for cards near (not in) the viewport
+    visible: 1,      // Static frames and running cards in the viewport
+    interactive: 2   // Hovered/focused cards, user-requested exports
+}
+
+/**
+ * Empty wait-time accumulators, one per priority
+ * @returns {Object<string, {count: number, total: number, max: number}>}
+ */
+function createWaitStats() {
+    const stats = {}
+    for (const name of Object.keys(BORROW_PRIORITIES)) {
+        stats[name] = { count: 0, total: 0, max: 0 }
+    }
+    return stats
+}
+
+/**
+ * Name of a priority level
+ * @param {number} level
+ * @returns {string}
+ */
+function getPriorityName(level) {
+    return Object.keys(BORROW_PRIORITIES).find(name => BORROW_PRIORITIES[name] === level)
+}
+
 class WebGLContextPool {
     static instance = null
 
@@ -47,9 +89,16 @@ class WebGLContextPool {
 
     constructor() {
         this.pool = []           // Array of PooledRenderContext
-        this.requestQueue = []   // Array of { requester, resolve, reject }
+        this.requestQueue = []   // Array of { requester, priority, seq, enqueuedAt, timer, resolve, reject }
         this.isInitialized = false
         this.poolSize = DEFAULT_POOL_SIZE
+
+        // Scheduling state
+        this._requestSeq = 0               // Arrival order of queued requests
+        this._grants = new WeakMap()       // Requester -> number of borrows served (fairness)
+        this._waitStats = createWaitStats()
+        this._preemptions = 0
+        this._timeouts = 0
     }
 
     /**
@@ -74,6 +123,8 @@ class WebGLContextPool {
             const success = context.initialize()
 
             if (success) {
+                context.onLost = () => this._handleContextLost(context)
+                context.onRestored = () => this._handleContextRestored(context)
                 this.pool.push(context)
             } else {
                 console.warn(`WebGLContextPool: Failed to create context ${i}`)
@@ -91,9 +142,18 @@ class WebGLContextPool {
     /**
      * Borrow a context from the pool
      * @param {object} requester - The object requesting the context
+     * @param {Object} options
+     * @param {string} options.priority - 'interactive', 'visible' (default) or 'prefetch'
+     * @param {number} options.timeout - Reject if still queued after this many ms (0 = wait forever)
      * @returns {Promise<BorrowedContext>} Resolves with borrowed context info
+     * @throws {Error} For an unknown priority
      */
-    async borrow(requester) {
+    async borrow(requester, { priority = 'visible', timeout = 0 } = {}) {
+        const level = BORROW_PRIORITIES[priority]
+        if (level === undefined) {
+            throw new Error(`WebGLContextPool: unknown priority '${priority}'. Available: ${Object.keys(BORROW_PRIORITIES).join(', ')}`)
+        }
+
         // Lazy initialization
         if (!this.isInitialized) {
             await this.initialize()
@@ -103,12 +163,26 @@ class WebGLContextPool {
         const available = this.pool.find(ctx => !ctx.inUse && ctx.isValid())
 
         if (available) {
-            return this._assignContext(available, requester)
+            return this._assignContext(available, requester, level, performance.now())
         }
 
-        // No context available - queue the request
+        // No context available - queue the request, making room if it outranks a holder
         return new Promise((resolve, reject) => {
-            this.requestQueue.push({ requester, resolve, reject })
+            const request = {
+                requester,
+                priority: level,
+                seq: this._requestSeq++,
+                enqueuedAt: performance.now(),
+                timer: null,
+                preemptTimer: null,  // Retry after every holder declined (see _preemptFor)
+                resolve,
+                reject
+            }
+            if (timeout > 0) {
+                request.timer = setTimeout(() => this._timeoutRequest(request, timeout), timeout)
+            }
+            this.requestQueue.push(request)
+            this._preemptFor(request)
         })
     }
 
@@ -116,20 +190,62 @@ class WebGLContextPool {
      * Assign a context to a requester
      * @param {PooledRenderContext} context
      * @param {object} requester
+     * @param {number} priority - Level from BORROW_PRIORITIES
+     * @param {number} requestedAt - performance.now() when the borrow was requested
      * @returns {BorrowedContext}
      */
-    _assignContext(context, requester) {
-        context.assignTo(requester)
-
-        return {
+    _assignContext(context, requester, priority, requestedAt) {
+        context.assignTo(requester, priority)
+        this._grants.set(requester, (this._grants.get(requester) ?? 0) + 1)
+
+        const wait = this._waitStats[getPriorityName(priority)]
+        const waited = performance.now() - requestedAt
+        wait.count++
+        wait.total += waited
+        wait.max = Math.max(wait.max, waited)
+
+        // Shared resources are getters: they are re-created after a context loss
+        const borrowed = {
             contextId: context.id,
             gl: context.gl,
             canvas: context.canvas,
-            geometry: context.geometry,
-            shaderManager: context.shaderManager,
-            proceduralTextures: context.proceduralTextures,
+            get generation() { return context.generation },
+            get isLost() { return context.isLost },
+            get geometry() { return context.geometry },
+            getCardMesh: (shape) => context.getCardMesh(shape),
+            get shaderManager() { return context.shaderManager },
+            get proceduralTextures() { return context.proceduralTextures },
             resize: (w, h) => context.resize(w, h),
-            release: () => this.release(context.id, requester)
+            release: () => this.release(context.id, requester),
+            onPreempt: null,          // Set by borrowers that can give the context up on request
+            onContextLost: null,      // Set by the borrower
+            onContextRestored: null   // Set by the borrower: re-upload card-specific resources
+        }
+        context.borrowed = borrowed
+        return borrowed
+    }
+
+    /**
+     * A pooled context was lost: tell its borrower
+     * @param {PooledRenderContext} context
+     */
+    _handleContextLost(context) {
+        context.borrowed?.onContextLost?.()
+    }
+
+    /**
+     * A pooled context was restored (shared resources already re-created):
+     * rebuild the button caches, then let the borrower re-upload its own
+     * resources, or hand the context to the next queued request
+     * @param {PooledRenderContext} context
+     */
+    _handleContextRestored(context) {
+        ButtonResourceCache.getInstance().restoreResources(context.gl)
+
+        if (context.inUse) {
+            context.borrowed?.onContextRestored?.()
+        } else {
+            this._processQueue()
         }
     }
 
@@ -160,18 +276,99 @@ class WebGLContextPool {
     }
 
     /**
-     * Process the next item in the request queue
+     * Hand available contexts to the queued requests that should go next
      */
     _processQueue() {
-        if (this.requestQueue.length === 0) return
+        while (this.requestQueue.length > 0) {
+            const available = this.pool.find(ctx => !ctx.inUse && ctx.isValid())
+            if (!available) return
 
-        // Find an available context
-        const available = this.pool.find(ctx => !ctx.inUse && ctx.isValid())
+            const request = this._nextRequest()
+            this._removeRequest(request)
+            request.resolve(this._assignContext(available, request.requester, request.priority, request.enqueuedAt))
+        }
+    }
 
-        if (available) {
-            const { requester, resolve } = this.requestQueue.shift()
-            const borrowed = this._assignContext(available, requester)
-            resolve(borrowed)
+    /**
+     * The queued request to serve next: highest priority, then the requester
+     * with the fewest borrows so far, then the earliest
+     * @returns {Object}
+     */
+    _nextRequest() {
+        let next = this.requestQueue[0]
+        for (const request of this.requestQueue) {
+            if (this._compareRequests(request, next) < 0) next = request
+        }
+        return next
+    }
+
+    _compareRequests(a, b) {
+        if (a.priority !== b.priority) return b.priority - a.priority
+        const grantsA = this._grants.get(a.requester) ?? 0
+        const grantsB = this._grants.get(b.requester) ?? 0
+        if (grantsA !== grantsB) return grantsA - grantsB
+        return a.seq - b.seq
+    }
+
+    /**
+     * Remove a request from the queue and clear its timeout
+     * @param {Object} request
+     */
+    _removeRequest(request) {
+        const index = this.requestQueue.indexOf(request)
+        if (index !== -1) this.requestQueue.splice(index, 1)
+        clearTimeout(request.timer)
+        clearTimeout(request.preemptTimer)
+    }
+
+    /**
+     * Reject a request that waited too long
+     * @param {Object} request
+     * @param {number} timeout - ms, for the error message
+     */
+    _timeoutRequest(request, timeout) {
+        if (!this.requestQueue.includes(request)) return
+        this._removeRequest(request)
+        this._timeouts++
+        request.reject(new Error(`WebGLContextPool: borrow request timed out after ${timeout}ms`))
+    }
+
+    /**
+     * Ask the lowest-priority preemptible holder below the request's priority
+     * to give its context up (longest-held first among equals)
+     * A holder whose onPreempt returns false declined: the next one is asked,
+     * and if all declined the request asks again after PREEMPT_RETRY_DELAY.
+     * @param {Object} request - Queued request
+     */
+    _preemptFor(request) {
+        request.preemptTimer = null
+        const declined = new Set()
+
+        for (;;) {
+            let victim = null
+            for (const ctx of this.pool) {
+                if (!ctx.inUse || ctx.preempting || !ctx.borrowed?.onPreempt || declined.has(ctx)) continue
+                if (ctx.priority >= request.priority) continue
+                if (!victim || ctx.priority < victim.priority ||
+                    (ctx.priority === victim.priority && ctx.assignedAt < victim.assignedAt)) {
+                    victim = ctx
+                }
+            }
+            if (!victim) break
+
+            victim.preempting = true
+            if (victim.borrowed.onPreempt() !== false) {
+                this._preemptions++
+                return
+            }
+            victim.preempting = false
+            declined.add(victim)
+        }
+
+        if (declined.size > 0) {
+            request.preemptTimer = setTimeout(() => {
+                if (this.requestQueue.includes(request)) this._preemptFor(request)
+            }, PREEMPT_RETRY_DELAY)
         }
     }
 
@@ -180,11 +377,10 @@ class WebGLContextPool {
      * @param {object} requester - The requester to remove from queue
      */
     cancelRequest(requester) {
-        const index = this.requestQueue.findIndex(item => item.requester === requester)
-        if (index !== -1) {
-            const { reject } = this.requestQueue[index]
-            this.requestQueue.splice(index, 1)
-            reject(new Error('Borrow request cancelled'))
+        const request = this.requestQueue.find(item => item.requester === requester)
+        if (request) {
+            this._removeRequest(request)
+            request.reject(new Error('Borrow request cancelled'))
         }
     }
 
@@ -201,8 +397,65 @@ class WebGLContextPool {
         }
     }
 
+    /**
+     * Register a custom card shader and compile it in every pooled context
+     * Contexts created later compile it during initialization. The shader is
+     * compiled before it is registered, so a broken shader throws and is never added.
+     * @param {string} name - Shader name (used as the `shader` option/attribute)
+     * @param {Object} definition - { fragment, textures, uniforms, defaults } (see CustomShaders)
+     */
+    registerShader(name, definition) {
+        const normalized = normalizeShaderDefinition(name, definition)
+        if (getCustomShader(name)) {
+            throw new Error(`Shader '${name}' is already registered`)
+        }
+
+        const contexts = this.pool.filter(ctx => ctx.isValid())
+        const compiled = []
+
+        try {
+            if (contexts.length === 0) {
+                this._validateShader(normalized)
+            }
+            for (const context of contexts) {
+                compiled.push([context, context.shaderManager.compileCustomShader(normalized)])
+            }
+        } catch (err) {
+            for (const [, program] of compiled) {
+                program.destroy()
+            }
+            throw new Error(`Shader '${name}' failed to compile: ${err.message}`)
+        }
+
+        for (const [context, program] of compiled) {
+            context.shaderManager.register(name, program)
+        }
+        addCustomShader(name, normalized)
+    }
+
+    /**
+     * Compile a shader in a throwaway context (pool not created yet)
+     * @param {Object} definition - Normalized definition
+     */
+    _validateShader(definition) {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas')
+        const gl = canvas.getContext('webgl2')
+        if (!gl) return  // No WebGL2 - nothing will render it anyway
+
+        try {
+            new ShaderProgram(gl, ShaderRegistry.BASE_VERTEX, definition.fragment).destroy()
+        } finally {
+            gl.getExtension('WEBGL_lose_context')?.loseContext()
+        }
+    }
+
     /**
      * Get pool statistics
+     * Wait times (ms) cover every served borrow since the pool was created or
+     * resetStats() was called, by priority. textureCache reports the card texture
+     * cache (hits, GPU bytes; see TextureCache.getStats).
      * @returns {Object}
      */
     getStats() {
@@ -210,21 +463,48 @@ class WebGLContextPool {
         const available = this.pool.filter(ctx => !ctx.inUse && ctx.isValid()).length
         const invalid = this.pool.filter(ctx => !ctx.isValid()).length
 
+        const now = performance.now()
+        const queued = {}
+        const waitTimes = {}
+        for (const [name, level] of Object.entries(BORROW_PRIORITIES)) {
+            queued[name] = this.requestQueue.filter(request => request.priority === level).length
+            const { count, total, max } = this._waitStats[name]
+            waitTimes[name] = { count, average: count > 0 ? total / count : 0, max }
+        }
+
         return {
             total: this.pool.length,
             inUse,
             available,
             invalid,
-            queueLength: this.requestQueue.length
+            queueLength: this.requestQueue.length,
+            queued,
+            longestQueuedWait: this.requestQueue.reduce((max, request) => Math.max(max, now - request.enqueuedAt), 0),
+            waitTimes,
+            preemptions: this._preemptions,
+            timeouts: this._timeouts,
+            textureCache: TextureCache.getInstance().getStats()
         }
     }
 
+    /**
+     * Reset the wait-time, preemption and timeout counters (and the texture cache's)
+     */
+    resetStats() {
+        this._waitStats = createWaitStats()
+        this._preemptions = 0
+        this._timeouts = 0
+        TextureCache.getInstance().resetStats()
+    }
+
     /**
      * Clean up all contexts and reset the pool
      */
     destroy() {
         // Reject all pending requests
-        for (const { reject } of this.requestQueue) {
+        for (const { reject, timer, preemptTimer } of this.requestQueue) {
+            clearTimeout(timer)
+            clearTimeout(preemptTimer)
             reject(new Error('WebGLContextPool destroyed'))
         }
         this.requestQueue = []
@@ -244,11 +524,20 @@ class WebGLContextPool {
  * @property {number} contextId - Unique ID of this context
  * @property {WebGL2RenderingContext} gl - The WebGL2 context
  * @property {OffscreenCanvas|HTMLCanvasElement} canvas - The canvas element
+ * @property {number} generation - Restore count; textures from an older generation are invalid
+ * @property {boolean} isLost - Whether the context is currently lost
  * @property {Geometry} geometry - Shared geometry instance
+ * @property {Function} getCardMesh - Get a shared card mesh for a corner radius/thickness
  * @property {ShaderManager} shaderManager - Shared shader manager
  * @property {Object} proceduralTextures - Shared procedural textures
  * @property {Function} resize - Resize the context canvas
  * @property {Function} release - Release this context back to the pool
+ * @property {Function|null} onPreempt - Set by the borrower to opt in to preemption: called when
+ *   a higher-priority request is waiting; the borrower should release soon (and may borrow again),
+ *   or return false to decline for now (the pool asks another holder, and again later)
+ * @property {Function|null} onContextLost - Called by the pool when the context is lost
+ * @property {Function|null} onContextRestored - Called by the pool once the shared resources
+ *   are re-created; card-specific resources must be re-uploaded
  */
 
-export { WebGLContextPool }
+export { WebGLContextPool, BORROW_PRIORITIES }
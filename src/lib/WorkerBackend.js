@@ -0,0 +1,766 @@
+/**
+ * WorkerBackend - Renders cards and buttons in a Web Worker (`backend="worker"`)
+ *
+ * The element hands its canvas to the worker (transferControlToOffscreen) and
+ * the worker runs the card's sticker with its own WebGLContextPool
+ * (stickerWorker.js), so neither the GL work nor the per-frame copy into the
+ * card's canvas touch the main thread. What needs the DOM stays here: input
+ * drivers run in a CardController on this thread and only the resulting
+ * pointer position is posted, the card's size comes from a ResizeObserver, and
+ * MotionPolicy state (reduced motion, hidden tab, low battery) is forwarded.
+ *
+ * <shader-button backend="worker"> works the same way: WorkerShaderButton
+ * hands over the button's canvas and posts hover, pointer and animation state,
+ * and the worker runs a ShaderButton on its pool.
+ *
+ * Messages to the worker: init {baseURI}, create {id, requestId, canvas, options,
+ * displaySize}, createButton {id, requestId, canvas, options, displaySize, state},
+ * call {id, method, args}, input {inputs: [[id, x, y]]},
+ * resize {id, width, height, dpr}, motion {state}, destroy {id}.
+ * Messages from the worker: result {requestId, error}, state {id, state},
+ * sourceLoaded {id, state}, error {id, message}.
+ *
+ * The worker runs the same rendering code without a document: its scratch
+ * canvases and images come from CanvasFactory (OffscreenCanvas, ImageBitmap).
+ *
+ * Limitations: video and SVG sources, DOM elements as sources, fonts only
+ * declared in the page's CSS, exportImage()/recordClip(), and anything
+ * registered at runtime (shaders, rarities, variants, layouts, text icons)
+ * aren't available in the worker. The canvas can't be handed back, so moving
+ * a card off this backend replaces its canvas (stickerElement and
+ * shaderButtonElement do this).
+ *
+ * Usage:
+ *   const card = new WorkerSticker(canvas, { shader: 'foil', cardSrc: 'card.png' })
+ *   await card.init()
+ *   card.start()
+ *
+ *   const button = new WorkerShaderButton(canvas, { shader: 'holographic' })
+ *   await button.initialize()
+ */
+
+import { CardController } from '../card/CardController.js'
+import { MotionPolicy } from './MotionPolicy.js'
+
+// Options applied by the main-thread input controller rather than the worker
+const INPUT_OPTIONS = ['interactive', 'tiltSource', 'keyboard', 'gamepad']
+
+// Options that only matter to the element (the worker always renders eagerly on its pool)
+const ELEMENT_OPTIONS = ['lazy', 'backend']
+
+// Options that take image sources (elements can't be posted to a worker)
+const SOURCE_OPTIONS = ['cardSrc', 'cardNormal', 'cardDepth', 'cardBack']
+
+// The controller here only reads input; the worker's card applies the tilt
+const INPUT_ONLY_CARD = { setTargetRotation() {} }
+
+/**
+ * Whether this browser can render cards in a worker
+ * @returns {boolean}
+ */
+export function supportsWorkerBackend() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+}
+
+/**
+ * Split card options into those applied on the main thread and those posted to the worker
+ * @param {Object} options - sticker options
+ * @returns {{input: Object, render: Object}}
+ * @throws {Error} If an image source is a DOM element
+ */
+export function splitWorkerOptions(options) {
+    const input = {}
+    const render = {}
+    for (const [key, value] of Object.entries(options)) {
+        if (INPUT_OPTIONS.includes(key)) {
+            input[key] = value
+        } else if (!ELEMENT_OPTIONS.includes(key)) {
+            if (SOURCE_OPTIONS.includes(key) && typeof value?.nodeType === 'number') {
+                throw new Error(`sticker: ${key} must be a URL with backend 'worker' (elements can't be sent to a worker)`)
+            }
+            render[key] = value
+        }
+    }
+    return { input, render }
+}
+
+class WorkerBackend {
+    static instance = null
+
+    /**
+     * Get the singleton instance
+     * @returns {WorkerBackend}
+     */
+    static getInstance() {
+        if (!WorkerBackend.instance) {
+            WorkerBackend.instance = new WorkerBackend()
+        }
+        return WorkerBackend.instance
+    }
+
+    /**
+     * Reset the singleton (for testing)
+     */
+    static reset() {
+        if (WorkerBackend.instance) {
+            WorkerBackend.instance.destroy()
+            WorkerBackend.instance = null
+        }
+    }
+
+    constructor() {
+        this.worker = null
+        this.cards = new Map()     // Card id -> WorkerSticker or WorkerShaderButton
+        this._nextId = 1
+        this._requests = new Map() // Request id -> { resolve, reject }
+        this._nextRequestId = 1
+        this.frameId = null        // Input polling loop
+        this._lastTime = 0
+        this._unsubscribeMotion = null
+    }
+
+    /**
+     * Add a card or button; the worker starts with the first one
+     * @param {WorkerSticker|WorkerShaderButton} card
+     * @returns {number} Card id used in messages
+     */
+    register(card) {
+        const id = this._nextId++
+        this.cards.set(id, card)
+
+        if (!this._unsubscribeMotion) {
+            this._unsubscribeMotion = MotionPolicy.getInstance().subscribe(() => this.postMotion())
+            this.postMotion()
+        }
+        return id
+    }
+
+    /**
+     * Remove a card and destroy it in the worker
+     * @param {number} id
+     */
+    unregister(id) {
+        if (!this.cards.delete(id)) return
+        this.post({ type: 'destroy', id })
+        this.updateInputLoop()
+
+        if (this.cards.size === 0) {
+            this._unsubscribeMotion?.()
+            this._unsubscribeMotion = null
+        }
+    }
+
+    /**
+     * Post a message to the worker
+     * @param {Object} message
+     * @param {Transferable[]} transfer
+     */
+    post(message, transfer = []) {
+        this._getWorker().postMessage(message, transfer)
+    }
+
+    /**
+     * Post a message the worker answers with a result
+     * @param {Object} message
+     * @param {Transferable[]} transfer
+     * @returns {Promise<void>} Rejects with the worker's error
+     */
+    request(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const requestId = this._nextRequestId++
+            this._requests.set(requestId, { resolve, reject })
+            this.post({ ...message, requestId }, transfer)
+        })
+    }
+
+    /**
+     * Post pointer input for one card
+     * @param {number} id
+     * @param {number[]|null} input - [x, y] or null (released)
+     */
+    postInput(id, input) {
+        this.post({ type: 'input', inputs: [[id, ...(input ?? [null, null])]] })
+    }
+
+    /**
+     * Run the input polling loop while any card takes user input
+     */
+    updateInputLoop() {
+        const needed = [...this.cards.values()].some(card => card.needsInputUpdates)
+        if (needed && this.frameId === null) {
+            this._lastTime = performance.now()
+            this.frameId = requestAnimationFrame((time) => this._frame(time))
+        } else if (!needed && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId)
+            this.frameId = null
+        }
+    }
+
+    /**
+     * Update every card's input drivers and post what changed in one message
+     * @param {number} time - rAF timestamp
+     */
+    _frame(time) {
+        this.frameId = requestAnimationFrame((t) => this._frame(t))
+
+        const deltaTime = Math.max(0, (time - this._lastTime) / 1000)
+        this._lastTime = time
+
+        const inputs = []
+        for (const [id, card] of this.cards) {
+            if (card.needsInputUpdates && card.pollInput(deltaTime)) {
+                inputs.push([id, ...(card.input ?? [null, null])])
+            }
+        }
+        if (inputs.length > 0) {
+            this.post({ type: 'input', inputs })
+        }
+    }
+
+    /**
+     * Create the worker on first use
+     * @returns {Worker}
+     */
+    _getWorker() {
+        if (this.worker) return this.worker
+
+        this.worker = new Worker(new URL('./stickerWorker.js', import.meta.url), { type: 'module' })
+        this.worker.onmessage = (event) => this._onMessage(event.data)
+        this.worker.onerror = (event) => {
+            this._onWorkerError(new Error(`sticker: render worker failed (${event.message || 'unknown error'})`))
+        }
+        // Relative URLs in a worker resolve against its script, not the page
+        this.worker.postMessage({ type: 'init', baseURI: document.baseURI })
+        return this.worker
+    }
+
+    /**
+     * Route a message from the worker
+     * @param {Object} data
+     */
+    _onMessage(data) {
+        if (data.type === 'result') {
+            const request = this._requests.get(data.requestId)
+            if (!request) return
+            this._requests.delete(data.requestId)
+            if (data.error) {
+                request.reject(new Error(data.error))
+            } else {
+                request.resolve()
+            }
+            return
+        }
+
+        const card = this.cards.get(data.id)
+        if (!card) return
+
+        switch (data.type) {
+            case 'state':
+                card.state = data.state
+                break
+            case 'sourceLoaded':
+                card.state = data.state
+                card.onSourceLoaded?.()
+                break
+            case 'error':
+                card.onError?.(new Error(data.message))
+                break
+        }
+    }
+
+    /**
+     * Fail pending requests and report the error to every card
+     * @param {Error} error
+     */
+    _onWorkerError(error) {
+        for (const { reject } of this._requests.values()) reject(error)
+        this._requests.clear()
+        for (const card of this.cards.values()) card.onError?.(error)
+    }
+
+    /**
+     * Forward the page's motion state (the worker can't observe it)
+     */
+    postMotion() {
+        const { prefersReducedMotion, hidden, lowPower } = MotionPolicy.getInstance()
+        this.post({ type: 'motion', state: { prefersReducedMotion, hidden, lowPower } })
+    }
+
+    /**
+     * Get statistics
+     * @returns {{cards: number, pendingRequests: number}}
+     */
+    getStats() {
+        return {
+            cards: this.cards.size,
+            pendingRequests: this._requests.size
+        }
+    }
+
+    /**
+     * Stop the worker (its cards stop rendering)
+     */
+    destroy() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId)
+        this.frameId = null
+        this._unsubscribeMotion?.()
+        this._unsubscribeMotion = null
+        for (const { reject } of this._requests.values()) reject(new Error('sticker: render worker was stopped'))
+        this._requests.clear()
+        this.cards.clear()
+        this.worker?.terminate()
+        this.worker = null
+    }
+}
+
+/**
+ * Main-thread stand-in for a sticker rendered in the worker
+ * Mirrors the sticker API stickerElement uses; options are applied in the worker.
+ */
+class WorkerSticker {
+    /**
+     * The canvas is taken over here, so a card that can't use the worker fails
+     * before anything is registered and its owner can fall back to 'pool'
+     * (check supportsWorkerBackend() first).
+     * @param {HTMLCanvasElement} canvas - Canvas to hand to the worker (must not have a context yet)
+     * @param {Object} options - sticker options (see sticker.js DEFAULT_OPTIONS)
+     * @throws {Error} If the canvas can't be transferred (it already has a context, or no OffscreenCanvas)
+     */
+    constructor(canvas, options = {}) {
+        if (typeof canvas.transferControlToOffscreen !== 'function') {
+            throw new Error("sticker: backend 'worker' needs OffscreenCanvas")
+        }
+        this._offscreen = canvas.transferControlToOffscreen()
+        this.canvas = canvas
+        this.options = { ...options }
+
+        // State
+        this.isActive = false
+        this.isReady = false
+        this.isRunning = false
+        this.state = { generatedName: null, generatedCollection: null, generatedSeed: null, shaderParams: {} }
+        this.input = null  // Last pointer position posted ([x, y] or null)
+
+        // Callbacks (set by stickerElement to dispatch events)
+        this.onError = null
+        this.onSourceLoaded = null
+        this.onGyroStateChange = null
+
+        this.controller = null
+        this.resizeObserver = null
+        this._backend = WorkerBackend.getInstance()
+        this._id = null
+        this._destroyed = false
+        this._programmaticPointer = null  // Kept until the controller exists ([x, y] or null)
+    }
+
+    /**
+     * Hand the canvas to the worker and load the card there
+     */
+    async init() {
+        if (this._id !== null || this._destroyed) return
+
+        const { render } = splitWorkerOptions(this.options)
+        const displaySize = this._getDisplaySize()
+        const offscreen = this._offscreen
+        this._offscreen = null  // Transferred with the message
+        this._id = this._backend.register(this)
+        const created = this._backend.request(
+            { type: 'create', id: this._id, canvas: offscreen, options: render, displaySize },
+            [offscreen]
+        )
+
+        // Input posted from here on reaches the card (messages arrive in order)
+        this._createController()
+        this._observeSize()
+
+        await created
+        if (!this._destroyed) this.isReady = true
+    }
+
+    start() {
+        if (this.isRunning || this._id === null) return
+        this.isRunning = true
+        this._call('start')
+        // The worker's policy drops low power while no card runs; restate it
+        this._backend.postMotion()
+        this._backend.updateInputLoop()
+    }
+
+    stop() {
+        if (!this.isRunning) return
+        this.isRunning = false
+        this._call('stop')
+        this._backend.updateInputLoop()
+    }
+
+    /**
+     * Whether the input loop should poll this card's drivers
+     */
+    get needsInputUpdates() {
+        return this.isRunning && !!this.controller?.interactive
+    }
+
+    /**
+     * Update the input drivers
+     * @param {number} deltaTime - Seconds since the last poll
+     * @returns {boolean} True if the pointer position changed (see `input`)
+     */
+    pollInput(deltaTime) {
+        this.controller.update(deltaTime)
+        const active = this.controller.getActiveInput()
+        const next = active ? [active.x, active.y] : null
+        if (next?.[0] === this.input?.[0] && next?.[1] === this.input?.[1]) return false
+        this.input = next
+        return true
+    }
+
+    // ==================== Options ====================
+
+    /**
+     * Update options; input options apply here, the rest in the worker
+     * @param {Object} options
+     */
+    setOptions(options) {
+        let split
+        try {
+            split = splitWorkerOptions(options)
+        } catch (err) {
+            console.warn(err.message)
+            return
+        }
+        if ('backend' in options && options.backend !== 'worker') {
+            console.warn("sticker: a card can't leave backend 'worker'; create a new one")
+        }
+
+        const { input, render } = split
+        Object.assign(this.options, input, render)
+        if ('tiltSource' in input) this.controller?.setTiltSource(input.tiltSource)
+        if ('keyboard' in input) {
+            if (input.keyboard && this.controller) this.controller.focusTarget = this._getFocusTarget()
+            this.controller?.setKeyboardEnabled(input.keyboard)
+        }
+        if ('gamepad' in input) this.controller?.setGamepadEnabled(input.gamepad)
+
+        if (Object.keys(render).length > 0) this._call('setOptions', render)
+    }
+
+    setShader(name) {
+        this.setOptions({ shader: name })
+    }
+
+    setCardSrc(src) {
+        this.setOptions({ cardSrc: src })
+    }
+
+    setCardName(name) {
+        this.setOptions({ cardName: name })
+    }
+
+    setCardNumber(number) {
+        this.setOptions({ cardNumber: number })
+    }
+
+    setMask(mask) {
+        this.setOptions({ mask })
+    }
+
+    setVariant(variant) {
+        this.setOptions({ variant })
+    }
+
+    setCardBack(src) {
+        this.setOptions({ cardBack: src })
+    }
+
+    setShaderParams(params) {
+        this.setOptions({ shaderParams: params })
+    }
+
+    setLayers(layers) {
+        this.setOptions({ layers })
+    }
+
+    /**
+     * Resolved shader parameters, as last reported by the worker
+     * @returns {Object}
+     */
+    getShaderParams() {
+        return { ...this.state.shaderParams }
+    }
+
+    get generatedName() {
+        return this.state.generatedName
+    }
+
+    get generatedCollection() {
+        return this.state.generatedCollection
+    }
+
+    get generatedSeed() {
+        return this.state.generatedSeed
+    }
+
+    // ==================== Input ====================
+
+    /**
+     * Set the card tilt from code, overriding user input until released
+     * @param {number|null} x - -1 (left edge away) to 1 (right edge away); null releases
+     * @param {number|null} y - -1 (top edge away) to 1 (top edge toward viewer)
+     */
+    setTilt(x, y) {
+        if (x === null || x === undefined || y === null || y === undefined) {
+            this.setPointer(null, null)
+            return
+        }
+        this.setPointer(x, -y)
+    }
+
+    /**
+     * Set a virtual pointer position from code, overriding user input until released
+     * @param {number|null} x - -1 (left edge) to 1 (right edge); null releases
+     * @param {number|null} y - -1 (top edge) to 1 (bottom edge)
+     */
+    setPointer(x, y) {
+        const released = x === null || x === undefined || y === null || y === undefined
+        this._programmaticPointer = released ? null : [x, y]
+        if (!this.controller) return
+
+        this.controller.setPointer(released ? null : x, released ? null : y)
+        if (this.pollInput(0)) this._backend.postInput(this._id, this.input)
+    }
+
+    async requestGyroPermission() {
+        return this.controller?.requestGyroPermission() ?? false
+    }
+
+    // ==================== Unsupported ====================
+
+    exportImage() {
+        return Promise.reject(new Error("sticker: exportImage() isn't available with backend 'worker'"))
+    }
+
+    recordClip() {
+        return Promise.reject(new Error("sticker: recordClip() isn't available with backend 'worker'"))
+    }
+
+    /**
+     * Generated art lives in the worker; reuse the source card's seed instead
+     * @param {sticker|WorkerSticker} source
+     */
+    _copyContentFrom(source) {
+        if (source?.generatedSeed !== null && source?.generatedSeed !== undefined) {
+            this.setOptions({ seed: source.generatedSeed })
+        }
+    }
+
+    // ==================== Internals ====================
+
+    _call(method, ...args) {
+        if (this._id === null) return
+        this._backend.post({ type: 'call', id: this._id, method, args })
+    }
+
+    _createController() {
+        this.controller = new CardController(INPUT_ONLY_CARD, this.canvas, {
+            interactive: this.options.interactive,
+            tiltSource: this.options.tiltSource,
+            keyboard: this.options.keyboard,
+            gamepad: this.options.gamepad,
+            focusTarget: this._getFocusTarget(),
+            onGyroStateChange: (state) => this.onGyroStateChange?.(state)
+        })
+        if (this._programmaticPointer) {
+            this.setPointer(...this._programmaticPointer)
+        }
+    }
+
+    /**
+     * Get the element that receives keyboard focus (see sticker._getFocusTarget)
+     * @returns {HTMLElement}
+     */
+    _getFocusTarget() {
+        const target = this.canvas.getRootNode?.()?.host ?? this.canvas
+        const keyboard = (this.options.interactive ?? true) && (this.options.keyboard ?? true)
+        if (keyboard && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '0')
+        }
+        return target
+    }
+
+    /**
+     * Container size in CSS pixels, for the worker's xxl render size
+     * Always posted (0x0 when detached, which renders at the default size): the
+     * worker has no layout or devicePixelRatio of its own to fall back on.
+     * @returns {{width: number, height: number, dpr: number}}
+     */
+    _getDisplaySize() {
+        const rect = this.canvas.parentElement?.getBoundingClientRect()
+        return { width: rect?.width ?? 0, height: rect?.height ?? 0, dpr: window.devicePixelRatio || 1 }
+    }
+
+    /**
+     * Post container size changes to the worker (it has no layout)
+     */
+    _observeSize() {
+        const parent = this.canvas.parentElement
+        if (!parent) return
+
+        this.resizeObserver = new ResizeObserver(entries => {
+            const { width, height } = entries[0].contentRect
+            const dpr = window.devicePixelRatio || 1
+            this._backend.post({ type: 'resize', id: this._id, width, height, dpr })
+        })
+        this.resizeObserver.observe(parent)
+    }
+
+    destroy() {
+        if (this._destroyed) return
+        this._destroyed = true
+        this.isRunning = false
+        this.isReady = false
+
+        this.resizeObserver?.disconnect()
+        this.resizeObserver = null
+        this.controller?.destroy()
+        this.controller = null
+        if (this._id !== null) this._backend.unregister(this._id)
+    }
+}
+
+/**
+ * Main-thread stand-in for a ShaderButton rendered in the worker
+ * Mirrors the ShaderButton API shaderButtonElement uses; state set before
+ * initialize() goes with the button, later changes are posted as calls.
+ */
+class WorkerShaderButton {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to hand to the worker (must not have a context yet)
+     * @param {Object} options - ShaderButton options (see shaderButton.js DEFAULT_OPTIONS)
+     * @throws {Error} If the canvas can't be transferred (it already has a context, or no OffscreenCanvas)
+     */
+    constructor(canvas, options = {}) {
+        if (typeof canvas.transferControlToOffscreen !== 'function') {
+            throw new Error("ShaderButton: backend 'worker' needs OffscreenCanvas")
+        }
+        this._offscreen = canvas.transferControlToOffscreen()
+        this.canvas = canvas
+        this.options = { ...options }
+
+        // State
+        this.isInitialized = false
+        this.isHovering = false
+        this.isAnimating = false
+
+        // Callbacks
+        this.onError = null
+
+        this._backend = WorkerBackend.getInstance()
+        this._id = null
+        this._destroyed = false
+    }
+
+    /**
+     * Hand the canvas to the worker and render the button there
+     * @throws {Error} If the worker couldn't create the button
+     */
+    async initialize() {
+        if (this._id !== null || this._destroyed) return
+
+        const offscreen = this._offscreen
+        this._offscreen = null  // Transferred with the message
+        this._id = this._backend.register(this)
+        await this._backend.request({
+            type: 'createButton',
+            id: this._id,
+            canvas: offscreen,
+            options: this.options,
+            displaySize: this._getDisplaySize(),
+            state: { isHovering: this.isHovering, isAnimating: this.isAnimating }
+        }, [offscreen])
+
+        if (!this._destroyed) this.isInitialized = true
+    }
+
+    setShader(name) {
+        this.options.shader = name
+        this._call('setShader', name)
+    }
+
+    setMode(mode) {
+        this.options.mode = mode
+        this._call('setMode', mode)
+    }
+
+    setVariant(variant) {
+        this.options.variant = variant
+        this._call('setVariant', variant)
+    }
+
+    setShaderParams(params) {
+        this.options.shaderParams = params
+        this._call('setShaderParams', params)
+    }
+
+    setBorderWidth(width) {
+        this.options.borderWidth = width
+        this._call('setBorderWidth', width)
+    }
+
+    setIntensity(intensity) {
+        this.options.intensity = intensity
+        this._call('setIntensity', intensity)
+    }
+
+    setMousePosition(x, y) {
+        this._call('setMousePosition', x, y)
+    }
+
+    setHovering(hovering) {
+        this.isHovering = hovering
+        this._call('setHovering', hovering)
+    }
+
+    setAnimating(animating) {
+        this.isAnimating = animating
+        this._call('setAnimating', animating)
+    }
+
+    /**
+     * Post a size change to the worker (it has no layout)
+     * @param {number} width - Button width in CSS pixels
+     * @param {number} height - Button height in CSS pixels
+     * @param {number} dpr - Device pixel ratio
+     */
+    handleResize(width, height, dpr) {
+        if (this._id === null) return
+        this._backend.post({ type: 'resize', id: this._id, width, height, dpr })
+    }
+
+    _call(method, ...args) {
+        if (this._id === null) return
+        this._backend.post({ type: 'call', id: this._id, method, args })
+    }
+
+    /**
+     * Button size in CSS pixels (0x0 when detached, which renders at the default size)
+     * @returns {{width: number, height: number, dpr: number}}
+     */
+    _getDisplaySize() {
+        const host = this.canvas.getRootNode?.()?.host ?? this.canvas.parentElement
+        const rect = host?.getBoundingClientRect()
+        return { width: rect?.width ?? 0, height: rect?.height ?? 0, dpr: globalThis.devicePixelRatio || 1 }
+    }
+
+    destroy() {
+        if (this._destroyed) return
+        this._destroyed = true
+        this.isInitialized = false
+        if (this._id !== null) this._backend.unregister(this._id)
+    }
+}
+
+export { WorkerBackend, WorkerSticker, WorkerShaderButton }
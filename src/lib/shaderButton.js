@@ -9,7 +9,10 @@ import { Texture } from '../core/Texture.js'
 import { WebGLContextPool } from './WebGLContextPool.js'
 import { ButtonResourceCache, TEXTURE_SLOTS } from './ButtonResourceCache.js'
 import * as ShaderRegistry from './ShaderRegistry.js'
-import { CONFIG } from '../config.js'
+import { getCustomShaderNames } from '../shaders/CustomShaders.js'
+import { getShaderParamSchema, applyShaderParams } from '../shaders/ShaderParams.js'
+import { resolveVariant, getVariantNames, applyVariantUniforms } from '../card/Variants.js'
+import { createCanvas } from '../utils/CanvasFactory.js'
 
 /**
  * Default options for ShaderButton
@@ -18,6 +21,7 @@ const DEFAULT_OPTIONS = {
     shader: 'holographic',
     mode: 'background',      // 'background' or 'border'
     variant: null,
+    shaderParams: null,      // Tunable shader parameters, e.g. { sparkleDensity: 120 }
     borderWidth: 0.06,       // Border thickness (0-0.5)
     intensity: 0.5,          // Effect intensity multiplier
     restingTilt: [0.2, 0.5], // Resting tilt angle [x, y] for static appearance
@@ -64,6 +68,8 @@ export class ShaderButton {
         this._borrowedContext = null
         this._targetCtx = null
         this._lastContextId = null
+        this._lastContextGeneration = null  // Restore count of that context (textures die on loss)
+        this._displaySize = null  // {width, height, dpr} posted by the main thread (backend: 'worker')
 
         // WebGL resources (references to cached resources)
         this.gl = null
@@ -94,14 +100,19 @@ export class ShaderButton {
             // Borrow a WebGL context from the pool
             const pool = WebGLContextPool.getInstance()
             this._borrowedContext = await pool.borrow(this)
+            this._borrowedContext.onContextRestored = () => this._handleContextRestored()
             this._lastContextId = this._borrowedContext.contextId
+            this._lastContextGeneration = this._borrowedContext.generation
             this.gl = this._borrowedContext.gl
 
-            // Set canvas size
-            const rootNode = this.canvas.getRootNode()
-            const hostElement = rootNode.host || this.canvas.parentElement || this.canvas
-            const rect = hostElement.getBoundingClientRect()
-            const dpr = window.devicePixelRatio || 1
+            // Set canvas size (posted by the main thread in a worker)
+            let rect = this._displaySize
+            if (!rect) {
+                const rootNode = this.canvas.getRootNode()
+                const hostElement = rootNode.host || this.canvas.parentElement || this.canvas
+                rect = hostElement.getBoundingClientRect()
+            }
+            const dpr = this._displaySize?.dpr ?? (globalThis.devicePixelRatio || 1)
 
             const width = rect.width > 0 ? rect.width : 140
             const height = rect.height > 0 ? rect.height : 48
@@ -140,9 +151,7 @@ export class ShaderButton {
         const gl = this.gl
         const size = 128
 
-        const canvas = document.createElement('canvas')
-        canvas.width = size
-        canvas.height = size
+        const canvas = createCanvas(size, size)
         const ctx = canvas.getContext('2d')
 
         const gradient = ctx.createLinearGradient(0, 0, size, size)
@@ -201,8 +210,9 @@ export class ShaderButton {
 
     /**
      * Borrow context from pool for active rendering
+     * @param {string} priority - Pool borrow priority ('interactive' for hover, 'visible' for animation)
      */
-    async _borrowContext() {
+    async _borrowContext(priority = 'visible') {
         if (this._borrowedContext) return true
         if (this._borrowPending) return false  // Already borrowing, don't queue another
 
@@ -210,12 +220,14 @@ export class ShaderButton {
         try {
             const pool = WebGLContextPool.getInstance()
             const oldContextId = this._lastContextId
-            this._borrowedContext = await pool.borrow(this)
+            this._borrowedContext = await pool.borrow(this, { priority })
+            this._borrowedContext.onPreempt = () => this._handlePreempt()
+            this._borrowedContext.onContextRestored = () => this._handleContextRestored()
             this.gl = this._borrowedContext.gl
 
             // Resize to match canvas
-            const dpr = window.devicePixelRatio || 1
-            const rect = this.canvas.getBoundingClientRect()
+            const dpr = this._displaySize?.dpr ?? (globalThis.devicePixelRatio || 1)
+            const rect = this._displaySize ?? this.canvas.getBoundingClientRect()
             const width = rect.width > 0 ? rect.width * dpr : this.canvas.width
             const height = rect.height > 0 ? rect.height * dpr : this.canvas.height
             this._borrowedContext.resize(width, height)
@@ -223,9 +235,11 @@ export class ShaderButton {
             // Get resources for this context
             this._resources = ButtonResourceCache.getInstance().getResources(this.gl)
 
-            // Check if we got a different context - if so, old texture is invalid
-            const isDifferentContext = oldContextId !== undefined &&
-                                       oldContextId !== this._borrowedContext.contextId
+            // Check if we got a different context, or ours was lost and restored
+            // since - if so, old texture is invalid
+            const isDifferentContext = (oldContextId !== undefined &&
+                                        oldContextId !== this._borrowedContext.contextId) ||
+                                       this._lastContextGeneration !== this._borrowedContext.generation
 
             // Recreate base texture if:
             // 1. Different context (old texture is invalid)
@@ -247,6 +261,7 @@ export class ShaderButton {
             this.setShader(this.options.shader)
 
             this._lastContextId = this._borrowedContext.contextId
+            this._lastContextGeneration = this._borrowedContext.generation
             this._borrowPending = false
 
             return true
@@ -257,6 +272,42 @@ export class ShaderButton {
         }
     }
 
+    /**
+     * A higher-priority borrower is waiting: a continuously animating button
+     * that isn't hovered hands its context over and queues to borrow one again
+     * @returns {boolean} false while it keeps its context (hovered, idle); the pool asks again
+     */
+    _handlePreempt() {
+        if (this.isHovering || !this.isAnimating || !this.isRunning) return false  // Asked again later
+        this._reacquireContext()
+        return true
+    }
+
+    /**
+     * Release the borrowed context and resume on a newly borrowed one
+     */
+    async _reacquireContext() {
+        this.stop()
+        this._releaseContext()
+        const gotContext = await this._borrowContext('visible')
+        if (gotContext && this.isAnimating) {
+            this.start()
+        }
+    }
+
+    /**
+     * Re-create the base texture and shader reference after the borrowed
+     * context was restored from a loss (the pool has rebuilt the shared caches)
+     */
+    _handleContextRestored() {
+        if (!this._borrowedContext) return
+
+        this.baseColorTexture = null  // Died with the context
+        this._createBaseTexture()
+        this.setShader(this.options.shader)
+        this._lastContextGeneration = this._borrowedContext.generation
+    }
+
     /**
      * Set the active shader
      * @param {string} name - Shader name
@@ -287,12 +338,28 @@ export class ShaderButton {
 
     /**
      * Set variant color
-     * @param {string|null} variant - Variant name or null
+     * Invalid variants are rejected with a warning and the current one is kept.
+     * @param {string|number[]|Object|null} variant - Variant name, CSS colour, CSS gradient,
+     *   RGB triple or gradient object (see Variants.js), or null
      */
     setVariant(variant) {
+        try {
+            resolveVariant(variant)
+        } catch (err) {
+            console.warn(`ShaderButton: ${err.message}`)
+            return
+        }
         this.options.variant = variant || null
     }
 
+    /**
+     * Set tunable shader parameters (replaces any previous values)
+     * @param {Object|null} params - Values by parameter name, null = shader defaults
+     */
+    setShaderParams(params) {
+        this.options.shaderParams = params || null
+    }
+
     /**
      * Set border width
      * @param {number} width - Border width (0-0.5)
@@ -301,6 +368,34 @@ export class ShaderButton {
         this.options.borderWidth = Math.max(0.02, Math.min(0.5, width))
     }
 
+    /**
+     * Set effect intensity
+     * @param {number} intensity - Effect intensity multiplier
+     */
+    setIntensity(intensity) {
+        this.options.intensity = intensity
+    }
+
+    /**
+     * Follow a change of the button's display size
+     * @param {number} width - Button width in CSS pixels
+     * @param {number} height - Button height in CSS pixels
+     * @param {number} dpr - Device pixel ratio
+     */
+    handleResize(width, height, dpr) {
+        if (this._displaySize) this._displaySize = { width, height, dpr }
+
+        // Update target canvas size
+        this.canvas.width = width * dpr
+        this.canvas.height = height * dpr
+
+        // Resize borrowed context if we have one
+        this._borrowedContext?.resize(this.canvas.width, this.canvas.height)
+
+        // Get fresh 2D context after resize
+        this._targetCtx = this.canvas.getContext('2d')
+    }
+
     /**
      * Update mouse position
      * @param {number} x - Normalized X (-1 to 1)
@@ -325,7 +420,7 @@ export class ShaderButton {
         }
 
         if (hovering && !wasHovering) {
-            const gotContext = await this._borrowContext()
+            const gotContext = await this._borrowContext('interactive')
             if (gotContext) {
                 this.start()
             }
@@ -492,12 +587,11 @@ export class ShaderButton {
         shader.setUniform1f('u_textOpacity', 0.0)
         shader.setUniform1f('u_effectScale', this.options.intensity)
 
-        // Variant color
-        const variant = this.options.variant
-        const variantActive = variant ? 1.0 : 0.0
-        const variantColor = variant ? (CONFIG.variants[variant] || [0, 0, 0]) : [0, 0, 0]
-        shader.setUniform1f('u_variantActive', variantActive)
-        shader.setUniform3f('u_variantColor', variantColor[0], variantColor[1], variantColor[2])
+        // Variant colour or gradient
+        applyVariantUniforms(shader, this.options.variant)
+
+        // Tunable parameters (built-in @param uniforms or custom shader uniforms)
+        applyShaderParams(shader, getShaderParamSchema(this.activeShaderName), this.options.shaderParams)
 
         // Bind textures
         const proceduralTextures = this._borrowedContext.proceduralTextures
@@ -621,10 +715,10 @@ export class ShaderButton {
     // ==================== Static ====================
 
     static get shaderNames() {
-        return ShaderRegistry.SHADER_NAMES
+        return [...ShaderRegistry.SHADER_NAMES, ...getCustomShaderNames()]
     }
 
     static get variantNames() {
-        return Object.keys(CONFIG.variants)
+        return getVariantNames()
     }
 }
@@ -5,9 +5,15 @@
  *   <shader-button shader="holographic" mode="border" variant="blue">
  *     Click Me
  *   </shader-button>
+ *
+ * backend="worker" renders the button in the render worker (see WorkerBackend.js)
+ * where supported, and on the main thread's pool otherwise.
  */
 
 import { ShaderButton } from './shaderButton.js'
+import { WorkerShaderButton, supportsWorkerBackend } from './WorkerBackend.js'
+import { parseShaderParams } from '../shaders/ShaderParams.js'
+import { parseVariantAttribute } from '../card/Variants.js'
 
 // Shadow DOM template
 const TEMPLATE = document.createElement('template')
@@ -171,15 +177,29 @@ const ATTR_TO_OPTION = {
     'shader': 'shader',
     'mode': 'mode',
     'variant': 'variant',
+    'shader-params': 'shaderParams',
     'border-width': 'borderWidth',
     'intensity': 'intensity',
     'resting-tilt': 'restingTilt',
     'resting-focus': 'restingFocus'
 }
 
+// Buttons that asked for backend="worker" but fell back to the pool warn once per page
+let warnedWorkerFallback = false
+
+/**
+ * Warn (once) that backend="worker" isn't available and buttons use the pool
+ * @param {string} reason
+ */
+function warnWorkerFallback(reason) {
+    if (warnedWorkerFallback) return
+    warnedWorkerFallback = true
+    console.warn(`shaderButtonElement: backend 'worker' ${reason}, using 'pool'`)
+}
+
 class ShaderButtonElement extends HTMLElement {
     static get observedAttributes() {
-        return ['shader', 'mode', 'variant', 'disabled', 'border-width', 'intensity', 'size', 'resting-tilt', 'resting-focus', 'animate', 'text-mask']
+        return ['shader', 'mode', 'variant', 'shader-params', 'disabled', 'border-width', 'intensity', 'size', 'resting-tilt', 'resting-focus', 'animate', 'text-mask', 'backend']
     }
 
     constructor() {
@@ -226,7 +246,7 @@ class ShaderButtonElement extends HTMLElement {
         options.mode = 'background'
 
         // Create ShaderButton instance
-        this._button = new ShaderButton(this._canvas, options)
+        this._createButton(options)
 
         // Initialize and start
         this._initialize()
@@ -263,14 +283,25 @@ class ShaderButtonElement extends HTMLElement {
         this._resizeObserver?.disconnect()
         this._resizeObserver = null
 
-        // Destroy button
+        // Destroy button (a canvas handed to the worker can't be used again)
+        const usedWorker = this._button instanceof WorkerShaderButton
         this._button?.destroy()
         this._button = null
+        if (usedWorker) this._replaceCanvas()
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue) return
         if (!this._button) return
+
+        // Moving on or off the worker needs a new button (and canvas)
+        if (name === 'backend') {
+            if (this._usesWorker() !== (this._button instanceof WorkerShaderButton)) {
+                this._recreateButton()
+            }
+            return
+        }
+
         if (!this._button.isInitialized) return  // Don't update before init completes
 
         switch (name) {
@@ -281,14 +312,17 @@ class ShaderButtonElement extends HTMLElement {
                 // Handled by CSS - mode controls visual border, not shader
                 break
             case 'variant':
-                this._button.setVariant(newValue || null)
+                this._button.setVariant(parseVariantAttribute(newValue))
+                break
+            case 'shader-params':
+                this._button.setShaderParams(parseShaderParams(newValue))
                 break
             case 'border-width':
                 // Update CSS variable for border width
                 this.style.setProperty('--border-width', `${parseFloat(newValue) * 48 || 3}px`)
                 break
             case 'intensity':
-                this._button.options.intensity = parseFloat(newValue) || 0.5
+                this._button.setIntensity(parseFloat(newValue) || 0.5)
                 break
             case 'disabled':
                 // Handled by CSS :host([disabled])
@@ -309,6 +343,56 @@ class ShaderButtonElement extends HTMLElement {
         }
     }
 
+    /**
+     * Create the button for the canvas
+     * backend="worker" renders in a Worker where supported; otherwise it falls
+     * back to the pool.
+     * @param {Object} options
+     */
+    _createButton(options) {
+        if (this._usesWorker()) {
+            try {
+                this._button = new WorkerShaderButton(this._canvas, options)
+                return
+            } catch (err) {
+                warnWorkerFallback(`can't take this canvas (${err.message})`)
+            }
+        } else if (this.getAttribute('backend') === 'worker') {
+            warnWorkerFallback("isn't supported in this browser")
+        }
+        this._button = new ShaderButton(this._canvas, options)
+    }
+
+    /**
+     * Whether the button renders on the worker backend
+     * @returns {boolean}
+     */
+    _usesWorker() {
+        return this.getAttribute('backend') === 'worker' && supportsWorkerBackend()
+    }
+
+    /**
+     * Swap in a fresh canvas (after the old one was handed to the worker)
+     */
+    _replaceCanvas() {
+        const canvas = document.createElement('canvas')
+        this._canvas.replaceWith(canvas)
+        this._canvas = canvas
+    }
+
+    /**
+     * Replace the button and its canvas when it moves on or off the worker backend
+     */
+    _recreateButton() {
+        this._button.destroy()
+        this._replaceCanvas()
+
+        const options = this._parseAttributes()
+        options.mode = 'background'
+        this._createButton(options)
+        this._initialize()
+    }
+
     /**
      * Parse attributes into options object
      */
@@ -324,6 +408,14 @@ class ShaderButtonElement extends HTMLElement {
                     value = parseFloat(value)
                 }
 
+                if (attr === 'shader-params') {
+                    value = parseShaderParams(value)
+                }
+
+                if (attr === 'variant') {
+                    value = parseVariantAttribute(value)
+                }
+
                 // Handle resting-tilt and resting-focus as "x,y" arrays
                 if (attr === 'resting-tilt' || attr === 'resting-focus') {
                     const parts = value.split(',').map(v => parseFloat(v.trim()))
@@ -346,20 +438,22 @@ class ShaderButtonElement extends HTMLElement {
      */
     async _initialize() {
         // Wait for next frame to ensure layout is complete
+        const button = this._button
         await new Promise(resolve => requestAnimationFrame(resolve))
+        if (this._button !== button) return  // Replaced or disconnected meanwhile
 
         try {
             // IMPORTANT: Set animating state BEFORE initialize()
             // so _doInitialRender sees it and doesn't release context
             if (this.hasAttribute('animate')) {
-                this._button.isAnimating = true
+                button.isAnimating = true
             }
 
-            await this._button.initialize()
+            await button.initialize()
 
             // Now call setAnimating to ensure render loop starts
             if (this.hasAttribute('animate')) {
-                this._button.setAnimating(true)
+                button.setAnimating(true)
             }
         } catch (err) {
             console.error('ShaderButton initialization failed:', err)
@@ -376,21 +470,7 @@ class ShaderButtonElement extends HTMLElement {
             const { width, height } = entries[0].contentRect
             if (width === 0 || height === 0) return
 
-            const dpr = window.devicePixelRatio || 1
-            const newWidth = width * dpr
-            const newHeight = height * dpr
-
-            // Update target canvas size
-            this._canvas.width = newWidth
-            this._canvas.height = newHeight
-
-            // Resize borrowed context if we have one
-            if (this._button._borrowedContext) {
-                this._button._borrowedContext.resize(newWidth, newHeight)
-            }
-
-            // Get fresh 2D context after resize
-            this._button._targetCtx = this._canvas.getContext('2d')
+            this._button.handleResize(width, height, window.devicePixelRatio || 1)
         })
 
         this._resizeObserver.observe(this)
@@ -480,10 +560,12 @@ class ShaderButtonElement extends HTMLElement {
 
     /**
      * Set the variant color
+     * @param {string|number[]|Object|null} variant - Name, CSS colour or gradient, RGB triple
+     *   or gradient object (see Variants.js)
      */
     setVariant(variant) {
         if (variant) {
-            this.setAttribute('variant', variant)
+            this.setAttribute('variant', typeof variant === 'string' ? variant : JSON.stringify(variant))
         } else {
             this.removeAttribute('variant')
         }
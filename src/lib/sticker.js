@@ -11,18 +11,36 @@ import {
     createCenterMask,
     createArtWindowMask,
     createRadialEdgeMask,
-    createRadialCenterMask
+    createRadialCenterMask,
+    parseMask,
+    collectMaskImages,
+    createCompositeMask
 } from '../core/MaskFactory.js'
 import { Card } from '../card/Card.js'
 import { CardController } from '../card/CardController.js'
 import { CardRenderer } from '../card/CardRenderer.js'
 import { RandomTextureFactory } from '../factories/RandomTextureFactory.js'
 import { TextRenderer } from '../factories/TextRenderer.js'
-import { TextureLoader } from './TextureLoader.js'
+import { normalizeLayout, registerLayout } from '../factories/CardLayout.js'
+import { registerTextIcon } from '../factories/RichText.js'
+import { TextureLoader, isSvgUrl } from './TextureLoader.js'
+import { TextureCache } from './TextureCache.js'
+import { isVideoUrl } from '../core/AnimatedTexture.js'
 import { WebGLContextPool } from './WebGLContextPool.js'
+import { SharedViewportContext } from './SharedViewportContext.js'
 import * as ShaderRegistry from './ShaderRegistry.js'
+import { getCustomShaderNames } from '../shaders/CustomShaders.js'
+import { getShaderParamSchema, resolveShaderParams } from '../shaders/ShaderParams.js'
+import { normalizeLayers } from '../card/EffectLayers.js'
+import { getRarityOptions, getRarityNames, registerRarity } from '../card/Rarity.js'
+import { resolveVariant, getVariantNames, registerVariant } from '../card/Variants.js'
 import { CONFIG } from '../config.js'
 import { BloomPass } from '../post/BloomPass.js'
+import { Texture } from '../core/Texture.js'
+import { createCanvas, isCanvas, loadImage } from '../utils/CanvasFactory.js'
+import { createClipEncoder, sampleTiltPath } from './ClipRecorder.js'
+import { resolveExportSize, resolveExportPose } from './CardExport.js'
+import { MotionPolicy, MOTION_MODES, isReducedMotion, getFrameInterval, shouldDrawFrame } from './MotionPolicy.js'
 
 // Mask factory map
 const MASK_FACTORIES = {
@@ -37,6 +55,30 @@ const MASK_FACTORIES = {
 // Built-in card sources (procedural generators only)
 const BUILTIN_SOURCES = ['random-emoji', 'random-geometric']
 
+/**
+ * TextureCache key for a texture made from an image source
+ * Only plain image URLs are shared between cards: canvases and SVG rasters are
+ * sized per card, and video/sprite sheet textures are re-uploaded every frame.
+ * @param {string} kind - 'image', 'brightness', 'normal' or 'depth'
+ * @param {*} source - Image URL (or anything else, which isn't cached)
+ * @returns {string|null}
+ */
+function getTextureKey(kind, source) {
+    if (typeof source !== 'string' || isSvgUrl(source) || isVideoUrl(source)) return null
+    return `${kind}:${source}`
+}
+
+/**
+ * Copy an image onto a new canvas
+ * @param {CanvasImageSource} image
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function drawToCanvas(image) {
+    const canvas = createCanvas(image.width, image.height)
+    canvas.getContext('2d').drawImage(image, 0, 0)
+    return canvas
+}
+
 /**
  * Size presets for sticker rendering resolution
  * Maps size name to resolution scale factor
@@ -54,32 +96,113 @@ const SIZE_PRESETS = {
 // Default size preset
 const DEFAULT_SIZE = 'm'
 
+// Debounce (ms) before an SVG card source re-rasterizes after a resize
+const SVG_RASTER_DELAY = 150
+
+// Longest wait (ms) for web fonts before the first text draw falls back
+const FONT_LOAD_TIMEOUT = 3000
+
+// Rendering backends: a borrowed pool context per card, copied into the card's
+// canvas, or one full-viewport canvas drawing every card (see SharedViewportContext)
+const BACKENDS = ['pool', 'shared']
+
+/**
+ * Parse a hex colour ('#rgb' or '#rrggbb') or RGB array into 0-1 RGB
+ * @param {string|number[]|null} color
+ * @returns {number[]|null} RGB triple, or null if unparseable
+ */
+function parseColor(color) {
+    if (Array.isArray(color) && color.length >= 3) return color.slice(0, 3)
+    if (typeof color !== 'string') return null
+
+    let hex = color.trim().replace(/^#/, '')
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('')
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null
+
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+}
+
+/**
+ * Parse a generated source string
+ * Formats: 'random-emoji', 'random-emoji:😀', 'random-geometric', each optionally
+ * followed by '?seed=<seed>' for reproducible output.
+ * @param {string} source
+ * @returns {{type: string, emoji: string|null, seed: string|null}|null} null for URL sources
+ */
+function parseGeneratedSource(source) {
+    const queryIndex = source.indexOf('?')
+    const base = queryIndex === -1 ? source : source.substring(0, queryIndex)
+    const query = queryIndex === -1 ? '' : source.substring(queryIndex + 1)
+
+    const type = BUILTIN_SOURCES.find(name => base === name || base.startsWith(`${name}:`))
+    if (!type) return null
+
+    const emoji = type === 'random-emoji' ? base.substring(type.length + 1) : ''
+    const seed = new URLSearchParams(query).get('seed')
+    return { type, emoji: emoji || null, seed: seed || null }
+}
+
 /**
  * Default options for sticker
  */
 const DEFAULT_OPTIONS = {
     // Core
     shader: 'holographic',
-    cardSrc: null,
-    cardNormal: null,
+    cardSrc: null,        // Image/video URL, built-in name, HTMLVideoElement or sprite sheet descriptor
+    cardNormal: null,     // Normal map URL, or 'auto' to derive one from the image's brightness
+    cardDepth: null,      // Depth map URL (white = foreground); null = estimated from the image
 
     // Text overlays
     cardName: '',
     cardNumber: '',
     cardCollection: '',
+    cardFields: null,     // Extra layout field values, e.g. { hp: '120', rarity: 'Rare' }
+    layout: null,         // Text layout template or registered name (null = default layout)
+    font: null,           // Font family for fields without their own, e.g. "'Cinzel', serif" (web fonts are awaited)
 
     // Effects
+    rarity: null,   // Preset for shader, mask, variant, bloom, shaderParams and layers ('common'...'secret')
     mask: 'full',
     bloom: 0.95,  // 0 = off, >0 = intensity (max 2.0)
-    variant: null,  // Parallel variant: 'blue', 'red', 'purple', 'green', 'gold', 'black'
+    variant: null,  // Parallel variant: name ('gold', 'rainbow'), CSS colour or gradient (see Variants.js)
+    seed: null,     // Seed for random-emoji/random-geometric (null = random; '?seed=' in cardSrc wins)
+    shaderParams: null,  // Tunable shader parameters, e.g. { sparkleDensity: 120, numRays: 16 } (null = defaults)
+    layers: null,   // Overlay effects above the front shader: [{ shader, mask, blend, opacity, params }]
+    normalStrength: 1,  // Normal map bump strength (0 = flat lighting)
+
+    // Back face
+    cardBack: null,       // Image URL for the card reverse (null = single-sided)
+    backShader: 'base',   // Shader used for the back face
+    backMask: 'full',     // Effect mask for the back face
+    flipped: false,       // Show the back face
+
+    // Card shape (in card widths; 0/0 = flat square quad)
+    cornerRadius: 0,      // e.g. 0.05 for standard trading-card corners
+    thickness: 0,         // e.g. 0.012 for cardstock
+    edgeColor: null,      // Hex colour or RGB array for the edge (null = CONFIG.card.edgeColor)
 
     // Behavior
     interactive: true,
+    tiltSource: 'pointer',  // 'pointer' (mouse/touch) or 'gyro' (device orientation)
+    keyboard: true,         // Arrow-key tilt while the card has focus
+    gamepad: false,         // Gamepad left-stick tilt (every opted-in card follows the stick)
     lazy: false,
     autoplay: true,
 
+    // Motion and power (see MotionPolicy.js)
+    motion: 'auto',         // 'auto' (follow prefers-reduced-motion), 'full' or 'reduced' (static hero frame)
+    maxFps: 0,              // Frame rate cap (0 = display rate); low battery caps at CONFIG.motion.lowPowerFps
+    pauseWhenHidden: true,  // Stop rendering while the tab is hidden
+
     // Resolution - defaults to 'm' (200×320)
-    size: DEFAULT_SIZE
+    size: DEFAULT_SIZE,
+
+    // Rendering backend: 'pool' (default), 'shared' (one full-viewport canvas for
+    // every card, no live-card limit; renders at display size, clipped by scroll
+    // containers but drawn over modals and overlapping content) or 'worker' (the pool
+    // runs in a Worker on the element's transferred canvas, see WorkerBackend.js;
+    // sticker-card only). Lazy cards always use the pool
+    backend: 'pool'
 }
 
 export class sticker {
@@ -90,10 +213,14 @@ export class sticker {
      */
     constructor(canvas, options = {}) {
         this.canvas = canvas  // Target canvas (2D) for displaying results
-        this.options = { ...DEFAULT_OPTIONS, ...options }
+        // Explicit options win over the rarity preset
+        const rarityOptions = this._getRarityOptions(options.rarity)
+        this.options = { ...DEFAULT_OPTIONS, ...rarityOptions, ...options }
+        if (!rarityOptions) this.options.rarity = null
 
         // Track if bloom was explicitly set by user (for auto-adjustment with brightness mask)
-        this._bloomExplicitlySet = 'bloom' in options
+        // A rarity's bloom counts as explicit
+        this._bloomExplicitlySet = 'bloom' in options || !!rarityOptions
 
         // State
         this.isActive = false
@@ -103,9 +230,21 @@ export class sticker {
         this.lastTime = 0
         this.frameId = null
 
+        // Page-wide motion state, subscribed while the render loop runs
+        this._motionPolicy = MotionPolicy.getInstance()
+        this._unsubscribeMotion = null
+        this._reducedMotion = false
+        this._paused = false  // Render loop suspended (hidden tab)
+        this._resumeAfterRestore = false  // Render loop was running when the context was lost
+        this._borrowPriority = 'visible'  // Pool priority of the last init (see WebGLContextPool)
+        this._sharedViewport = null  // Last rect drawn into on the shared canvas (backend: 'shared')
+        this._sharedClip = null      // Part of that rect left visible by scroll containers
+        this._displaySize = null  // {width, height, dpr} posted by the main thread (backend: 'worker')
+
         // Callbacks (set by stickerElement to dispatch events)
         this.onError = null
         this.onSourceLoaded = null
+        this.onGyroStateChange = null
 
         // Pool integration - borrowed context contains shared GL resources
         this._borrowedContext = null
@@ -120,6 +259,7 @@ export class sticker {
         this.renderer = null       // Card-specific
         this.textRenderer = null   // Card-specific
         this.textureLoader = null  // Card-specific
+        this._textures = null      // TextureScope: cached textures this card holds (see TextureCache.js)
         this.cardFactory = null    // Card-specific
         this.randomFactory = null  // Card-specific
         this.bloomPass = null      // Card-specific bloom post-processing
@@ -127,20 +267,47 @@ export class sticker {
         // Stored masks from card loading (for normal/brightness mask options)
         this.storedNormalMap = null
         this.storedBrightnessMask = null
+        this.storedBackBrightnessMask = null
+
+        // Overlay effect layers (normalized from options.layers) and their procedural masks
+        this._layers = normalizeLayers(this.options.layers)
+        this._layerMasks = new Map()  // Mask name -> Texture, created on the borrowed context
+
+        // Video/sprite sheet base texture (re-uploaded every frame) and the image
+        // or poster canvas that masks and depth estimates are derived from
+        this._animatedSource = null
+        this._cardImageSource = null
+
+        // Render size an SVG card source was rasterized at (null for other sources)
+        this._svgRasterSize = null
+        this._svgRasterTimer = null
+
+        // Images used by image/composed masks: URL -> image, Promise while loading, Error if failed
+        // (plain images, so they persist across destroy/init cycles)
+        this._maskImages = new Map()
 
         // Internal cache for generated content (random-emoji, random-geometric)
         // These persist across destroy/init cycles to maintain consistent visuals
-        this._cachedBaseImageUrl = null
+        this._cachedBaseImage = null  // Generated canvas
+        this._cachedTextureSource = null  // Texture cache key for it: what was generated
         this._cachedSourceType = null
         this._cachedMaskImageUrl = null
         this._isGeneratedContent = false
         this._generatedName = null
         this._generatedCollection = null
+        this._generatedSeed = null
+
+        // Render size override (width/height in pixels) - used by exportImage()
+        this._fixedRenderSize = null
 
         // Static image for lazy mode
         this.staticImage = null
         this._snapshotBlobUrl = null  // Track blob URL for cleanup
 
+        // Programmatic pointer override, kept across destroy/init cycles ([x, y] or null)
+        this._programmaticPointer = null
+        this._inputDrivers = []  // Custom drivers, re-attached on every init
+
         // Lazy mode target element (for listener cleanup)
         this._lazyTarget = null
 
@@ -155,34 +322,21 @@ export class sticker {
 
     /**
      * Initialize WebGL and load resources using the context pool
+     * @param {Object} options
+     * @param {string} options.priority - Pool borrow priority: 'interactive', 'visible' (default) or 'prefetch'
+     * @param {boolean} options.preemptible - Give the context up (and borrow it back) when a
+     *   higher-priority card is waiting (default: true)
      */
-    async init() {
+    async init({ priority = 'visible', preemptible = true } = {}) {
         if (this._borrowedContext) return // Already initialized
         if (this.isInitializing) return
 
         this.isInitializing = true
+        this._borrowPriority = priority
 
         try {
             // Determine render resolution based on size preset
-            let renderWidth, renderHeight
-
-            const sizeKey = (this.options.size || DEFAULT_SIZE).toLowerCase()
-            const preset = SIZE_PRESETS[sizeKey]
-
-            if (preset && preset.scale !== 'auto') {
-                // Fixed preset resolution (ignores DPR for consistent performance)
-                renderWidth = preset.width
-                renderHeight = preset.height
-            } else {
-                // XXL / Auto mode: use container size with DPR
-                const parent = this.canvas.parentElement
-                const rect = parent?.getBoundingClientRect() || { width: 200, height: 320 }
-                const width = rect.width || 200
-                const height = rect.height || 320
-                const dpr = window.devicePixelRatio || 1
-                renderWidth = width * dpr
-                renderHeight = height * dpr
-            }
+            const { width: renderWidth, height: renderHeight } = this._computeRenderSize()
 
             // Set target canvas size (2D canvas for display)
             this.canvas.width = renderWidth
@@ -198,13 +352,23 @@ export class sticker {
                 this._targetCtx = this.canvas.getContext('2d')
             }
 
-            // Borrow a WebGL context from the pool
-            const pool = WebGLContextPool.getInstance()
-            this._borrowedContext = await pool.borrow(this)
+            // Borrow a WebGL context from the pool, or attach to the shared viewport canvas
+            if (this.options.backend === 'shared' && !this.options.lazy) {
+                this._borrowedContext = SharedViewportContext.getInstance().attach(this, this.canvas)
+                this._borrowedContext.onDraw = (viewport, clip) => this._drawShared(viewport, clip)
+            } else {
+                const pool = WebGLContextPool.getInstance()
+                this._borrowedContext = await pool.borrow(this, { priority })
+                if (preemptible) {
+                    this._borrowedContext.onPreempt = () => this._handlePreempt()
+                }
+            }
+            this._borrowedContext.onContextLost = () => this._handleContextLost()
+            this._borrowedContext.onContextRestored = () => this._handleContextRestored()
 
             // Use resources from the borrowed context
             this.gl = this._borrowedContext.gl
-            this.geometry = this._borrowedContext.geometry
+            this.geometry = this._borrowedContext.getCardMesh(this._getCardShape())
             this.shaderManager = this._borrowedContext.shaderManager
 
             // Resize the offscreen canvas to match target
@@ -220,11 +384,14 @@ export class sticker {
             this.card = new Card({
                 scaleX: 1,
                 scaleY: 1,
-                smoothing: 8
+                smoothing: 8,
+                flipDuration: CONFIG.card.flipDuration
             })
+            this.card.setFlipped(this.options.flipped)
 
-            // Create texture loader (card-specific)
+            // Create texture loader (card-specific) and the scope of shared textures it holds
             this.textureLoader = new TextureLoader(this.gl)
+            this._textures = TextureCache.getInstance().createScope(this._borrowedContext.contextId, this.gl)
 
             // Use procedural textures from pool
             const textures = this._borrowedContext.proceduralTextures
@@ -242,6 +409,9 @@ export class sticker {
             // and respects the user's mask selection
             this.updateMask(this.options.mask)
 
+            // Load the back face (if any) - single-sided cards skip this
+            await this.loadCardBack(this.options.cardBack)
+
             // Notify that source has loaded (for generated name etc)
             this.onSourceLoaded?.()
 
@@ -252,16 +422,41 @@ export class sticker {
             }
 
             // Create text textures (card-specific)
-            this.textRenderer = new TextRenderer(this.gl)
+            // Web fonts still loading redraw the text once they arrive
+            this.textRenderer = new TextRenderer(this.gl, this._resolveLayout(this.options.layout), this.options.font || null, this._textures)
+            this.textRenderer.onInvalidate = () => this.updateTextTextures()
             this.updateTextTextures()
 
+            // Give web fonts a moment so the first frame (and lazy snapshots) use them
+            await Promise.race([
+                this.textRenderer.ready(),
+                new Promise(resolve => setTimeout(resolve, FONT_LOAD_TIMEOUT))
+            ])
+            if (!this.isActive && this.options.lazy) {
+                this.cleanupPartialInit()
+                return
+            }
+
             // Create controller and renderer (card-specific)
-            // Note: controller uses target canvas for mouse tracking
-            if (this.options.interactive) {
-                this.controller = new CardController(this.card, this.canvas)
+            // Note: controller uses target canvas for mouse tracking. It always exists
+            // (non-interactive cards still idle-wobble and accept setTilt/setPointer)
+            this.controller = new CardController(this.card, this.canvas, {
+                interactive: this.options.interactive,
+                tiltSource: this.options.tiltSource,
+                keyboard: this.options.keyboard,
+                gamepad: this.options.gamepad,
+                focusTarget: this._getFocusTarget(),
+                onGyroStateChange: (state) => this.onGyroStateChange?.(state)
+            })
+            if (this._programmaticPointer) {
+                this.controller.setPointer(...this._programmaticPointer)
+            }
+            for (const driver of this._inputDrivers) {
+                this.controller.addDriver(driver)
             }
             this.renderer = new CardRenderer(this.gl, this.geometry, this.shaderManager)
             this.renderer.updateProjection(this.canvas.width / this.canvas.height)
+            this._applyEdgeColor()
 
             // Set active shader
             this.shaderManager.use(this.options.shader)
@@ -279,8 +474,9 @@ export class sticker {
             if (bloomIntensity > 0) {
                 this.bloomPass = new BloomPass(this.gl)
                 await this.bloomPass.loadShaders()
-                const offscreenCanvas = this._borrowedContext.canvas
-                this.bloomPass.resize(offscreenCanvas.width, offscreenCanvas.height)
+                // The shared canvas covers the viewport; bloom only needs the card's size
+                const bloomSize = this._borrowedContext.shared ? this.canvas : this._borrowedContext.canvas
+                this.bloomPass.resize(bloomSize.width, bloomSize.height)
                 this.bloomPass.setOutputFBO(null)  // Output to offscreen canvas
                 this.bloomPass.enabled = true
                 this.bloomPass.intensity = bloomIntensity
@@ -296,9 +492,36 @@ export class sticker {
         }
     }
 
+    /**
+     * Render resolution for the current size preset
+     * @returns {{width: number, height: number}}
+     */
+    _computeRenderSize() {
+        const sizeKey = (this.options.size || DEFAULT_SIZE).toLowerCase()
+        const preset = SIZE_PRESETS[sizeKey]
+
+        if (this._fixedRenderSize) {
+            // Explicit size (offscreen exports)
+            return { width: this._fixedRenderSize.width, height: this._fixedRenderSize.height }
+        }
+        if (preset && preset.scale !== 'auto') {
+            // Fixed preset resolution (ignores DPR for consistent performance)
+            return { width: preset.width, height: preset.height }
+        }
+
+        // XXL / Auto mode: use container size with DPR (posted by the main thread in a worker)
+        const parent = this.canvas.parentElement
+        const rect = this._displaySize ?? parent?.getBoundingClientRect() ?? { width: 200, height: 320 }
+        const width = rect.width || 200
+        const height = rect.height || 320
+        const dpr = this._displaySize?.dpr ?? (globalThis.devicePixelRatio || 1)
+        return { width: width * dpr, height: height * dpr }
+    }
+
     /**
      * Load card texture from source
-     * @param {string|null} source - URL, built-in name, or null
+     * @param {string|HTMLVideoElement|Object|null} source - Image or video URL, built-in name,
+     *   video element, sprite sheet descriptor (see AnimatedTexture.js), or null
      */
     async loadCardSource(source) {
         if (!source) {
@@ -307,28 +530,41 @@ export class sticker {
         }
 
         // Procedural generators
-        if (source.startsWith('random-emoji') || source === 'random-geometric') {
-            const sourceType = source.startsWith('random-emoji') ? 'random-emoji' : 'random-geometric'
-
-            // Check if we have cached content OF THE SAME TYPE
-            if (this._cachedBaseImageUrl && this._cachedSourceType === sourceType) {
+        const generated = typeof source === 'string' ? parseGeneratedSource(source) : null
+        if (generated) {
+            const { type: sourceType, emoji } = generated
+            const explicitSeed = generated.seed ?? this.options.seed
+            const sameType = this._cachedSourceType === sourceType
+
+            // Check if we have cached content OF THE SAME TYPE (and seed, if one was asked for)
+            const seedMatches = explicitSeed === null || String(explicitSeed) === String(this._generatedSeed)
+            if (this._cachedBaseImage && sameType && seedMatches) {
                 // Load from cache - same visual content as before
                 await this._loadFromCache()
             } else {
+                // Regenerating the same type (e.g. new collection name) keeps the previous seed
+                const seed = explicitSeed ?? (sameType ? this._generatedSeed : null) ?? Math.floor(Math.random() * 1000000)
+
                 // Clear old cache if switching types
-                this._cachedBaseImageUrl = null
+                this._cachedBaseImage = null
                 this._cachedSourceType = null
 
-                // Parse optional emoji from source (format: "random-emoji:😀")
-                let emoji = null
-                if (source.startsWith('random-emoji:')) {
-                    emoji = source.substring('random-emoji:'.length)
-                }
-                // Generate new random content and cache it
-                await this._generateAndCacheRandomContent(sourceType, emoji)
+                // Generate new content and cache it
+                await this._generateAndCacheRandomContent(sourceType, emoji, seed)
                 this._cachedSourceType = sourceType
             }
 
+            // Generated art replaces any live (video/sprite sheet) source
+            this._releaseAnimatedSource()
+            this._cardImageSource = this._cachedBaseImage
+
+            // Generated art has no authored normal map, but 'auto' can derive one
+            this.storedNormalMap = this.options.cardNormal === 'auto'
+                ? await this._createNormalMapFromUrl(this._cachedBaseImage)
+                : null
+            this.card.setTexture('normal', this.storedNormalMap)
+            await this._loadCardDepth(this._cachedBaseImage)
+
             // Default to radial-edge mask for random cards (better visual fit)
             // Only override the default mask - respect explicit user choices
             if (this.options.mask === 'full') {
@@ -340,21 +576,38 @@ export class sticker {
         // URL-based loading - not generated content
         this._isGeneratedContent = false
 
-        const texture = await this.textureLoader.load(source)
+        // SVGs are rasterized to cover the render size, and again when it changes
+        const renderSize = { width: this.canvas.width, height: this.canvas.height }
+        const svgRaster = isSvgUrl(source) ? await this.textureLoader.rasterizeSvg(source, renderSize) : null
+        this._svgRasterSize = svgRaster ? renderSize : null
+
+        const texture = await this._loadTexture('image', source, () => this.textureLoader.load(svgRaster ?? source))
+        this._releaseAnimatedSource()
         this.card.setTexture('base', texture)
 
+        // Live sources derive their masks from the poster frame, SVGs from their raster
+        this._animatedSource = texture.isAnimated ? texture : null
+        const imageSource = texture.isAnimated ? texture.getPosterCanvas() : (svgRaster ?? source)
+        this._cardImageSource = imageSource
+
         // Load normal map if provided, otherwise generate brightness mask
         // Note: We only STORE these textures here - the actual effectMask is set
         // by updateMask() after loadCardSource() completes, respecting user's mask selection
-        if (this.options.cardNormal) {
-            const normalMap = await this.textureLoader.load(this.options.cardNormal)
+        if (this.options.cardNormal && this.options.cardNormal !== 'auto') {
+            const cardNormal = this.options.cardNormal
+            const normalMap = await this._loadTexture('image', cardNormal, () => this.textureLoader.load(cardNormal))
             this.storedNormalMap = normalMap
             this.storedBrightnessMask = null
         } else {
-            const brightnessMask = await this._createBrightnessMaskFromUrl(source)
-            this.storedNormalMap = null
+            const brightnessMask = await this._createBrightnessMaskFromUrl(imageSource)
+            this.storedNormalMap = this.options.cardNormal === 'auto'
+                ? await this._createNormalMapFromUrl(imageSource)
+                : null
             this.storedBrightnessMask = brightnessMask
         }
+        // The normal map also perturbs the shaders' lighting
+        this.card.setTexture('normal', this.storedNormalMap)
+        await this._loadCardDepth(imageSource)
 
         // Update text overlays (collection name is overlay-based for URL content)
         this.updateTextTextures()
@@ -362,48 +615,129 @@ export class sticker {
 
     /**
      * Create brightness mask from image URL
-     * @param {string} url - Image URL
+     * @param {string|HTMLCanvasElement} url - Image URL (or a canvas, see _loadImageCanvas)
      * @returns {Promise<Texture>}
      */
     async _createBrightnessMaskFromUrl(url) {
-        const img = await this._loadImage(url)
-        const canvas = document.createElement('canvas')
-        canvas.width = img.width
-        canvas.height = img.height
-        const ctx = canvas.getContext('2d')
-        ctx.drawImage(img, 0, 0)
+        return this._loadTexture('brightness', url, async () => {
+            const canvas = await this._loadImageCanvas(url)
+            const { createTextureBrightnessMask } = await import('../core/MaskFactory.js')
+            return createTextureBrightnessMask(this.gl, canvas)
+        })
+    }
+
+    /**
+     * Derive a normal map from an image's brightness (bright areas are raised)
+     * @param {string|HTMLCanvasElement} url - Image URL (or a canvas, see _loadImageCanvas)
+     * @returns {Promise<Texture>}
+     */
+    async _createNormalMapFromUrl(url) {
+        return this._loadTexture('normal', url, async () => {
+            const canvas = await this._loadImageCanvas(url)
+            const { createNormalMapFromCanvas } = await import('../core/ProceduralTextures.js')
+            return createNormalMapFromCanvas(this.gl, canvas)
+        })
+    }
+
+    /**
+     * Load the card's depth map (parallax art layers, etched depth)
+     * Uses cardDepth when given, otherwise estimates depth from the card image.
+     * @param {string|HTMLCanvasElement} imageUrl - Card image to estimate depth from
+     */
+    async _loadCardDepth(imageUrl) {
+        let depthMap
+        const cardDepth = this.options.cardDepth
+        if (cardDepth) {
+            depthMap = await this._loadTexture('image', cardDepth, () => this.textureLoader.load(cardDepth))
+        } else {
+            depthMap = await this._loadTexture('depth', imageUrl, async () => {
+                const canvas = await this._loadImageCanvas(imageUrl)
+                const { createDepthMapFromCanvas } = await import('../core/ProceduralTextures.js')
+                return createDepthMapFromCanvas(this.gl, canvas)
+            })
+        }
+        this.card.setTexture('depth', depthMap)
+    }
+
+    /**
+     * Load a texture through the card's TextureScope when it can be shared
+     * Cached textures are reused by re-inits and other cards on the same context,
+     * and given back by cleanupPartialInit()/destroy() rather than destroyed.
+     * Generated content is keyed by its source and seed.
+     * @param {string} kind - What the texture holds (see getTextureKey)
+     * @param {*} source - Image source it is made from
+     * @param {Function} create - async () => Texture, called on a cache miss
+     * @returns {Promise<Texture>}
+     */
+    _loadTexture(kind, source, create) {
+        const generated = source === this._cachedBaseImage && this._cachedTextureSource
+        const key = getTextureKey(kind, generated || source)
+        return key ? this._textures.load(key, create) : create()
+    }
 
-        const { createTextureBrightnessMask } = await import('../core/MaskFactory.js')
-        return createTextureBrightnessMask(this.gl, canvas)
+    /**
+     * Load an image from URL and draw it to a canvas for pixel access
+     * @param {string|HTMLCanvasElement} url - Image URL, or a canvas (e.g. a video poster frame) used as-is
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async _loadImageCanvas(url) {
+        if (isCanvas(url)) return url
+        const img = await this._loadImage(url)
+        return isCanvas(img) ? img : drawToCanvas(img)
     }
 
     /**
-     * Load an image from URL
+     * Load an image from URL, as an image the card can keep
+     * Raster images are copied out of TextureCache's decode cache onto a canvas
+     * (the cache closes its bitmaps when it evicts them); SVGs load as elements.
      * @param {string} url - Image URL
-     * @returns {Promise<HTMLImageElement>}
+     * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
      */
     _loadImage(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image()
-            img.crossOrigin = 'anonymous'
-            img.onload = () => resolve(img)
-            img.onerror = reject
-            img.src = url
+        if (!isSvgUrl(url)) return TextureCache.getInstance().decode(url, drawToCanvas)
+        return loadImage(url)
+    }
+
+    /**
+     * Load the back face texture
+     * The back reuses the pooled procedural textures but gets its own blank text
+     * overlays, so the front's name/number never bleed through onto the reverse.
+     * @param {string|null} source - Image URL, or null for a single-sided card
+     */
+    async loadCardBack(source) {
+        this.card.clearBackTextures()
+        this.storedBackBrightnessMask = null
+        if (!source) return
+
+        const texture = await this._loadTexture('image', source, () => this.textureLoader.load(source))
+        this.storedBackBrightnessMask = await this._createBrightnessMaskFromUrl(source)
+
+        const blank = this._textures.acquire('blank', () => {
+            const empty = new Texture(this.gl)
+            empty.createEmpty(1, 1)
+            return empty
         })
+
+        this.card.setBackTexture('base', texture)
+        this.card.setBackTexture('text', blank)
+        this.card.setBackTexture('number', blank)
+        this.card.setBackTexture('collection', blank)
+        this.updateBackMask(this.options.backMask)
     }
 
     /**
      * Generate random content and cache it for later reuse
      * @param {string} source - 'random-emoji' or 'random-geometric'
      * @param {string|null} emoji - Optional specific emoji to use
+     * @param {number|string} seed - Seed for every random choice
      */
-    async _generateAndCacheRandomContent(source, emoji = null) {
+    async _generateAndCacheRandomContent(source, emoji = null, seed = null) {
         const type = source === 'random-emoji' ? 'emoji' : 'geometric'
         const defaultCollection = type === 'emoji' ? 'EMOJI' : 'GEOMETRY'
         const collectionName = this.options.cardCollection || defaultCollection
 
         this.randomFactory = new RandomTextureFactory(this.gl)
-        const cardData = this.randomFactory.createRandomCard({ type, emoji, collectionName })
+        const cardData = this.randomFactory.createRandomCard({ type, emoji, collectionName, seed })
 
         this.card.setTexture('base', cardData.texture)
         // Store brightness mask - actual effectMask is set by updateMask() after loadCardSource()
@@ -412,9 +746,11 @@ export class sticker {
 
         // Cache the generated content for reuse
         this._isGeneratedContent = true
-        this._cachedBaseImageUrl = cardData.canvas.toDataURL('image/png')
+        this._cachedBaseImage = cardData.canvas
+        this._cachedTextureSource = `generated:${source}:${emoji ?? ''}:${collectionName}:${seed}`
         this._generatedName = cardData.generatedName || ''
         this._generatedCollection = defaultCollection
+        this._generatedSeed = seed
 
         // Clear the collection overlay texture (collection name is baked into base)
         this.updateTextTextures()
@@ -429,12 +765,13 @@ export class sticker {
      * Load content from internal cache
      */
     async _loadFromCache() {
-        // Load base texture from cached data URL
-        const texture = await this.textureLoader.load(this._cachedBaseImageUrl)
+        // Load base texture from the generated canvas (still uploaded if the card was torn down)
+        const image = this._cachedBaseImage
+        const texture = await this._loadTexture('image', image, () => this.textureLoader.load(image))
         this.card.setTexture('base', texture)
 
         // Recreate brightness mask from the cached image
-        const brightnessMask = await this._createBrightnessMaskFromUrl(this._cachedBaseImageUrl)
+        const brightnessMask = await this._createBrightnessMaskFromUrl(image)
         this.storedNormalMap = null
         this.storedBrightnessMask = brightnessMask
         this.card.setTexture('effectMask', brightnessMask)
@@ -446,12 +783,14 @@ export class sticker {
      * @param {sticker} source - Source sticker to copy from
      */
     _copyContentFrom(source) {
-        if (source && source._cachedBaseImageUrl) {
-            this._cachedBaseImageUrl = source._cachedBaseImageUrl
+        if (source && source._cachedBaseImage) {
+            this._cachedBaseImage = source._cachedBaseImage
+            this._cachedTextureSource = source._cachedTextureSource
             this._cachedSourceType = source._cachedSourceType
             this._isGeneratedContent = source._isGeneratedContent
             this._generatedName = source._generatedName
             this._generatedCollection = source._generatedCollection
+            this._generatedSeed = source._generatedSeed
         }
     }
 
@@ -459,7 +798,7 @@ export class sticker {
      * Check if this instance has cached generated content
      */
     get _hasGeneratedContent() {
-        return this._isGeneratedContent && this._cachedBaseImageUrl !== null
+        return this._isGeneratedContent && this._cachedBaseImage !== null
     }
 
     /**
@@ -476,35 +815,131 @@ export class sticker {
         return this._generatedCollection
     }
 
+    /**
+     * Get the seed the generated content was built from
+     * Store it (e.g. as 'random-emoji?seed=<seed>') to reproduce the same card later.
+     */
+    get generatedSeed() {
+        return this._generatedSeed
+    }
+
     /**
      * Update the effect mask
-     * @param {string} maskName - Mask type name
+     * @param {string|CanvasImageSource} maskName - Mask name, expression, image URL or image
      */
     updateMask(maskName) {
-        // Handle special masks that use stored textures
-        if (maskName === 'normal' && this.storedNormalMap) {
-            this.card.setTexture('effectMask', this.storedNormalMap)
+        const texture = this._resolveMaskTexture(maskName, this.storedNormalMap, this.storedBrightnessMask)
+        if (texture) {
+            this.card.setTexture('effectMask', texture)
             return
         }
-        if (maskName === 'brightness' && this.storedBrightnessMask) {
-            this.card.setTexture('effectMask', this.storedBrightnessMask)
+
+        // Mask images still loading - show the full effect until they arrive
+        if (!this.card.getTexture('effectMask')) {
+            this.card.setTexture('effectMask', MASK_FACTORIES['full'](this.gl))
+        }
+        this._loadMaskImages(maskName).then(() => {
+            if (this.card && this.options.mask === maskName) this.updateMask(maskName)
+        })
+    }
+
+    /**
+     * Update the back face effect mask
+     * @param {string|CanvasImageSource} maskName - Mask name, expression, image URL or image
+     */
+    updateBackMask(maskName) {
+        if (!this.card.hasBack()) return
+        const texture = this._resolveMaskTexture(maskName, null, this.storedBackBrightnessMask)
+        if (texture) {
+            this.card.setBackTexture('effectMask', texture)
             return
         }
 
+        if (!this.card.getBackTexture('effectMask')) {
+            this.card.setBackTexture('effectMask', MASK_FACTORIES['full'](this.gl))
+        }
+        this._loadMaskImages(maskName).then(() => {
+            if (this.card && this.options.backMask === maskName) this.updateBackMask(maskName)
+        })
+    }
+
+    /**
+     * Resolve a mask to a texture
+     * @param {string|CanvasImageSource} maskName - Mask name, expression, image URL or image
+     * @param {Texture|null} normalMap - Stored normal map for the 'normal' mask
+     * @param {Texture|null} brightnessMask - Stored brightness mask for the 'brightness' mask
+     * @returns {Texture|null} Texture, or null while the mask's images load (see _loadMaskImages)
+     */
+    _resolveMaskTexture(maskName, normalMap, brightnessMask) {
+        // Handle special masks that use stored textures
+        if (maskName === 'normal' && normalMap) return normalMap
+        if (maskName === 'brightness' && brightnessMask) return brightnessMask
+
         // Handle procedural masks
         const factory = MASK_FACTORIES[maskName]
-        if (factory) {
-            this.card.setTexture('effectMask', factory(this.gl))
-            return
+        if (factory) return factory(this.gl)
+
+        // Handle image and composed masks ('border+radial-center', 'url(foil.png)', ...)
+        if (maskName !== 'normal' && maskName !== 'brightness') {
+            const texture = this._resolveCompositeMask(maskName)
+            if (texture !== undefined) return texture
         }
 
         // Fallback: requested mask unavailable (e.g., 'normal' without a normal map)
         // Use brightness mask if available, otherwise default to 'full'
-        if (this.storedBrightnessMask) {
-            this.card.setTexture('effectMask', this.storedBrightnessMask)
-        } else {
-            this.card.setTexture('effectMask', MASK_FACTORIES['full'](this.gl))
+        return brightnessMask || MASK_FACTORIES['full'](this.gl)
+    }
+
+    /**
+     * Build an image or composed mask
+     * @param {string|CanvasImageSource} mask
+     * @returns {Texture|null|undefined} Texture, null while images load, undefined if unusable
+     */
+    _resolveCompositeMask(mask) {
+        let node
+        try {
+            node = parseMask(mask)
+        } catch (err) {
+            console.warn(`sticker: ${err.message}`)
+            return undefined
+        }
+
+        const images = new Map()
+        for (const source of collectMaskImages(node)) {
+            const image = typeof source === 'string' ? this._maskImages.get(source) : source
+            if (image === undefined || image instanceof Promise) return null
+            if (image instanceof Error) return undefined
+            images.set(source, image)
+        }
+        return createCompositeMask(this.gl, node, images)
+    }
+
+    /**
+     * Load the image URLs a mask uses (each URL is fetched once)
+     * Failures are reported through onError and leave the mask on its fallback.
+     * @param {string|CanvasImageSource} mask
+     * @returns {Promise<void>} Resolves once every image has loaded or failed
+     */
+    _loadMaskImages(mask) {
+        const urls = collectMaskImages(parseMask(mask)).filter(source => typeof source === 'string')
+
+        for (const url of urls) {
+            if (this._maskImages.has(url)) continue
+            const loading = this._loadImage(url).then(
+                (img) => {
+                    this._maskImages.set(url, img)
+                },
+                () => {
+                    const err = new Error(`Failed to load mask image '${url}'`)
+                    this._maskImages.set(url, err)
+                    console.error(err.message)
+                    this.onError?.(err)
+                }
+            )
+            this._maskImages.set(url, loading)
         }
+
+        return Promise.all(urls.map(url => this._maskImages.get(url))).then(() => {})
     }
 
     /**
@@ -524,49 +959,79 @@ export class sticker {
             this.options.cardName || '',
             this.options.cardNumber || '',
             collectionForOverlay,
-            this.card
+            this.card,
+            this.options.cardFields || {}
         )
+        // Redrawn textures get new GL textures
+        this.renderer?.invalidateTextureCache()
+    }
+
+    /**
+     * Validate a layout option, falling back to the default layout
+     * @param {Object|string|null} layout
+     * @returns {Object|string|null} The layout, or null if it is invalid
+     */
+    _resolveLayout(layout) {
+        try {
+            normalizeLayout(layout)
+            return layout
+        } catch (err) {
+            console.warn(`sticker: ${err.message}`)
+            return null
+        }
     }
 
     /**
      * Setup resize observer
      */
     setupResizeObserver() {
-        if (this.resizeObserver) return
+        // Workers have no layout; the main thread posts size changes instead
+        if (this.resizeObserver || typeof ResizeObserver === 'undefined') return
 
         this.resizeObserver = new ResizeObserver(entries => {
-            if (!this.gl || !this.renderer) return
-
             const { width, height } = entries[0].contentRect
-            if (width === 0 || height === 0) return
+            this.handleResize(width, height, window.devicePixelRatio || 1)
+        })
 
-            const sizeKey = (this.options.size || DEFAULT_SIZE).toLowerCase()
-            const preset = SIZE_PRESETS[sizeKey]
+        const parent = this.canvas.parentElement
+        if (parent) {
+            this.resizeObserver.observe(parent)
+        }
+    }
 
-            // For fixed presets (not xxl/auto), only update aspect ratio
-            if (preset && preset.scale !== 'auto') {
-                this.renderer.updateProjection(width / height)
-                return
-            }
+    /**
+     * Follow a change of the card's display size
+     * @param {number} width - Container width in CSS pixels
+     * @param {number} height - Container height in CSS pixels
+     * @param {number} dpr - Device pixel ratio
+     */
+    handleResize(width, height, dpr) {
+        if (!this.gl || !this.renderer) return
+        if (width === 0 || height === 0) return
+        if (this._displaySize) this._displaySize = { width, height, dpr }
 
-            // XXL/Auto mode: resize canvas with DPR
-            const dpr = window.devicePixelRatio || 1
-            this.canvas.width = width * dpr
-            this.canvas.height = height * dpr
+        const sizeKey = (this.options.size || DEFAULT_SIZE).toLowerCase()
+        const preset = SIZE_PRESETS[sizeKey]
 
-            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height)
+        // For fixed presets (not xxl/auto), only update aspect ratio
+        if (preset && preset.scale !== 'auto') {
             this.renderer.updateProjection(width / height)
+            return
+        }
 
-            // Resize bloom pass if it exists
-            if (this.bloomPass) {
-                this.bloomPass.resize(this.canvas.width, this.canvas.height)
-            }
-        })
+        // XXL/Auto mode: resize canvas with DPR
+        this.canvas.width = width * dpr
+        this.canvas.height = height * dpr
 
-        const parent = this.canvas.parentElement
-        if (parent) {
-            this.resizeObserver.observe(parent)
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height)
+        this.renderer.updateProjection(width / height)
+
+        // Resize bloom pass if it exists
+        if (this.bloomPass) {
+            this.bloomPass.resize(this.canvas.width, this.canvas.height)
         }
+
+        this._scheduleSvgRaster()
     }
 
     /**
@@ -589,13 +1054,16 @@ export class sticker {
 
     /**
      * Render a static frame and capture as image (one-time capture)
+     * @param {Object} options
+     * @param {string} options.priority - Pool borrow priority: 'visible' (default) or 'prefetch'
      */
-    async renderStaticFrame() {
+    async renderStaticFrame({ priority = 'visible' } = {}) {
         // Temporarily set active for initialization
         this.isActive = true
 
         try {
-            await this.init()
+            // Held only briefly, so never preempted
+            await this.init({ priority, preemptible: false })
 
             // Single frame render - textures are ready after init()
             this._isStaticRender = true
@@ -688,6 +1156,267 @@ export class sticker {
         }
     }
 
+    /**
+     * Render the card offscreen at any resolution and encode it as an image
+     * A running card renders into its own borrowed context (resized for the one
+     * frame, then restored); an idle card borrows one through a temporary instance.
+     * @param {Object} options
+     * @param {number} options.width - Output width in pixels (default: current canvas width)
+     * @param {number} options.height - Output height in pixels (default: derived from width at 5:8)
+     * @param {string} options.type - MIME type: 'image/png' (default), 'image/webp', 'image/jpeg'
+     * @param {number} options.quality - Quality for lossy formats (0-1, default 0.92)
+     * @param {{x: number, y: number}} options.tilt - Tilt as in setTilt() (default: current pose)
+     * @param {{x: number, y: number}} options.pointer - Pointer as in setPointer() (default: current)
+     * @param {number} options.time - Shader time in seconds (default: current)
+     * @param {boolean} options.transparent - Keep the transparent background (default: true, false for JPEG)
+     * @param {string} options.background - Fill colour when not transparent (default '#ffffff')
+     * @returns {Promise<Blob>}
+     */
+    async exportImage(options = {}) {
+        const {
+            type = 'image/png',
+            quality = 0.92,
+            transparent = type !== 'image/jpeg',
+            background = '#ffffff'
+        } = options
+        const { width, height } = resolveExportSize(options.width, options.height, this._getDefaultExportSize())
+        const pose = resolveExportPose(options, this._getExportPose())
+        const time = options.time ?? this.renderer?.time ?? 0
+
+        // Frame is copied into a plain 2D canvas before encoding (toBlob is async)
+        const output = document.createElement('canvas')
+        output.width = width
+        output.height = height
+        const ctx = output.getContext('2d')
+        if (!transparent) {
+            ctx.fillStyle = background
+            ctx.fillRect(0, 0, width, height)
+        }
+
+        await this._withRenderTarget(width, height, (target) => {
+            target._applyExportPose(pose, time)
+            target._drawFrame(0, false)
+            ctx.drawImage(target._borrowedContext.canvas, 0, 0, width, height)
+        })
+
+        return this._canvasToBlob(output, type, quality)
+    }
+
+    /**
+     * Record a seamless looping clip of the card tilting along a scripted path
+     * Frames are stepped with a fixed deltaTime through renderFrame(), after one
+     * unrecorded pass so rotation smoothing has settled into the loop. A running
+     * card pauses its on-screen updates while recording.
+     * @param {Object} options
+     * @param {number} options.duration - Loop length in seconds (default 3)
+     * @param {number} options.fps - Frames per second (default 30)
+     * @param {number} options.width - Output width in pixels (default: current canvas width)
+     * @param {number} options.height - Output height in pixels (default: derived from width at 5:8)
+     * @param {string|Function} options.path - 'orbit' (default), 'sway', 'nod', 'figure8' or (t) => {x, y}
+     * @param {number} options.amplitude - Scale of the tilt path (0-1, default 0.6)
+     * @param {string} options.format - 'auto' (WebM, GIF fallback), 'webm' or 'gif'
+     * @param {number} options.bitrate - WebM video bits per second
+     * @param {string} options.background - Fill colour behind the card (default: transparent)
+     * @param {number} options.time - Shader time at the first frame (default: current)
+     * @param {Function} options.onProgress - Called with (frameIndex, frameCount)
+     * @returns {Promise<Blob>} video/webm or image/gif
+     */
+    async recordClip(options = {}) {
+        const {
+            duration = 3,
+            fps = 30,
+            path = 'orbit',
+            amplitude = 0.6,
+            format = 'auto',
+            bitrate,
+            background = null,
+            onProgress
+        } = options
+        if (!(duration > 0 && fps > 0)) {
+            throw new Error(`sticker: Invalid clip duration/fps ${duration}s @ ${fps}`)
+        }
+
+        const { width, height } = resolveExportSize(options.width, options.height, this._getDefaultExportSize())
+        const frameCount = Math.max(1, Math.round(duration * fps))
+        const tilts = sampleTiltPath(path, frameCount, amplitude)
+        const deltaTime = 1 / fps
+        const time = options.time ?? this.renderer?.time ?? 0
+
+        // Enough warm-up passes to cover at least a second of smoothing
+        const warmupPasses = Math.ceil(1 / (frameCount * deltaTime))
+
+        let blob = null
+        await this._withRenderTarget(width, height, async (target) => {
+            const encoder = createClipEncoder(format, width, height, fps, { bitrate, background })
+            const offscreen = target._borrowedContext.canvas
+
+            try {
+                for (let pass = 0; pass < warmupPasses; pass++) {
+                    for (const tilt of tilts) {
+                        target.controller.setTilt(tilt.x, tilt.y)
+                        target.card.update(deltaTime)
+                        target.controller.update(deltaTime)
+                    }
+                }
+
+                target.renderer.time = time
+                for (let i = 0; i < frameCount; i++) {
+                    target.controller.setTilt(tilts[i].x, tilts[i].y)
+                    target.renderFrame(deltaTime, false)
+                    await encoder.addFrame(offscreen)
+                    onProgress?.(i + 1, frameCount)
+                }
+            } catch (err) {
+                encoder.abort()
+                throw err
+            }
+
+            blob = await encoder.finish()
+        })
+
+        return blob
+    }
+
+    /**
+     * Run a callback with a sticker rendering offscreen at the given size
+     * A ready card renders in its own borrowed context (loop paused, resized, then
+     * restored); otherwise a temporary instance borrows one.
+     * @param {number} width
+     * @param {number} height
+     * @param {Function} callback - (target: sticker) => void | Promise
+     */
+    async _withRenderTarget(width, height, callback) {
+        if (this.isReady && this._borrowedContext && !this._borrowedContext.shared && !this._renderTargetBusy) {
+            await this._withResizedContext(width, height, callback)
+        } else {
+            await this._withTemporaryInstance(width, height, callback)
+        }
+    }
+
+    /**
+     * Resize this instance's borrowed context for the callback, then restore all render state
+     */
+    async _withResizedContext(width, height, callback) {
+        const borrowed = this._borrowedContext
+        const offscreen = borrowed.canvas
+        const wasRunning = this.isRunning
+        const saved = {
+            width: offscreen.width,
+            height: offscreen.height,
+            projection: Float32Array.from(this.renderer.projectionMatrix.elements),
+            rotation: { ...this.card.rotation },
+            targetRotation: { ...this.card.targetRotation },
+            mouseX: this.controller.mouseX,
+            mouseY: this.controller.mouseY,
+            controllerTime: this.controller.time,
+            programmatic: this.controller.programmatic.getState(),  // Keeps setTilt vs setPointer
+            time: this.renderer.time
+        }
+
+        this._renderTargetBusy = true
+        this.stop()
+
+        try {
+            borrowed.resize(width, height)
+            this.bloomPass?.resize(width, height)
+            this.renderer.updateProjection(width / height)
+            this._assertExportSize(width, height)
+
+            await callback(this)
+        } finally {
+            this._renderTargetBusy = false
+
+            // The instance may have been deactivated while an async callback ran
+            if (this._borrowedContext === borrowed) {
+                borrowed.resize(saved.width, saved.height)
+                this.bloomPass?.resize(saved.width, saved.height)
+                this.renderer.projectionMatrix.elements.set(saved.projection)
+                Object.assign(this.card.rotation, saved.rotation)
+                Object.assign(this.card.targetRotation, saved.targetRotation)
+                this.card._matrixDirty = true
+                this.controller.mouseX = saved.mouseX
+                this.controller.mouseY = saved.mouseY
+                this.controller.time = saved.controllerTime
+                this.controller.programmatic.setState(saved.programmatic)
+                this.renderer.time = saved.time
+
+                if (wasRunning) this.start()
+            }
+        }
+    }
+
+    /**
+     * Run the callback on a temporary non-interactive copy with its own borrowed context
+     */
+    async _withTemporaryInstance(width, height, callback) {
+        const exporter = new sticker(document.createElement('canvas'), {
+            ...this.options,
+            interactive: false,
+            lazy: false,
+            autoplay: false,
+            backend: 'pool'  // Needs its own canvas to read the frame back
+        })
+        exporter._fixedRenderSize = { width, height }
+        exporter._bloomExplicitlySet = this._bloomExplicitlySet
+        exporter._copyContentFrom(this)
+        exporter.isActive = true
+
+        try {
+            await exporter.init({ priority: 'interactive', preemptible: false })
+            exporter._assertExportSize(width, height)
+            await callback(exporter)
+        } finally {
+            exporter.isActive = false
+            exporter.destroy()
+        }
+    }
+
+    /**
+     * Pool canvases silently clamp oversized drawing buffers - fail loudly instead
+     */
+    _assertExportSize(width, height) {
+        if (this.gl.drawingBufferWidth !== width || this.gl.drawingBufferHeight !== height) {
+            throw new Error(`sticker: Export size ${width}×${height} exceeds the WebGL limit`)
+        }
+    }
+
+    /**
+     * Pose the card for an export frame (bypasses smoothing and input drivers)
+     * @param {Object} pose - From resolveExportPose()
+     * @param {number} time - Shader time
+     */
+    _applyExportPose(pose, time) {
+        this.card.setRotation(pose.rotationX, pose.rotationY)
+        this.controller.mouseX = pose.pointerX
+        this.controller.mouseY = pose.pointerY
+        this.renderer.time = time
+    }
+
+    /**
+     * Export size when none is given: the canvas size, or the default preset's
+     * @returns {{width: number, height: number}}
+     */
+    _getDefaultExportSize() {
+        return {
+            width: this.canvas.width || SIZE_PRESETS[DEFAULT_SIZE].width,
+            height: this.canvas.height || SIZE_PRESETS[DEFAULT_SIZE].height
+        }
+    }
+
+    /**
+     * The card's current rotation and pointer, for exports without a tilt or pointer
+     * @returns {{rotationX: number, rotationY: number, pointerX: number, pointerY: number}}
+     */
+    _getExportPose() {
+        const [rotationX, rotationY] = this.card?.getRotation() ?? [0, 0]
+        return {
+            rotationX,
+            rotationY,
+            pointerX: this.controller?.mouseX ?? 0,
+            pointerY: this.controller?.mouseY ?? 0
+        }
+    }
+
     /**
      * Promise wrapper for canvas.toBlob()
      * @param {HTMLCanvasElement} canvas
@@ -729,7 +1458,8 @@ export class sticker {
         this.isActive = true
 
         try {
-            await this.init()
+            // Hover activation jumps the pool queue; lazy cards release on mouse leave anyway
+            await this.init({ priority: 'interactive', preemptible: false })
 
             if (!this.isActive) return // Deactivated during init
 
@@ -775,7 +1505,9 @@ export class sticker {
         if (this.isRunning) return
         this.isRunning = true
         this.lastTime = performance.now()
-        this.renderLoop()
+        this._unsubscribeMotion = this._motionPolicy.subscribe(() => this._applyMotionPolicy())
+        this._applyMotionPolicy()
+        if (!this._paused) this.renderLoop()
     }
 
     /**
@@ -783,12 +1515,54 @@ export class sticker {
      */
     stop() {
         this.isRunning = false
+        this._paused = false
+        this._unsubscribeMotion?.()
+        this._unsubscribeMotion = null
         if (this.frameId) {
             cancelAnimationFrame(this.frameId)
             this.frameId = null
         }
     }
 
+    /**
+     * Apply the motion option and page state: reduced motion, and pausing
+     * the render loop while the tab is hidden
+     */
+    _applyMotionPolicy() {
+        const policy = this._motionPolicy
+        this._reducedMotion = isReducedMotion(this.options.motion, policy.prefersReducedMotion)
+        this.controller?.setIdle(!this._reducedMotion)
+
+        const paused = this.options.pauseWhenHidden && policy.hidden
+        if (paused === this._paused || !this.isRunning) {
+            this._paused = paused
+            return
+        }
+
+        this._paused = paused
+        if (paused) {
+            cancelAnimationFrame(this.frameId)
+            this.frameId = null
+        } else {
+            // Don't let the card catch up on the time it was hidden
+            this.lastTime = performance.now()
+            this.renderLoop()
+        }
+    }
+
+    /**
+     * Minimum time between drawn frames
+     * A reduced-motion card at rest only redraws often enough to pick up changes.
+     * @returns {number} Milliseconds (0 = every display frame)
+     */
+    _getFrameInterval() {
+        const interval = getFrameInterval(this.options.maxFps, this._motionPolicy.lowPower)
+        if (this._reducedMotion && this.card?.isSettled() && !this.controller?.hasActiveInput()) {
+            return Math.max(interval, 1000 / CONFIG.motion.settledFps)
+        }
+        return interval
+    }
+
     /**
      * Render a single frame
      * @param {number} deltaTime - Time since last frame in seconds
@@ -800,20 +1574,34 @@ export class sticker {
         this.card.update(deltaTime)
         this.controller?.update(deltaTime)
 
-        // Reduce effect intensity for certain masks on intense shaders
-        const isReducedMask = this.options.mask === 'brightness' || this.options.mask === 'radial-edge'
-        const isIntenseShader = this.options.shader === 'holographic' || this.options.shader === 'starburst'
-        const effectScale = (isReducedMask && isIntenseShader) ? 0.5 : 1.0
-
-        const effectSettings = {
-            maskActive: this.options.mask !== 'full',
-            isBaseShader: this.options.shader === 'base',
-            textOpacity: this._isStaticRender ? 1.0 : 0.2,
-            effectScale
+        // Live sources (video, sprite sheets) upload their next frame; static
+        // snapshots and reduced motion show the poster frame. Uploads rebind,
+        // so drop the bind cache.
+        const isStatic = this._isStaticRender || this._reducedMotion
+        const source = this._animatedSource
+        if (source && (isStatic ? source.showPoster() : source.update(deltaTime))) {
+            this.renderer.invalidateTextureCache()
         }
 
+        // Reduced motion freezes shader time; the card still tilts on interaction
+        this._drawFrame(this._reducedMotion ? 0 : deltaTime, copyToTarget)
+    }
+
+    /**
+     * Draw the current card state (no animation/input update)
+     * @param {number} deltaTime - Time since last frame in seconds (advances shader time)
+     * @param {boolean} copyToTarget - Whether to copy to target canvas
+     */
+    _drawFrame(deltaTime, copyToTarget = true) {
+        const effectSettings = this._getEffectSettings(this.options.shader, this.options.mask)
+        effectSettings.layers = this._getLayerSettings()
+        const backSettings = this.card.hasBack()
+            ? { ...this._getEffectSettings(this.options.backShader, this.options.backMask), shader: this.options.backShader }
+            : null
+
         const gl = this.gl
         const offscreenCanvas = this._borrowedContext.canvas
+        const viewport = this._sharedViewport ?? [0, 0, offscreenCanvas.width, offscreenCanvas.height]
 
         if (this.bloomPass?.enabled) {
             // Bloom pipeline: render to bloom FBO → process → output to offscreen canvas
@@ -822,7 +1610,7 @@ export class sticker {
             gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
             gl.disable(gl.BLEND)
 
-            this.renderer.render(this.card, this.controller, deltaTime, effectSettings)
+            this.renderer.render(this.card, this.controller, deltaTime, effectSettings, backSettings)
 
             this.bloomPass.endSceneRender()
             this.bloomPass.renderBloom()  // Outputs to offscreen canvas (FBO=null)
@@ -831,14 +1619,20 @@ export class sticker {
             // which would cause a feedback loop on the next frame if CardRenderer skips rebinding
             this.renderer.invalidateTextureCache()
         } else {
-            // Direct render to offscreen canvas (no bloom)
+            // Direct render to offscreen canvas (no bloom); on the shared canvas
+            // the scissor keeps the clear inside this card's rect
             gl.bindFramebuffer(gl.FRAMEBUFFER, null)
-            gl.viewport(0, 0, offscreenCanvas.width, offscreenCanvas.height)
+            gl.viewport(...viewport)
+            if (this._sharedViewport) {
+                gl.enable(gl.SCISSOR_TEST)
+                gl.scissor(...(this._sharedClip ?? viewport))
+            }
             gl.clearColor(0, 0, 0, 0)
             gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
             gl.disable(gl.BLEND)
 
-            this.renderer.render(this.card, this.controller, deltaTime, effectSettings)
+            this.renderer.render(this.card, this.controller, deltaTime, effectSettings, backSettings)
+            gl.disable(gl.SCISSOR_TEST)
         }
 
         // Copy to target canvas if requested
@@ -847,11 +1641,223 @@ export class sticker {
         }
     }
 
+    /**
+     * Get the element that receives keyboard focus for arrow-key tilt
+     * Inside a <sticker-card> that is the host element; otherwise the canvas.
+     * @returns {HTMLElement}
+     */
+    _getFocusTarget() {
+        const target = this.canvas.getRootNode?.()?.host ?? this.canvas
+        // Make the card reachable with Tab unless the page set its own tabindex
+        if (this.options.interactive && this.options.keyboard && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '0')
+        }
+        return target
+    }
+
+    /**
+     * Get the card mesh shape from options
+     * @returns {{cornerRadius: number, thickness: number}}
+     */
+    _getCardShape() {
+        return {
+            cornerRadius: Math.max(0, Number(this.options.cornerRadius) || 0),
+            thickness: Math.max(0, Number(this.options.thickness) || 0)
+        }
+    }
+
+    /**
+     * Swap to the pooled mesh matching the current shape options
+     */
+    _updateCardShape() {
+        if (!this._borrowedContext || !this.renderer) return
+        this.geometry = this._borrowedContext.getCardMesh(this._getCardShape())
+        this.renderer.setGeometry(this.geometry)
+    }
+
+    /**
+     * Push the edge colour option to the renderer
+     */
+    _applyEdgeColor() {
+        if (!this.renderer) return
+        const color = parseColor(this.options.edgeColor)
+        if (this.options.edgeColor && !color) {
+            console.warn(`sticker: Invalid edge color '${this.options.edgeColor}'`)
+        }
+        this.renderer.setEdgeColor(color || CONFIG.card.edgeColor)
+    }
+
+    /**
+     * Build per-face effect settings for the renderer
+     * @param {string} shader - Shader name
+     * @param {string} mask - Mask name
+     * @returns {Object}
+     */
+    _getEffectSettings(shader, mask) {
+        // Reduce effect intensity for certain masks on intense shaders
+        const isReducedMask = mask === 'brightness' || mask === 'radial-edge'
+        const isIntenseShader = shader === 'holographic' || shader === 'starburst'
+        const effectScale = (isReducedMask && isIntenseShader) ? 0.5 : 1.0
+
+        return {
+            maskActive: mask !== 'full',
+            isBaseShader: shader === 'base',
+            textOpacity: this._isStaticRender ? 1.0 : 0.2,
+            effectScale,
+            shaderParams: this.options.shaderParams,
+            normalStrength: Math.max(0, Number(this.options.normalStrength) || 0)
+        }
+    }
+
+    /**
+     * Build renderer settings for the overlay layers
+     * Layer params override the card's shaderParams for that layer only.
+     * @returns {Array<Object>}
+     */
+    _getLayerSettings() {
+        const settings = []
+        for (const layer of this._layers) {
+            const maskTexture = this._getLayerMask(layer.mask)
+            if (!maskTexture) continue  // Mask images still loading
+
+            settings.push({
+                ...this._getEffectSettings(layer.shader, layer.mask),
+                shaderParams: layer.params ? { ...this.options.shaderParams, ...layer.params } : this.options.shaderParams,
+                shader: layer.shader,
+                blend: layer.blend,
+                layerOpacity: layer.opacity,
+                maskTexture
+            })
+        }
+        return settings
+    }
+
+    /**
+     * Mask texture for an overlay layer
+     * Normal and brightness masks reuse the stored card masks; procedural masks are
+     * created once per borrowed context.
+     * @param {string|CanvasImageSource} maskName
+     * @returns {Texture|null} null while the mask's images load
+     */
+    _getLayerMask(maskName) {
+        if (maskName === 'normal' && this.storedNormalMap) return this.storedNormalMap
+        if (maskName === 'brightness' && this.storedBrightnessMask) return this.storedBrightnessMask
+
+        let texture = this._layerMasks.get(maskName)
+        if (!texture) {
+            texture = this._resolveMaskTexture(maskName, null, null)
+            if (!texture) {
+                this._loadMaskImages(maskName)
+                return null
+            }
+            this._layerMasks.set(maskName, texture)
+        }
+        return texture
+    }
+
+    /**
+     * Re-rasterize an SVG card source at the new render size
+     * Debounced so a window drag doesn't rasterize on every resize event.
+     */
+    _scheduleSvgRaster() {
+        if (!this._svgRasterSize) return
+
+        clearTimeout(this._svgRasterTimer)
+        this._svgRasterTimer = setTimeout(async () => {
+            this._svgRasterTimer = null
+            const { width, height } = this.canvas
+            if (!this.card || !this._svgRasterSize) return
+            if (width === this._svgRasterSize.width && height === this._svgRasterSize.height) return
+
+            // The base and everything derived from the raster are re-created
+            const previous = this._getSourceTextures()
+            try {
+                await this.loadCardSource(this.options.cardSrc)
+                if (!this.card) return  // Destroyed while rasterizing
+                this.updateMask(this.options.mask)
+                this._releaseSourceTextures(previous)
+            } catch (err) {
+                console.error('Failed to re-rasterize SVG card source:', err)
+                this.onError?.(err)
+            }
+        }, SVG_RASTER_DELAY)
+    }
+
+    /**
+     * Textures a card source load replaces (see _releaseSourceTextures)
+     * A live base (video, sprite sheet) is left out: the load stops and destroys it.
+     * @returns {Object<string, Texture|null>}
+     */
+    _getSourceTextures() {
+        const base = this.card.getTexture('base')
+        return {
+            base: base === this._animatedSource ? null : base,
+            brightness: this.storedBrightnessMask,
+            normal: this.storedNormalMap,
+            depth: this.card.getTexture('depth')
+        }
+    }
+
+    /**
+     * Let go of the textures a card source load replaced
+     * @param {Object<string, Texture|null>} previous - _getSourceTextures() from before the load
+     */
+    _releaseSourceTextures(previous) {
+        const current = this._getSourceTextures()
+        for (const [name, texture] of Object.entries(previous)) {
+            this._releaseSuperseded(texture, current[name])
+        }
+    }
+
+    /**
+     * Textures the back face holds (see loadCardBack)
+     * @returns {Object<string, Texture|null>}
+     */
+    _getBackTextures() {
+        // Not getBackTexture(), which falls back to the front's
+        const { base = null, text = null } = this.card.backTextures
+        return { base, brightness: this.storedBackBrightnessMask, blank: text }
+    }
+
+    /**
+     * Let go of a texture a reload replaced
+     * Cached textures go back to the TextureScope (a reload acquired them again);
+     * textures only this card made are destroyed unless still in use.
+     * @param {Texture|null} previous
+     * @param {Texture|null} current - Its replacement
+     */
+    _releaseSuperseded(previous, current) {
+        if (!previous) return
+        if (this._textures?.release(previous)) return
+        if (previous === current) return
+        if (Object.values(this._borrowedContext?.proceduralTextures ?? {}).includes(previous)) return  // Pooled
+        previous.destroy()
+    }
+
+    /**
+     * Stop and destroy a video/sprite sheet base texture
+     */
+    _releaseAnimatedSource() {
+        this._animatedSource?.destroy()
+        this._animatedSource = null
+    }
+
+    /**
+     * Destroy the procedural layer masks (before the context goes back to the pool)
+     */
+    _releaseLayerMasks() {
+        for (const texture of this._layerMasks.values()) {
+            texture.destroy()
+        }
+        this._layerMasks.clear()
+    }
+
     /**
      * Copy rendered frame from offscreen canvas to target (visible) canvas
      */
     renderToTarget() {
         if (!this._borrowedContext || !this._targetCtx) return
+        if (this._borrowedContext.shared) return  // Drawn straight onto the shared canvas
 
         const offscreenCanvas = this._borrowedContext.canvas
         // Clear target canvas for proper transparency
@@ -863,17 +1869,107 @@ export class sticker {
      * Main render loop
      */
     renderLoop() {
-        if (!this.isRunning || !this.gl) return
+        if (!this.isRunning || this._paused || !this.gl) return
+        if (this._borrowedContext?.shared) return  // SharedViewportContext drives the frames
 
+        // Frames inside the interval (maxFps, low battery, settled reduced motion) are skipped
         const currentTime = performance.now()
-        const deltaTime = (currentTime - this.lastTime) / 1000
-        this.lastTime = currentTime
-
-        this.renderFrame(deltaTime)
+        const elapsed = currentTime - this.lastTime
+        if (shouldDrawFrame(elapsed, this._getFrameInterval())) {
+            this.lastTime = currentTime
+            this.renderFrame(elapsed / 1000)
+        }
 
         this.frameId = requestAnimationFrame(() => this.renderLoop())
     }
 
+    /**
+     * Draw into this card's rect on the shared viewport canvas (called every frame
+     * by SharedViewportContext, which clears the canvas first - so stopped cards and
+     * skipped frames still redraw, without advancing)
+     * @param {number[]} viewport - [x, y, width, height] in device pixels, origin bottom-left
+     * @param {number[]} clip - Part of the viewport to draw (clipped by scroll containers)
+     */
+    _drawShared(viewport, clip = viewport) {
+        if (!this.card || !this.renderer) return
+
+        const [, , width, height] = viewport
+        if (width !== this._sharedViewport?.[2] || height !== this._sharedViewport?.[3]) {
+            this.renderer.updateProjection(width / height)
+        }
+        if (this.bloomPass && (this.bloomPass.width !== width || this.bloomPass.height !== height)) {
+            this.bloomPass.resize(width, height)
+        }
+        this._sharedViewport = viewport
+        this._sharedClip = clip
+        this.bloomPass?.setOutputViewport(viewport)
+        this.bloomPass?.setOutputScissor(clip)  // The composite mustn't touch neighbouring cards
+
+        // Programs, shader selection and texture units are shared with the other cards
+        this.shaderManager.use(this.options.shader)
+        this.renderer.invalidateTextureCache()
+        this.renderer.invalidateUniformCache()
+
+        const currentTime = performance.now()
+        const elapsed = currentTime - this.lastTime
+        if (this.isRunning && !this._paused && shouldDrawFrame(elapsed, this._getFrameInterval())) {
+            this.lastTime = currentTime
+            this.renderFrame(elapsed / 1000, false)
+        } else {
+            this._drawFrame(0, false)
+        }
+    }
+
+    /**
+     * The borrowed context was lost: stop drawing until it is restored
+     * (the target canvas keeps showing the last frame)
+     */
+    _handleContextLost() {
+        this._resumeAfterRestore = this._resumeAfterRestore || this.isRunning
+        this.stop()
+    }
+
+    /**
+     * The borrowed context was restored: every card-specific texture, mask and
+     * bloom target died with it, so re-initialize (generated content comes from
+     * the caches) and pick up the render loop where it stopped
+     */
+    async _handleContextRestored() {
+        const resume = this._resumeAfterRestore
+        this._resumeAfterRestore = false
+        await this._reacquireContext(resume)
+    }
+
+    /**
+     * A higher-priority card is waiting for a context: hand ours over and queue
+     * to borrow one again (the target canvas keeps showing the last frame)
+     * @returns {boolean} false while it can't (initializing, exporting); the pool asks again
+     */
+    _handlePreempt() {
+        if (this.isInitializing || !this.isReady || this._renderTargetBusy) return false  // Asked again later
+        this._reacquireContext(this.isRunning)
+        return true
+    }
+
+    /**
+     * Release the borrowed context and re-initialize on a newly borrowed one
+     * @param {boolean} resume - Restart the render loop once ready
+     */
+    async _reacquireContext(resume) {
+        this.stop()
+
+        this.bloomPass?.destroy()
+        this.bloomPass = null  // init() creates a new one
+        this.cleanupPartialInit()
+
+        try {
+            await this.init({ priority: this._borrowPriority })
+            if (resume && this.isReady) this.start()
+        } catch (err) {
+            this.onError?.(err)
+        }
+    }
+
     /**
      * Clean up partial initialization
      */
@@ -881,6 +1977,11 @@ export class sticker {
         // Destroy card-specific resources only (not pooled resources)
         this.textRenderer?.destroy()
         this.controller?.destroy()
+        this._releaseLayerMasks()
+        this._releaseAnimatedSource()
+        this._textures?.releaseAll()
+        clearTimeout(this._svgRasterTimer)
+        this._svgRasterTimer = null
 
         // Return context to pool (don't destroy pooled resources)
         if (this._borrowedContext) {
@@ -899,6 +2000,10 @@ export class sticker {
         this.randomFactory = null
         this.textRenderer = null
         this.textureLoader = null
+        this._textures = null
+        this.storedBackBrightnessMask = null
+        this._sharedViewport = null
+        this._sharedClip = null
         this.isReady = false
     }
 
@@ -932,6 +2037,11 @@ export class sticker {
         this.textRenderer?.destroy()
         this.bloomPass?.destroy()
         this.bloomPass = null
+        this._releaseLayerMasks()
+        this._releaseAnimatedSource()
+        this._textures?.releaseAll()
+        clearTimeout(this._svgRasterTimer)
+        this._svgRasterTimer = null
         // Note: geometry and shaderManager are pooled, don't destroy them
 
         // Return context to pool
@@ -951,6 +2061,10 @@ export class sticker {
         this.randomFactory = null
         this.textRenderer = null
         this.textureLoader = null
+        this._textures = null
+        this.storedBackBrightnessMask = null
+        this._sharedViewport = null
+        this._sharedClip = null
         this.isReady = false
 
         // Note: No need to replace canvas - we use 2D context now
@@ -959,6 +2073,46 @@ export class sticker {
 
     // ==================== Setters ====================
 
+    /**
+     * Options a rarity sets (see Rarity.js)
+     * @param {string|null} rarity
+     * @returns {Object|null} null for no rarity, or an unknown one (with a warning)
+     */
+    _getRarityOptions(rarity) {
+        if (!rarity) return null
+        try {
+            return getRarityOptions(rarity, DEFAULT_OPTIONS)
+        } catch (err) {
+            console.warn(`sticker: ${err.message}`)
+            return null
+        }
+    }
+
+    /**
+     * Apply a rarity preset: sets shader, mask, variant, bloom, shaderParams and
+     * layers together (anything the preset leaves out goes back to its default).
+     * Unknown rarities are rejected with a warning. null clears the rarity and
+     * keeps the current look.
+     * @param {string|null} rarity - Registered rarity name, e.g. 'rare'
+     */
+    setRarity(rarity) {
+        rarity = rarity || null
+        if (this.options.rarity === rarity) return  // Skip if unchanged
+
+        const rarityOptions = this._getRarityOptions(rarity)
+        if (rarity && !rarityOptions) return
+        this.options.rarity = rarity
+        if (!rarityOptions) return
+
+        // Variant first: it may switch a 'full' mask to 'border', which the preset's mask overrides
+        this.setVariant(rarityOptions.variant)
+        this.setShader(rarityOptions.shader)
+        this.setMask(rarityOptions.mask)
+        this.setBloom(rarityOptions.bloom)
+        this.setShaderParams(rarityOptions.shaderParams, { replace: true })
+        this.setLayers(rarityOptions.layers)
+    }
+
     /**
      * Set the active shader
      * @param {string} name - Shader name
@@ -971,18 +2125,80 @@ export class sticker {
         }
     }
 
+    /**
+     * Tune shader parameters (see sticker.getShaderParamSchema())
+     * Values are merged into the current ones; a null value restores that
+     * parameter's default. Parameters apply to whichever shader declares them,
+     * on both faces, and are clamped to the declared range.
+     * @param {Object|null} params - Values by parameter name, e.g. { sparkleDensity: 120 }
+     * @param {Object} options
+     * @param {boolean} options.replace - Drop all current values first (default: false)
+     */
+    setShaderParams(params, { replace = false } = {}) {
+        const merged = replace ? {} : { ...this.options.shaderParams }
+        for (const [name, value] of Object.entries(params ?? {})) {
+            if (value === null || value === undefined) {
+                delete merged[name]
+            } else {
+                merged[name] = value
+            }
+        }
+        this.options.shaderParams = Object.keys(merged).length > 0 ? merged : null
+    }
+
+    /**
+     * Set the overlay effect layers drawn above the front shader
+     * Each layer redraws the front face with its own shader, limited to its mask and
+     * composited with its blend mode ('normal', 'add', 'screen', 'multiply') and opacity.
+     * Later layers draw on top. Invalid layers are dropped with a warning.
+     * @param {Array<Object|string>|null} layers - [{ shader, mask, blend, opacity, params }]
+     */
+    setLayers(layers) {
+        if (this.options.layers === layers) return  // Skip if unchanged
+        this.options.layers = layers
+        this._layers = normalizeLayers(layers)
+
+        const shaderNames = sticker.shaderNames
+        const maskNames = sticker.maskNames
+        for (const layer of this._layers) {
+            if (!shaderNames.includes(layer.shader)) {
+                console.warn(`sticker: Unknown layer shader '${layer.shader}' (layer is skipped until it is registered)`)
+            }
+            if (!maskNames.includes(layer.mask)) {
+                try {
+                    parseMask(layer.mask)
+                } catch (err) {
+                    console.warn(`sticker: ${err.message} (layer '${layer.shader}' uses 'full')`)
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolved parameter values for a shader (defaults, overrides and clamping applied)
+     * @param {string} shaderName - Defaults to the active shader
+     * @returns {Object} { paramName: value }
+     */
+    getShaderParams(shaderName = this.options.shader) {
+        return resolveShaderParams(shaderName, this.options.shaderParams)
+    }
+
     /**
      * Set the card source
-     * @param {string} source - URL or built-in name
+     * @param {string|HTMLVideoElement|Object} source - Image or video URL, built-in name,
+     *   video element or sprite sheet descriptor
      */
     async setCardSrc(source) {
         if (this.options.cardSrc === source) return  // Skip if unchanged
         this.options.cardSrc = source
         if (this.gl && this.card) {
             try {
+                const previous = this._getSourceTextures()
                 await this.loadCardSource(source)
+                if (!this.card) return  // Destroyed while loading
                 // Re-apply mask after source loads to use new texture data
                 this.updateMask(this.options.mask)
+                this._releaseSourceTextures(previous)
                 this.onSourceLoaded?.()
             } catch (err) {
                 console.error('Failed to load card source:', err)
@@ -993,18 +2209,27 @@ export class sticker {
 
     /**
      * Set the normal map source
-     * @param {string} source - URL to normal map image
+     * The normal map drives the shaders' lighting and the 'normal' mask.
+     * @param {string|null} source - URL to normal map image, 'auto' to derive one
+     *   from the card image's brightness, or null for none
      */
     async setCardNormal(source) {
         if (this.options.cardNormal === source) return  // Skip if unchanged
+        const previous = this.options.cardNormal
         this.options.cardNormal = source
 
         // Reload card source when normal map changes (added or removed)
-        // Skip for random/procedural sources which don't use normal maps
-        const isRandomSource = this.options.cardSrc?.startsWith('random-')
-        if (this.gl && this.card && this.options.cardSrc && !isRandomSource) {
+        // Random/procedural sources only support derived ('auto') normal maps
+        const isRandomSource = typeof this.options.cardSrc === 'string' && this.options.cardSrc.startsWith('random-')
+        const affectsRandom = previous === 'auto' || source === 'auto'
+        if (this.gl && this.card && this.options.cardSrc && (!isRandomSource || affectsRandom)) {
             try {
+                const previous = this._getSourceTextures()
                 await this.loadCardSource(this.options.cardSrc)
+                if (!this.card) return  // Destroyed while loading
+                // The effect mask may be the replaced brightness mask or normal map
+                this.updateMask(this.options.mask)
+                this._releaseSourceTextures(previous)
             } catch (err) {
                 console.error('Failed to reload card source:', err)
                 this.onError?.(err)
@@ -1012,6 +2237,28 @@ export class sticker {
         }
     }
 
+    /**
+     * Set the depth map source
+     * @param {string|null} source - URL to a depth map (white = foreground),
+     *   or null to estimate depth from the card image
+     */
+    async setCardDepth(source) {
+        if (this.options.cardDepth === source) return  // Skip if unchanged
+        this.options.cardDepth = source
+
+        if (this.gl && this.card && this._cardImageSource) {
+            try {
+                const previous = this.card.getTexture('depth')
+                await this._loadCardDepth(this._cardImageSource)
+                if (!this.card) return  // Destroyed while loading
+                this._releaseSuperseded(previous, this.card.getTexture('depth'))
+            } catch (err) {
+                console.error('Failed to load depth map:', err)
+                this.onError?.(err)
+            }
+        }
+    }
+
     /**
      * Set the card name
      * @param {string} name - Card name text
@@ -1032,6 +2279,47 @@ export class sticker {
         this.updateTextTextures()
     }
 
+    /**
+     * Set values for the layout's extra text fields
+     * @param {Object<string, string|number>|null} fields - e.g. { hp: 120, rarity: 'Rare' }
+     */
+    setCardFields(fields) {
+        if (this.options.cardFields === fields) return  // Skip if unchanged
+        this.options.cardFields = fields
+        this.updateTextTextures()
+    }
+
+    /**
+     * Set the text layout template (see CardLayout.js)
+     * Invalid templates are rejected with a warning and the current layout is kept.
+     * @param {Object|string|null} layout - Template, registered name, or null for the default
+     */
+    setLayout(layout) {
+        if (this.options.layout === layout) return  // Skip if unchanged
+        if (layout !== null && this._resolveLayout(layout) === null) return
+
+        this.options.layout = layout
+        if (this.textRenderer) {
+            this.textRenderer.setLayout(layout)
+            this.updateTextTextures()
+        }
+    }
+
+    /**
+     * Set the font family of text fields that don't set their own
+     * Web fonts are loaded on demand; text redraws once they are available.
+     * @param {string|null} font - CSS font-family, e.g. "'Cinzel', serif" (null = layout defaults)
+     */
+    setFont(font) {
+        font = font || null
+        if (this.options.font === font) return  // Skip if unchanged
+        this.options.font = font
+        if (this.textRenderer) {
+            this.textRenderer.setFont(font)
+            this.updateTextTextures()
+        }
+    }
+
     /**
      * Set the card collection name
      * @param {string} collection - Collection name text
@@ -1047,7 +2335,7 @@ export class sticker {
                 return
             }
             // Clear cache to force regeneration with new collection name
-            this._cachedBaseImageUrl = null
+            this._cachedBaseImage = null
             this.loadCardSource(this.options.cardSrc)
         } else {
             // For custom URL cards, update the text texture overlay
@@ -1055,9 +2343,36 @@ export class sticker {
         }
     }
 
+    /**
+     * Set the seed for generated sources (random-emoji, random-geometric)
+     * A '?seed=' in cardSrc takes precedence.
+     * @param {number|string|null} seed - null picks a random seed on next generation
+     */
+    async setSeed(seed) {
+        if (this.options.seed === seed) return  // Skip if unchanged
+        this.options.seed = seed
+        if (!this._isGeneratedContent || !this.gl || !this.card) return
+        if (seed === null || String(seed) === String(this._generatedSeed)) return
+
+        try {
+            const previous = this._getSourceTextures()
+            await this.loadCardSource(this.options.cardSrc)
+            if (!this.card) return  // Destroyed while loading
+            this.updateMask(this.options.mask)
+            this._releaseSourceTextures(previous)
+            this.onSourceLoaded?.()
+        } catch (err) {
+            console.error('Failed to regenerate card source:', err)
+            this.onError?.(err)
+        }
+    }
+
     /**
      * Set the effect mask
-     * @param {string} mask - Mask name
+     * Besides the mask names, accepts an image (URL, canvas or image element; white =
+     * full effect) or a composition such as 'border+radial-center', 'invert(art-window)'
+     * or 'multiply(url(foil.png), border)' (see MaskFactory).
+     * @param {string|CanvasImageSource} mask - Mask name, expression, image URL or image
      */
     setMask(mask) {
         if (this.options.mask === mask) return  // Skip if unchanged
@@ -1069,6 +2384,254 @@ export class sticker {
         this._autoAdjustBloomForMask(mask)
     }
 
+    /**
+     * Set the back face image
+     * @param {string|null} source - Image URL, or null to make the card single-sided
+     */
+    async setCardBack(source) {
+        if (this.options.cardBack === source) return  // Skip if unchanged
+        this.options.cardBack = source || null
+        if (this.gl && this.card) {
+            try {
+                const previous = this._getBackTextures()
+                await this.loadCardBack(this.options.cardBack)
+                if (!this.card) return  // Destroyed while loading
+                const current = this._getBackTextures()
+                for (const [name, texture] of Object.entries(previous)) {
+                    this._releaseSuperseded(texture, current[name])
+                }
+            } catch (err) {
+                console.error('Failed to load card back:', err)
+                this.onError?.(err)
+            }
+        }
+    }
+
+    /**
+     * Set the back face shader
+     * @param {string} name - Shader name
+     */
+    setBackShader(name) {
+        if (this.options.backShader === name) return  // Skip if unchanged
+        if (!sticker.shaderNames.includes(name)) {
+            console.warn(`sticker: Unknown back shader '${name}'. Available: ${sticker.shaderNames.join(', ')}`)
+            return
+        }
+        this.options.backShader = name
+    }
+
+    /**
+     * Set the back face effect mask
+     * @param {string|CanvasImageSource} mask - Mask name, expression, image URL or image (see setMask)
+     */
+    setBackMask(mask) {
+        if (this.options.backMask === mask) return  // Skip if unchanged
+        this.options.backMask = mask
+        if (this.gl && this.card) {
+            this.updateBackMask(mask)
+        }
+    }
+
+    /**
+     * Flip the card to the other face (animated)
+     * @param {boolean} flipped - true shows the back, false the front (default: toggle)
+     */
+    flip(flipped = !this.options.flipped) {
+        flipped = !!flipped
+        if (this.options.flipped === flipped) return  // Skip if unchanged
+        this.options.flipped = flipped
+        this.card?.flip(flipped)
+    }
+
+    /**
+     * Whether the card is showing (or turning to) its back face
+     */
+    get isFlipped() {
+        return this.options.flipped
+    }
+
+    /**
+     * Set the tilt input source
+     * @param {string} source - 'pointer' (mouse/touch) or 'gyro' (device orientation)
+     */
+    setTiltSource(source) {
+        if (this.options.tiltSource === source) return  // Skip if unchanged
+        this.options.tiltSource = source
+        this.controller?.setTiltSource(source)
+    }
+
+    /**
+     * Set the card tilt from code, overriding user input until released
+     * @param {number|null} x - -1 (left edge away) to 1 (right edge away); null releases
+     * @param {number|null} y - -1 (top edge away) to 1 (top edge toward viewer)
+     */
+    setTilt(x, y) {
+        if (x === null || x === undefined || y === null || y === undefined) {
+            this.setPointer(null, null)
+            return
+        }
+        this.setPointer(x, -y)
+    }
+
+    /**
+     * Set a virtual pointer position from code, overriding user input until released
+     * Drives both the tilt and pointer-following effects (u_mousePosition).
+     * @param {number|null} x - -1 (left edge) to 1 (right edge); null releases
+     * @param {number|null} y - -1 (top edge) to 1 (bottom edge)
+     */
+    setPointer(x, y) {
+        const released = x === null || x === undefined || y === null || y === undefined
+        this._programmaticPointer = released ? null : [x, y]
+        this.controller?.setPointer(released ? null : x, released ? null : y)
+    }
+
+    /**
+     * Add a custom tilt input driver
+     * @param {InputDriver} driver
+     */
+    addInputDriver(driver) {
+        if (this._inputDrivers.includes(driver)) return
+        this._inputDrivers.push(driver)
+        this.controller?.addDriver(driver)
+    }
+
+    /**
+     * Remove a custom tilt input driver
+     * @param {InputDriver} driver
+     */
+    removeInputDriver(driver) {
+        const index = this._inputDrivers.indexOf(driver)
+        if (index === -1) return
+        this._inputDrivers.splice(index, 1)
+        this.controller?.removeDriver(driver)
+    }
+
+    /**
+     * Enable or disable arrow-key tilt
+     * @param {boolean} enabled
+     */
+    setKeyboard(enabled) {
+        if (this.options.keyboard === enabled) return  // Skip if unchanged
+        this.options.keyboard = enabled
+        if (enabled && this.controller) {
+            this.controller.focusTarget = this._getFocusTarget()
+        }
+        this.controller?.setKeyboardEnabled(enabled)
+    }
+
+    /**
+     * Enable or disable gamepad tilt
+     * @param {boolean} enabled
+     */
+    setGamepad(enabled) {
+        if (this.options.gamepad === enabled) return  // Skip if unchanged
+        this.options.gamepad = enabled
+        this.controller?.setGamepadEnabled(enabled)
+    }
+
+    /**
+     * Set how the card animates (see MotionPolicy.js)
+     * @param {string} mode - 'auto' (follow prefers-reduced-motion), 'full' or 'reduced'
+     */
+    setMotion(mode) {
+        if (this.options.motion === mode) return  // Skip if unchanged
+        if (!MOTION_MODES.includes(mode)) {
+            console.warn(`sticker: invalid motion '${mode}'. Available: ${MOTION_MODES.join(', ')}`)
+            return
+        }
+        this.options.motion = mode
+        if (this.isRunning) this._applyMotionPolicy()
+    }
+
+    /**
+     * Cap the frame rate
+     * @param {number} fps - Frames per second (0 = display rate)
+     */
+    setMaxFps(fps) {
+        if (this.options.maxFps === fps) return  // Skip if unchanged
+        if (!(fps >= 0)) {
+            console.warn(`sticker: invalid maxFps '${fps}' (expected a number >= 0)`)
+            return
+        }
+        this.options.maxFps = fps
+    }
+
+    /**
+     * Stop rendering while the tab is hidden
+     * @param {boolean} enabled
+     */
+    setPauseWhenHidden(enabled) {
+        if (this.options.pauseWhenHidden === enabled) return  // Skip if unchanged
+        this.options.pauseWhenHidden = enabled
+        if (this.isRunning) this._applyMotionPolicy()
+    }
+
+    /**
+     * Request device-orientation permission for gyro tilt
+     * Must be called from a user gesture on iOS; tapping the card does this automatically.
+     * @returns {Promise<boolean>} True if gyro tilt is available
+     */
+    async requestGyroPermission() {
+        return this.controller?.requestGyroPermission() ?? false
+    }
+
+    /**
+     * Treat the device's current orientation as the resting angle (gyro mode)
+     */
+    calibrateTilt() {
+        this.controller?.calibrate()
+    }
+
+    /**
+     * Current gyro state: 'inactive' | 'prompt' | 'granted' | 'denied' | 'unsupported'
+     */
+    get gyroState() {
+        return this.controller?.gyroState ?? 'inactive'
+    }
+
+    /**
+     * Set the corner radius
+     * @param {number} radius - Corner radius in card widths (0 = square)
+     */
+    setCornerRadius(radius) {
+        if (this.options.cornerRadius === radius) return  // Skip if unchanged
+        this.options.cornerRadius = radius
+        this._updateCardShape()
+    }
+
+    /**
+     * Set the normal map strength
+     * @param {number} strength - Bump strength (0 = flat lighting, 1 = as authored)
+     */
+    setNormalStrength(strength) {
+        if (this.options.normalStrength === strength) return  // Skip if unchanged
+        if (!Number.isFinite(strength) || strength < 0) {
+            console.warn(`sticker: invalid normalStrength '${strength}' (expected a number >= 0)`)
+            return
+        }
+        this.options.normalStrength = strength
+    }
+
+    /**
+     * Set the card thickness
+     * @param {number} thickness - Edge thickness in card widths (0 = flat)
+     */
+    setThickness(thickness) {
+        if (this.options.thickness === thickness) return  // Skip if unchanged
+        this.options.thickness = thickness
+        this._updateCardShape()
+    }
+
+    /**
+     * Set the edge colour
+     * @param {string|number[]|null} color - Hex colour, RGB array (0-1) or null for the default
+     */
+    setEdgeColor(color) {
+        if (this.options.edgeColor === color) return  // Skip if unchanged
+        this.options.edgeColor = color
+        this._applyEdgeColor()
+    }
+
     /**
      * Auto-adjust bloom intensity based on mask type
      * Certain masks cause excessive bloom, so we reduce it automatically
@@ -1109,6 +2672,9 @@ export class sticker {
      * @param {Object} options - Options to update
      */
     setOptions(options) {
+        // Rarity first, so options given alongside it override the preset
+        if ('rarity' in options) this.setRarity(options.rarity)
+
         for (const [key, value] of Object.entries(options)) {
             switch (key) {
                 case 'shader':
@@ -1120,12 +2686,24 @@ export class sticker {
                 case 'cardNormal':
                     this.setCardNormal(value)
                     break
+                case 'cardDepth':
+                    this.setCardDepth(value)
+                    break
                 case 'cardName':
                     this.setCardName(value)
                     break
                 case 'cardNumber':
                     this.setCardNumber(value)
                     break
+                case 'cardFields':
+                    this.setCardFields(value)
+                    break
+                case 'layout':
+                    this.setLayout(value)
+                    break
+                case 'font':
+                    this.setFont(value)
+                    break
                 case 'cardCollection':
                     this.setCardCollection(value)
                     break
@@ -1138,6 +2716,57 @@ export class sticker {
                 case 'variant':
                     this.setVariant(value)
                     break
+                case 'seed':
+                    this.setSeed(value)
+                    break
+                case 'shaderParams':
+                    this.setShaderParams(value, { replace: true })
+                    break
+                case 'layers':
+                    this.setLayers(value)
+                    break
+                case 'normalStrength':
+                    this.setNormalStrength(value)
+                    break
+                case 'cardBack':
+                    this.setCardBack(value)
+                    break
+                case 'backShader':
+                    this.setBackShader(value)
+                    break
+                case 'backMask':
+                    this.setBackMask(value)
+                    break
+                case 'flipped':
+                    this.flip(value)
+                    break
+                case 'tiltSource':
+                    this.setTiltSource(value)
+                    break
+                case 'keyboard':
+                    this.setKeyboard(value)
+                    break
+                case 'gamepad':
+                    this.setGamepad(value)
+                    break
+                case 'motion':
+                    this.setMotion(value)
+                    break
+                case 'maxFps':
+                    this.setMaxFps(value)
+                    break
+                case 'pauseWhenHidden':
+                    this.setPauseWhenHidden(value)
+                    break
+                case 'cornerRadius':
+                    this.setCornerRadius(value)
+                    break
+                case 'thickness':
+                    this.setThickness(value)
+                    break
+                case 'edgeColor':
+                    this.setEdgeColor(value)
+                    break
                 case 'interactive':
                 case 'lazy':
                 case 'autoplay':
@@ -1146,16 +2775,28 @@ export class sticker {
                 case 'size':
                     this.setSize(value)
                     break
+                case 'backend':
+                    this.setBackend(value)
+                    break
             }
         }
     }
 
     /**
      * Set the variant (parallel color)
-     * @param {string|null} variant - Variant name ('blue'|'red'|'purple'|'green'|'gold'|'black') or null
+     * Invalid variants are rejected with a warning and the current one is kept.
+     * @param {string|number[]|Object|null} variant - Variant name ('gold', 'rainbow', ...), CSS colour
+     *   ('#ff5252'), CSS gradient ('linear-gradient(90deg, red, gold)'), RGB triple or gradient
+     *   object (see Variants.js), or null
      */
     setVariant(variant) {
         if (this.options.variant === variant) return  // Skip if unchanged
+        try {
+            resolveVariant(variant)
+        } catch (err) {
+            console.warn(`sticker: ${err.message}`)
+            return
+        }
         this.options.variant = variant || null
         if (this.card) {
             this.card.setVariant(this.options.variant)
@@ -1181,16 +2822,114 @@ export class sticker {
         }
 
         this.options.size = normalizedSize
-        // Note: Size changes take effect on next init (resize during render not supported)
+        if (!this.gl || !this.renderer || this._fixedRenderSize) return
+
+        // Resize the render targets; SVG sources re-rasterize at the new size
+        const { width, height } = this._computeRenderSize()
+        this.canvas.width = width
+        this.canvas.height = height
+        this._borrowedContext.resize(width, height)
+        this.renderer.updateProjection(width / height)
+        this.bloomPass?.resize(width, height)
+        this._scheduleSvgRaster()
+    }
+
+    /**
+     * Switch rendering backend (a ready card re-initializes on the new one)
+     * @param {string} backend - 'pool' or 'shared' (see DEFAULT_OPTIONS)
+     */
+    setBackend(backend) {
+        if (this.options.backend === backend) return  // Skip if unchanged
+        if (backend === 'worker') {
+            // The canvas is handed to the worker for good, so only a new card can use it
+            console.warn("sticker: backend 'worker' is chosen when a card is created (see WorkerBackend.js)")
+            return
+        }
+        if (!BACKENDS.includes(backend)) {
+            console.warn(`sticker: Unknown backend '${backend}'. Available: ${BACKENDS.join(', ')}`)
+            return
+        }
+
+        this.options.backend = backend
+        if (this.isReady && !this.options.lazy) {
+            this._reacquireContext(this.isRunning)
+        }
     }
 
     // ==================== Static ====================
 
     /**
-     * Get list of available shader names
+     * Get list of available shader names (built-in, then runtime-registered)
      */
     static get shaderNames() {
-        return ShaderRegistry.SHADER_NAMES
+        return [...ShaderRegistry.SHADER_NAMES, ...getCustomShaderNames()]
+    }
+
+    /**
+     * Register a custom card shader for every card and button (`shader="<name>"`)
+     * The fragment shader receives the same varyings and uniforms as the built-in
+     * ones (see BASE_VERTEX). It is compiled in every pooled context right away,
+     * and contexts created later compile it during initialization. Register
+     * before any card selects it.
+     * @param {string} name - Lowercase letters, digits and dashes; not a built-in name
+     * @param {Object} definition
+     * @param {string} definition.fragment - GLSL ES 3.00 fragment source
+     * @param {string[]} definition.textures - Card textures sampled (default: all)
+     * @param {Object<string, string>} definition.uniforms - Extra uniforms: name → 'float' | 'int' | 'bool' | 'vec2' | 'vec3' | 'vec4'
+     * @param {Object<string, number|number[]|boolean>} definition.defaults - Values for the extra uniforms
+     * @throws {Error} If the definition is invalid or the shader fails to compile
+     */
+    static registerShader(name, definition) {
+        WebGLContextPool.getInstance().registerShader(name, definition)
+    }
+
+    /**
+     * Register a named text layout template (`layout="<name>"`)
+     * @param {string} name
+     * @param {Object} layout - Layout template (see CardLayout.js)
+     * @throws {Error} If the template is invalid
+     */
+    static registerLayout(name, layout) {
+        registerLayout(name, layout)
+    }
+
+    /**
+     * Register (or replace) a named variant (`variant="<name>"`)
+     * @param {string} name
+     * @param {string|number[]|Object} variant - CSS colour, CSS gradient, RGB triple or
+     *   gradient object (see Variants.js)
+     * @throws {Error} If the variant is invalid
+     */
+    static registerVariant(name, variant) {
+        registerVariant(name, variant)
+    }
+
+    /**
+     * Register (or replace) a rarity preset (`rarity="<name>"`)
+     * @param {string} name
+     * @param {Object} preset - Any of shader, mask, variant, bloom, shaderParams, layers
+     * @throws {Error} If the preset is invalid
+     */
+    static registerRarity(name, preset) {
+        registerRarity(name, preset)
+    }
+
+    /**
+     * Register an inline icon for card text (`[icon=<name>]`, see RichText.js)
+     * @param {string} name
+     * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - Image URL or drawable image
+     */
+    static registerTextIcon(name, source) {
+        registerTextIcon(name, source)
+    }
+
+    /**
+     * Tunable parameters of a shader
+     * @param {string} name - Built-in or registered shader name
+     * @returns {Object} { paramName: { uniform, type, default, min?, max?, description? } }
+     */
+    static getShaderParamSchema(name) {
+        return getShaderParamSchema(name)
     }
 
     /**
@@ -1221,11 +2960,18 @@ export class sticker {
         return Object.keys(SIZE_PRESETS)
     }
 
+    /**
+     * Get list of registered rarity names
+     */
+    static get rarityNames() {
+        return getRarityNames()
+    }
+
     /**
      * Get list of available variant names
      */
     static get variantNames() {
-        return Object.keys(CONFIG.variants)
+        return getVariantNames()
     }
 
     /**
@@ -7,6 +7,11 @@
 
 import { sticker } from './sticker.js'
 import { WebGLContextPool } from './WebGLContextPool.js'
+import { WorkerSticker, supportsWorkerBackend } from './WorkerBackend.js'
+import { parseShaderParams } from '../shaders/ShaderParams.js'
+import { parseLayers } from '../card/EffectLayers.js'
+import { parseCardFields } from '../factories/CardLayout.js'
+import { parseVariantAttribute } from '../card/Variants.js'
 
 // Global render queue to prevent WebGL context exhaustion
 // Only one card renders its static frame at a time
@@ -114,27 +119,69 @@ const ATTR_TO_OPTION = {
     'shader': 'shader',
     'card-src': 'cardSrc',
     'card-normal': 'cardNormal',
+    'card-depth': 'cardDepth',
     'card-name': 'cardName',
     'card-number': 'cardNumber',
     'card-collection': 'cardCollection',
+    'card-fields': 'cardFields',
+    'layout': 'layout',
+    'font': 'font',
+    'rarity': 'rarity',
     'mask': 'mask',
     'bloom': 'bloom',
     'variant': 'variant',
+    'seed': 'seed',
+    'shader-params': 'shaderParams',
+    'layers': 'layers',
+    'normal-strength': 'normalStrength',
+    'card-back': 'cardBack',
+    'back-shader': 'backShader',
+    'back-mask': 'backMask',
+    'flipped': 'flipped',
+    'corner-radius': 'cornerRadius',
+    'thickness': 'thickness',
+    'edge-color': 'edgeColor',
     'interactive': 'interactive',
+    'tilt-source': 'tiltSource',
+    'keyboard': 'keyboard',
+    'gamepad': 'gamepad',
+    'motion': 'motion',
+    'max-fps': 'maxFps',
+    'pause-when-hidden': 'pauseWhenHidden',
     'lazy': 'lazy',
     'autoplay': 'autoplay',
-    'size': 'size'
+    'size': 'size',
+    'backend': 'backend'
 }
 
 // Attributes that don't map to sticker options (handled separately)
 const ELEMENT_ONLY_ATTRS = ['lazy-margin']
 
+// Attributes that override a rarity preset while present
+const RARITY_ATTRS = ['shader', 'mask', 'variant', 'bloom', 'shader-params', 'layers']
+
 // Boolean attributes (bloom is numeric, not boolean)
-const BOOLEAN_ATTRS = ['interactive', 'lazy', 'autoplay']
+const BOOLEAN_ATTRS = ['interactive', 'lazy', 'autoplay', 'flipped', 'keyboard', 'gamepad', 'pause-when-hidden']
+
+// Numeric attributes (parsed as floats, invalid values fall back to 0)
+const NUMERIC_ATTRS = ['corner-radius', 'thickness', 'normal-strength', 'max-fps']
 
 // Default margin for viewport intersection (pixels)
 const DEFAULT_LAZY_MARGIN = 200
 
+// Cards that asked for backend="worker" but fell back to the pool warn once per page
+let warnedWorkerFallback = false
+
+/**
+ * Warn (once) that backend="worker" isn't available and cards use the pool
+ * @param {string} reason
+ */
+function warnWorkerFallback(reason) {
+    if (warnedWorkerFallback) return
+    warnedWorkerFallback = true
+    console.warn(`stickerElement: backend 'worker' ${reason}, using 'pool'`)
+}
+
 export class stickerElement extends HTMLElement {
     static observedAttributes = [...Object.keys(ATTR_TO_OPTION), ...ELEMENT_ONLY_ATTRS]
 
@@ -171,7 +218,44 @@ export class stickerElement extends HTMLElement {
         const options = this._getOptionsFromAttributes()
 
         // Create sticker instance
-        this.sticker = new sticker(this._canvas, options)
+        this._createSticker(options)
+
+        // Wire up static image for lazy mode
+        if (options.lazy) {
+            this.sticker.staticImage = this._staticImage
+            this._setupLazyMode()
+        } else {
+            // Initialize immediately
+            this._initsticker()
+        }
+
+        this._initialized = true
+    }
+
+    /**
+     * Create the sticker for the canvas and wire its callbacks to events
+     * backend="worker" renders in a Worker where supported (not for lazy cards,
+     * which use the pool like backend="shared"); otherwise it falls back to the pool.
+     * @param {Object} options
+     */
+    _createSticker(options) {
+        let workerSticker = null
+        if (this._usesWorker(options)) {
+            try {
+                workerSticker = new WorkerSticker(this._canvas, options)
+            } catch (err) {
+                warnWorkerFallback(`can't take this canvas (${err.message})`)
+            }
+        } else if (options.backend === 'worker' && !options.lazy) {
+            warnWorkerFallback("isn't supported in this browser")
+        }
+
+        if (workerSticker) {
+            this.sticker = workerSticker
+        } else {
+            const backend = options.backend === 'worker' ? 'pool' : options.backend
+            this.sticker = new sticker(this._canvas, { ...options, backend })
+        }
 
         // Wire up error callback to dispatch events
         this.sticker.onError = (err) => {
@@ -187,20 +271,47 @@ export class stickerElement extends HTMLElement {
             this.dispatchEvent(new CustomEvent('sticker:source-loaded', {
                 bubbles: true,
                 composed: true,
-                detail: { generatedName: this.sticker.generatedName }
+                detail: {
+                    generatedName: this.sticker.generatedName,
+                    generatedSeed: this.sticker.generatedSeed
+                }
             }))
         }
 
-        // Wire up static image for lazy mode
-        if (options.lazy) {
-            this.sticker.staticImage = this._staticImage
-            this._setupLazyMode()
-        } else {
-            // Initialize immediately
-            this._initsticker()
+        // Wire up gyro permission/availability changes (tilt-source="gyro")
+        this.sticker.onGyroStateChange = (state) => {
+            this.dispatchEvent(new CustomEvent('sticker:gyro-state', {
+                bubbles: true,
+                composed: true,
+                detail: { state }
+            }))
         }
+    }
 
-        this._initialized = true
+    /**
+     * Whether options put the card on the worker backend
+     * @param {Object} options
+     * @returns {boolean}
+     */
+    _usesWorker(options) {
+        return options.backend === 'worker' && !options.lazy && supportsWorkerBackend()
+    }
+
+    /**
+     * Replace the sticker and its canvas when the card moves on or off the worker
+     * backend: a canvas handed to a worker can't be drawn to from this thread again.
+     */
+    _recreateSticker() {
+        removeFromRenderQueue(this)
+        WebGLContextPool.getInstance().cancelRequest(this.sticker)
+        this.sticker.destroy()
+
+        const canvas = document.createElement('canvas')
+        this._canvas.replaceWith(canvas)
+        this._canvas = canvas
+
+        this._createSticker(this._getOptionsFromAttributes())
+        this._initsticker()
     }
 
     disconnectedCallback() {
@@ -218,6 +329,8 @@ export class stickerElement extends HTMLElement {
         if (this._isLazy) {
             this.removeEventListener('mouseenter', this._boundActivate)
             this.removeEventListener('mouseleave', this._boundDeactivate)
+            this.removeEventListener('focus', this._boundActivate)
+            this.removeEventListener('blur', this._boundDeactivate)
         }
 
         // Cancel any pending borrow requests from the pool
@@ -240,8 +353,28 @@ export class stickerElement extends HTMLElement {
         const optionName = ATTR_TO_OPTION[name]
         if (!optionName) return
 
-        const value = this._parseAttributeValue(name, newVal)
-        this.sticker.setOptions({ [optionName]: value })
+        const options = { [optionName]: this._parseAttributeValue(name, newVal) }
+
+        // Moving on or off the worker needs a new sticker (and canvas)
+        if (name === 'backend') {
+            const usesWorker = this._usesWorker({ backend: options.backend, lazy: this._isLazy })
+            if (usesWorker !== (this.sticker instanceof WorkerSticker)) {
+                this._recreateSticker()
+                return
+            }
+            if (!usesWorker && options.backend === 'worker') options.backend = 'pool'  // Unsupported or lazy
+        }
+
+        // A new rarity keeps the look attributes set on the element
+        if (name === 'rarity') {
+            for (const attr of RARITY_ATTRS) {
+                if (this.hasAttribute(attr)) {
+                    options[ATTR_TO_OPTION[attr]] = this._parseAttributeValue(attr, this.getAttribute(attr))
+                }
+            }
+        }
+
+        this.sticker.setOptions(options)
     }
 
     /**
@@ -287,6 +420,13 @@ export class stickerElement extends HTMLElement {
         this.addEventListener('mouseenter', this._boundActivate)
         this.addEventListener('mouseleave', this._boundDeactivate)
 
+        // Keyboard users activate the card by focusing it (arrow keys then tilt it)
+        if (this._getAttrBool('interactive', true) && this._getAttrBool('keyboard', true)) {
+            if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '0')
+            this.addEventListener('focus', this._boundActivate)
+            this.addEventListener('blur', this._boundDeactivate)
+        }
+
         // Track if mouse is already over element (e.g., overlay scenarios)
         if (this.matches(':hover')) {
             this._mouseIsOver = true
@@ -372,7 +512,12 @@ export class stickerElement extends HTMLElement {
     async _doRenderStaticFrame() {
         // Wait for layout to be computed
         await new Promise(resolve => requestAnimationFrame(resolve))
-        await this.sticker.renderStaticFrame()
+
+        // Cards only inside the lazy margin wait behind cards on screen
+        const rect = this.getBoundingClientRect()
+        const onScreen = rect.bottom > 0 && rect.right > 0 &&
+            rect.top < window.innerHeight && rect.left < window.innerWidth
+        await this.sticker.renderStaticFrame({ priority: onScreen ? 'visible' : 'prefetch' })
     }
 
     /**
@@ -448,6 +593,52 @@ export class stickerElement extends HTMLElement {
             const num = parseFloat(value)
             return isNaN(num) ? 0.95 : Math.max(0, Math.min(2, num))
         }
+        // Card source: URL or built-in name, or a JSON sprite sheet descriptor
+        if (name === 'card-src' && value?.trimStart().startsWith('{')) {
+            try {
+                return JSON.parse(value)
+            } catch {
+                console.warn(`stickerElement: Invalid JSON in card-src '${value}'`)
+                return null
+            }
+        }
+        // Variant: name, CSS colour or gradient, or a JSON gradient object / RGB triple
+        if (name === 'variant') {
+            return parseVariantAttribute(value)
+        }
+        // Motion: removing the attribute goes back to following the system setting
+        if (name === 'motion') {
+            return value || 'auto'
+        }
+        if (name === 'backend') {
+            return value || 'pool'
+        }
+        // Card fields: JSON or "name: value; name: value"
+        if (name === 'card-fields') {
+            return parseCardFields(value)
+        }
+        // Layout: registered name or JSON template
+        if (name === 'layout') {
+            if (!value?.trimStart().startsWith('{')) return value || null
+            try {
+                return JSON.parse(value)
+            } catch {
+                console.warn(`stickerElement: Invalid JSON in layout '${value}'`)
+                return null
+            }
+        }
+        // Shader params: JSON or "name: value; name: value"
+        if (name === 'shader-params') {
+            return parseShaderParams(value)
+        }
+        // Layers: JSON array or "shader [mask] [blend] [opacity], ..."
+        if (name === 'layers') {
+            return parseLayers(value)
+        }
+        if (NUMERIC_ATTRS.includes(name)) {
+            const num = parseFloat(value)
+            return isNaN(num) ? 0 : Math.max(0, num)
+        }
         if (BOOLEAN_ATTRS.includes(name)) {
             // Boolean: present = true, absent = false, "false" = false
             if (value === null) return false
@@ -532,6 +723,91 @@ export class stickerElement extends HTMLElement {
         this.sticker?.setVariant(variant)
     }
 
+    /**
+     * Set back face image
+     */
+    setCardBack(src) {
+        this.sticker?.setCardBack(src)
+    }
+
+    /**
+     * Flip the card to the other face (reflected in the `flipped` attribute)
+     * @param {boolean} flipped - true shows the back, false the front (default: toggle)
+     */
+    flip(flipped = !this.hasAttribute('flipped')) {
+        this.toggleAttribute('flipped', !!flipped)
+    }
+
+    /**
+     * Set the card tilt from code (null releases)
+     * @param {number|null} x - -1 to 1, left/right
+     * @param {number|null} y - -1 to 1, top edge away/toward viewer
+     */
+    setTilt(x, y) {
+        this.sticker?.setTilt(x, y)
+    }
+
+    /**
+     * Set a virtual pointer position from code (null releases)
+     * @param {number|null} x - -1 (left) to 1 (right)
+     * @param {number|null} y - -1 (top) to 1 (bottom)
+     */
+    setPointer(x, y) {
+        this.sticker?.setPointer(x, y)
+    }
+
+    /**
+     * Request device-orientation permission (call from a user gesture)
+     * @returns {Promise<boolean>}
+     */
+    requestGyroPermission() {
+        return this.sticker?.requestGyroPermission() ?? Promise.resolve(false)
+    }
+
+    /**
+     * Tune shader parameters, merged into the current ones (see sticker.setShaderParams)
+     * @param {Object} params - Values by parameter name, null value = default
+     */
+    setShaderParams(params) {
+        this.sticker?.setShaderParams(params)
+    }
+
+    /**
+     * Set the overlay effect layers (see sticker.setLayers)
+     * @param {Array<Object|string>|null} layers - [{ shader, mask, blend, opacity, params }]
+     */
+    setLayers(layers) {
+        this.sticker?.setLayers(layers)
+    }
+
+    /**
+     * Resolved parameter values of the active shader
+     * @returns {Object}
+     */
+    getShaderParams() {
+        return this.sticker?.getShaderParams() ?? {}
+    }
+
+    /**
+     * Render the card offscreen and encode it (see sticker.exportImage)
+     * @param {Object} options - width, height, type, quality, tilt, pointer, time, transparent
+     * @returns {Promise<Blob>}
+     */
+    exportImage(options) {
+        if (!this.sticker) return Promise.reject(new Error('sticker-card is not connected'))
+        return this.sticker.exportImage(options)
+    }
+
+    /**
+     * Record a seamless looping clip (see sticker.recordClip)
+     * @param {Object} options - duration, fps, width, height, path, amplitude, format, background
+     * @returns {Promise<Blob>} video/webm or image/gif
+     */
+    recordClip(options) {
+        if (!this.sticker) return Promise.reject(new Error('sticker-card is not connected'))
+        return this.sticker.recordClip(options)
+    }
+
     /**
      * Set multiple options
      */
@@ -584,6 +860,14 @@ export class stickerElement extends HTMLElement {
         return this.sticker?.generatedCollection || null
     }
 
+    /**
+     * Get the seed of the generated content (reproduce with card-src="random-...?seed=<seed>")
+     * @returns {number|string|null}
+     */
+    get generatedSeed() {
+        return this.sticker?.generatedSeed ?? null
+    }
+
     /**
      * Force render the static frame immediately (bypasses Intersection Observer)
      * Useful when the app knows the card is about to become visible.
@@ -0,0 +1,126 @@
+/**
+ * stickerWorker - Render worker for backend: 'worker'
+ *
+ * Hosts its own WebGLContextPool and runs each card's sticker (or button's
+ * ShaderButton) on the canvas its element transferred (OffscreenCanvas), so GL
+ * work and the per-frame copy into the element's canvas stay off the main
+ * thread. Input, size and motion state arrive as messages from
+ * WorkerBackend.js; see there for the protocol.
+ */
+
+import { sticker } from './sticker.js'
+import { ShaderButton } from './shaderButton.js'
+import { MotionPolicy } from './MotionPolicy.js'
+import { setImageBaseURI } from '../utils/CanvasFactory.js'
+
+// Methods the main thread may call on a card
+const CARD_METHODS = ['start', 'stop', 'setOptions', 'setPointer']
+
+// Methods the main thread may call on a button
+const BUTTON_METHODS = [
+    'setShader', 'setMode', 'setVariant', 'setShaderParams', 'setBorderWidth', 'setIntensity',
+    'setMousePosition', 'setHovering', 'setAnimating'
+]
+
+const cards = new Map()  // Card id -> sticker or ShaderButton
+
+/**
+ * State the main-thread proxy mirrors (generated names, resolved shader params)
+ * @param {sticker} card
+ * @returns {Object}
+ */
+function getCardState(card) {
+    return {
+        generatedName: card.generatedName,
+        generatedCollection: card.generatedCollection,
+        generatedSeed: card.generatedSeed,
+        shaderParams: card.getShaderParams()
+    }
+}
+
+/**
+ * Reply to a request from the main thread
+ * @param {number} requestId
+ * @param {Error|null} error
+ */
+function reply(requestId, error = null) {
+    self.postMessage({ type: 'result', requestId, error: error ? error.message : null })
+}
+
+const handlers = {
+    init({ baseURI }) {
+        setImageBaseURI(baseURI)
+    },
+
+    async create({ id, requestId, canvas, options, displaySize }) {
+        // Input is handled on the main thread and arrives through setPointer
+        const card = new sticker(canvas, { ...options, interactive: false, lazy: false, backend: 'pool' })
+        card._displaySize = displaySize
+        card.onError = (err) => self.postMessage({ type: 'error', id, message: err.message })
+        card.onSourceLoaded = () => self.postMessage({ type: 'sourceLoaded', id, state: getCardState(card) })
+        cards.set(id, card)
+
+        try {
+            await card.init()
+            reply(requestId)
+        } catch (err) {
+            reply(requestId, err)
+        }
+    },
+
+    async createButton({ id, requestId, canvas, options, displaySize, state }) {
+        const button = new ShaderButton(canvas, options)
+        button._displaySize = displaySize
+        // Set before initialize() so the first render keeps the context (see shaderButtonElement)
+        button.isHovering = state.isHovering
+        button.isAnimating = state.isAnimating
+        button.onError = (err) => self.postMessage({ type: 'error', id, message: err.message })
+        cards.set(id, button)
+
+        try {
+            await button.initialize()
+            reply(requestId)
+        } catch (err) {
+            reply(requestId, err)
+        }
+    },
+
+    async call({ id, method, args }) {
+        const card = cards.get(id)
+        const methods = card instanceof ShaderButton ? BUTTON_METHODS : CARD_METHODS
+        if (!card || !methods.includes(method)) return
+
+        // Failures go to the card's onError on the main thread, like the card's own
+        try {
+            await card[method](...args)
+        } catch (err) {
+            self.postMessage({ type: 'error', id, message: err.message })
+        }
+        if (method === 'setOptions' && cards.get(id) === card) {
+            self.postMessage({ type: 'state', id, state: getCardState(card) })
+        }
+    },
+
+    input({ inputs }) {
+        for (const [id, x, y] of inputs) {
+            cards.get(id)?.setPointer(x, y)
+        }
+    },
+
+    resize({ id, width, height, dpr }) {
+        cards.get(id)?.handleResize(width, height, dpr)
+    },
+
+    motion({ state }) {
+        MotionPolicy.getInstance()._update(state)
+    },
+
+    destroy({ id }) {
+        cards.get(id)?.destroy()
+        cards.delete(id)
+    }
+}
+
+self.onmessage = ({ data }) => {
+    handlers[data.type]?.(data)
+}
@@ -45,6 +45,8 @@ export class BloomPass {
 
         // Output target (null = screen, FBO = another pass)
         this.outputFBO = null
+        this.outputViewport = null  // [x, y, width, height] in the output (null = full size)
+        this.outputScissor = null   // Composite is clipped to this rect (null = no clipping)
 
         this.createQuad()
     }
@@ -53,6 +55,22 @@ export class BloomPass {
         this.outputFBO = fbo
     }
 
+    /**
+     * Composite into part of the output (e.g. one card's rect on a shared canvas)
+     * @param {number[]|null} viewport - [x, y, width, height], null = the full output
+     */
+    setOutputViewport(viewport) {
+        this.outputViewport = viewport
+    }
+
+    /**
+     * Clip the composite to a rect of the output, so it can't touch what's around it
+     * @param {number[]|null} rect - [x, y, width, height], null = no clipping
+     */
+    setOutputScissor(rect) {
+        this.outputScissor = rect
+    }
+
     createQuad() {
         const gl = this.gl
 
@@ -260,7 +278,11 @@ export class BloomPass {
 
         // === STEP 4: Composite bloom with original scene ===
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.outputFBO)
-        gl.viewport(0, 0, this.width, this.height)
+        if (this.outputViewport) {
+            gl.viewport(...this.outputViewport)
+        } else {
+            gl.viewport(0, 0, this.width, this.height)
+        }
 
         this.compositeShader.use()
         gl.activeTexture(gl.TEXTURE0)
@@ -273,7 +295,12 @@ export class BloomPass {
 
         this.compositeShader.setUniform1f('u_bloomIntensity', this.intensity)
 
+        if (this.outputScissor) {
+            gl.enable(gl.SCISSOR_TEST)
+            gl.scissor(...this.outputScissor)
+        }
         this.drawQuad()
+        gl.disable(gl.SCISSOR_TEST)
 
         gl.enable(gl.BLEND)
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
@@ -0,0 +1,162 @@
+/**
+ * CustomShaders - Runtime registry for user-supplied card shaders
+ *
+ * Built-in shaders are generated into ShaderRegistry.js at build time; shaders
+ * registered here are compiled against BASE_VERTEX by every pooled context
+ * (see WebGLContextPool.registerShader) and become selectable by name.
+ *
+ * Definition:
+ *   {
+ *     fragment: '#version 300 es ...',          // Fragment source (BASE_VERTEX varyings)
+ *     textures: ['base', 'noise', 'effectMask'], // Card textures sampled (default: all)
+ *     uniforms: { u_tint: 'vec3' },              // Extra uniforms and their GLSL types
+ *     defaults: { u_tint: [1, 0.8, 0.2] }        // Values for those uniforms
+ *   }
+ *
+ * Declared uniforms are tunable like built-in parameters (see ShaderParams.js).
+ * To work as an overlay layer, a fragment declares `uniform float u_layerOpacity`
+ * and, when it is > 0, outputs colour premultiplied by mask × u_layerOpacity
+ * (see EffectLayers.js); otherwise the layer covers the whole card.
+ * The card's normal map is bound to `u_normalMap` with `u_normalStrength`
+ * (0 when the card has none); the "normal-map.glsl" helpers are not
+ * available to runtime shaders, so sample it directly. Text textures
+ * (u_textTexture, u_numberTexture, u_collectionTexture) hold premultiplied
+ * RGBA: composite them as `color * (1.0 - text.a) + text.rgb`.
+ */
+
+import { SHADER_NAMES } from '../lib/ShaderRegistry.js'
+
+// Card textures a shader may sample (names match CardRenderer's TEXTURE_BINDINGS)
+export const CARD_TEXTURE_NAMES = [
+    'base', 'rainbow', 'noise', 'foil', 'depth', 'effectMask', 'text', 'number', 'collection', 'normal'
+]
+
+// Uniform types a definition may declare, with their component counts
+const UNIFORM_SIZES = {
+    float: 1,
+    int: 1,
+    bool: 1,
+    vec2: 2,
+    vec3: 3,
+    vec4: 4
+}
+
+// Uniforms the renderers set every frame - custom uniforms must not shadow them
+const RESERVED_UNIFORMS = [
+    'u_modelMatrix', 'u_viewMatrix', 'u_projectionMatrix', 'u_cameraPosition',
+    'u_time', 'u_mousePosition', 'u_cardRotation',
+    'u_maskActive', 'u_isBaseShader', 'u_textOpacity', 'u_effectScale',
+    'u_variantActive', 'u_variantColor', 'u_variantStopCount', 'u_variantStops', 'u_variantGradient',
+    'u_layerOpacity', 'u_normalStrength',
+    'u_baseTexture', 'u_rainbowGradient', 'u_noiseTexture', 'u_foilPattern', 'u_depthMap',
+    'u_effectMask', 'u_textTexture', 'u_numberTexture', 'u_collectionTexture',
+    'u_normalMap'
+]
+
+const customShaders = new Map()
+
+/**
+ * Validate a shader definition and fill in defaults (no GL needed)
+ * @param {string} name - Shader name (lowercase letters, digits and dashes)
+ * @param {Object} definition - See module docs
+ * @returns {{fragment: string, textures: string[], uniforms: Object, defaults: Object}}
+ */
+export function normalizeShaderDefinition(name, definition) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+        throw new Error(`Invalid shader name '${name}': use lowercase letters, digits and dashes`)
+    }
+    if (SHADER_NAMES.includes(name)) {
+        throw new Error(`Shader '${name}' is built in and cannot be replaced`)
+    }
+
+    const { fragment, textures = CARD_TEXTURE_NAMES, uniforms = {}, defaults = {} } = definition ?? {}
+
+    if (typeof fragment !== 'string' || !fragment.trimStart().startsWith('#version 300 es')) {
+        throw new Error(`Shader '${name}': fragment must be GLSL ES 3.00 source starting with '#version 300 es'`)
+    }
+
+    if (!Array.isArray(textures)) {
+        throw new Error(`Shader '${name}': textures must be an array`)
+    }
+    const unknownTexture = textures.find(texture => !CARD_TEXTURE_NAMES.includes(texture))
+    if (unknownTexture !== undefined) {
+        throw new Error(`Shader '${name}': unknown texture '${unknownTexture}'. Available: ${CARD_TEXTURE_NAMES.join(', ')}`)
+    }
+
+    for (const [uniform, type] of Object.entries(uniforms)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(uniform)) {
+            throw new Error(`Shader '${name}': invalid uniform name '${uniform}'`)
+        }
+        if (RESERVED_UNIFORMS.includes(uniform)) {
+            throw new Error(`Shader '${name}': uniform '${uniform}' is set by the renderer`)
+        }
+        if (!UNIFORM_SIZES[type]) {
+            throw new Error(`Shader '${name}': unsupported type '${type}' for '${uniform}'. Use ${Object.keys(UNIFORM_SIZES).join(', ')}`)
+        }
+    }
+
+    for (const [uniform, value] of Object.entries(defaults)) {
+        const type = uniforms[uniform]
+        if (!type) {
+            throw new Error(`Shader '${name}': default given for undeclared uniform '${uniform}'`)
+        }
+        if (!isValidUniformValue(type, value)) {
+            throw new Error(`Shader '${name}': default for '${uniform}' is not a valid ${type}`)
+        }
+    }
+
+    return {
+        fragment,
+        textures: [...textures],
+        uniforms: { ...uniforms },
+        defaults: { ...defaults }
+    }
+}
+
+/**
+ * Check a value against a uniform type
+ * @param {string} type - float, int, bool, vec2, vec3 or vec4
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidUniformValue(type, value) {
+    const size = UNIFORM_SIZES[type]
+    if (!size) return false
+    if (type === 'bool' && typeof value === 'boolean') return true
+    if (size === 1) return Number.isFinite(value)
+    return Array.isArray(value) && value.length === size && value.every(Number.isFinite)
+}
+
+/**
+ * Add a validated definition to the registry
+ * @param {string} name
+ * @param {Object} definition - From normalizeShaderDefinition()
+ */
+export function addCustomShader(name, definition) {
+    if (customShaders.has(name)) {
+        throw new Error(`Shader '${name}' is already registered`)
+    }
+    customShaders.set(name, definition)
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined} Normalized definition
+ */
+export function getCustomShader(name) {
+    return customShaders.get(name)
+}
+
+/**
+ * @returns {string[]} Registered custom shader names, in registration order
+ */
+export function getCustomShaderNames() {
+    return Array.from(customShaders.keys())
+}
+
+/**
+ * @returns {Array<[string, Object]>} Registered [name, definition] pairs
+ */
+export function getCustomShaders() {
+    return Array.from(customShaders.entries())
+}
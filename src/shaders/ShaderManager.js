@@ -5,6 +5,7 @@ export class ShaderManager {
     constructor(gl, options = {}) {
         this.gl = gl
         this.shaders = new Map()
+        this.materials = new Map()  // Non-selectable surface shaders (e.g. card edge)
         this.activeShader = null
         this.activeShaderName = null
         this.useBundled = options.useBundled ?? false
@@ -42,6 +43,46 @@ export class ShaderManager {
         }
     }
 
+    /**
+     * Load all material shaders from bundled registry
+     * Materials are kept apart from card shaders so they never show up as a
+     * selectable effect.
+     */
+    loadMaterialsFromRegistry() {
+        if (!this.shaderRegistry) {
+            throw new Error('Shader registry not provided')
+        }
+
+        const { MATERIAL_SHADERS = {}, BASE_VERTEX } = this.shaderRegistry
+        for (const [name, { vertex, fragment }] of Object.entries(MATERIAL_SHADERS)) {
+            this.materials.set(name, new ShaderProgram(this.gl, vertex ?? BASE_VERTEX, fragment))
+        }
+    }
+
+    /**
+     * Compile a runtime-registered card shader against the bundled base vertex shader
+     * @param {Object} definition - Normalized definition from CustomShaders
+     * @returns {ShaderProgram}
+     */
+    compileCustomShader(definition) {
+        if (!this.shaderRegistry) {
+            throw new Error('Shader registry not provided')
+        }
+        return new ShaderProgram(this.gl, this.shaderRegistry.BASE_VERTEX, definition.fragment)
+    }
+
+    /**
+     * Compile and register a runtime-registered card shader
+     * @param {string} name
+     * @param {Object} definition - Normalized definition from CustomShaders
+     * @returns {ShaderProgram}
+     */
+    loadCustomShader(name, definition) {
+        const program = this.compileCustomShader(definition)
+        this.shaders.set(name, program)
+        return program
+    }
+
     /**
      * Load shader from file paths (original fetch-based method)
      */
@@ -97,6 +138,10 @@ export class ShaderManager {
         return this.shaders.has(name)
     }
 
+    getMaterial(name) {
+        return this.materials.get(name)
+    }
+
     getNames() {
         return Array.from(this.shaders.keys())
     }
@@ -106,6 +151,10 @@ export class ShaderManager {
             shader.destroy()
         }
         this.shaders.clear()
+        for (const material of this.materials.values()) {
+            material.destroy()
+        }
+        this.materials.clear()
         this.activeShader = null
         this.activeShaderName = null
     }
@@ -0,0 +1,160 @@
+/**
+ * ShaderParams - Tunable per-shader parameters
+ *
+ * Built-in shaders declare their parameters in GLSL as annotated uniforms,
+ * which scripts/build-shaders.js collects into SHADER_PARAMS:
+ *   uniform float u_sparkleDensity;  // @param 80.0 [10.0, 300.0]
+ *
+ * Runtime-registered shaders expose their declared uniforms the same way.
+ * A parameter's name is its uniform without the `u_` prefix, so
+ * { sparkleDensity: 120 } sets u_sparkleDensity on any shader that has it.
+ */
+
+import { SHADER_PARAMS } from '../lib/ShaderRegistry.js'
+import { getCustomShader, isValidUniformValue } from './CustomShaders.js'
+
+const EMPTY_SCHEMA = Object.freeze({})
+
+// Derived schemas for custom shaders, built once per definition
+const customSchemas = new WeakMap()
+
+/**
+ * Parameter schema for a shader
+ * @param {string} shaderName
+ * @returns {Object} { paramName: { uniform, type, default, min?, max?, description? } }
+ */
+export function getShaderParamSchema(shaderName) {
+    const builtIn = SHADER_PARAMS[shaderName]
+    if (builtIn) return builtIn
+
+    const custom = getCustomShader(shaderName)
+    if (!custom) return EMPTY_SCHEMA
+
+    let schema = customSchemas.get(custom)
+    if (!schema) {
+        schema = {}
+        for (const [uniform, type] of Object.entries(custom.uniforms)) {
+            const name = uniform.startsWith('u_') ? uniform.slice(2) : uniform
+            schema[name] = { uniform, type, default: custom.defaults[uniform] }
+        }
+        customSchemas.set(custom, schema)
+    }
+    return schema
+}
+
+/**
+ * Resolve the value to upload for one parameter
+ * Invalid values fall back to the default; numbers are clamped to the declared
+ * range and ints are rounded.
+ * @param {Object} param - Schema entry
+ * @param {*} value - Requested value (undefined = default)
+ * @returns {*} Value, or undefined if there is neither a valid value nor a default
+ */
+export function resolveShaderParam(param, value) {
+    if (value === undefined || value === null || !isValidUniformValue(param.type, value)) {
+        return param.default
+    }
+    if (param.type === 'int') value = Math.round(value)
+    if (typeof value === 'number') {
+        if (param.min !== undefined) value = Math.max(param.min, value)
+        if (param.max !== undefined) value = Math.min(param.max, value)
+    }
+    return value
+}
+
+/**
+ * Resolve every parameter of a shader
+ * @param {string} shaderName
+ * @param {Object|null} params - Requested values by parameter name
+ * @returns {Object} { paramName: value }
+ */
+export function resolveShaderParams(shaderName, params) {
+    const resolved = {}
+    for (const [name, param] of Object.entries(getShaderParamSchema(shaderName))) {
+        resolved[name] = resolveShaderParam(param, params?.[name])
+    }
+    return resolved
+}
+
+/**
+ * Upload a shader's parameters (program must be in use)
+ * Every parameter is set each call - the uniforms have no GLSL initializers,
+ * and pooled programs are shared between cards with different values.
+ * @param {ShaderProgram} shader
+ * @param {Object} schema - From getShaderParamSchema()
+ * @param {Object|null} params - Requested values by parameter name
+ */
+export function applyShaderParams(shader, schema, params) {
+    for (const name in schema) {
+        const param = schema[name]
+        const value = resolveShaderParam(param, params?.[name])
+        if (value === undefined) continue
+
+        switch (param.type) {
+            case 'float':
+                shader.setUniform1f(param.uniform, value)
+                break
+            case 'int':
+            case 'bool':
+                shader.setUniform1i(param.uniform, Number(value))
+                break
+            case 'vec2':
+                shader.setUniform2f(param.uniform, value[0], value[1])
+                break
+            case 'vec3':
+                shader.setUniform3f(param.uniform, value[0], value[1], value[2])
+                break
+            case 'vec4':
+                shader.setUniform4f(param.uniform, value[0], value[1], value[2], value[3])
+                break
+        }
+    }
+}
+
+/**
+ * Parse a shader-params attribute value
+ * Accepts JSON ('{"sparkleDensity": 120}') or a CSS-like list
+ * ('sparkleDensity: 120; numRays: 16; tint: 1 0.5 0').
+ * @param {string|null} value
+ * @returns {Object|null} Params, or null if empty or unparseable
+ */
+export function parseShaderParams(value) {
+    if (!value || !value.trim()) return null
+
+    const text = value.trim()
+    if (text.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(text)
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null
+        } catch {
+            console.warn(`ShaderParams: Invalid JSON in shader-params '${value}'`)
+            return null
+        }
+    }
+
+    const params = {}
+    for (const declaration of text.split(';')) {
+        if (!declaration.trim()) continue
+
+        const colon = declaration.indexOf(':')
+        const name = declaration.slice(0, colon).trim()
+        const parts = declaration.slice(colon + 1).trim().split(/[\s,]+/).filter(Boolean)
+        if (colon < 0 || !name || parts.length === 0) {
+            console.warn(`ShaderParams: Ignoring malformed shader-params entry '${declaration.trim()}'`)
+            continue
+        }
+
+        if (parts.length === 1 && (parts[0] === 'true' || parts[0] === 'false')) {
+            params[name] = parts[0] === 'true'
+            continue
+        }
+
+        const numbers = parts.map(Number)
+        if (!numbers.every(Number.isFinite)) {
+            console.warn(`ShaderParams: Ignoring non-numeric shader-params value for '${name}'`)
+            continue
+        }
+        params[name] = numbers.length === 1 ? numbers[0] : numbers
+    }
+    return params
+}
@@ -18,9 +18,16 @@ uniform vec2 u_mousePosition;
 uniform vec2 u_cardRotation;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
 
 out vec4 fragColor;
 
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 void main() {
     vec4 baseColor = texture(u_baseTexture, v_uv);
     vec3 finalColor = baseColor.rgb;
@@ -29,22 +36,26 @@ void main() {
     float mask = texture(u_effectMask, v_uv).r;
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Overlay text on base texture (white text)
-    float textAlpha = texture(u_textTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), textAlpha);
+    // Overlay text on base texture
+    finalColor = overlayText(finalColor, texture(u_textTexture, v_uv), 1.0);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = 1 for card pixels (no bloom for base shader, handled by bloom threshold)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -21,15 +23,25 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const float CELL_SCALE = 12.0;
-const float CRACK_WIDTH = 0.04;
-const float CRACK_GLOW = 1.0;
-const float CELL_TINT_STRENGTH = 0.4;
-const float FRESNEL_POWER = 2.5;
+uniform float u_cellScale;  // @param 12.0 [2.0, 40.0]
+uniform float u_crackWidth;  // @param 0.04 [0.005, 0.2]
+uniform float u_crackGlow;  // @param 1.0 [0.0, 3.0]
+uniform float u_cellTintStrength;  // @param 0.4 [0.0, 1.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Hash functions
 float hash(vec2 p) {
@@ -112,13 +124,16 @@ float voronoiEdge(vec2 uv, float scale) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -131,11 +146,11 @@ void main() {
     // Calculate voronoi
     vec2 cellCenter;
     float cellId;
-    float dist = voronoi(v_uv, CELL_SCALE, cellCenter, cellId);
-    float edgeDist = voronoiEdge(v_uv, CELL_SCALE);
+    float dist = voronoi(v_uv, u_cellScale, cellCenter, cellId);
+    float edgeDist = voronoiEdge(v_uv, u_cellScale);
 
     // Crack lines (edges between cells)
-    float crack = 1.0 - smoothstep(0.0, CRACK_WIDTH, edgeDist);
+    float crack = 1.0 - smoothstep(0.0, u_crackWidth, edgeDist);
 
     // Each cell gets a unique color tint based on tilt
     float cellPhase = fract(cellId + tilt.x * 0.5 + tilt.y * 0.5);
@@ -145,18 +160,18 @@ void main() {
     float cellBrightness = 0.85 + cellId * 0.3;
 
     // Apply cell tint based on effect intensity
-    vec3 cellColor = mix(baseColor, baseColor * cellTint, CELL_TINT_STRENGTH * effectIntensity);
+    vec3 cellColor = mix(baseColor, baseColor * cellTint, u_cellTintStrength * effectIntensity);
     cellColor *= cellBrightness;
 
     // Light direction based on tilt
     vec3 lightDir = normalize(vec3(tilt.y * 2.0, -tilt.x * 2.0 + 0.5, 1.0));
 
     // Specular highlight per cell (each cell reflects differently)
-    vec3 cellNormal = normalize(vec3(
+    vec3 cellNormal = perturbTangentNormal(normalize(vec3(
         (cellId - 0.5) * 0.3,
         (hash(vec2(cellId * 10.0, 0.0)) - 0.5) * 0.3,
         1.0
-    ));
+    )), v_uv);
     vec3 reflectDir = reflect(-lightDir, cellNormal);
     float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), 32.0);
     spec *= effectIntensity;
@@ -165,10 +180,10 @@ void main() {
     vec3 crackColor = vec3(0.7, 0.9, 1.0);
 
     // Crack glow intensity increases with effect
-    float crackGlow = crack * CRACK_GLOW * (0.3 + effectIntensity * 0.7);
+    float crackGlow = crack * u_crackGlow * (0.3 + effectIntensity * 0.7);
 
     // Fresnel for edge effect
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.5, 0.7, 1.0);
     vec3 rim = rimColor * fresnel * 0.4 * effectIntensity;
 
@@ -184,26 +199,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
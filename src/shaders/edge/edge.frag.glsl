@@ -0,0 +1,36 @@
+#version 300 es
+precision highp float;
+
+in vec2 v_uv;
+in vec3 v_worldPosition;
+in vec3 v_worldNormal;
+in vec3 v_viewDirection;
+in float v_depth;
+
+uniform vec3 u_edgeColor;
+uniform vec3 u_variantColor;
+uniform float u_variantActive;
+
+out vec4 fragColor;
+
+// Cardstock material for the card edge (and the reverse of single-sided cards)
+const float AMBIENT = 0.55;
+const float DIFFUSE = 0.45;
+const float SHEEN = 0.15;
+
+void main() {
+    vec3 normal = normalize(v_worldNormal);
+    vec3 lightDir = normalize(vec3(0.0, 0.5, 1.0));
+
+    float diffuse = max(dot(normal, lightDir), 0.0);
+
+    // Soft grazing sheen so the edge catches light as the card tilts
+    float sheen = pow(1.0 - max(dot(normal, v_viewDirection), 0.0), 3.0);
+
+    vec3 color = u_edgeColor * (AMBIENT + DIFFUSE * diffuse) + vec3(sheen * SHEEN);
+
+    // Parallels tint the cardstock too
+    color = mix(color, color * u_variantColor, 0.4 * u_variantActive);
+
+    fragColor = vec4(color, 1.0);
+}
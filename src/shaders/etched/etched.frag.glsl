@@ -25,17 +25,27 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const float MATTE_FACTOR = 0.55;
-const float EMBOSS_STRENGTH = 0.7;
-const float PATTERN_SCALE = 25.0;
+uniform float u_matteFactor;  // @param 0.55 [0.0, 1.0]
+uniform float u_embossStrength;  // @param 0.7 [0.0, 2.0]
+uniform float u_patternScale;  // @param 25.0 [5.0, 100.0]
 
 // Anisotropic roughness - controls highlight stretch (brushed metal)
-const float ROUGHNESS_X = 0.02;  // Along brush direction (very tight)
-const float ROUGHNESS_Y = 0.9;   // Perpendicular (very stretched)
+uniform float u_roughnessX;  // @param 0.02 [0.005, 1.0] Along brush direction (very tight)
+uniform float u_roughnessY;  // @param 0.9 [0.05, 2.0] Perpendicular (very stretched)
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
@@ -61,6 +71,9 @@ float wardAnisotropic(vec3 N, vec3 H, vec3 T, vec3 B, float ax, float ay) {
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -75,8 +88,8 @@ void main() {
     float depthMask = texture(u_depthMap, v_uv).r;
 
     // Also add a procedural pattern (grid of dots/lines)
-    float patternX = sin(v_uv.x * PATTERN_SCALE * 3.14159) * 0.5 + 0.5;
-    float patternY = sin(v_uv.y * PATTERN_SCALE * 3.14159) * 0.5 + 0.5;
+    float patternX = sin(v_uv.x * u_patternScale * 3.14159) * 0.5 + 0.5;
+    float patternY = sin(v_uv.y * u_patternScale * 3.14159) * 0.5 + 0.5;
     float dots = patternX * patternY;
     dots = smoothstep(0.3, 0.7, dots);
 
@@ -87,7 +100,7 @@ void main() {
     // === MATTE AREAS ===
     // Reduced brightness, no specular, grainy texture
     float noise = texture(u_noiseTexture, v_uv * 8.0).r;
-    vec3 matteColor = baseColor * MATTE_FACTOR;
+    vec3 matteColor = baseColor * u_matteFactor;
     matteColor *= 0.85 + noise * 0.2; // More visible texture variation
     // Desaturate matte areas slightly for more contrast
     float matteLuma = dot(matteColor, vec3(0.299, 0.587, 0.114));
@@ -102,11 +115,15 @@ void main() {
     ));
 
     // Anisotropic specular highlight (brushed metal)
+    // Brush frame follows the normal map (Gram-Schmidt against the perturbed normal)
+    vec3 brushTangent = normalize(v_tangent - surfaceNormal * dot(surfaceNormal, v_tangent));
+    vec3 brushBitangent = cross(surfaceNormal, brushTangent);
+
     vec3 halfVec = normalize(lightDir + v_viewDirection);
     float spec = wardAnisotropic(
-        v_worldNormal, halfVec,
-        v_tangent, v_bitangent,
-        ROUGHNESS_X, ROUGHNESS_Y
+        surfaceNormal, halfVec,
+        brushTangent, brushBitangent,
+        u_roughnessX, u_roughnessY
     );
     spec = clamp(spec * 2.0, 0.0, 1.0);  // Normalize and boost
 
@@ -127,15 +144,15 @@ void main() {
     float maskDown = texture(u_depthMap, v_uv + vec2(0.0, texelSize)).r;
 
     // Emboss gradient
-    float embossX = (maskRight - maskLeft) * EMBOSS_STRENGTH;
-    float embossY = (maskDown - maskUp) * EMBOSS_STRENGTH;
+    float embossX = (maskRight - maskLeft) * u_embossStrength;
+    float embossY = (maskDown - maskUp) * u_embossStrength;
 
     // Light emboss based on tilt
     float embossLight = embossX * tilt.y + embossY * (-tilt.x);
     embossLight *= effectIntensity * 2.0;
 
     // === FRESNEL RIM ===
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
 
     // Metallic areas get more rim effect
     vec3 rimColor = vec3(0.8, 0.85, 1.0);
@@ -160,26 +177,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
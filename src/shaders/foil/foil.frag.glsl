@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -21,24 +23,37 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Effect parameters
-const float SPECULAR_POWER = 64.0;
-const float SPARKLE_INTENSITY = 1.2;
-const float SPARKLE_THRESHOLD = 0.85;
+uniform float u_specularPower;  // @param 64.0 [4.0, 256.0]
+uniform float u_sparkleIntensity;  // @param 1.2 [0.0, 4.0]
+uniform float u_sparkleThreshold;  // @param 0.85 [0.5, 0.999]
 
 float calculateSpecular(vec3 normal, vec3 viewDir, vec3 lightDir) {
     vec3 halfVec = normalize(lightDir + viewDir);
     float spec = max(dot(normal, halfVec), 0.0);
-    return pow(spec, SPECULAR_POWER);
+    return pow(spec, u_specularPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -55,7 +70,7 @@ void main() {
     ));
 
     // Main specular highlight
-    float spec = calculateSpecular(v_worldNormal, v_viewDirection, lightDir);
+    float spec = calculateSpecular(surfaceNormal, v_viewDirection, lightDir);
 
     // Sparkle pattern - visibility depends on light angle, not time
     vec2 sparkleUV = v_uv * 40.0;
@@ -63,11 +78,11 @@ void main() {
 
     // Sparkles appear based on how the light hits each micro-facet
     float sparkleAngle = spec * 0.5 + 0.5;
-    float sparkleThreshold = SPARKLE_THRESHOLD - effectIntensity * 0.1;
+    float sparkleThreshold = u_sparkleThreshold - effectIntensity * 0.1;
     float sparkle = 0.0;
     if (sparkleNoise > sparkleThreshold) {
         // Sparkle intensity based on angle alignment
-        sparkle = (sparkleNoise - sparkleThreshold) * SPARKLE_INTENSITY;
+        sparkle = (sparkleNoise - sparkleThreshold) * u_sparkleIntensity;
         sparkle *= sparkleAngle;
     }
 
@@ -95,7 +110,7 @@ void main() {
     circular = circular * circular * (0.35 + spec * 0.6) * effectIntensity * coreBrightness;
 
     // Fresnel for edge glint
-    float fresnel = 1.0 - max(dot(v_worldNormal, v_viewDirection), 0.0);
+    float fresnel = 1.0 - max(dot(surfaceNormal, v_viewDirection), 0.0);
     fresnel = fresnel * fresnel * fresnel;
 
     // Metallic tint
@@ -114,26 +129,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
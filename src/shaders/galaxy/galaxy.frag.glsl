@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -20,18 +22,28 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const int STAR_LAYERS = 4;
-const float STAR_BRIGHTNESS = 1.2;
-const float FRESNEL_POWER = 2.5;
+uniform int u_starLayers;  // @param 4 [1, 4] Capped by the starTints array size
+uniform float u_starBrightness;  // @param 1.2 [0.0, 3.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Nebula parameters
-const float NEBULA_INTENSITY = 0.5;
-const float RAINBOW_BLEND = 0.35;
-const float ANGLE_THRESHOLD = 0.12;
+uniform float u_nebulaIntensity;  // @param 0.5 [0.0, 1.5]
+uniform float u_rainbowBlend;  // @param 0.35 [0.0, 1.0]
+uniform float u_angleThreshold;  // @param 0.12 [0.0, 0.5]
 
 // Hash functions
 float hash(vec2 p) {
@@ -111,13 +123,16 @@ float starLayer(vec2 uv, float density, float seed, float starSize) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -133,19 +148,19 @@ void main() {
     // Patch 1: upper left area
     float nebula1 = nebulaNoise(v_uv, vec2(0.15, 0.1));
     // Visible when tilting right (positive tilt.x)
-    float vis1 = smoothstep(ANGLE_THRESHOLD, ANGLE_THRESHOLD + 0.15, tilt.x);
+    float vis1 = smoothstep(u_angleThreshold, u_angleThreshold + 0.15, tilt.x);
     vis1 *= smoothstep(0.5, 0.3, tilt.x);
 
     // Patch 2: lower right area
     float nebula2 = nebulaNoise(v_uv, vec2(-0.25, -0.15));
     // Visible when tilting left (negative tilt.x)
-    float vis2 = smoothstep(-ANGLE_THRESHOLD, -ANGLE_THRESHOLD - 0.15, tilt.x);
+    float vis2 = smoothstep(-u_angleThreshold, -u_angleThreshold - 0.15, tilt.x);
     vis2 *= smoothstep(-0.5, -0.3, tilt.x);
 
     // Patch 3: center-bottom area
     float nebula3 = nebulaNoise(v_uv, vec2(0.0, -0.2));
     // Visible when tilting up/down (tilt.y)
-    float vis3 = smoothstep(ANGLE_THRESHOLD, ANGLE_THRESHOLD + 0.15, abs(tilt.y));
+    float vis3 = smoothstep(u_angleThreshold, u_angleThreshold + 0.15, abs(tilt.y));
     vis3 *= smoothstep(0.5, 0.3, abs(tilt.y));
 
     // === NEBULA COLORS ===
@@ -163,9 +178,9 @@ void main() {
     vec3 rainbow3 = texture(u_rainbowGradient, vec2(rainbowPhase3, 0.5)).rgb;
 
     // Blend base color with rainbow
-    vec3 finalNebula1 = mix(nebulaColor1, rainbow1, RAINBOW_BLEND * vis1);
-    vec3 finalNebula2 = mix(nebulaColor2, rainbow2, RAINBOW_BLEND * vis2);
-    vec3 finalNebula3 = mix(nebulaColor3, rainbow3, RAINBOW_BLEND * vis3);
+    vec3 finalNebula1 = mix(nebulaColor1, rainbow1, u_rainbowBlend * vis1);
+    vec3 finalNebula2 = mix(nebulaColor2, rainbow2, u_rainbowBlend * vis2);
+    vec3 finalNebula3 = mix(nebulaColor3, rainbow3, u_rainbowBlend * vis3);
 
     // Combine all nebula patches
     vec3 totalNebula = vec3(0.0);
@@ -200,10 +215,10 @@ void main() {
     starTints[2] = vec3(0.8, 0.9, 1.0);   // Cool
     starTints[3] = vec3(0.6, 0.7, 1.0);   // Blue (far)
 
-    for (int i = 0; i < STAR_LAYERS; i++) {
+    for (int i = 0; i < min(u_starLayers, 4); i++) {
         vec2 offsetUV = v_uv + vec2(tilt.y, tilt.x) * parallax[i];
         float stars = starLayer(offsetUV, densities[i], float(i) * 100.0, sizes[i]);
-        starColor += stars * STAR_BRIGHTNESS * starTints[i];
+        starColor += stars * u_starBrightness * starTints[i];
     }
 
     // === SHOOTING STAR (moves diagonally with up/down tilt) ===
@@ -218,7 +233,7 @@ void main() {
     shootStar *= smoothstep(0.05, 0.15, abs(tilt.y));  // Only visible when tilting up/down
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.4, 0.3, 0.8);
     vec3 rim = rimColor * fresnel * 0.5 * effectIntensity;
 
@@ -226,7 +241,7 @@ void main() {
     vec3 spaceBase = baseColor * 0.7;
 
     vec3 finalColor = spaceBase;
-    finalColor += totalNebula * NEBULA_INTENSITY;
+    finalColor += totalNebula * u_nebulaIntensity;
     finalColor += starColor;
     finalColor += vec3(shootStar) * vec3(1.0, 0.95, 0.8);
     finalColor += rim;
@@ -234,26 +249,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -23,26 +25,36 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Effect parameters
-const float FRESNEL_POWER = 2.5;
-const float CHROMATIC_ABERRATION = 0.008;
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
+uniform float u_chromaticAberration;  // @param 0.008 [0.0, 0.05]
 
 // Multi-layer rainbow parameters
-const float RAINBOW_INTENSITY_1 = 0.5;   // Large scale rainbow
-const float RAINBOW_INTENSITY_2 = 0.3;   // Medium scale rainbow
-const float RAINBOW_INTENSITY_3 = 0.2;   // Fine scale rainbow
+uniform float u_rainbowIntensity1;  // @param 0.5 [0.0, 1.5] Large scale rainbow
+uniform float u_rainbowIntensity2;  // @param 0.3 [0.0, 1.5] Medium scale rainbow
+uniform float u_rainbowIntensity3;  // @param 0.2 [0.0, 1.5] Fine scale rainbow
 
 // Sparkle parameters
-const float SPARKLE_DENSITY = 80.0;
-const float SPARKLE_THRESHOLD = 0.92;
-const float SPARKLE_INTENSITY = 1.5;
+uniform float u_sparkleDensity;  // @param 80.0 [10.0, 300.0]
+uniform float u_sparkleThreshold;  // @param 0.92 [0.5, 0.999]
+uniform float u_sparkleIntensity;  // @param 1.5 [0.0, 4.0]
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 vec3 chromaticAberration(sampler2D tex, vec2 uv, float amount) {
@@ -75,6 +87,9 @@ float getRainbowPhase(vec2 uv, vec2 tilt, float lightAngle, float fresnel, float
 }
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     float tiltMagnitude = length(u_cardRotation);
     // 0% minimum when no mask, 30% minimum when mask is active
     float minEffect = u_maskActive > 0.5 ? 0.3 : 0.0;
@@ -86,7 +101,7 @@ void main() {
     float alpha = originalBase.a;
 
     // Base color with chromatic aberration based on tilt
-    float chromaAmount = CHROMATIC_ABERRATION * tiltMagnitude * 3.0;
+    float chromaAmount = u_chromaticAberration * tiltMagnitude * 3.0;
     vec3 baseColor = chromaticAberration(u_baseTexture, v_uv, chromaAmount);
 
     // Sample noise texture for organic variation
@@ -94,11 +109,11 @@ void main() {
     float noiseValue = noise.r;
 
     // Calculate fresnel for edge effects
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
 
     // Calculate light reflection angle
     vec3 lightDir = normalize(vec3(0.0, 0.5, 1.0));
-    vec3 reflectDir = reflect(-lightDir, v_worldNormal);
+    vec3 reflectDir = reflect(-lightDir, surfaceNormal);
     float lightAngle = max(dot(reflectDir, v_viewDirection), 0.0);
 
     // === MULTI-LAYER RAINBOW ===
@@ -119,13 +134,13 @@ void main() {
     effectStrength *= (0.4 + lightAngle * 0.6);
 
     vec3 rainbowCombined = vec3(0.0);
-    rainbowCombined += rainbow1 * RAINBOW_INTENSITY_1;
-    rainbowCombined += rainbow2 * RAINBOW_INTENSITY_2;
-    rainbowCombined += rainbow3 * RAINBOW_INTENSITY_3;
+    rainbowCombined += rainbow1 * u_rainbowIntensity1;
+    rainbowCombined += rainbow2 * u_rainbowIntensity2;
+    rainbowCombined += rainbow3 * u_rainbowIntensity3;
     rainbowCombined *= effectStrength;
 
     // === MICRO-SPARKLE ===
-    vec2 sparkleUV = v_uv * SPARKLE_DENSITY;
+    vec2 sparkleUV = v_uv * u_sparkleDensity;
     vec2 sparkleCell = floor(sparkleUV);
     vec2 sparkleFract = fract(sparkleUV);
 
@@ -136,7 +151,7 @@ void main() {
             vec2 cell = sparkleCell + vec2(float(x), float(y));
             float h = hash(cell);
 
-            if (h > SPARKLE_THRESHOLD) {
+            if (h > u_sparkleThreshold) {
                 // Random position within cell
                 vec2 sparklePos = vec2(hash(cell + 1.0), hash(cell + 2.0));
                 float dist = length(sparkleFract - sparklePos - vec2(float(x), float(y)));
@@ -147,7 +162,7 @@ void main() {
                 // Sharp sparkle falloff
                 float sparkleSize = 0.08 * (0.5 + h * 0.5);
                 float sparkleBright = smoothstep(sparkleSize, sparkleSize * 0.2, dist);
-                sparkleBright *= visibility * SPARKLE_INTENSITY * (0.5 + h * 0.5);
+                sparkleBright *= visibility * u_sparkleIntensity * (0.5 + h * 0.5);
 
                 sparkle += sparkleBright;
             }
@@ -182,26 +197,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
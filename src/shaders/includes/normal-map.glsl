@@ -0,0 +1,25 @@
+// Normal mapping utility functions
+// Requires u_normalMap and u_normalStrength (0 = no normal map loaded).
+// Maps are tangent-space with the OpenGL convention (green = up on the card image).
+
+// Tangent-space normal from the normal map (0, 0, 1 without a map)
+vec3 sampleNormalMap(vec2 uv) {
+    if (u_normalStrength <= 0.0) return vec3(0.0, 0.0, 1.0);
+    vec3 n = texture(u_normalMap, uv).xyz * 2.0 - 1.0;
+    return normalize(vec3(n.xy * u_normalStrength, max(n.z, 0.01)));
+}
+
+// Perturb a world-space surface normal by the normal map
+// normal, tangent, bitangent: interpolated frame from the base vertex shader
+vec3 perturbNormal(vec3 normal, vec3 tangent, vec3 bitangent, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(tangent * n.x + bitangent * n.y + normal * n.z);
+}
+
+// Combine a procedural tangent-space normal (cells, facets) with the normal map
+vec3 perturbTangentNormal(vec3 normal, vec2 uv) {
+    if (u_normalStrength <= 0.0) return normal;
+    vec3 n = sampleNormalMap(uv);
+    return normalize(vec3(normal.xy * n.z + n.xy * normal.z, normal.z * n.z));
+}
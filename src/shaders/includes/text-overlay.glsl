@@ -0,0 +1,9 @@
+// Text overlay compositing
+// Text textures are premultiplied RGBA (see TextRenderer), so coloured and
+// stroked text keeps clean edges under filtering.
+
+// Composite a premultiplied overlay over a colour
+// opacity: overlay strength (0-1)
+vec3 overlayText(vec3 color, vec4 overlay, float opacity) {
+    return color * (1.0 - overlay.a * opacity) + overlay.rgb * opacity;
+}
@@ -0,0 +1,34 @@
+// Parallel variant colours (see Variants.js)
+// Requires u_variantColor, u_variantStopCount, u_variantStops and u_variantGradient.
+// Solid variants use u_variantColor; gradients interpolate up to 8 stops
+// (rgb + position) along a CSS-style angle (0 = up the card, 90 = right)
+// or around the card centre for conic gradients.
+
+const float VARIANT_TAU = 6.28318530718;
+
+// Variant colour at a card position (uv origin top-left)
+vec3 variantColorAt(vec2 uv) {
+    if (u_variantStopCount < 2) return u_variantColor;
+
+    float angle = u_variantGradient.x;
+    vec2 p = uv - 0.5;
+    float t;
+    if (u_variantGradient.y > 0.5) {
+        // Conic: clockwise from the angle, starting at the top
+        t = fract(atan(p.x, -p.y) / VARIANT_TAU - angle / VARIANT_TAU);
+    } else {
+        // Linear: the gradient line spans the card corner to corner, like CSS
+        vec2 dir = vec2(sin(angle), -cos(angle));
+        t = dot(p, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+    }
+
+    vec3 color = u_variantStops[0].rgb;
+    for (int i = 1; i < 8; i++) {
+        if (i >= u_variantStopCount) break;
+        vec4 a = u_variantStops[i - 1];
+        vec4 b = u_variantStops[i];
+        float span = max(b.w - a.w, 1e-5);
+        color = mix(color, b.rgb, clamp((t - a.w) / span, 0.0, 1.0));
+    }
+    return color;
+}
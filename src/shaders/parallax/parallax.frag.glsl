@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -20,9 +22,19 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Hash functions for procedural generation
 float hash(vec2 p) {
     p = fract(p * vec2(234.34, 435.345));
@@ -73,20 +85,39 @@ float starLayer(vec2 uv, float density, float seed, float starSize) {
     return stars;
 }
 
-// Star layer parameters - 7 layers
-const int NUM_LAYERS = 7;
+// Star layer count (the per-layer arrays below hold 7)
+uniform int u_numLayers;  // @param 7 [1, 7]
+
+// Art parallax from the card's depth map (white = foreground, black = background)
+uniform float u_depthScale;  // @param 0.04 [0.0, 0.15] How far the art layers separate when tilted
+
+// Shift the art by its depth; a few fixed-point steps keep
+// foreground edges from smearing over the background
+vec2 depthParallaxUV(vec2 uv, vec2 direction) {
+    vec2 shifted = uv;
+    for (int i = 0; i < 4; i++) {
+        float depth = texture(u_depthMap, shifted).r;
+        shifted = uv + direction * (depth - 0.5) * u_depthScale;
+    }
+    return clamp(shifted, 0.0, 1.0);
+}
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
-    // Get base card texture (no parallax on this)
-    vec4 baseColor = texture(u_baseTexture, v_uv);
-    vec3 originalColor = baseColor.rgb;  // Store for mask blending
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
 
     // Tilt vector for parallax
     vec2 tilt = u_cardRotation;
     float tiltMagnitude = length(tilt);
+
+    // Get base card texture, its foreground shifted against the background
+    // Swap axes to match the star layers: tilt.y -> uv.x, tilt.x -> uv.y
+    vec2 artUV = depthParallaxUV(v_uv, vec2(tilt.y, tilt.x));
+    vec4 baseColor = texture(u_baseTexture, artUV);
+    vec3 originalColor = baseColor.rgb;  // Store for mask blending
     float effectIntensity = MIN_EFFECT + tiltMagnitude * (1.0 - MIN_EFFECT);
 
     // Star layer configuration - 7 layers
@@ -143,7 +174,7 @@ void main() {
     // Accumulate stars from all layers
     vec3 starColor = vec3(0.0);
 
-    for (int i = 0; i < NUM_LAYERS; i++) {
+    for (int i = 0; i < min(u_numLayers, 7); i++) {
         // Apply parallax offset to UV
         // Swap axes: tilt.y (horizontal mouse) -> uv.x, tilt.x (vertical mouse) -> uv.y
         vec2 offsetUV = v_uv + vec2(tilt.y, tilt.x) * parallaxStrengths[i];
@@ -156,7 +187,7 @@ void main() {
     }
 
     // Fresnel rim effect for depth
-    float fresnel = 1.0 - max(dot(v_worldNormal, v_viewDirection), 0.0);
+    float fresnel = 1.0 - max(dot(surfaceNormal, v_viewDirection), 0.0);
     fresnel = pow(fresnel, 2.5);
     vec3 rimGlow = vec3(0.3, 0.4, 0.8) * fresnel * 0.5 * effectIntensity;
 
@@ -172,26 +203,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -21,16 +23,26 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const float GRID_SIZE = 10.0;
-const float COLOR_INTENSITY = 0.55;
-const float EDGE_WIDTH = 0.03;
-const float FACET_VARIATION = 0.4;
-const float SPECULAR_POWER = 24.0;
-const float FRESNEL_POWER = 2.5;
+uniform float u_gridSize;  // @param 10.0 [2.0, 40.0]
+uniform float u_colorIntensity;  // @param 0.55 [0.0, 1.5]
+uniform float u_edgeWidth;  // @param 0.03 [0.0, 0.2]
+uniform float u_facetVariation;  // @param 0.4 [0.0, 1.0]
+uniform float u_specularPower;  // @param 24.0 [4.0, 128.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 
 // Hash function
 float hash(vec2 p) {
@@ -41,13 +53,16 @@ float hash(vec2 p) {
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -58,7 +73,7 @@ void main() {
     vec2 tilt = u_cardRotation;
 
     // === TRIANGLE GRID ===
-    vec2 scaled = v_uv * GRID_SIZE;
+    vec2 scaled = v_uv * u_gridSize;
     vec2 cell = floor(scaled);
     vec2 local = fract(scaled);
 
@@ -76,11 +91,11 @@ void main() {
 
     // === FACET LIGHTING ===
     // Each triangle has a slightly perturbed normal
-    vec3 facetNormal = normalize(vec3(
-        (hash(cell + 0.1) - 0.5) * FACET_VARIATION,
-        (hash(cell + 0.2) - 0.5) * FACET_VARIATION,
+    vec3 facetNormal = perturbTangentNormal(normalize(vec3(
+        (hash(cell + 0.1) - 0.5) * u_facetVariation,
+        (hash(cell + 0.2) - 0.5) * u_facetVariation,
         1.0
-    ));
+    )), v_uv);
 
     // Light direction based on tilt
     vec3 lightDir = normalize(vec3(tilt.y * 2.0, -tilt.x * 2.0 + 0.5, 1.0));
@@ -90,7 +105,7 @@ void main() {
 
     // Specular highlight per facet
     vec3 reflectDir = reflect(-lightDir, facetNormal);
-    float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), SPECULAR_POWER);
+    float spec = pow(max(dot(reflectDir, v_viewDirection), 0.0), u_specularPower);
     spec *= effectIntensity;
 
     // === EDGE DETECTION ===
@@ -103,14 +118,14 @@ void main() {
         // Lower triangle: edges at x=1, y=1, x+y=1
         edge = min(1.0 - local.x, min(1.0 - local.y, local.x + local.y - 1.0));
     }
-    float edgeMask = smoothstep(0.0, EDGE_WIDTH, edge);
+    float edgeMask = smoothstep(0.0, u_edgeWidth, edge);
 
     // Edge glow
     float edgeGlow = (1.0 - edgeMask) * 0.5 * effectIntensity;
 
     // === COMBINE ===
     // Mix base color with prizm color based on effect
-    vec3 facetColor = mix(baseColor, prizmColor, COLOR_INTENSITY * effectIntensity);
+    vec3 facetColor = mix(baseColor, prizmColor, u_colorIntensity * effectIntensity);
 
     // Apply lighting
     facetColor *= 0.6 + diffuse * 0.5;
@@ -124,7 +139,7 @@ void main() {
     facetColor += edgeColor * edgeGlow;
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.6, 0.8, 1.0);
     vec3 rim = rimColor * fresnel * 0.35 * effectIntensity;
 
@@ -133,26 +148,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -21,26 +23,39 @@ uniform vec2 u_cardRotation;
 uniform float u_textOpacity;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const float NUM_LINES = 24.0;
-const float LINE_SHARPNESS = 2.5;
-const float RAINBOW_INTENSITY = 0.5;
-const float HOTSPOT_SIZE = 12.0;
-const float FRESNEL_POWER = 2.5;
+uniform float u_numLines;  // @param 24.0 [4.0, 96.0]
+uniform float u_lineSharpness;  // @param 2.5 [0.5, 8.0]
+uniform float u_rainbowIntensity;  // @param 0.5 [0.0, 1.5]
+uniform float u_hotspotSize;  // @param 12.0 [1.0, 40.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 const float PI = 3.14159265359;
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -58,12 +73,12 @@ void main() {
 
     // Create radial lines that rotate with tilt
     float lineAngle = angle + tilt.y * 3.0 + tilt.x * 2.0;
-    float lines = sin(lineAngle * NUM_LINES) * 0.5 + 0.5;
-    lines = pow(lines, LINE_SHARPNESS);
+    float lines = sin(lineAngle * u_numLines) * 0.5 + 0.5;
+    lines = pow(lines, u_lineSharpness);
 
     // Add secondary finer lines
-    float fineLines = sin(lineAngle * NUM_LINES * 2.0 + PI * 0.5) * 0.5 + 0.5;
-    fineLines = pow(fineLines, LINE_SHARPNESS * 1.5) * 0.3;
+    float fineLines = sin(lineAngle * u_numLines * 2.0 + PI * 0.5) * 0.5 + 0.5;
+    fineLines = pow(fineLines, u_lineSharpness * 1.5) * 0.3;
     lines = lines * 0.7 + fineLines;
 
     // Rainbow color based on angle (shifts with tilt)
@@ -74,12 +89,12 @@ void main() {
     float radialFade = 1.0 - smoothstep(0.2, 0.8, dist);
 
     // Central hotspot glow
-    float hotspot = exp(-dist * dist * HOTSPOT_SIZE);
+    float hotspot = exp(-dist * dist * u_hotspotSize);
     hotspot *= effectIntensity * 1.5;
 
     // Combine line effect with rainbow
     float lineEffect = lines * radialFade;
-    vec3 refractorColor = rainbow * lineEffect * RAINBOW_INTENSITY * effectIntensity;
+    vec3 refractorColor = rainbow * lineEffect * u_rainbowIntensity * effectIntensity;
 
     // Add bright center
     vec3 hotspotColor = vec3(1.0, 0.98, 0.95) * hotspot;
@@ -89,7 +104,7 @@ void main() {
     vec3 ringColor = rainbow * ring * 0.3 * effectIntensity;
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(0.6, 0.8, 1.0);
     vec3 rim = rimColor * fresnel * 0.35 * effectIntensity;
 
@@ -109,26 +124,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
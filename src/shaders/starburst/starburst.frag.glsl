@@ -5,6 +5,8 @@ in vec2 v_uv;
 in vec3 v_worldPosition;
 in vec3 v_worldNormal;
 in vec3 v_viewDirection;
+in vec3 v_tangent;
+in vec3 v_bitangent;
 in vec3 v_tangentViewDir;
 in float v_depth;
 
@@ -22,27 +24,40 @@ uniform float u_textOpacity;
 uniform float u_effectScale;
 uniform vec3 u_variantColor;
 uniform float u_variantActive;
+uniform int u_variantStopCount;  // > 1 for gradient variants
+uniform vec4 u_variantStops[8];  // rgb + position
+uniform vec2 u_variantGradient;  // angle (radians), type (0 = linear, 1 = conic)
+uniform float u_layerOpacity;  // > 0 when drawn as an overlay layer (see CardRenderer)
+uniform sampler2D u_normalMap;
+uniform float u_normalStrength;  // 0 = no normal map
 
 out vec4 fragColor;
 
+#include "normal-map.glsl"
+#include "text-overlay.glsl"
+#include "variant.glsl"
+
 // Parameters
-const float NUM_RAYS = 16.0;
-const float RAY_SHARPNESS = 3.0;
-const float RAY_FALLOFF = 1.8;
-const float GLOW_SIZE = 10.0;
-const float RAINBOW_TINT = 0.45;
-const float FRESNEL_POWER = 2.5;
+uniform float u_numRays;  // @param 16.0 [3.0, 64.0]
+uniform float u_raySharpness;  // @param 3.0 [0.5, 10.0]
+uniform float u_rayFalloff;  // @param 1.8 [0.2, 5.0]
+uniform float u_glowSize;  // @param 10.0 [1.0, 40.0]
+uniform float u_rainbowTint;  // @param 0.45 [0.0, 1.0]
+uniform float u_fresnelPower;  // @param 2.5 [0.5, 8.0]
 const float PI = 3.14159265359;
 
 float calculateFresnel(vec3 normal, vec3 viewDir) {
     float fresnel = 1.0 - max(dot(normal, viewDir), 0.0);
-    return pow(fresnel, FRESNEL_POWER);
+    return pow(fresnel, u_fresnelPower);
 }
 
 // Minimum effect visibility (30%)
 const float MIN_EFFECT = 0.3;
 
 void main() {
+    // Surface normal, perturbed by the card's normal map when one is loaded
+    vec3 surfaceNormal = perturbNormal(v_worldNormal, v_tangent, v_bitangent, v_uv);
+
     vec4 baseTexture = texture(u_baseTexture, v_uv);
     vec3 baseColor = baseTexture.rgb;
     vec3 originalColor = baseColor;  // Store for mask blending
@@ -61,11 +76,11 @@ void main() {
     // === PRIMARY RAYS ===
     // Rays rotate more with tilt
     float rayAngle = angle + tilt.y * 4.0 - tilt.x * 3.0;
-    float rays = sin(rayAngle * NUM_RAYS) * 0.5 + 0.5;
-    rays = pow(rays, RAY_SHARPNESS);
+    float rays = sin(rayAngle * u_numRays) * 0.5 + 0.5;
+    rays = pow(rays, u_raySharpness);
 
     // Rays fade with distance
-    float rayFade = exp(-dist * RAY_FALLOFF);
+    float rayFade = exp(-dist * u_rayFalloff);
     rays *= rayFade;
 
     // Add noise variation for organic look
@@ -73,12 +88,12 @@ void main() {
     rays *= 0.7 + noise * 0.5;
 
     // === SECONDARY RAYS (finer) ===
-    float fineRays = sin(rayAngle * NUM_RAYS * 2.0 + PI * 0.25) * 0.5 + 0.5;
-    fineRays = pow(fineRays, RAY_SHARPNESS * 1.5);
+    float fineRays = sin(rayAngle * u_numRays * 2.0 + PI * 0.25) * 0.5 + 0.5;
+    fineRays = pow(fineRays, u_raySharpness * 1.5);
     fineRays *= rayFade * 0.4;
 
     // === CENTRAL GLOW ===
-    float glow = exp(-dist * dist * GLOW_SIZE);
+    float glow = exp(-dist * dist * u_glowSize);
 
     // Glow intensity (brighter core)
     float glowIntensity = 0.35 + effectIntensity * 0.6;
@@ -98,12 +113,12 @@ void main() {
     ring *= 0.4;
 
     // === COLORS ===
-    vec3 rayColor = mix(vec3(1.0, 0.98, 0.9), rainbow, RAINBOW_TINT * effectIntensity);
+    vec3 rayColor = mix(vec3(1.0, 0.98, 0.9), rainbow, u_rainbowTint * effectIntensity);
     vec3 glowColor = vec3(1.0, 0.95, 0.85);
     vec3 streakColor = vec3(1.0, 0.9, 0.95);
 
     // Fresnel rim
-    float fresnel = calculateFresnel(v_worldNormal, v_viewDirection);
+    float fresnel = calculateFresnel(surfaceNormal, v_viewDirection);
     vec3 rimColor = vec3(1.0, 0.8, 0.6);
     vec3 rim = rimColor * fresnel * 0.3 * effectIntensity;
 
@@ -121,26 +136,32 @@ void main() {
     // Apply effect mask: blend between original and effect based on mask
     float mask = texture(u_effectMask, v_uv).r;
     // Add text to the mask (text areas get the effect)
-    float textMask = texture(u_textTexture, v_uv).r;
+    vec4 textColor = texture(u_textTexture, v_uv);
+    float textMask = textColor.a;
     mask = max(mask, textMask);
     finalColor = mix(originalColor, finalColor, mask);
 
     // Apply variant color: stronger tint (40%) + solid overlay (10%)
-    vec3 tintedColor = mix(finalColor, finalColor * u_variantColor, 0.4);
-    vec3 overlayColor = mix(tintedColor, u_variantColor, 0.1);
+    vec3 variantColor = variantColorAt(v_uv);
+    vec3 tintedColor = mix(finalColor, finalColor * variantColor, 0.4);
+    vec3 overlayColor = mix(tintedColor, variantColor, 0.1);
     finalColor = mix(finalColor, overlayColor, u_variantActive * mask);
 
-    // Add white overlay for text readability (opacity controlled by uniform)
-    finalColor = mix(finalColor, vec3(1.0), textMask * u_textOpacity);
+    // Overlay the text in its own colours for readability (opacity controlled by uniform)
+    finalColor = overlayText(finalColor, textColor, u_textOpacity);
 
-    // Overlay number (white text, no shader effects)
-    float numberAlpha = texture(u_numberTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), numberAlpha);
+    // Overlay text fields without effects (number, layout overlay fields)
+    finalColor = overlayText(finalColor, texture(u_numberTexture, v_uv), 1.0);
 
-    // Overlay collection name (white text, no shader effects)
-    float collectionAlpha = texture(u_collectionTexture, v_uv).r;
-    finalColor = mix(finalColor, vec3(1.0), collectionAlpha);
+    // Overlay collection name (no shader effects)
+    finalColor = overlayText(finalColor, texture(u_collectionTexture, v_uv), 1.0);
 
     // Alpha = mask for selective bloom (only effect regions bloom)
     fragColor = vec4(finalColor, 1.0);
+
+    // Overlay layers cover only their own mask (premultiplied for the layer blend modes)
+    if (u_layerOpacity > 0.0) {
+        float layerAlpha = texture(u_effectMask, v_uv).r * u_layerOpacity;
+        fragColor = vec4(finalColor * layerAlpha, layerAlpha);
+    }
 }
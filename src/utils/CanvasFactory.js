@@ -0,0 +1,99 @@
+/**
+ * CanvasFactory - Scratch canvases and images, with or without a DOM
+ *
+ * Rendering code creates its 2D canvases and loads images through here rather
+ * than through document, so the same code runs in the render worker
+ * (stickerWorker.js, backend: 'worker'): without a document, canvases are
+ * OffscreenCanvas and images are ImageBitmaps decoded with fetch +
+ * createImageBitmap (no SVG, which createImageBitmap can't decode).
+ */
+
+// Relative image URLs resolve against this without a document (the page's URL, see setImageBaseURI)
+let imageBaseURI = null
+
+/**
+ * Whether there is a DOM to create elements in
+ * @returns {boolean}
+ */
+function hasDocument() {
+    return typeof document !== 'undefined'
+}
+
+/**
+ * Set the URL relative image URLs resolve against where there's no document
+ * @param {string} url - The page's document.baseURI
+ */
+export function setImageBaseURI(url) {
+    imageBaseURI = url
+}
+
+/**
+ * Absolute URL of an image
+ * @param {string} url
+ * @returns {URL}
+ */
+export function resolveImageUrl(url) {
+    return new URL(url, hasDocument() ? document.baseURI : (imageBaseURI ?? globalThis.location?.href))
+}
+
+/**
+ * Whether canvases can be created here (not in Node, for instance)
+ * @returns {boolean}
+ */
+export function canCreateCanvas() {
+    return hasDocument() || typeof OffscreenCanvas !== 'undefined'
+}
+
+/**
+ * Create a canvas for 2D drawing
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width = 300, height = 150) {
+    if (!hasDocument()) return new OffscreenCanvas(width, height)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+/**
+ * Whether a value is a canvas (element or offscreen)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isCanvas(value) {
+    return (typeof HTMLCanvasElement !== 'undefined' && value instanceof HTMLCanvasElement) ||
+        (typeof OffscreenCanvas !== 'undefined' && value instanceof OffscreenCanvas)
+}
+
+/**
+ * Download and decode an image into an ImageBitmap
+ * @param {string} url
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function fetchImageBitmap(url) {
+    const response = await fetch(resolveImageUrl(url))
+    if (!response.ok) throw new Error(`Failed to load image: ${url} (HTTP ${response.status})`)
+    // Match <img> uploads: straight alpha, orientation from the file
+    return createImageBitmap(await response.blob(), { premultiplyAlpha: 'none' })
+}
+
+/**
+ * Load an image
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement|ImageBitmap>}
+ */
+export async function loadImage(url) {
+    if (!hasDocument()) return fetchImageBitmap(url)
+
+    return new Promise((resolve, reject) => {
+        const image = new Image()
+        image.crossOrigin = 'anonymous'
+        image.onload = () => resolve(image)
+        image.onerror = () => reject(new Error(`Failed to load image: ${url}`))
+        image.src = url
+    })
+}
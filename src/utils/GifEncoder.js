@@ -0,0 +1,243 @@
+/**
+ * GifEncoder - Minimal animated GIF89a encoder (pure JS, no DOM)
+ *
+ * Used as the fallback clip format where MediaRecorder/captureStream are missing.
+ * All frames share one fixed 6×7×6 colour cube (252 colours) plus a transparent
+ * index, so no per-frame palette analysis is needed and identical input frames
+ * always encode to identical bytes.
+ *
+ * Usage:
+ *   const gif = new GifEncoder(width, height)
+ *   gif.addFrame(imageData.data, 33)
+ *   const bytes = gif.finish()
+ */
+
+const R_LEVELS = 6
+const G_LEVELS = 7
+const B_LEVELS = 6
+
+// Palette index used for pixels with alpha < 128
+export const TRANSPARENT_INDEX = R_LEVELS * G_LEVELS * B_LEVELS  // 252
+
+/**
+ * Build the shared 256-entry palette (RGB triplets)
+ * @returns {Uint8Array} 768 bytes
+ */
+function buildPalette() {
+    const palette = new Uint8Array(256 * 3)
+    let i = 0
+    for (let r = 0; r < R_LEVELS; r++) {
+        for (let g = 0; g < G_LEVELS; g++) {
+            for (let b = 0; b < B_LEVELS; b++) {
+                palette[i++] = Math.round(r * 255 / (R_LEVELS - 1))
+                palette[i++] = Math.round(g * 255 / (G_LEVELS - 1))
+                palette[i++] = Math.round(b * 255 / (B_LEVELS - 1))
+            }
+        }
+    }
+    // Remaining entries (transparent + padding) stay black
+    return palette
+}
+
+export const PALETTE = buildPalette()
+
+/**
+ * Map RGBA pixels to palette indices
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function quantizeFrame(rgba) {
+    const count = rgba.length >> 2
+    const indices = new Uint8Array(count)
+
+    for (let p = 0, i = 0; p < count; p++, i += 4) {
+        if (rgba[i + 3] < 128) {
+            indices[p] = TRANSPARENT_INDEX
+            continue
+        }
+        const r = Math.round(rgba[i] * (R_LEVELS - 1) / 255)
+        const g = Math.round(rgba[i + 1] * (G_LEVELS - 1) / 255)
+        const b = Math.round(rgba[i + 2] * (B_LEVELS - 1) / 255)
+        indices[p] = (r * G_LEVELS + g) * B_LEVELS + b
+    }
+
+    return indices
+}
+
+/**
+ * LZW-compress palette indices as GIF image data (variable-length codes, LSB-first)
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size (8 for a 256-colour table)
+ * @returns {Uint8Array} Raw code stream (not yet split into sub-blocks)
+ */
+export function lzwEncode(indices, minCodeSize = 8) {
+    const clearCode = 1 << minCodeSize
+    const eoiCode = clearCode + 1
+
+    const out = []
+    let bitBuffer = 0
+    let bitCount = 0
+
+    const emit = (code, size) => {
+        bitBuffer |= code << bitCount
+        bitCount += size
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff)
+            bitBuffer >>>= 8
+            bitCount -= 8
+        }
+    }
+
+    let codeSize = minCodeSize + 1
+    let nextCode = eoiCode + 1
+    let table = new Map()
+
+    emit(clearCode, codeSize)
+
+    if (indices.length > 0) {
+        let prefix = indices[0]
+
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i]
+            const key = (prefix << 8) | k
+            const code = table.get(key)
+
+            if (code !== undefined) {
+                prefix = code
+                continue
+            }
+
+            emit(prefix, codeSize)
+
+            if (nextCode === 4096) {
+                // Table full - start over
+                emit(clearCode, codeSize)
+                codeSize = minCodeSize + 1
+                nextCode = eoiCode + 1
+                table = new Map()
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++
+                table.set(key, nextCode++)
+            }
+
+            prefix = k
+        }
+
+        emit(prefix, codeSize)
+    }
+
+    emit(eoiCode, codeSize)
+    if (bitCount > 0) out.push(bitBuffer & 0xff)
+
+    return Uint8Array.from(out)
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} options
+     * @param {number} options.loop - Repeat count (0 = forever, default)
+     */
+    constructor(width, height, options = {}) {
+        this.width = width
+        this.height = height
+        this.loop = options.loop ?? 0
+
+        this._chunks = []
+        this._delayError = 0  // Carried rounding error so average frame timing stays exact
+        this.frameCount = 0
+
+        this._writeHeader()
+    }
+
+    /**
+     * Encode one frame
+     * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes (e.g. ImageData.data)
+     * @param {number} delayMs - Display time in milliseconds
+     */
+    addFrame(rgba, delayMs) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error(`GifEncoder: Frame must be ${this.width}×${this.height} RGBA`)
+        }
+
+        // GIF delays are in centiseconds - carry the remainder into the next frame
+        const exact = delayMs / 10 + this._delayError
+        const delay = Math.max(1, Math.round(exact))
+        this._delayError = exact - delay
+
+        // Graphic Control Extension: restore to background, transparent index set
+        this._write([
+            0x21, 0xf9, 0x04,
+            (2 << 2) | 0x01,
+            delay & 0xff, (delay >> 8) & 0xff,
+            TRANSPARENT_INDEX,
+            0x00
+        ])
+
+        // Image Descriptor (full frame, no local colour table)
+        this._write([0x2c, 0, 0, 0, 0])
+        this._writeShort(this.width)
+        this._writeShort(this.height)
+        this._write([0x00])
+
+        // Image data: min code size, then sub-blocks of at most 255 bytes
+        const data = lzwEncode(quantizeFrame(rgba), 8)
+        this._write([8])
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255)
+            this._write([block.length])
+            this._chunks.push(block)
+        }
+        this._write([0x00])
+
+        this.frameCount++
+    }
+
+    /**
+     * Finish the file
+     * @returns {Uint8Array} Complete GIF bytes
+     */
+    finish() {
+        this._write([0x3b])
+
+        const total = this._chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+        const bytes = new Uint8Array(total)
+        let offset = 0
+        for (const chunk of this._chunks) {
+            bytes.set(chunk, offset)
+            offset += chunk.length
+        }
+        this._chunks = [bytes]
+        return bytes
+    }
+
+    _writeHeader() {
+        // "GIF89a"
+        this._write([0x47, 0x49, 0x46, 0x38, 0x39, 0x61])
+
+        // Logical Screen Descriptor: global colour table, 8 bits/colour, 256 entries
+        this._writeShort(this.width)
+        this._writeShort(this.height)
+        this._write([0xf7, TRANSPARENT_INDEX, 0x00])
+
+        this._chunks.push(PALETTE)
+
+        // NETSCAPE2.0 application extension (loop count)
+        this._write([
+            0x21, 0xff, 0x0b,
+            0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30,
+            0x03, 0x01,
+            this.loop & 0xff, (this.loop >> 8) & 0xff,
+            0x00
+        ])
+    }
+
+    _writeShort(value) {
+        this._write([value & 0xff, (value >> 8) & 0xff])
+    }
+
+    _write(bytes) {
+        this._chunks.push(Uint8Array.from(bytes))
+    }
+}
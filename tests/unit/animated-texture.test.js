@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    isVideoUrl,
+    isSpriteSheetDescriptor,
+    normalizeSpriteSheet,
+    getSpriteFrameIndex,
+    getSpriteFrameRect
+} from '../../src/core/AnimatedTexture.js'
+
+describe('isVideoUrl', () => {
+    test('recognizes video extensions', () => {
+        assert.strictEqual(isVideoUrl('cards/live.mp4'), true)
+        assert.strictEqual(isVideoUrl('https://example.com/a/b.WEBM'), true)
+        assert.strictEqual(isVideoUrl('clip.mov?v=2#t=1'), true)
+    })
+
+    test('recognizes video data URLs', () => {
+        assert.strictEqual(isVideoUrl('data:video/mp4;base64,AAAA'), true)
+    })
+
+    test('rejects images and non-strings', () => {
+        assert.strictEqual(isVideoUrl('card.png'), false)
+        assert.strictEqual(isVideoUrl('mp4'), false)
+        assert.strictEqual(isVideoUrl('random-emoji'), false)
+        assert.strictEqual(isVideoUrl(null), false)
+        assert.strictEqual(isVideoUrl({ src: 'a.mp4' }), false)
+    })
+})
+
+describe('isSpriteSheetDescriptor', () => {
+    test('needs a src and frame size', () => {
+        assert.strictEqual(isSpriteSheetDescriptor({ src: 'sheet.png', frameWidth: 64, frameHeight: 64 }), true)
+        assert.strictEqual(isSpriteSheetDescriptor({ src: 'sheet.png' }), false)
+        assert.strictEqual(isSpriteSheetDescriptor('sheet.png'), false)
+        assert.strictEqual(isSpriteSheetDescriptor(null), false)
+    })
+})
+
+describe('normalizeSpriteSheet', () => {
+    test('fills in defaults from the sheet size', () => {
+        assert.deepStrictEqual(normalizeSpriteSheet({ src: 's.png', frameWidth: 100, frameHeight: 50 }, 400, 100), {
+            frameWidth: 100,
+            frameHeight: 50,
+            columns: 4,
+            frames: 8,
+            fps: 12,
+            loop: true,
+            poster: 0
+        })
+    })
+
+    test('caps frames at the sheet capacity', () => {
+        const sheet = normalizeSpriteSheet({ src: 's.png', frameWidth: 100, frameHeight: 100, frames: 50 }, 400, 200)
+        assert.strictEqual(sheet.frames, 8)
+    })
+
+    test('clamps the poster frame', () => {
+        const sheet = normalizeSpriteSheet({ src: 's.png', frameWidth: 100, frameHeight: 100, frames: 3, poster: 9 }, 400, 100)
+        assert.strictEqual(sheet.poster, 2)
+    })
+
+    test('rejects invalid frame sizes', () => {
+        assert.throws(() => normalizeSpriteSheet({ src: 's.png', frameWidth: 0, frameHeight: 10 }, 100, 100), /positive/)
+        assert.throws(() => normalizeSpriteSheet({ src: 's.png', frameWidth: 200, frameHeight: 10 }, 100, 100), /don't fit/)
+    })
+
+    test('rejects invalid fps', () => {
+        assert.throws(() => normalizeSpriteSheet({ src: 's.png', frameWidth: 10, frameHeight: 10, fps: 0 }, 100, 100), /fps/)
+    })
+})
+
+describe('getSpriteFrameIndex', () => {
+    const sheet = { frames: 4, fps: 10, loop: true }
+
+    test('advances with time', () => {
+        assert.strictEqual(getSpriteFrameIndex(sheet, 0), 0)
+        assert.strictEqual(getSpriteFrameIndex(sheet, 0.25), 2)
+    })
+
+    test('loops', () => {
+        assert.strictEqual(getSpriteFrameIndex(sheet, 0.45), 0)
+    })
+
+    test('holds the last frame without looping', () => {
+        assert.strictEqual(getSpriteFrameIndex({ ...sheet, loop: false }, 10), 3)
+    })
+})
+
+describe('getSpriteFrameRect', () => {
+    test('reads frames left to right, top to bottom', () => {
+        const sheet = { frameWidth: 100, frameHeight: 50, columns: 3 }
+        assert.deepStrictEqual(getSpriteFrameRect(sheet, 0), { x: 0, y: 0, width: 100, height: 50 })
+        assert.deepStrictEqual(getSpriteFrameRect(sheet, 4), { x: 100, y: 50, width: 100, height: 50 })
+    })
+})
@@ -0,0 +1,50 @@
+import { test, describe, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { canCreateCanvas, isCanvas, loadImage, resolveImageUrl, setImageBaseURI } from '../../src/utils/CanvasFactory.js'
+
+// Node has neither a document nor OffscreenCanvas, like a worker without canvas support
+describe('CanvasFactory without a document', () => {
+    const originals = { fetch: globalThis.fetch, createImageBitmap: globalThis.createImageBitmap }
+
+    afterEach(() => {
+        globalThis.fetch = originals.fetch
+        globalThis.createImageBitmap = originals.createImageBitmap
+        setImageBaseURI(null)
+    })
+
+    test('reports that canvases are unavailable', () => {
+        assert.strictEqual(canCreateCanvas(), false)
+        assert.strictEqual(isCanvas({ width: 1, height: 1 }), false)
+    })
+
+    test('resolves relative image URLs against the page URL it was given', () => {
+        setImageBaseURI('https://example.com/cards/index.html')
+        assert.strictEqual(resolveImageUrl('art/a.png').href, 'https://example.com/cards/art/a.png')
+        assert.strictEqual(resolveImageUrl('https://cdn.example.com/b.png').href, 'https://cdn.example.com/b.png')
+    })
+
+    test('loads images as bitmaps', async () => {
+        setImageBaseURI('https://example.com/')
+        let fetched = null
+        globalThis.fetch = async (url) => {
+            fetched = url.href
+            return { ok: true, blob: async () => ({}) }
+        }
+        let decodeOptions = null
+        globalThis.createImageBitmap = async (blob, options) => {
+            decodeOptions = options
+            return { width: 10, height: 10 }
+        }
+
+        assert.deepStrictEqual(await loadImage('a.png'), { width: 10, height: 10 })
+        assert.strictEqual(fetched, 'https://example.com/a.png')
+        // Straight alpha, as on the main thread (contexts don't premultiply)
+        assert.deepStrictEqual(decodeOptions, { premultiplyAlpha: 'none' })
+    })
+
+    test('rejects failed downloads', async () => {
+        setImageBaseURI('https://example.com/')
+        globalThis.fetch = async () => ({ ok: false, status: 404 })
+        await assert.rejects(loadImage('missing.png'), /HTTP 404/)
+    })
+})
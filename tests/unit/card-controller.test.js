@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { CardController } from '../../src/card/CardController.js'
+import { InputDriver } from '../../src/input/InputDriver.js'
+import { CONFIG } from '../../src/config.js'
+
+const EPSILON = 1e-6
+
+function approxEqual(a, b, epsilon = EPSILON) {
+    return Math.abs(a - b) < epsilon
+}
+
+/**
+ * Card stand-in that records the last target rotation
+ */
+function createFakeCard() {
+    return {
+        target: null,
+        setTargetRotation(x, y, z) {
+            this.target = [x, y, z]
+        }
+    }
+}
+
+class FixedDriver extends InputDriver {
+    constructor(priority, input) {
+        super(priority)
+        this.input = input
+        this.updates = 0
+    }
+
+    update() {
+        this.updates++
+    }
+
+    getInput() {
+        return this.input
+    }
+}
+
+// Non-interactive controllers need no DOM - only the programmatic driver is attached
+function createController(card = createFakeCard()) {
+    return new CardController(card, null, { interactive: false })
+}
+
+describe('CardController', () => {
+    test('falls back to idle wobble without input', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.update(0.5)
+        assert.ok(card.target)
+        assert.ok(Math.abs(card.target[0]) <= CONFIG.idle.amplitude)
+    })
+
+    test('non-interactive controller only has the programmatic driver', () => {
+        const controller = createController()
+        assert.strictEqual(controller.drivers.length, 1)
+        assert.strictEqual(controller.drivers[0], controller.programmatic)
+        assert.strictEqual(controller.isHovering, false)
+    })
+
+    test('setPointer drives tilt and mouse position', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.setPointer(1, 0)
+        controller.update(0.016)
+        assert.deepStrictEqual(controller.getMousePosition(), [1, 0])
+        assert.ok(approxEqual(card.target[1], CONFIG.card.maxTiltRadians))
+        assert.ok(approxEqual(card.target[0], 0))
+    })
+
+    test('setTilt maps positive y to the top edge tilting toward the viewer', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.setTilt(0, 1)
+        controller.update(0.016)
+        assert.ok(approxEqual(card.target[0], CONFIG.card.maxTiltRadians))
+        assert.ok(approxEqual(controller.mouseY, -1))
+    })
+
+    test('setTilt(null) releases back to idle', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.setTilt(1, 1)
+        controller.update(0.016)
+        controller.setTilt(null, null)
+        controller.update(0.5)
+        assert.ok(Math.abs(card.target[0]) <= CONFIG.idle.amplitude)
+    })
+
+    test('highest-priority active driver wins', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.addDriver(new FixedDriver(10, { x: -1, y: 0 }))
+        controller.addDriver(new FixedDriver(20, { x: 1, y: 0 }))
+        controller.update(0.016)
+        assert.strictEqual(controller.mouseX, 1)
+    })
+
+    test('inactive drivers are skipped', () => {
+        const controller = createController()
+        controller.addDriver(new FixedDriver(20, null))
+        controller.addDriver(new FixedDriver(10, { x: 0.5, y: 0.5 }))
+        controller.update(0.016)
+        assert.strictEqual(controller.mouseX, 0.5)
+    })
+
+    test('all drivers are updated every frame', () => {
+        const controller = createController()
+        const high = new FixedDriver(20, { x: 0, y: 0 })
+        const low = new FixedDriver(10, { x: 0, y: 0 })
+        controller.addDriver(high)
+        controller.addDriver(low)
+        controller.update(0.016)
+        assert.strictEqual(high.updates, 1)
+        assert.strictEqual(low.updates, 1)
+    })
+
+    test('removeDriver detaches the driver', () => {
+        const controller = createController()
+        const driver = new FixedDriver(10, { x: 1, y: 1 })
+        controller.addDriver(driver)
+        assert.strictEqual(driver.controller, controller)
+        controller.removeDriver(driver)
+        assert.strictEqual(driver.controller, null)
+        assert.ok(!controller.drivers.includes(driver))
+    })
+
+    test('rests at the hero tilt with idle off', () => {
+        const card = createFakeCard()
+        const controller = new CardController(card, null, { interactive: false, idle: false })
+        controller.update(0.5)
+        assert.deepStrictEqual(card.target, [...CONFIG.motion.heroTilt, 0])
+    })
+
+    test('setIdle switches the wobble back on', () => {
+        const card = createFakeCard()
+        const controller = createController(card)
+        controller.setIdle(false)
+        controller.update(0.5)
+        assert.deepStrictEqual(card.target, [...CONFIG.motion.heroTilt, 0])
+
+        controller.setIdle(true)
+        controller.update(0.5)
+        assert.notDeepStrictEqual(card.target, [...CONFIG.motion.heroTilt, 0])
+    })
+
+    test('hasActiveInput reports driver input', () => {
+        const controller = createController()
+        assert.strictEqual(controller.hasActiveInput(), false)
+        controller.addDriver(new FixedDriver(5, { x: 0.2, y: 0.1 }))
+        assert.strictEqual(controller.hasActiveInput(), true)
+    })
+
+    test('getActiveInput returns the highest-priority input', () => {
+        const controller = createController()
+        assert.strictEqual(controller.getActiveInput(), null)
+        controller.addDriver(new FixedDriver(5, { x: 0.2, y: 0.1 }))
+        controller.addDriver(new FixedDriver(10, null))
+        controller.addDriver(new FixedDriver(1, { x: -1, y: -1 }))
+        assert.deepStrictEqual(controller.getActiveInput(), { x: 0.2, y: 0.1 })
+    })
+
+    test('destroy detaches all drivers', () => {
+        const controller = createController()
+        controller.destroy()
+        assert.strictEqual(controller.drivers.length, 0)
+    })
+})
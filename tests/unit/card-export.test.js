@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { resolveExportSize, resolveExportPose } from '../../src/lib/CardExport.js'
+import { CONFIG } from '../../src/config.js'
+
+const DEFAULT_SIZE = { width: 200, height: 320 }
+const CURRENT_POSE = { rotationX: 0.1, rotationY: -0.2, pointerX: 0.3, pointerY: 0.4 }
+
+describe('resolveExportSize', () => {
+    test('uses the default size when neither side is given', () => {
+        assert.deepStrictEqual(resolveExportSize(undefined, undefined, DEFAULT_SIZE), { width: 200, height: 320 })
+    })
+
+    test('fills in the missing side at 5:8', () => {
+        assert.deepStrictEqual(resolveExportSize(500, undefined, DEFAULT_SIZE), { width: 500, height: 800 })
+        assert.deepStrictEqual(resolveExportSize(undefined, 1600, DEFAULT_SIZE), { width: 1000, height: 1600 })
+    })
+
+    test('rounds to whole pixels', () => {
+        assert.deepStrictEqual(resolveExportSize(333, undefined, DEFAULT_SIZE), { width: 333, height: 533 })
+        assert.deepStrictEqual(resolveExportSize(100.4, 160.6, DEFAULT_SIZE), { width: 100, height: 161 })
+    })
+
+    test('rejects sizes that are not positive', () => {
+        assert.throws(() => resolveExportSize(-100, undefined, DEFAULT_SIZE), /Invalid export size/)
+        assert.throws(() => resolveExportSize(100, -160, DEFAULT_SIZE), /Invalid export size/)
+        assert.throws(() => resolveExportSize(0.2, undefined, DEFAULT_SIZE), /Invalid export size/)
+        assert.throws(() => resolveExportSize(undefined, undefined, { width: 0, height: 0 }), /Invalid export size/)
+    })
+
+    test('rejects sizes that are not finite', () => {
+        assert.throws(() => resolveExportSize(Infinity, undefined, DEFAULT_SIZE), /Invalid export size/)
+        assert.throws(() => resolveExportSize(100, Infinity, DEFAULT_SIZE), /Invalid export size/)
+        assert.throws(() => resolveExportSize(NaN, 'tall', DEFAULT_SIZE), /Invalid export size/)
+    })
+})
+
+describe('resolveExportPose', () => {
+    const maxTilt = CONFIG.card.maxTiltRadians
+
+    test('keeps the current pose without a tilt or pointer', () => {
+        assert.deepStrictEqual(resolveExportPose({}, CURRENT_POSE), CURRENT_POSE)
+    })
+
+    test('turns a tilt into a rotation and a pointer with y flipped', () => {
+        assert.deepStrictEqual(resolveExportPose({ tilt: { x: 0.5, y: 1 } }, CURRENT_POSE), {
+            rotationX: maxTilt,
+            rotationY: 0.5 * maxTilt,
+            pointerX: 0.5,
+            pointerY: -1
+        })
+    })
+
+    test('turns a pointer into the matching tilt', () => {
+        assert.deepStrictEqual(resolveExportPose({ pointer: { x: -1, y: 0.5 } }, CURRENT_POSE), {
+            rotationX: -0.5 * maxTilt,
+            rotationY: -maxTilt,
+            pointerX: -1,
+            pointerY: 0.5
+        })
+    })
+
+    test('takes tilt and pointer separately when both are given', () => {
+        assert.deepStrictEqual(resolveExportPose({ tilt: { x: 1, y: 0 }, pointer: { x: 0, y: 1 } }, CURRENT_POSE), {
+            rotationX: 0,
+            rotationY: maxTilt,
+            pointerX: 0,
+            pointerY: 1
+        })
+    })
+})
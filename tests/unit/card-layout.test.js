@@ -0,0 +1,150 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    DEFAULT_LAYOUT,
+    FIELD_DEFAULTS,
+    normalizeLayout,
+    registerLayout,
+    getLayoutNames,
+    getFieldText,
+    getFieldFont,
+    fitFontSize,
+    parseCardFields
+} from '../../src/factories/CardLayout.js'
+
+describe('normalizeLayout', () => {
+    test('uses the default layout for null', () => {
+        const layout = normalizeLayout(null)
+        assert.strictEqual(layout.width, DEFAULT_LAYOUT.width)
+        assert.deepStrictEqual(Object.keys(layout.fields), ['name', 'number', 'collection'])
+        assert.strictEqual(layout.fields.name.effects, true)
+        assert.strictEqual(layout.fields.number.effects, false)
+    })
+
+    test('fills in field defaults', () => {
+        const layout = normalizeLayout({ fields: { hp: { x: 0.9, y: 0.1 } } })
+        assert.deepStrictEqual(layout.fields.hp, { ...FIELD_DEFAULTS, x: 0.9, y: 0.1 })
+        assert.strictEqual(layout.width, DEFAULT_LAYOUT.width)
+    })
+
+    test('leaves out disabled fields', () => {
+        const layout = normalizeLayout({ fields: { ...DEFAULT_LAYOUT.fields, number: null, collection: false } })
+        assert.deepStrictEqual(Object.keys(layout.fields), ['name'])
+    })
+
+    test('coerces static text and effects', () => {
+        const { fields } = normalizeLayout({ fields: { set: { text: 7, effects: 1 } } })
+        assert.strictEqual(fields.set.text, '7')
+        assert.strictEqual(fields.set.effects, true)
+    })
+
+    test('applies a default font to fields without their own', () => {
+        const { fields } = normalizeLayout({ fields: { a: {}, b: { font: 'Georgia' } } }, { font: 'Cinzel, serif' })
+        assert.strictEqual(fields.a.font, 'Cinzel, serif')
+        assert.strictEqual(fields.b.font, 'Georgia')
+        assert.strictEqual(FIELD_DEFAULTS.font, 'Arial, sans-serif')
+    })
+
+    test('rejects invalid fields', () => {
+        assert.throws(() => normalizeLayout({ fields: { a: { align: 'justify' } } }), /unknown align/)
+        assert.throws(() => normalizeLayout({ fields: { a: { baseline: 'hanging' } } }), /unknown baseline/)
+        assert.throws(() => normalizeLayout({ fields: { a: { x: 'left' } } }), /numeric x/)
+        assert.throws(() => normalizeLayout({ fields: { a: { size: 0 } } }), /positive size/)
+        assert.throws(() => normalizeLayout({ fields: { a: { size: 20, minSize: 30 } } }), /minSize/)
+        assert.throws(() => normalizeLayout({ fields: { a: { stroke: { color: '#000' } } } }), /stroke/)
+        assert.throws(() => normalizeLayout({ fields: { a: 'name' } }), /must be an object/)
+    })
+
+    test('rejects invalid sizes', () => {
+        assert.throws(() => normalizeLayout({ width: 0, fields: {} }), /width and height/)
+    })
+
+    test('resolves registered names', () => {
+        registerLayout('layout-test', { width: 300, height: 480, fields: { hp: { x: 0.9, y: 0.05 } } })
+        assert.ok(getLayoutNames().includes('layout-test'))
+        assert.strictEqual(normalizeLayout('layout-test').width, 300)
+        assert.strictEqual(normalizeLayout('default').width, DEFAULT_LAYOUT.width)
+    })
+
+    test('rejects unknown names', () => {
+        assert.throws(() => normalizeLayout('no-such-layout'), /unknown layout/)
+    })
+})
+
+describe('registerLayout', () => {
+    test('validates the template', () => {
+        assert.throws(() => registerLayout('broken', { fields: { a: { align: 'up' } } }), /unknown align/)
+        assert.ok(!getLayoutNames().includes('broken'))
+    })
+
+    test('rejects aliases', () => {
+        assert.throws(() => registerLayout('alias', 'default'), /template object/)
+    })
+})
+
+describe('getFieldText', () => {
+    const field = { ...FIELD_DEFAULTS, text: 'HP' }
+
+    test('prefers the value', () => {
+        assert.strictEqual(getFieldText('hp', field, { hp: 120 }), '120')
+    })
+
+    test('falls back to static text', () => {
+        assert.strictEqual(getFieldText('hp', field, {}), 'HP')
+        assert.strictEqual(getFieldText('hp', field, { hp: '' }), 'HP')
+        assert.strictEqual(getFieldText('hp', field, null), 'HP')
+    })
+})
+
+describe('getFieldFont', () => {
+    test('builds a CSS font', () => {
+        assert.strictEqual(getFieldFont({ ...FIELD_DEFAULTS, style: 'italic', font: 'Georgia, serif' }, 40),
+            'italic bold 40px Georgia, serif')
+    })
+})
+
+describe('fitFontSize', () => {
+    const field = { ...FIELD_DEFAULTS, size: 64, minSize: 40, maxWidth: 0.5 }
+
+    test('keeps the size when the text fits', () => {
+        assert.strictEqual(fitFontSize(field, 200, 500), 64)
+    })
+
+    test('shrinks proportionally to fit', () => {
+        assert.strictEqual(fitFontSize(field, 300, 500), 53)
+    })
+
+    test('stops at minSize', () => {
+        assert.strictEqual(fitFontSize(field, 1000, 500), 40)
+    })
+
+    test('never shrinks without minSize', () => {
+        assert.strictEqual(fitFontSize({ ...field, minSize: null }, 1000, 500), 64)
+    })
+})
+
+describe('parseCardFields', () => {
+    test('returns null for empty values', () => {
+        assert.strictEqual(parseCardFields(null), null)
+        assert.strictEqual(parseCardFields(' '), null)
+    })
+
+    test('parses JSON', () => {
+        assert.deepStrictEqual(parseCardFields('{"hp": 120, "rarity": "Rare"}'), { hp: 120, rarity: 'Rare' })
+    })
+
+    test('parses name: value lists as strings', () => {
+        assert.deepStrictEqual(parseCardFields('hp: 120; attack: Fire Blast: 60'), { hp: '120', attack: 'Fire Blast: 60' })
+    })
+
+    test('skips malformed entries', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.deepStrictEqual(parseCardFields('hp: 120; junk'), { hp: '120' })
+        assert.strictEqual(console.warn.mock.callCount(), 1)
+    })
+
+    test('returns null for invalid JSON', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.strictEqual(parseCardFields('{hp: 120}'), null)
+    })
+})
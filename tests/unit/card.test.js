@@ -92,6 +92,32 @@ describe('Card', () => {
         })
     })
 
+    describe('setRotation', () => {
+        test('sets rotation and target immediately', () => {
+            const card = new Card()
+            card.setRotation(0.2, -0.1)
+
+            assert.deepStrictEqual(card.getRotation(), [0.2, -0.1])
+            assert.strictEqual(card.targetRotation.x, 0.2)
+            assert.strictEqual(card.targetRotation.y, -0.1)
+        })
+
+        test('is not undone by update', () => {
+            const card = new Card()
+            card.setRotation(0.3, 0.3)
+            card.update(0.016)
+
+            assert.deepStrictEqual(card.getRotation(), [0.3, 0.3])
+        })
+
+        test('marks matrix dirty', () => {
+            const card = new Card()
+            card.getModelMatrix()
+            card.setRotation(0.1, 0.1)
+            assert.strictEqual(card._matrixDirty, true)
+        })
+    })
+
     describe('lerp', () => {
         test('returns a when t=0', () => {
             const card = new Card()
@@ -270,6 +296,137 @@ describe('Card', () => {
         })
     })
 
+    describe('isSettled', () => {
+        test('is settled at rest', () => {
+            assert.strictEqual(new Card().isSettled(), true)
+        })
+
+        test('is not settled while moving toward the target', () => {
+            const card = new Card({ smoothing: 10 })
+            card.setTargetRotation(0.5, 0.5)
+            card.update(0.016)
+            assert.strictEqual(card.isSettled(), false)
+        })
+
+        test('settles once the target is reached', () => {
+            const card = new Card({ smoothing: 1000 })
+            card.setTargetRotation(0.5, 0.5)
+            card.update(1.0)
+            assert.strictEqual(card.isSettled(), true)
+        })
+    })
+
+    describe('back face textures', () => {
+        test('card has no back by default', () => {
+            const card = new Card()
+            assert.strictEqual(card.hasBack(), false)
+        })
+
+        test('hasBack is true once a back base texture is set', () => {
+            const card = new Card()
+            card.setBackTexture('base', { id: 1 })
+            assert.strictEqual(card.hasBack(), true)
+        })
+
+        test('getBackTexture falls back to front texture', () => {
+            const card = new Card()
+            const rainbow = { id: 'rainbow' }
+            card.setTexture('rainbow', rainbow)
+            assert.strictEqual(card.getBackTexture('rainbow'), rainbow)
+        })
+
+        test('back texture takes precedence over front texture', () => {
+            const card = new Card()
+            const front = { id: 'front' }
+            const back = { id: 'back' }
+            card.setTexture('base', front)
+            card.setBackTexture('base', back)
+            assert.strictEqual(card.getBackTexture('base'), back)
+            assert.strictEqual(card.getTexture('base'), front)
+        })
+
+        test('clearBackTextures removes the back face', () => {
+            const card = new Card()
+            card.setBackTexture('base', { id: 1 })
+            card.clearBackTextures()
+            assert.strictEqual(card.hasBack(), false)
+        })
+    })
+
+    describe('flip', () => {
+        test('starts unflipped', () => {
+            const card = new Card()
+            assert.strictEqual(card.isFlipped(), false)
+            assert.strictEqual(card.flipAngle, 0)
+        })
+
+        test('flip() toggles target face', () => {
+            const card = new Card()
+            card.flip()
+            assert.strictEqual(card.isFlipped(), true)
+            card.flip()
+            assert.strictEqual(card.isFlipped(), false)
+        })
+
+        test('flip animates toward PI over flipDuration', () => {
+            const card = new Card({ flipDuration: 1 })
+            card.flip(true)
+
+            card.update(0.5)
+            assert.ok(card.flipAngle > 0 && card.flipAngle < Math.PI, 'should be mid-flip')
+            assert.ok(approxEqual(card.flipAngle, Math.PI / 2), 'ease-in-out is symmetric at midpoint')
+            assert.strictEqual(card.isFlipping(), true)
+
+            card.update(0.5)
+            assert.strictEqual(card.flipAngle, Math.PI)
+            assert.strictEqual(card.isFlipping(), false)
+        })
+
+        test('flip(false) animates back to front', () => {
+            const card = new Card({ flipDuration: 0.5 })
+            card.setFlipped(true)
+            card.flip(false)
+            card.update(1)
+            assert.strictEqual(card.flipAngle, 0)
+        })
+
+        test('flip with current target is a no-op', () => {
+            const card = new Card()
+            card.flip(false)
+            assert.strictEqual(card.isFlipping(), false)
+        })
+
+        test('setFlipped jumps without animating', () => {
+            const card = new Card()
+            card.setFlipped(true)
+            assert.strictEqual(card.flipAngle, Math.PI)
+            assert.strictEqual(card.isFlipping(), false)
+        })
+
+        test('zero flipDuration completes on next update', () => {
+            const card = new Card({ flipDuration: 0 })
+            card.flip(true)
+            card.update(0.016)
+            assert.strictEqual(card.flipAngle, Math.PI)
+        })
+
+        test('flip angle is applied to model matrix Y rotation', () => {
+            const card = new Card({ scaleX: 1, scaleY: 1, scaleZ: 1 })
+            card.setFlipped(true)
+            const matrix = card.getModelMatrix()
+
+            // Rotating PI around Y mirrors X and Z axes
+            assert.ok(approxEqual(matrix[0], -1), 'x axis mirrored')
+            assert.ok(approxEqual(matrix[10], -1), 'z axis mirrored')
+        })
+
+        test('flip does not affect tilt rotation', () => {
+            const card = new Card()
+            card.setFlipped(true)
+            assert.deepStrictEqual(card.getRotation(), [0, 0])
+        })
+    })
+
     describe('updateModelMatrix', () => {
         test('applies transformations in correct order', () => {
             const card = new Card({ x: 1, y: 2, z: 3 })
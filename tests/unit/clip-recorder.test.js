@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    TILT_PATHS,
+    resolveTiltPath,
+    sampleTiltPath,
+    getWebmMimeType,
+    createClipEncoder
+} from '../../src/lib/ClipRecorder.js'
+
+const EPSILON = 1e-9
+
+describe('TILT_PATHS', () => {
+    for (const [name, fn] of Object.entries(TILT_PATHS)) {
+        test(`${name} returns to its start at t = 1`, () => {
+            const start = fn(0)
+            const end = fn(1)
+            assert.ok(Math.abs(start.x - end.x) < EPSILON)
+            assert.ok(Math.abs(start.y - end.y) < EPSILON)
+        })
+
+        test(`${name} stays within setTilt range`, () => {
+            for (let t = 0; t <= 1; t += 0.01) {
+                const { x, y } = fn(t)
+                assert.ok(x >= -1 && x <= 1 && y >= -1 && y <= 1)
+            }
+        })
+    }
+})
+
+describe('resolveTiltPath', () => {
+    test('resolves built-in names', () => {
+        assert.strictEqual(resolveTiltPath('orbit'), TILT_PATHS.orbit)
+    })
+
+    test('passes functions through', () => {
+        const fn = () => ({ x: 0, y: 0 })
+        assert.strictEqual(resolveTiltPath(fn), fn)
+    })
+
+    test('throws on unknown names', () => {
+        assert.throws(() => resolveTiltPath('spin'), /Unknown tilt path/)
+    })
+})
+
+describe('sampleTiltPath', () => {
+    test('returns one sample per frame', () => {
+        assert.strictEqual(sampleTiltPath('orbit', 24).length, 24)
+    })
+
+    test('does not repeat the first frame at the end of the loop', () => {
+        const frames = sampleTiltPath('sway', 4)
+        assert.ok(Math.abs(frames[0].x) < EPSILON)
+        assert.ok(Math.abs(frames[1].x - 1) < EPSILON)
+        assert.ok(Math.abs(frames[2].x) < EPSILON)
+        assert.ok(Math.abs(frames[3].x + 1) < EPSILON)
+    })
+
+    test('scales by amplitude', () => {
+        const frames = sampleTiltPath('orbit', 4, 0.5)
+        assert.ok(Math.abs(frames[0].x - 0.5) < EPSILON)
+    })
+
+    test('clamps custom paths to the tilt range', () => {
+        const frames = sampleTiltPath(() => ({ x: 3, y: -3 }), 2)
+        assert.deepStrictEqual(frames[0], { x: 1, y: -1 })
+    })
+
+    test('treats missing components as zero', () => {
+        const frames = sampleTiltPath(() => ({ x: 0.5 }), 1)
+        assert.deepStrictEqual(frames[0], { x: 0.5, y: 0 })
+    })
+
+    test('is deterministic', () => {
+        assert.deepStrictEqual(sampleTiltPath('figure8', 30, 0.6), sampleTiltPath('figure8', 30, 0.6))
+    })
+})
+
+describe('getWebmMimeType', () => {
+    test('returns null without MediaRecorder', () => {
+        assert.strictEqual(getWebmMimeType(), null)
+    })
+})
+
+describe('createClipEncoder', () => {
+    test('rejects unknown formats', () => {
+        assert.throws(() => createClipEncoder('mp4', 10, 16, 30), /Unknown format/)
+    })
+})
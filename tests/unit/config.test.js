@@ -39,6 +39,19 @@ describe('CONFIG', () => {
             assert.strictEqual(typeof CONFIG.card.rotationSmoothing, 'number')
             assert.ok(CONFIG.card.rotationSmoothing > 0)
         })
+
+        test('flipDuration is positive', () => {
+            assert.strictEqual(typeof CONFIG.card.flipDuration, 'number')
+            assert.ok(CONFIG.card.flipDuration > 0)
+        })
+
+        test('edgeColor is a normalized RGB triple', () => {
+            assert.ok(Array.isArray(CONFIG.card.edgeColor))
+            assert.strictEqual(CONFIG.card.edgeColor.length, 3)
+            for (const channel of CONFIG.card.edgeColor) {
+                assert.ok(channel >= 0 && channel <= 1)
+            }
+        })
     })
 
     describe('idle animation settings', () => {
@@ -59,6 +72,37 @@ describe('CONFIG', () => {
         })
     })
 
+    describe('gyro settings', () => {
+        test('has gyro section', () => {
+            assert.ok(CONFIG.gyro)
+            assert.strictEqual(typeof CONFIG.gyro, 'object')
+        })
+
+        test('range is a usable angle in degrees', () => {
+            assert.strictEqual(typeof CONFIG.gyro.range, 'number')
+            assert.ok(CONFIG.gyro.range > 0)
+            assert.ok(CONFIG.gyro.range <= 90)
+        })
+
+        test('recenterSpeed is non-negative', () => {
+            assert.strictEqual(typeof CONFIG.gyro.recenterSpeed, 'number')
+            assert.ok(CONFIG.gyro.recenterSpeed >= 0)
+        })
+    })
+
+    describe('input settings', () => {
+        test('keyboardSpeed is positive', () => {
+            assert.strictEqual(typeof CONFIG.input.keyboardSpeed, 'number')
+            assert.ok(CONFIG.input.keyboardSpeed > 0)
+        })
+
+        test('gamepadDeadzone is between 0 and 1', () => {
+            assert.strictEqual(typeof CONFIG.input.gamepadDeadzone, 'number')
+            assert.ok(CONFIG.input.gamepadDeadzone >= 0)
+            assert.ok(CONFIG.input.gamepadDeadzone < 1)
+        })
+    })
+
     describe('demo settings', () => {
         test('has demo section', () => {
             assert.ok(CONFIG.demo)
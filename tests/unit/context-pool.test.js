@@ -0,0 +1,402 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { WebGLContextPool, BORROW_PRIORITIES } from '../../src/lib/WebGLContextPool.js'
+import { TextureCache } from '../../src/lib/TextureCache.js'
+import { PooledRenderContext } from '../../src/lib/PooledRenderContext.js'
+import { ButtonResourceCache } from '../../src/lib/ButtonResourceCache.js'
+import { SHADER_NAMES } from '../../src/lib/ShaderRegistry.js'
+import { ShaderButton } from '../../src/lib/shaderButton.js'
+
+/**
+ * Stand-in for PooledRenderContext (no WebGL in Node)
+ */
+function createFakeContext(id) {
+    return {
+        id,
+        gl: null,
+        canvas: null,
+        generation: 0,
+        isLost: false,
+        inUse: false,
+        currentOwner: null,
+        borrowed: null,
+        priority: 0,
+        assignedAt: 0,
+        preempting: false,
+        isValid() { return true },
+        getCardMesh() { return null },
+        resize() {},
+        assignTo(owner, priority = 0) {
+            this.inUse = true
+            this.currentOwner = owner
+            this.priority = priority
+            this.assignedAt = performance.now()
+            this.preempting = false
+        },
+        release() {
+            this.inUse = false
+            this.currentOwner = null
+            this.borrowed = null
+            this.preempting = false
+        },
+        destroy() {}
+    }
+}
+
+// Pool with fake contexts, skipping WebGL initialization
+function createPool(size = 1) {
+    const pool = new WebGLContextPool()
+    for (let i = 0; i < size; i++) {
+        pool.pool.push(createFakeContext(i))
+    }
+    pool.isInitialized = true
+    return pool
+}
+
+// Let queued promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+/**
+ * WebGL2 stand-in: every call succeeds and returns a fresh object, except
+ * isContextLost(), which follows `lost`; counts createProgram() calls
+ */
+function createMockGL() {
+    const state = { lost: false, programs: 0 }
+    return new Proxy(state, {
+        get(target, name) {
+            if (name in target) return target[name]
+            if (name === 'isContextLost') return () => target.lost
+            if (name === 'createProgram') return () => ({ id: ++target.programs })
+            return () => ({})
+        }
+    })
+}
+
+/**
+ * Real PooledRenderContext on a mock GL context, wired like initialize() does
+ * (canvas events included), without creating a canvas
+ */
+function createGLContext(id) {
+    const context = new PooledRenderContext(id)
+    context.canvas = new EventTarget()
+    context.gl = createMockGL()
+    context.canvas.addEventListener('webglcontextlost', context._handleContextLost)
+    context.canvas.addEventListener('webglcontextrestored', context._handleContextRestored)
+    context._createResources()
+    context.isInitialized = true
+    return context
+}
+
+// Pool of real contexts on mock GL, wired to the pool's loss handlers
+function createGLPool(size = 1) {
+    const pool = new WebGLContextPool()
+    for (let i = 0; i < size; i++) {
+        const context = createGLContext(i)
+        context.onLost = () => pool._handleContextLost(context)
+        context.onRestored = () => pool._handleContextRestored(context)
+        pool.pool.push(context)
+    }
+    pool.isInitialized = true
+    return pool
+}
+
+function loseContext(context) {
+    context.gl.lost = true
+    context.canvas.dispatchEvent(new Event('webglcontextlost', { cancelable: true }))
+}
+
+function restoreContext(context) {
+    context.gl.lost = false
+    context.canvas.dispatchEvent(new Event('webglcontextrestored'))
+}
+
+describe('WebGLContextPool scheduling', () => {
+    test('orders priorities interactive > visible > prefetch', () => {
+        assert.ok(BORROW_PRIORITIES.interactive > BORROW_PRIORITIES.visible)
+        assert.ok(BORROW_PRIORITIES.visible > BORROW_PRIORITIES.prefetch)
+    })
+
+    test('rejects unknown priorities', async () => {
+        const pool = createPool()
+        await assert.rejects(pool.borrow({}, { priority: 'urgent' }), /unknown priority 'urgent'/)
+    })
+
+    test('serves higher priorities first', async () => {
+        const pool = createPool()
+        const holder = {}
+        const borrowed = await pool.borrow(holder)
+
+        const order = []
+        pool.borrow({ name: 'prefetch' }, { priority: 'prefetch' }).then(b => { order.push('prefetch'); b.release() })
+        pool.borrow({ name: 'visible' }, { priority: 'visible' }).then(b => { order.push('visible'); b.release() })
+        pool.borrow({ name: 'interactive' }, { priority: 'interactive' }).then(b => { order.push('interactive'); b.release() })
+        await flush()
+
+        borrowed.release()
+        await flush()
+        assert.deepStrictEqual(order, ['interactive', 'visible', 'prefetch'])
+    })
+
+    test('serves the same priority in arrival order', async () => {
+        const pool = createPool()
+        const borrowed = await pool.borrow({})
+
+        const order = []
+        for (const name of ['a', 'b', 'c']) {
+            pool.borrow({ name }).then(b => { order.push(name); b.release() })
+        }
+        await flush()
+
+        borrowed.release()
+        await flush()
+        assert.deepStrictEqual(order, ['a', 'b', 'c'])
+    })
+
+    test('prefers requesters with fewer past borrows', async () => {
+        const pool = createPool()
+        const frequent = {}
+        for (let i = 0; i < 3; i++) {
+            (await pool.borrow(frequent)).release()
+        }
+        const borrowed = await pool.borrow({})
+
+        const order = []
+        pool.borrow(frequent).then(b => { order.push('frequent'); b.release() })
+        pool.borrow({}).then(b => { order.push('new'); b.release() })
+        await flush()
+
+        borrowed.release()
+        await flush()
+        assert.deepStrictEqual(order, ['new', 'frequent'])
+    })
+
+    test('preempts a lower-priority holder that opted in', async () => {
+        const pool = createPool()
+        const holder = {}
+        const borrowed = await pool.borrow(holder, { priority: 'visible' })
+        let preempted = 0
+        borrowed.onPreempt = () => {
+            preempted++
+            borrowed.release()
+        }
+
+        const hovered = await pool.borrow({}, { priority: 'interactive' })
+        assert.strictEqual(preempted, 1)
+        assert.strictEqual(hovered.contextId, borrowed.contextId)
+        assert.strictEqual(pool.getStats().preemptions, 1)
+    })
+
+    test('asks the next holder when one declines, and the decliner again later', async () => {
+        const pool = createPool(2)
+        const busy = await pool.borrow({}, { priority: 'prefetch' })
+        const other = await pool.borrow({}, { priority: 'visible' })
+        let busyAsked = 0
+        busy.onPreempt = () => {
+            busyAsked++
+            return false
+        }
+        other.onPreempt = () => {
+            other.release()
+            return true
+        }
+
+        const hovered = await pool.borrow({}, { priority: 'interactive' })
+        assert.strictEqual(busyAsked, 1)
+        assert.strictEqual(hovered.contextId, other.contextId)
+        assert.strictEqual(pool.pool[busy.contextId].preempting, false)
+        assert.strictEqual(pool.getStats().preemptions, 1)
+
+        // Once every holder declines, the request asks again after a delay
+        const waiting = pool.borrow({}, { priority: 'interactive' })
+        busy.onPreempt = () => {
+            busyAsked++
+            if (busyAsked < 3) return false
+            busy.release()
+            return true
+        }
+        await flush()
+        assert.strictEqual(busyAsked, 2)
+        const served = await waiting
+        assert.strictEqual(busyAsked, 3)
+        assert.strictEqual(served.contextId, busy.contextId)
+    })
+
+    test('asks a hovered button again once it declines, then serves the waiting borrower', async () => {
+        const pool = createPool()
+        const borrowed = await pool.borrow({}, { priority: 'visible' })
+
+        // The real handler, on a button without a DOM; handing over just releases
+        const button = Object.assign(Object.create(ShaderButton.prototype), {
+            isHovering: true,
+            isAnimating: true,
+            isRunning: true
+        })
+        let handedOver = 0
+        button._reacquireContext = () => {
+            handedOver++
+            borrowed.release()
+        }
+        borrowed.onPreempt = () => button._handlePreempt()
+
+        const waiting = pool.borrow({}, { priority: 'interactive' })
+        await flush()
+        assert.strictEqual(pool.pool[borrowed.contextId].preempting, false)
+        assert.strictEqual(pool.getStats().preemptions, 0)
+
+        button.isHovering = false
+        const served = await waiting
+        assert.strictEqual(handedOver, 1)
+        assert.strictEqual(served.contextId, borrowed.contextId)
+        assert.strictEqual(pool.getStats().preemptions, 1)
+    })
+
+    test('does not preempt equal priorities or holders without onPreempt', async () => {
+        const pool = createPool(2)
+        const visible = await pool.borrow({}, { priority: 'visible' })
+        await pool.borrow({}, { priority: 'prefetch' })  // No onPreempt
+        let preempted = false
+        visible.onPreempt = () => { preempted = true }
+
+        pool.borrow({}, { priority: 'visible' }).catch(() => {})
+        await flush()
+        assert.strictEqual(preempted, false)
+        pool.destroy()
+    })
+
+    test('rejects requests that time out', async () => {
+        const pool = createPool()
+        await pool.borrow({})
+
+        await assert.rejects(pool.borrow({}, { timeout: 10 }), /timed out after 10ms/)
+        const stats = pool.getStats()
+        assert.strictEqual(stats.queueLength, 0)
+        assert.strictEqual(stats.timeouts, 1)
+    })
+
+    test('cancelRequest rejects and clears the timeout', async () => {
+        const pool = createPool()
+        await pool.borrow({})
+        const requester = {}
+        const pending = pool.borrow(requester, { timeout: 10000 })
+
+        pool.cancelRequest(requester)
+        await assert.rejects(pending, /cancelled/)
+        assert.strictEqual(pool.getStats().queueLength, 0)
+    })
+
+    test('reports queued requests and wait times by priority', async () => {
+        const pool = createPool()
+        const borrowed = await pool.borrow({}, { priority: 'visible' })
+        const pending = pool.borrow({}, { priority: 'prefetch' })
+        await flush()
+
+        let stats = pool.getStats()
+        assert.strictEqual(stats.queued.prefetch, 1)
+        assert.strictEqual(stats.waitTimes.visible.count, 1)
+        assert.ok(stats.longestQueuedWait >= 0)
+
+        await new Promise(resolve => setTimeout(resolve, 5))
+        borrowed.release()
+        await pending
+
+        stats = pool.getStats()
+        assert.strictEqual(stats.waitTimes.prefetch.count, 1)
+        assert.ok(stats.waitTimes.prefetch.max >= 4)
+        assert.strictEqual(stats.waitTimes.prefetch.average, stats.waitTimes.prefetch.max)
+
+        pool.resetStats()
+        assert.strictEqual(pool.getStats().waitTimes.prefetch.count, 0)
+    })
+
+    test('reports texture cache hits and GPU bytes', () => {
+        TextureCache.reset()
+        const pool = createPool()
+        const cache = TextureCache.getInstance()
+        const texture = { width: 2, height: 2, destroy() {} }
+        cache.acquire(0, null, 'a', () => texture)
+        cache.acquire(0, null, 'a', () => texture)
+
+        const { textureCache } = pool.getStats()
+        assert.strictEqual(textureCache.hits, 1)
+        assert.strictEqual(textureCache.gpuBytes, 16)
+
+        pool.resetStats()
+        assert.strictEqual(pool.getStats().textureCache.hits, 0)
+        TextureCache.reset()
+    })
+})
+
+describe('WebGLContextPool context loss', () => {
+    test('drops the shared resources on loss and re-creates them on restore', () => {
+        const context = createGLContext(0)
+        const before = {
+            geometry: context.geometry,
+            shaderManager: context.shaderManager,
+            rainbow: context.proceduralTextures.rainbow
+        }
+
+        loseContext(context)
+        assert.strictEqual(context.isLost, true)
+        assert.strictEqual(context.isValid(), false)
+        assert.strictEqual(context.geometry, null)
+        assert.strictEqual(context.shaderManager, null)
+
+        restoreContext(context)
+        assert.strictEqual(context.isLost, false)
+        assert.strictEqual(context.generation, 1)
+        assert.ok(context.isValid())
+        assert.ok(context.geometry && context.geometry !== before.geometry)
+        assert.ok(context.shaderManager && context.shaderManager !== before.shaderManager)
+        assert.ok(context.proceduralTextures.rainbow && context.proceduralTextures.rainbow !== before.rainbow)
+    })
+
+    test('ignores a restore without a loss', () => {
+        const context = createGLContext(0)
+        restoreContext(context)
+        assert.strictEqual(context.generation, 0)
+    })
+
+    test('tells the borrower about loss and restore', async () => {
+        const pool = createGLPool()
+        const borrowed = await pool.borrow({})
+        const calls = []
+        borrowed.onContextLost = () => calls.push('lost')
+        borrowed.onContextRestored = () => calls.push('restored')
+
+        loseContext(pool.pool[0])
+        assert.strictEqual(borrowed.isLost, true)
+        restoreContext(pool.pool[0])
+        assert.deepStrictEqual(calls, ['lost', 'restored'])
+        assert.strictEqual(borrowed.generation, 1)
+        assert.strictEqual(borrowed.shaderManager, pool.pool[0].shaderManager)
+    })
+
+    test('hands an idle restored context to the queue', async () => {
+        const pool = createGLPool()
+        loseContext(pool.pool[0])
+
+        let served = null
+        pool.borrow({}).then(borrowed => { served = borrowed })
+        await flush()
+        assert.strictEqual(served, null)
+        assert.strictEqual(pool.getStats().queueLength, 1)
+
+        restoreContext(pool.pool[0])
+        await flush()
+        assert.strictEqual(served?.contextId, 0)
+        assert.strictEqual(pool.getStats().queueLength, 0)
+    })
+
+    test('recompiles the button shaders in use', async () => {
+        const pool = createGLPool()
+        const { gl } = await pool.borrow({})
+        const resources = ButtonResourceCache.getInstance().getResources(gl)
+        const shader = resources.getShader(SHADER_NAMES[0])
+
+        loseContext(pool.pool[0])
+        restoreContext(pool.pool[0])
+
+        const recompiled = resources.shaders.get(SHADER_NAMES[0])
+        assert.ok(recompiled && recompiled !== shader)
+    })
+})
@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    CARD_TEXTURE_NAMES,
+    normalizeShaderDefinition,
+    isValidUniformValue,
+    addCustomShader,
+    getCustomShader,
+    getCustomShaderNames
+} from '../../src/shaders/CustomShaders.js'
+
+const FRAGMENT = `#version 300 es
+precision highp float;
+in vec2 v_uv;
+out vec4 fragColor;
+void main() { fragColor = vec4(v_uv, 0.0, 1.0); }
+`
+
+describe('normalizeShaderDefinition', () => {
+    test('fills in defaults', () => {
+        const definition = normalizeShaderDefinition('brand', { fragment: FRAGMENT })
+        assert.strictEqual(definition.fragment, FRAGMENT)
+        assert.deepStrictEqual(definition.textures, CARD_TEXTURE_NAMES)
+        assert.deepStrictEqual(definition.uniforms, {})
+        assert.deepStrictEqual(definition.defaults, {})
+    })
+
+    test('copies textures, uniforms and defaults', () => {
+        const textures = ['base', 'noise']
+        const definition = normalizeShaderDefinition('brand', {
+            fragment: FRAGMENT,
+            textures,
+            uniforms: { u_tint: 'vec3' },
+            defaults: { u_tint: [1, 0.5, 0] }
+        })
+        textures.push('foil')
+        assert.deepStrictEqual(definition.textures, ['base', 'noise'])
+        assert.deepStrictEqual(definition.defaults.u_tint, [1, 0.5, 0])
+    })
+
+    test('rejects invalid names', () => {
+        assert.throws(() => normalizeShaderDefinition('Brand', { fragment: FRAGMENT }), /Invalid shader name/)
+        assert.throws(() => normalizeShaderDefinition('my shader', { fragment: FRAGMENT }), /Invalid shader name/)
+        assert.throws(() => normalizeShaderDefinition('', { fragment: FRAGMENT }), /Invalid shader name/)
+    })
+
+    test('rejects built-in names', () => {
+        assert.throws(() => normalizeShaderDefinition('holographic', { fragment: FRAGMENT }), /built in/)
+    })
+
+    test('requires GLSL ES 3.00 fragment source', () => {
+        assert.throws(() => normalizeShaderDefinition('brand', {}), /fragment/)
+        assert.throws(() => normalizeShaderDefinition('brand', { fragment: 'void main() {}' }), /#version 300 es/)
+    })
+
+    test('allows leading whitespace before #version', () => {
+        assert.doesNotThrow(() => normalizeShaderDefinition('brand', { fragment: `\n  ${FRAGMENT}` }))
+    })
+
+    test('rejects unknown textures', () => {
+        assert.throws(
+            () => normalizeShaderDefinition('brand', { fragment: FRAGMENT, textures: ['base', 'sparkle'] }),
+            /unknown texture 'sparkle'/
+        )
+    })
+
+    test('rejects unsupported uniform types', () => {
+        assert.throws(
+            () => normalizeShaderDefinition('brand', { fragment: FRAGMENT, uniforms: { u_m: 'mat4' } }),
+            /unsupported type/
+        )
+    })
+
+    test('rejects uniforms the renderer sets', () => {
+        assert.throws(
+            () => normalizeShaderDefinition('brand', { fragment: FRAGMENT, uniforms: { u_time: 'float' } }),
+            /set by the renderer/
+        )
+    })
+
+    test('rejects defaults for undeclared uniforms', () => {
+        assert.throws(
+            () => normalizeShaderDefinition('brand', { fragment: FRAGMENT, defaults: { u_speed: 1 } }),
+            /undeclared uniform/
+        )
+    })
+
+    test('rejects defaults of the wrong shape', () => {
+        assert.throws(
+            () => normalizeShaderDefinition('brand', {
+                fragment: FRAGMENT,
+                uniforms: { u_tint: 'vec3' },
+                defaults: { u_tint: [1, 0] }
+            }),
+            /not a valid vec3/
+        )
+    })
+})
+
+describe('isValidUniformValue', () => {
+    test('accepts finite numbers for scalars', () => {
+        assert.ok(isValidUniformValue('float', 0.5))
+        assert.ok(isValidUniformValue('int', 3))
+        assert.ok(!isValidUniformValue('float', NaN))
+        assert.ok(!isValidUniformValue('float', '1'))
+    })
+
+    test('accepts booleans for bool', () => {
+        assert.ok(isValidUniformValue('bool', true))
+        assert.ok(isValidUniformValue('bool', 0))
+        assert.ok(!isValidUniformValue('float', true))
+    })
+
+    test('checks vector length', () => {
+        assert.ok(isValidUniformValue('vec2', [0, 1]))
+        assert.ok(isValidUniformValue('vec4', [0, 1, 2, 3]))
+        assert.ok(!isValidUniformValue('vec3', [0, 1, 2, 3]))
+        assert.ok(!isValidUniformValue('vec2', [0, Infinity]))
+    })
+
+    test('rejects unknown types', () => {
+        assert.ok(!isValidUniformValue('mat3', 1))
+    })
+})
+
+describe('registry', () => {
+    test('stores and returns definitions', () => {
+        const definition = normalizeShaderDefinition('registry-test', { fragment: FRAGMENT })
+        addCustomShader('registry-test', definition)
+
+        assert.strictEqual(getCustomShader('registry-test'), definition)
+        assert.ok(getCustomShaderNames().includes('registry-test'))
+    })
+
+    test('refuses duplicate names', () => {
+        const definition = normalizeShaderDefinition('registry-dup', { fragment: FRAGMENT })
+        addCustomShader('registry-dup', definition)
+        assert.throws(() => addCustomShader('registry-dup', definition), /already registered/)
+    })
+
+    test('returns undefined for unknown names', () => {
+        assert.strictEqual(getCustomShader('not-registered'), undefined)
+    })
+})
@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    BLEND_MODES,
+    MAX_LAYERS,
+    normalizeLayer,
+    normalizeLayers,
+    parseLayers
+} from '../../src/card/EffectLayers.js'
+
+describe('BLEND_MODES', () => {
+    test('uses valid WebGL blend factor names', () => {
+        const factors = ['ZERO', 'ONE', 'SRC_COLOR', 'ONE_MINUS_SRC_COLOR', 'DST_COLOR', 'ONE_MINUS_DST_COLOR',
+            'SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA', 'DST_ALPHA', 'ONE_MINUS_DST_ALPHA']
+        for (const [mode, [src, dst]] of Object.entries(BLEND_MODES)) {
+            assert.ok(factors.includes(src), `${mode} src factor`)
+            assert.ok(factors.includes(dst), `${mode} dst factor`)
+        }
+    })
+})
+
+describe('normalizeLayer', () => {
+    test('fills in defaults', () => {
+        assert.deepStrictEqual(normalizeLayer({ shader: 'galaxy' }), {
+            shader: 'galaxy',
+            mask: 'full',
+            blend: 'normal',
+            opacity: 1,
+            params: null
+        })
+    })
+
+    test('accepts a bare shader name', () => {
+        assert.strictEqual(normalizeLayer('foil').shader, 'foil')
+    })
+
+    test('clamps opacity', () => {
+        assert.strictEqual(normalizeLayer({ shader: 'foil', opacity: 2 }).opacity, 1)
+        assert.strictEqual(normalizeLayer({ shader: 'foil', opacity: -1 }).opacity, 0)
+    })
+
+    test('copies params', () => {
+        const params = { sparkleIntensity: 2 }
+        const layer = normalizeLayer({ shader: 'foil', params })
+        params.sparkleIntensity = 3
+        assert.deepStrictEqual(layer.params, { sparkleIntensity: 2 })
+    })
+
+    test('rejects missing shaders', () => {
+        assert.throws(() => normalizeLayer({ mask: 'border' }), /needs a shader/)
+    })
+
+    test('rejects unknown blend modes', () => {
+        assert.throws(() => normalizeLayer({ shader: 'foil', blend: 'overlay' }), /unknown blend mode/)
+    })
+
+    test('rejects non-numeric opacity', () => {
+        assert.throws(() => normalizeLayer({ shader: 'foil', opacity: 'half' }), /opacity/)
+    })
+
+    test('rejects non-object params', () => {
+        assert.throws(() => normalizeLayer({ shader: 'foil', params: [1] }), /params/)
+    })
+})
+
+describe('normalizeLayers', () => {
+    test('returns an empty list for null', () => {
+        assert.deepStrictEqual(normalizeLayers(null), [])
+    })
+
+    test('drops invalid layers with a warning', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        const layers = normalizeLayers([{ shader: 'foil' }, { shader: 'galaxy', blend: 'overlay' }])
+        assert.deepStrictEqual(layers.map(l => l.shader), ['foil'])
+        assert.strictEqual(console.warn.mock.callCount(), 1)
+    })
+
+    test('caps the number of layers', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        const layers = normalizeLayers(Array.from({ length: MAX_LAYERS + 2 }, () => 'foil'))
+        assert.strictEqual(layers.length, MAX_LAYERS)
+    })
+
+    test('rejects non-arrays', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.deepStrictEqual(normalizeLayers({ shader: 'foil' }), [])
+    })
+})
+
+describe('parseLayers', () => {
+    test('returns an empty list for empty values', () => {
+        assert.deepStrictEqual(parseLayers(null), [])
+        assert.deepStrictEqual(parseLayers(' '), [])
+    })
+
+    test('parses JSON arrays', () => {
+        assert.deepStrictEqual(parseLayers('[{"shader": "galaxy", "mask": "art-window"}]'), [
+            { shader: 'galaxy', mask: 'art-window' }
+        ])
+    })
+
+    test('parses the compact list form', () => {
+        assert.deepStrictEqual(parseLayers('foil border, galaxy art-window screen 0.8'), [
+            { shader: 'foil', mask: 'border' },
+            { shader: 'galaxy', mask: 'art-window', blend: 'screen', opacity: 0.8 }
+        ])
+    })
+
+    test('accepts tokens in any order', () => {
+        assert.deepStrictEqual(parseLayers('starburst 0.5 add center'), [
+            { shader: 'starburst', opacity: 0.5, blend: 'add', mask: 'center' }
+        ])
+    })
+
+    test('returns an empty list for invalid JSON', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.deepStrictEqual(parseLayers('[{shader}]'), [])
+    })
+})
@@ -0,0 +1,155 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { buildCardMeshData } from '../../src/core/Geometry.js'
+
+const EPSILON = 1e-6
+const FLOATS_PER_VERTEX = 11
+
+function approxEqual(a, b, epsilon = EPSILON) {
+    return Math.abs(a - b) < epsilon
+}
+
+function vertexAt(vertices, index) {
+    const o = index * FLOATS_PER_VERTEX
+    return {
+        position: [vertices[o], vertices[o + 1], vertices[o + 2]],
+        uv: [vertices[o + 3], vertices[o + 4]],
+        normal: [vertices[o + 5], vertices[o + 6], vertices[o + 7]],
+        tangent: [vertices[o + 8], vertices[o + 9], vertices[o + 10]]
+    }
+}
+
+// Signed area of a triangle projected onto XY (positive = counter-clockwise seen from +Z)
+function signedAreaXY(vertices, a, b, c) {
+    const [ax, ay] = vertexAt(vertices, a).position
+    const [bx, by] = vertexAt(vertices, b).position
+    const [cx, cy] = vertexAt(vertices, c).position
+    return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax)
+}
+
+describe('buildCardMeshData', () => {
+    test('uses the 11-float vertex layout', () => {
+        const { vertices } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0.01 })
+        assert.strictEqual(vertices.length % FLOATS_PER_VERTEX, 0)
+    })
+
+    test('all indices reference existing vertices', () => {
+        const { vertices, indices } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0.01 })
+        const vertexCount = vertices.length / FLOATS_PER_VERTEX
+        for (const index of indices) {
+            assert.ok(index < vertexCount)
+        }
+    })
+
+    test('flat card has front and back ranges only', () => {
+        const { ranges } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0 })
+        assert.ok(ranges.front)
+        assert.ok(ranges.back)
+        assert.strictEqual(ranges.edge, undefined)
+    })
+
+    test('thick card adds an edge range', () => {
+        const { ranges, indices } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0.02 })
+        assert.ok(ranges.edge)
+        assert.strictEqual(ranges.edge.offset + ranges.edge.count, indices.length)
+    })
+
+    test('ranges are contiguous', () => {
+        const { ranges } = buildCardMeshData({ thickness: 0.02 })
+        assert.strictEqual(ranges.front.offset, 0)
+        assert.strictEqual(ranges.back.offset, ranges.front.count)
+        assert.strictEqual(ranges.edge.offset, ranges.back.offset + ranges.back.count)
+    })
+
+    test('faces sit at half the thickness', () => {
+        const { vertices, ranges, indices } = buildCardMeshData({ thickness: 0.02 })
+        const front = vertexAt(vertices, indices[ranges.front.offset])
+        const back = vertexAt(vertices, indices[ranges.back.offset])
+        assert.ok(approxEqual(front.position[2], 0.01))
+        assert.ok(approxEqual(back.position[2], -0.01))
+    })
+
+    test('stays within card bounds', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6, cornerRadius: 0.1, thickness: 0.02 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const [x, y] = vertexAt(vertices, i).position
+            assert.ok(Math.abs(x) <= 0.5 + EPSILON)
+            assert.ok(Math.abs(y) <= 0.8 + EPSILON)
+        }
+    })
+
+    test('rounded corners cut the corner point', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6, cornerRadius: 0.1 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const [x, y] = vertexAt(vertices, i).position
+            assert.ok(!(approxEqual(Math.abs(x), 0.5) && approxEqual(Math.abs(y), 0.8)))
+        }
+    })
+
+    test('square corners keep the corner point', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6, cornerRadius: 0 })
+        let found = false
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const [x, y] = vertexAt(vertices, i).position
+            if (approxEqual(x, 0.5) && approxEqual(y, 0.8)) found = true
+        }
+        assert.ok(found)
+    })
+
+    test('clamps corner radius to half the short side', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6, cornerRadius: 5 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const [x] = vertexAt(vertices, i).position
+            assert.ok(Math.abs(x) <= 0.5 + EPSILON)
+        }
+    })
+
+    test('face UVs follow position with top-left origin', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const { position, uv, normal } = vertexAt(vertices, i)
+            if (normal[2] !== 1) continue
+            assert.ok(approxEqual(uv[0], position[0] + 0.5))
+            assert.ok(approxEqual(uv[1], 0.5 - position[1] / 1.6))
+        }
+    })
+
+    test('back face mirrors U', () => {
+        const { vertices } = buildCardMeshData({ width: 1, height: 1.6 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const { position, uv, normal } = vertexAt(vertices, i)
+            if (normal[2] !== -1) continue
+            assert.ok(approxEqual(uv[0], 0.5 - position[0]))
+        }
+    })
+
+    test('front triangles wind counter-clockwise, back triangles clockwise', () => {
+        const { vertices, indices, ranges } = buildCardMeshData({ cornerRadius: 0.05 })
+        for (let i = ranges.front.offset; i < ranges.front.offset + ranges.front.count; i += 3) {
+            assert.ok(signedAreaXY(vertices, indices[i], indices[i + 1], indices[i + 2]) >= 0)
+        }
+        for (let i = ranges.back.offset; i < ranges.back.offset + ranges.back.count; i += 3) {
+            assert.ok(signedAreaXY(vertices, indices[i], indices[i + 1], indices[i + 2]) <= 0)
+        }
+    })
+
+    test('edge normals point outward and are unit length', () => {
+        const { vertices, indices, ranges } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0.02 })
+        for (let i = ranges.edge.offset; i < ranges.edge.offset + ranges.edge.count; i++) {
+            const { position, normal } = vertexAt(vertices, indices[i])
+            assert.ok(approxEqual(Math.hypot(...normal), 1))
+            assert.strictEqual(normal[2], 0)
+            // Outward: normal points away from the card center
+            assert.ok(position[0] * normal[0] + position[1] * normal[1] > 0)
+        }
+    })
+
+    test('tangents are perpendicular to normals', () => {
+        const { vertices } = buildCardMeshData({ cornerRadius: 0.05, thickness: 0.02 })
+        for (let i = 0; i < vertices.length / FLOATS_PER_VERTEX; i++) {
+            const { normal, tangent } = vertexAt(vertices, i)
+            const dot = normal[0] * tangent[0] + normal[1] * tangent[1] + normal[2] * tangent[2]
+            assert.ok(approxEqual(dot, 0))
+        }
+    })
+})
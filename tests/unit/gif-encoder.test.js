@@ -0,0 +1,204 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    GifEncoder,
+    PALETTE,
+    TRANSPARENT_INDEX,
+    quantizeFrame,
+    lzwEncode
+} from '../../src/utils/GifEncoder.js'
+
+/**
+ * Reference GIF LZW decoder (test-only)
+ */
+function lzwDecode(bytes, minCodeSize) {
+    const clearCode = 1 << minCodeSize
+    const eoiCode = clearCode + 1
+    let codeSize = minCodeSize + 1
+    let dict = []
+    let prev = null
+    const out = []
+
+    const resetDict = () => {
+        dict = []
+        for (let i = 0; i < clearCode; i++) dict.push([i])
+        dict.push(null, null)
+        codeSize = minCodeSize + 1
+        prev = null
+    }
+    resetDict()
+
+    let bitPos = 0
+    const read = (size) => {
+        let code = 0
+        for (let i = 0; i < size; i++) {
+            const byte = bytes[(bitPos + i) >> 3]
+            const bit = (byte >> ((bitPos + i) & 7)) & 1
+            code |= bit << i
+        }
+        bitPos += size
+        return code
+    }
+
+    while (bitPos + codeSize <= bytes.length * 8) {
+        const code = read(codeSize)
+        if (code === clearCode) {
+            resetDict()
+            continue
+        }
+        if (code === eoiCode) break
+
+        let entry
+        if (code < dict.length) {
+            entry = dict[code]
+        } else {
+            entry = [...prev, prev[0]]
+        }
+        out.push(...entry)
+
+        if (prev && dict.length < 4096) {
+            dict.push([...prev, entry[0]])
+            if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++
+        }
+        prev = entry
+    }
+
+    return out
+}
+
+function solidFrame(width, height, [r, g, b, a]) {
+    const rgba = new Uint8Array(width * height * 4)
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba[i] = r
+        rgba[i + 1] = g
+        rgba[i + 2] = b
+        rgba[i + 3] = a
+    }
+    return rgba
+}
+
+/**
+ * Collect Graphic Control Extension delays from encoded bytes
+ */
+function readDelays(bytes) {
+    const delays = []
+    for (let i = 0; i < bytes.length - 5; i++) {
+        if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04) {
+            delays.push(bytes[i + 4] | (bytes[i + 5] << 8))
+        }
+    }
+    return delays
+}
+
+describe('PALETTE', () => {
+    test('has 256 RGB entries', () => {
+        assert.strictEqual(PALETTE.length, 768)
+    })
+
+    test('contains pure black and white', () => {
+        assert.deepStrictEqual([...PALETTE.slice(0, 3)], [0, 0, 0])
+        const last = (TRANSPARENT_INDEX - 1) * 3
+        assert.deepStrictEqual([...PALETTE.slice(last, last + 3)], [255, 255, 255])
+    })
+})
+
+describe('quantizeFrame', () => {
+    test('maps black and white to palette extremes', () => {
+        const indices = quantizeFrame(Uint8Array.from([0, 0, 0, 255, 255, 255, 255, 255]))
+        assert.strictEqual(indices[0], 0)
+        assert.strictEqual(indices[1], TRANSPARENT_INDEX - 1)
+    })
+
+    test('maps low alpha to the transparent index', () => {
+        const indices = quantizeFrame(Uint8Array.from([255, 0, 0, 10]))
+        assert.strictEqual(indices[0], TRANSPARENT_INDEX)
+    })
+
+    test('picks a palette colour close to the input', () => {
+        const input = [200, 100, 50, 255]
+        const [index] = quantizeFrame(Uint8Array.from(input))
+        const color = PALETTE.slice(index * 3, index * 3 + 3)
+        for (let c = 0; c < 3; c++) {
+            assert.ok(Math.abs(color[c] - input[c]) <= 26)
+        }
+    })
+})
+
+describe('lzwEncode', () => {
+    test('round-trips a short sequence', () => {
+        const input = Uint8Array.from([1, 2, 1, 2, 1, 2, 3, 3, 3, 3])
+        assert.deepStrictEqual(lzwDecode(lzwEncode(input, 8), 8), [...input])
+    })
+
+    test('round-trips an empty sequence', () => {
+        assert.deepStrictEqual(lzwDecode(lzwEncode(new Uint8Array(0), 8), 8), [])
+    })
+
+    test('round-trips long input that fills the code table', () => {
+        const input = new Uint8Array(40000)
+        let seed = 7
+        for (let i = 0; i < input.length; i++) {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff
+            input[i] = seed % 200
+        }
+        assert.deepStrictEqual(lzwDecode(lzwEncode(input, 8), 8), [...input])
+    })
+
+    test('compresses repetitive input', () => {
+        const input = new Uint8Array(10000).fill(5)
+        assert.ok(lzwEncode(input, 8).length < input.length / 10)
+    })
+})
+
+describe('GifEncoder', () => {
+    test('starts with a GIF89a header and ends with a trailer', () => {
+        const gif = new GifEncoder(2, 2)
+        gif.addFrame(solidFrame(2, 2, [255, 0, 0, 255]), 100)
+        const bytes = gif.finish()
+
+        assert.strictEqual(String.fromCharCode(...bytes.slice(0, 6)), 'GIF89a')
+        assert.strictEqual(bytes[bytes.length - 1], 0x3b)
+    })
+
+    test('writes logical screen size little-endian', () => {
+        const bytes = new GifEncoder(300, 2).finish()
+        assert.strictEqual(bytes[6] | (bytes[7] << 8), 300)
+        assert.strictEqual(bytes[8] | (bytes[9] << 8), 2)
+    })
+
+    test('includes a looping NETSCAPE2.0 extension', () => {
+        const bytes = new GifEncoder(1, 1).finish()
+        const text = String.fromCharCode(...bytes)
+        assert.ok(text.includes('NETSCAPE2.0'))
+    })
+
+    test('counts frames', () => {
+        const gif = new GifEncoder(1, 1)
+        gif.addFrame(solidFrame(1, 1, [0, 0, 0, 255]), 50)
+        gif.addFrame(solidFrame(1, 1, [255, 255, 255, 255]), 50)
+        assert.strictEqual(gif.frameCount, 2)
+    })
+
+    test('rejects frames of the wrong size', () => {
+        const gif = new GifEncoder(2, 2)
+        assert.throws(() => gif.addFrame(new Uint8Array(4), 10))
+    })
+
+    test('carries delay rounding so the average matches the frame rate', () => {
+        const gif = new GifEncoder(1, 1)
+        for (let i = 0; i < 30; i++) {
+            gif.addFrame(solidFrame(1, 1, [0, 0, 0, 255]), 1000 / 30)
+        }
+        const delays = readDelays(gif.finish())
+        assert.strictEqual(delays.length, 30)
+        assert.strictEqual(delays.reduce((a, b) => a + b, 0), 100)
+    })
+
+    test('identical frames encode identically', () => {
+        const a = new GifEncoder(4, 4)
+        const b = new GifEncoder(4, 4)
+        a.addFrame(solidFrame(4, 4, [10, 200, 30, 255]), 40)
+        b.addFrame(solidFrame(4, 4, [10, 200, 30, 255]), 40)
+        assert.deepStrictEqual(a.finish(), b.finish())
+    })
+})
@@ -0,0 +1,242 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { orientationToTilt } from '../../src/input/GyroDriver.js'
+import { applyDeadzone } from '../../src/input/GamepadDriver.js'
+import { KeyboardDriver } from '../../src/input/KeyboardDriver.js'
+import { ProgrammaticDriver } from '../../src/input/ProgrammaticDriver.js'
+import { CONFIG } from '../../src/config.js'
+
+const EPSILON = 1e-6
+
+function approxEqual(a, b, epsilon = EPSILON) {
+    return Math.abs(a - b) < epsilon
+}
+
+/**
+ * Minimal event target stand-in for DOM elements
+ */
+function createFakeTarget() {
+    const listeners = new Map()
+    return {
+        addEventListener(type, fn) {
+            if (!listeners.has(type)) listeners.set(type, new Set())
+            listeners.get(type).add(fn)
+        },
+        removeEventListener(type, fn) {
+            listeners.get(type)?.delete(fn)
+        },
+        dispatch(type, event = {}) {
+            for (const fn of listeners.get(type) ?? []) fn(event)
+        },
+        listenerCount(type) {
+            return listeners.get(type)?.size ?? 0
+        }
+    }
+}
+
+function keyEvent(key) {
+    return { key, defaultPrevented: false, preventDefault() { this.defaultPrevented = true } }
+}
+
+describe('orientationToTilt', () => {
+    const rest = { beta: 45, gamma: 0 }
+
+    test('returns zero tilt at rest', () => {
+        const { x, y } = orientationToTilt(45, 0, rest, 0, 20)
+        assert.ok(approxEqual(x, 0))
+        assert.ok(approxEqual(y, 0))
+    })
+
+    test('maps gamma to horizontal tilt', () => {
+        const { x, y } = orientationToTilt(45, 10, rest, 0, 20)
+        assert.ok(approxEqual(x, 0.5))
+        assert.ok(approxEqual(y, 0))
+    })
+
+    test('maps beta to vertical tilt relative to rest', () => {
+        const { x, y } = orientationToTilt(35, 0, rest, 0, 20)
+        assert.ok(approxEqual(x, 0))
+        assert.ok(approxEqual(y, -0.5))
+    })
+
+    test('clamps to -1..1 beyond the range', () => {
+        const { x, y } = orientationToTilt(135, -80, rest, 0, 20)
+        assert.strictEqual(x, -1)
+        assert.strictEqual(y, 1)
+    })
+
+    test('rotates axes for landscape (90°)', () => {
+        const { x, y } = orientationToTilt(55, 0, rest, 90, 20)
+        assert.ok(approxEqual(x, 0.5))
+        assert.ok(approxEqual(y, 0))
+    })
+
+    test('inverts axes for upside-down portrait (180°)', () => {
+        const { x, y } = orientationToTilt(55, 10, rest, 180, 20)
+        assert.ok(approxEqual(x, -0.5))
+        assert.ok(approxEqual(y, -0.5))
+    })
+
+    test('rotates axes for landscape (270°)', () => {
+        const { x, y } = orientationToTilt(45, 10, rest, 270, 20)
+        assert.ok(approxEqual(x, 0))
+        assert.ok(approxEqual(y, 0.5))
+    })
+
+    test('treats negative angles like their positive equivalent', () => {
+        const a = orientationToTilt(55, 10, rest, -90, 20)
+        const b = orientationToTilt(55, 10, rest, 270, 20)
+        assert.deepStrictEqual(a, b)
+    })
+
+    test('defaults to CONFIG.gyro.range', () => {
+        const { x } = orientationToTilt(45, CONFIG.gyro.range / 2, rest)
+        assert.ok(approxEqual(x, 0.5))
+    })
+})
+
+describe('applyDeadzone', () => {
+    test('returns null inside the dead zone', () => {
+        assert.strictEqual(applyDeadzone(0.05, 0.05, 0.2), null)
+    })
+
+    test('rescales so the dead zone edge maps to zero', () => {
+        const result = applyDeadzone(0.6, 0, 0.2)
+        assert.ok(approxEqual(result.x, 0.5))
+        assert.ok(approxEqual(result.y, 0))
+    })
+
+    test('full deflection maps to 1', () => {
+        const result = applyDeadzone(0, -1, 0.2)
+        assert.ok(approxEqual(result.y, -1))
+    })
+
+    test('keeps the stick direction', () => {
+        const result = applyDeadzone(0.5, 0.5, 0.1)
+        assert.ok(approxEqual(result.x, result.y))
+    })
+})
+
+describe('ProgrammaticDriver', () => {
+    test('is inactive until a pointer is set', () => {
+        const driver = new ProgrammaticDriver()
+        assert.strictEqual(driver.getInput(), null)
+    })
+
+    test('reports the set pointer', () => {
+        const driver = new ProgrammaticDriver()
+        driver.setPointer(0.25, -0.5)
+        assert.deepStrictEqual(driver.getInput(), { x: 0.25, y: -0.5 })
+    })
+
+    test('clamps to -1..1', () => {
+        const driver = new ProgrammaticDriver()
+        driver.setPointer(3, -3)
+        assert.deepStrictEqual(driver.getInput(), { x: 1, y: -1 })
+    })
+
+    test('null releases control', () => {
+        const driver = new ProgrammaticDriver()
+        driver.setPointer(0.5, 0.5)
+        driver.setPointer(null, null)
+        assert.strictEqual(driver.getInput(), null)
+    })
+
+    test('setTilt flips y into pointer space', () => {
+        const driver = new ProgrammaticDriver()
+        driver.setTilt(0.25, 0.5)
+        assert.deepStrictEqual(driver.getInput(), { x: 0.25, y: -0.5 })
+    })
+
+    test('getState/setState round-trip keeps the mode', () => {
+        const driver = new ProgrammaticDriver()
+        driver.setTilt(0.25, 0.5)
+        const state = driver.getState()
+        assert.deepStrictEqual(state, { mode: 'tilt', x: 0.25, y: 0.5 })
+
+        driver.setPointer(1, 1)
+        driver.setState(state)
+        assert.deepStrictEqual(driver.getState(), state)
+        assert.deepStrictEqual(driver.getInput(), { x: 0.25, y: -0.5 })
+
+        driver.setState(null)
+        assert.strictEqual(driver.getInput(), null)
+    })
+
+    test('outranks the other built-in drivers', () => {
+        const keyboard = new KeyboardDriver(createFakeTarget())
+        assert.ok(new ProgrammaticDriver().priority > keyboard.priority)
+    })
+})
+
+describe('KeyboardDriver', () => {
+    test('attaches and detaches key listeners', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        assert.strictEqual(target.listenerCount('keydown'), 1)
+        driver.detach()
+        assert.strictEqual(target.listenerCount('keydown'), 0)
+        assert.strictEqual(target.listenerCount('keyup'), 0)
+    })
+
+    test('is inactive with no keys held', () => {
+        const driver = new KeyboardDriver(createFakeTarget())
+        driver.update(0.016)
+        assert.strictEqual(driver.getInput(), null)
+    })
+
+    test('eases toward the held direction', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        target.dispatch('keydown', keyEvent('ArrowRight'))
+        driver.update(0.05)
+        const first = driver.getInput()
+        assert.ok(first.x > 0 && first.x < 1)
+        driver.update(1)
+        assert.ok(approxEqual(driver.getInput().x, 1))
+    })
+
+    test('ArrowUp tilts toward negative y', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        target.dispatch('keydown', keyEvent('ArrowUp'))
+        driver.update(1)
+        assert.ok(driver.getInput().y < 0)
+    })
+
+    test('prevents page scroll for arrow keys only', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        const arrow = keyEvent('ArrowLeft')
+        const letter = keyEvent('a')
+        target.dispatch('keydown', arrow)
+        target.dispatch('keydown', letter)
+        assert.strictEqual(arrow.defaultPrevented, true)
+        assert.strictEqual(letter.defaultPrevented, false)
+    })
+
+    test('returns to rest and releases after key up', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        target.dispatch('keydown', keyEvent('ArrowDown'))
+        driver.update(1)
+        target.dispatch('keyup', keyEvent('ArrowDown'))
+        for (let i = 0; i < 20; i++) driver.update(1)
+        assert.strictEqual(driver.getInput(), null)
+    })
+
+    test('blur releases held keys', () => {
+        const target = createFakeTarget()
+        const driver = new KeyboardDriver(target)
+        driver.attach({})
+        target.dispatch('keydown', keyEvent('ArrowLeft'))
+        target.dispatch('blur')
+        for (let i = 0; i < 20; i++) driver.update(1)
+        assert.strictEqual(driver.getInput(), null)
+    })
+})
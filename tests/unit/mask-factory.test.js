@@ -1,6 +1,16 @@
 import { test, describe } from 'node:test'
 import assert from 'node:assert'
-import { smoothstep } from '../../src/core/MaskFactory.js'
+import {
+    smoothstep,
+    MASK_SHAPE_NAMES,
+    sampleMaskShape,
+    isMaskImageUrl,
+    parseMask,
+    collectMaskImages,
+    evaluateMask,
+    getMaskSize
+} from '../../src/core/MaskFactory.js'
+import { CONFIG } from '../../src/config.js'
 
 const EPSILON = 1e-6
 
@@ -91,3 +101,182 @@ describe('smoothstep', () => {
         assert.ok(isNaN(result), 'division by zero produces NaN')
     })
 })
+
+describe('sampleMaskShape', () => {
+    test('samples every shape within 0-1', () => {
+        for (const name of MASK_SHAPE_NAMES) {
+            const values = sampleMaskShape(name, 16, 24)
+            assert.strictEqual(values.length, 16 * 24)
+            assert.ok(values.every(v => v >= 0 && v <= 1), `${name} values in range`)
+        }
+    })
+
+    test('border is on at the edge and off in the middle', () => {
+        const values = sampleMaskShape('border', 20, 20)
+        assert.strictEqual(values[0], 1)
+        assert.strictEqual(values[10 * 20 + 10], 0)
+    })
+
+    test('art-window is the inverse of its window', () => {
+        const values = sampleMaskShape('art-window', 20, 20)
+        assert.strictEqual(values[0], 1)
+        assert.strictEqual(values[8 * 20 + 10], 0)
+    })
+
+    test('throws on unknown shapes', () => {
+        assert.throws(() => sampleMaskShape('stripes', 4, 4), /Unknown mask shape/)
+    })
+})
+
+describe('isMaskImageUrl', () => {
+    test('detects URLs and image paths', () => {
+        assert.ok(isMaskImageUrl('https://example.com/mask'))
+        assert.ok(isMaskImageUrl('data:image/png;base64,AAAA'))
+        assert.ok(isMaskImageUrl('./masks/foil.png'))
+        assert.ok(isMaskImageUrl('foil-spot.webp?v=2'))
+    })
+
+    test('does not treat mask names or expressions as URLs', () => {
+        assert.ok(!isMaskImageUrl('border'))
+        assert.ok(!isMaskImageUrl('border+radial-center'))
+        assert.ok(!isMaskImageUrl('invert(art-window)'))
+    })
+})
+
+describe('parseMask', () => {
+    test('parses shape names', () => {
+        assert.deepStrictEqual(parseMask('art-window'), { type: 'shape', name: 'art-window' })
+    })
+
+    test('treats URLs and image objects as images', () => {
+        assert.deepStrictEqual(parseMask('masks/foil.png'), { type: 'image', source: 'masks/foil.png' })
+        const canvas = { width: 4, height: 4 }
+        assert.deepStrictEqual(parseMask(canvas), { type: 'image', source: canvas })
+    })
+
+    test('parses operators with precedence', () => {
+        assert.deepStrictEqual(parseMask('border + center*0.5'), {
+            type: 'op',
+            op: 'add',
+            args: [
+                { type: 'shape', name: 'border' },
+                { type: 'op', op: 'multiply', args: [{ type: 'shape', name: 'center' }, { type: 'number', value: 0.5 }] }
+            ]
+        })
+    })
+
+    test('keeps dashes inside names and subtracts with spaces', () => {
+        assert.strictEqual(parseMask('border+radial-center').args[1].name, 'radial-center')
+        assert.strictEqual(parseMask('art-window - center').op, 'subtract')
+    })
+
+    test('parses functions and url()', () => {
+        assert.deepStrictEqual(parseMask("multiply(url('foil.png'), invert(border))"), {
+            type: 'op',
+            op: 'multiply',
+            args: [
+                { type: 'image', source: 'foil.png' },
+                { type: 'op', op: 'invert', args: [{ type: 'shape', name: 'border' }] }
+            ]
+        })
+    })
+
+    test('parses parentheses', () => {
+        assert.strictEqual(parseMask('(border+center)*0.5').op, 'multiply')
+    })
+
+    test('rejects unknown names with a hint for dashes', () => {
+        assert.throws(() => parseMask('stripes'), /unknown mask 'stripes'/)
+        assert.throws(() => parseMask('border-center'), /spaces around -/)
+    })
+
+    test('rejects unknown functions and wrong arity', () => {
+        assert.throws(() => parseMask('blur(border)'), /unknown function 'blur'/)
+        assert.throws(() => parseMask('invert(border, center)'), /invert\(\) takes 1 argument/)
+        assert.throws(() => parseMask('subtract(border)'), /subtract\(\) takes 2 arguments/)
+    })
+
+    test('rejects malformed expressions', () => {
+        assert.throws(() => parseMask('border+'), /Invalid mask/)
+        assert.throws(() => parseMask('(border'), /expected '\)'/)
+        assert.throws(() => parseMask('border center'), /unexpected 'c'/)
+        assert.throws(() => parseMask(''), /mask must be/)
+    })
+})
+
+describe('collectMaskImages', () => {
+    test('lists unique image sources', () => {
+        const node = parseMask('max(url(a.png), multiply(url(b.png), url(a.png)), border)')
+        assert.deepStrictEqual(collectMaskImages(node), ['a.png', 'b.png'])
+    })
+
+    test('returns nothing for procedural masks', () => {
+        assert.deepStrictEqual(collectMaskImages(parseMask('border+center')), [])
+    })
+})
+
+describe('evaluateMask', () => {
+    const W = 20
+    const H = 20
+    const noImages = () => assert.fail('no images expected')
+
+    test('invert flips a shape', () => {
+        const border = sampleMaskShape('border', W, H)
+        const inverted = evaluateMask(parseMask('invert(border)'), W, H, noImages)
+        for (let i = 0; i < border.length; i++) assert.strictEqual(inverted[i], 1 - border[i])
+    })
+
+    test('add clamps to 1', () => {
+        const values = evaluateMask(parseMask('full+full'), W, H, noImages)
+        assert.ok(values.every(v => v === 1))
+    })
+
+    test('subtract clamps to 0', () => {
+        const values = evaluateMask(parseMask('border - full'), W, H, noImages)
+        assert.ok(values.every(v => v === 0))
+    })
+
+    test('multiply scales by constants', () => {
+        const values = evaluateMask(parseMask('full*0.25'), W, H, noImages)
+        assert.ok(values.every(v => v === 0.25))
+    })
+
+    test('screen combines like light', () => {
+        const values = evaluateMask(parseMask('screen(0.5, 0.5)'), W, H, noImages)
+        assert.ok(values.every(v => Math.abs(v - 0.75) < 1e-6))
+    })
+
+    test('max unions shapes', () => {
+        const values = evaluateMask(parseMask('max(border, center)'), W, H, noImages)
+        assert.strictEqual(values[0], 1)
+        assert.strictEqual(values[10 * W + 10], 1)
+    })
+
+    test('samples images through the callback', () => {
+        const calls = []
+        const values = evaluateMask(parseMask('multiply(url(foil.png), 0.5)'), W, H, (source, w, h) => {
+            calls.push([source, w, h])
+            return new Float32Array(w * h).fill(0.8)
+        })
+        assert.deepStrictEqual(calls, [['foil.png', W, H]])
+        assert.ok(values.every(v => Math.abs(v - 0.4) < 1e-6))
+    })
+})
+
+describe('getMaskSize', () => {
+    test('uses the configured size without images', () => {
+        assert.deepStrictEqual(getMaskSize([]), {
+            width: CONFIG.textures.maskWidth,
+            height: CONFIG.textures.maskHeight
+        })
+    })
+
+    test('uses the largest image', () => {
+        const images = [{ naturalWidth: 300, naturalHeight: 480 }, { width: 600, height: 960 }]
+        assert.deepStrictEqual(getMaskSize(images), { width: 600, height: 960 })
+    })
+
+    test('caps very large images, keeping the aspect ratio', () => {
+        assert.deepStrictEqual(getMaskSize([{ width: 4096, height: 6554 }]), { width: 1280, height: 2048 })
+    })
+})
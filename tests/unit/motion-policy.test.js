@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    MOTION_MODES,
+    MotionPolicy,
+    isReducedMotion,
+    getFrameInterval,
+    shouldDrawFrame
+} from '../../src/lib/MotionPolicy.js'
+import { CONFIG } from '../../src/config.js'
+
+describe('isReducedMotion', () => {
+    test('auto follows the system setting', () => {
+        assert.strictEqual(isReducedMotion('auto', true), true)
+        assert.strictEqual(isReducedMotion('auto', false), false)
+    })
+
+    test('full and reduced ignore the system setting', () => {
+        assert.strictEqual(isReducedMotion('full', true), false)
+        assert.strictEqual(isReducedMotion('reduced', false), true)
+    })
+
+    test('lists every mode', () => {
+        assert.deepStrictEqual(MOTION_MODES, ['auto', 'full', 'reduced'])
+    })
+})
+
+describe('getFrameInterval', () => {
+    test('is uncapped by default', () => {
+        assert.strictEqual(getFrameInterval(0), 0)
+    })
+
+    test('caps at maxFps', () => {
+        assert.strictEqual(getFrameInterval(30), 1000 / 30)
+    })
+
+    test('low power caps at the low-power rate', () => {
+        assert.strictEqual(getFrameInterval(0, true), 1000 / CONFIG.motion.lowPowerFps)
+    })
+
+    test('keeps the lower of maxFps and the low-power rate', () => {
+        assert.strictEqual(getFrameInterval(10, true), 100)
+        assert.strictEqual(getFrameInterval(120, true), 1000 / CONFIG.motion.lowPowerFps)
+    })
+})
+
+describe('shouldDrawFrame', () => {
+    test('draws every frame without an interval', () => {
+        assert.strictEqual(shouldDrawFrame(0, 0), true)
+    })
+
+    test('skips frames inside the interval', () => {
+        assert.strictEqual(shouldDrawFrame(16.7, 1000 / 30), false)
+        assert.strictEqual(shouldDrawFrame(33.4, 1000 / 30), true)
+    })
+
+    test('tolerates timestamp jitter', () => {
+        assert.strictEqual(shouldDrawFrame(32, 1000 / 30), true)
+    })
+})
+
+describe('MotionPolicy', () => {
+    test('getInstance returns a singleton', () => {
+        assert.strictEqual(MotionPolicy.getInstance(), MotionPolicy.getInstance())
+    })
+
+    test('notifies subscribers of changes only', () => {
+        const policy = new MotionPolicy()
+        const calls = []
+        policy.subscribe(p => calls.push(p.hidden))
+
+        policy._update({ hidden: true })
+        policy._update({ hidden: true })
+        policy._update({ hidden: false })
+        assert.deepStrictEqual(calls, [true, false])
+    })
+
+    test('unsubscribe stops notifications', () => {
+        const policy = new MotionPolicy()
+        let calls = 0
+        const unsubscribe = policy.subscribe(() => calls++)
+        unsubscribe()
+        unsubscribe()  // Safe to call twice
+
+        policy._update({ prefersReducedMotion: true })
+        assert.strictEqual(calls, 0)
+        assert.strictEqual(policy.prefersReducedMotion, true)
+    })
+
+    test('clears low power when the last subscriber leaves', () => {
+        const policy = new MotionPolicy()
+        const unsubscribe = policy.subscribe(() => {})
+        policy._update({ lowPower: true })
+        unsubscribe()
+        assert.strictEqual(policy.lowPower, false)
+    })
+})
@@ -1,6 +1,6 @@
 import { test, describe } from 'node:test'
 import assert from 'node:assert'
-import { seededRandom, hslToRgb } from '../../src/core/ProceduralTextures.js'
+import { seededRandom, hashSeed, createSeededRandom, hslToRgb, computeNormalMapData, computeDepthMapData } from '../../src/core/ProceduralTextures.js'
 
 const EPSILON = 1e-6
 
@@ -47,6 +47,59 @@ describe('seededRandom', () => {
     })
 })
 
+describe('hashSeed', () => {
+    test('passes numbers through', () => {
+        assert.strictEqual(hashSeed(42), 42)
+        assert.strictEqual(hashSeed(-1.5), -1.5)
+    })
+
+    test('parses numeric strings', () => {
+        assert.strictEqual(hashSeed('42'), 42)
+    })
+
+    test('hashes other strings deterministically', () => {
+        assert.strictEqual(hashSeed('card-abc'), hashSeed('card-abc'))
+        assert.notStrictEqual(hashSeed('card-abc'), hashSeed('card-abd'))
+    })
+
+    test('keeps hashed seeds in a small range', () => {
+        const value = hashSeed('a much longer seed string')
+        assert.ok(Number.isInteger(value) && value >= 0 && value < 1000000)
+    })
+})
+
+describe('createSeededRandom', () => {
+    test('same seed gives the same sequence', () => {
+        const a = createSeededRandom(42)
+        const b = createSeededRandom(42)
+        for (let i = 0; i < 20; i++) {
+            assert.strictEqual(a(), b())
+        }
+    })
+
+    test('different seeds give different sequences', () => {
+        const a = createSeededRandom(1)
+        const b = createSeededRandom(2)
+        const seqA = Array.from({ length: 5 }, a)
+        const seqB = Array.from({ length: 5 }, b)
+        assert.notDeepStrictEqual(seqA, seqB)
+    })
+
+    test('string and numeric-string seeds work', () => {
+        assert.strictEqual(createSeededRandom('42')(), createSeededRandom(42)())
+        assert.strictEqual(createSeededRandom('xyz')(), createSeededRandom('xyz')())
+    })
+
+    test('values are in [0, 1) and vary', () => {
+        const random = createSeededRandom(7)
+        const values = Array.from({ length: 200 }, random)
+        assert.ok(values.every(v => v >= 0 && v < 1))
+        assert.ok(new Set(values).size > 190)
+        const mean = values.reduce((a, b) => a + b, 0) / values.length
+        assert.ok(mean > 0.35 && mean < 0.65)
+    })
+})
+
 describe('hslToRgb', () => {
     test('converts red (0°)', () => {
         const [r, g, b] = hslToRgb(0, 1.0, 0.5)
@@ -150,3 +203,112 @@ describe('hslToRgb', () => {
         })
     })
 })
+
+describe('computeNormalMapData', () => {
+    // Grey RGBA image whose brightness is given per pixel by fn(x, y) (0-255)
+    function image(width, height, fn) {
+        const pixels = new Uint8ClampedArray(width * height * 4)
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4
+                pixels[i] = pixels[i + 1] = pixels[i + 2] = fn(x, y)
+                pixels[i + 3] = 255
+            }
+        }
+        return pixels
+    }
+
+    function normalAt(data, width, x, y) {
+        const i = (y * width + x) * 4
+        return [data[i], data[i + 1], data[i + 2]].map(v => v / 255 * 2 - 1)
+    }
+
+    test('flat images point straight out of the card', () => {
+        const data = computeNormalMapData(image(4, 4, () => 128), 4, 4)
+        assert.strictEqual(data.length, 4 * 4 * 4)
+        for (let i = 0; i < data.length; i += 4) {
+            assert.deepStrictEqual([...data.subarray(i, i + 4)], [128, 128, 255, 255])
+        }
+    })
+
+    test('brightness rising to the right tilts normals left', () => {
+        const data = computeNormalMapData(image(8, 8, x => x * 30), 8, 8)
+        const [nx, ny, nz] = normalAt(data, 8, 4, 4)
+        assert.ok(nx < -0.1, `nx = ${nx}`)
+        assert.ok(Math.abs(ny) < 0.01, `ny = ${ny}`)
+        assert.ok(nz > 0)
+    })
+
+    test('brightness rising down the image tilts normals up (green = up)', () => {
+        const data = computeNormalMapData(image(8, 8, (x, y) => y * 30), 8, 8)
+        const [nx, ny] = normalAt(data, 8, 4, 4)
+        assert.ok(ny > 0.1, `ny = ${ny}`)
+        assert.ok(Math.abs(nx) < 0.01, `nx = ${nx}`)
+    })
+
+    test('strength steepens the slopes', () => {
+        const pixels = image(8, 8, x => x * 10)
+        const soft = normalAt(computeNormalMapData(pixels, 8, 8, 1), 8, 4, 4)
+        const steep = normalAt(computeNormalMapData(pixels, 8, 8, 8), 8, 4, 4)
+        assert.ok(steep[0] < soft[0])
+    })
+
+    test('outputs unit-length normals', () => {
+        const data = computeNormalMapData(image(8, 8, (x, y) => (x * 37 + y * 91) % 256), 8, 8)
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                const [nx, ny, nz] = normalAt(data, 8, x, y)
+                assert.ok(approxEqual(Math.hypot(nx, ny, nz), 1, 0.02))
+            }
+        }
+    })
+})
+
+describe('computeDepthMapData', () => {
+    // RGBA image from fn(x, y) -> [grey, alpha]
+    function image(width, height, fn) {
+        const pixels = new Uint8ClampedArray(width * height * 4)
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const [grey, alpha = 255] = fn(x, y)
+                const i = (y * width + x) * 4
+                pixels[i] = pixels[i + 1] = pixels[i + 2] = grey
+                pixels[i + 3] = alpha
+            }
+        }
+        return pixels
+    }
+
+    const depthAt = (data, width, x, y) => data[(y * width + x) * 4]
+
+    test('outputs opaque greyscale covering the full range', () => {
+        const data = computeDepthMapData(image(32, 32, (x) => [x * 8]), 32, 32)
+        let min = 255
+        let max = 0
+        for (let i = 0; i < data.length; i += 4) {
+            assert.strictEqual(data[i], data[i + 1])
+            assert.strictEqual(data[i], data[i + 2])
+            assert.strictEqual(data[i + 3], 255)
+            min = Math.min(min, data[i])
+            max = Math.max(max, data[i])
+        }
+        assert.strictEqual(min, 0)
+        assert.strictEqual(max, 255)
+    })
+
+    test('a bright subject stands in front of a dark backdrop', () => {
+        const inSubject = (x, y) => x >= 24 && x < 40 && y >= 24 && y < 40
+        const data = computeDepthMapData(image(64, 64, (x, y) => [inSubject(x, y) ? 230 : 30]), 64, 64)
+        assert.ok(depthAt(data, 64, 32, 32) > depthAt(data, 64, 4, 4) + 100)
+    })
+
+    test('transparent pixels are background', () => {
+        const data = computeDepthMapData(image(32, 32, (x) => [200, x < 16 ? 0 : 255]), 32, 32)
+        assert.ok(depthAt(data, 32, 4, 16) < depthAt(data, 32, 27, 16))
+    })
+
+    test('is deterministic', () => {
+        const pixels = image(16, 16, (x, y) => [(x * 37 + y * 91) % 256])
+        assert.deepStrictEqual(computeDepthMapData(pixels, 16, 16), computeDepthMapData(pixels, 16, 16))
+    })
+})
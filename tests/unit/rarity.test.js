@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    RARITY_OPTIONS,
+    RARITY_PRESETS,
+    normalizeRarity,
+    registerRarity,
+    getRarityNames,
+    getRarityOptions
+} from '../../src/card/Rarity.js'
+import { CARD_SHADERS } from '../../src/lib/ShaderRegistry.js'
+
+const DEFAULTS = {
+    shader: 'holographic',
+    mask: 'full',
+    variant: null,
+    bloom: 0.95,
+    shaderParams: null,
+    layers: null
+}
+
+describe('RARITY_PRESETS', () => {
+    test('lists the tiers lowest first', () => {
+        assert.deepStrictEqual(Object.keys(RARITY_PRESETS), ['common', 'uncommon', 'rare', 'ultra', 'secret'])
+    })
+
+    test('uses built-in shaders and valid options', () => {
+        const shaders = Object.keys(CARD_SHADERS)
+        for (const [name, preset] of Object.entries(RARITY_PRESETS)) {
+            assert.ok(shaders.includes(preset.shader), `${name} uses unknown shader ${preset.shader}`)
+            for (const layer of preset.layers ?? []) {
+                assert.ok(shaders.includes(layer.shader), `${name} layer uses unknown shader ${layer.shader}`)
+            }
+            assert.doesNotThrow(() => normalizeRarity(name, preset))
+        }
+    })
+})
+
+describe('normalizeRarity', () => {
+    test('copies the preset', () => {
+        const preset = { shader: 'foil', bloom: 1 }
+        const normalized = normalizeRarity('test', preset)
+        assert.deepStrictEqual(normalized, preset)
+        assert.notStrictEqual(normalized, preset)
+    })
+
+    test('rejects invalid presets', () => {
+        assert.throws(() => normalizeRarity('x', null), /must be an object/)
+        assert.throws(() => normalizeRarity('x', ['foil']), /must be an object/)
+        assert.throws(() => normalizeRarity('x', { size: 'xl' }), /unknown option 'size'/)
+        assert.throws(() => normalizeRarity('x', { bloom: 3 }), /bloom/)
+        assert.throws(() => normalizeRarity('x', { variant: 'not-a-colour' }), /invalid variant/)
+        assert.throws(() => normalizeRarity('x', { shaderParams: [1] }), /shaderParams/)
+        assert.throws(() => normalizeRarity('x', { layers: 'galaxy' }), /layers/)
+    })
+})
+
+describe('getRarityOptions', () => {
+    test('fills options the preset leaves out from defaults', () => {
+        const options = getRarityOptions('rare', DEFAULTS)
+        assert.deepStrictEqual(Object.keys(options), RARITY_OPTIONS)
+        assert.strictEqual(options.shader, 'foil')
+        assert.strictEqual(options.mask, 'border')
+        assert.strictEqual(options.variant, null)
+        assert.strictEqual(options.layers, null)
+    })
+
+    test('rejects unknown rarities', () => {
+        assert.throws(() => getRarityOptions('mythic', DEFAULTS), /unknown rarity 'mythic'/)
+    })
+})
+
+describe('registerRarity', () => {
+    test('adds and replaces presets', () => {
+        registerRarity('test-mythic', { shader: 'galaxy', variant: 'purple' })
+        assert.ok(getRarityNames().includes('test-mythic'))
+        assert.strictEqual(getRarityOptions('test-mythic', DEFAULTS).variant, 'purple')
+
+        registerRarity('test-mythic', { shader: 'cracked-ice' })
+        const options = getRarityOptions('test-mythic', DEFAULTS)
+        assert.strictEqual(options.shader, 'cracked-ice')
+        assert.strictEqual(options.variant, null)
+    })
+
+    test('validates before registering', () => {
+        assert.throws(() => registerRarity('test-broken', { bloom: -1 }), /bloom/)
+        assert.ok(!getRarityNames().includes('test-broken'))
+        assert.throws(() => registerRarity('', {}), /non-empty/)
+    })
+})
@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    parseRichText,
+    stripRichText,
+    registerTextIcon,
+    getTextIcon,
+    getIconWidth
+} from '../../src/factories/RichText.js'
+
+const plain = { bold: false, italic: false, color: null, icon: null }
+
+describe('parseRichText', () => {
+    test('returns plain text as one run', () => {
+        assert.deepStrictEqual(parseRichText('Pikachu'), [{ text: 'Pikachu', ...plain }])
+    })
+
+    test('returns no runs for empty text', () => {
+        assert.deepStrictEqual(parseRichText(''), [])
+    })
+
+    test('splits bold and italic spans', () => {
+        assert.deepStrictEqual(parseRichText('Dark [b]Charizard[/b] [i]ex[/i]'), [
+            { text: 'Dark ', ...plain },
+            { text: 'Charizard', ...plain, bold: true },
+            { text: ' ', ...plain },
+            { text: 'ex', ...plain, italic: true }
+        ])
+    })
+
+    test('nests styles', () => {
+        assert.deepStrictEqual(parseRichText('[color=#ff5252]Fire [b]Blast[/b][/color]'), [
+            { text: 'Fire ', ...plain, color: '#ff5252' },
+            { text: 'Blast', ...plain, color: '#ff5252', bold: true }
+        ])
+    })
+
+    test('inner colours win', () => {
+        const runs = parseRichText('[color=red]a[color=blue]b[/color]c[/color]')
+        assert.deepStrictEqual(runs.map(run => run.color), ['red', 'blue', 'red'])
+    })
+
+    test('adds icon runs in the current style', () => {
+        assert.deepStrictEqual(parseRichText('[b]HP [icon=heart][/b]'), [
+            { text: 'HP ', ...plain, bold: true },
+            { text: '', ...plain, bold: true, icon: 'heart' }
+        ])
+    })
+
+    test('keeps emoji as text', () => {
+        assert.deepStrictEqual(parseRichText('⚡ Pikachu'), [{ text: '⚡ Pikachu', ...plain }])
+    })
+
+    test('runs unclosed tags to the end', () => {
+        assert.deepStrictEqual(parseRichText('a[b]b'), [
+            { text: 'a', ...plain },
+            { text: 'b', ...plain, bold: true }
+        ])
+    })
+
+    test('keeps stray, mismatched and unknown tags literal', () => {
+        assert.strictEqual(stripRichText('a[/b]b'), 'a[/b]b')
+        assert.strictEqual(stripRichText('[b]a[/i]b[/b]'), 'a[/i]b')
+        assert.strictEqual(stripRichText('[u]a[/u]'), '[u]a[/u]')
+        assert.strictEqual(stripRichText('[color]a[/color]'), '[color]a[/color]')
+        assert.strictEqual(stripRichText('[b=1]a'), '[b=1]a')
+        assert.strictEqual(stripRichText('[icon=]'), '[icon=]')
+    })
+})
+
+describe('stripRichText', () => {
+    test('removes markup and icons', () => {
+        assert.strictEqual(stripRichText('[b]HP[/b] [icon=heart]120'), 'HP 120')
+    })
+})
+
+describe('text icons', () => {
+    test('registers drawable images', async () => {
+        const canvas = { width: 64, height: 32 }
+        registerTextIcon('test-icon', canvas)
+        const icon = getTextIcon('test-icon')
+        assert.strictEqual(icon.image, canvas)
+        await icon.ready
+    })
+
+    test('rejects empty names', () => {
+        assert.throws(() => registerTextIcon('', {}), /non-empty/)
+    })
+
+    test('returns undefined for unknown icons', () => {
+        assert.strictEqual(getTextIcon('no-such-icon'), undefined)
+    })
+})
+
+describe('getIconWidth', () => {
+    test('scales to the font size', () => {
+        assert.strictEqual(getIconWidth({ width: 64, height: 32 }, 20), 40)
+        assert.strictEqual(getIconWidth({ naturalWidth: 10, naturalHeight: 10, width: 0, height: 0 }, 20), 20)
+    })
+
+    test('is 0 without a size', () => {
+        assert.strictEqual(getIconWidth({ width: 0, height: 0 }, 20), 0)
+    })
+})
@@ -95,6 +95,28 @@ describe('ShaderManager', () => {
         })
     })
 
+    describe('loadCustomShader', () => {
+        test('compiles against the registry base vertex and registers it', () => {
+            const gl = createMockGL()
+            const sources = []
+            gl.shaderSource = (shader, source) => sources.push(source)
+            const manager = new ShaderManager(gl, {
+                shaderRegistry: { BASE_VERTEX: 'base-vertex-source' }
+            })
+
+            const program = manager.loadCustomShader('brand', { fragment: 'fragment-source' })
+
+            assert.deepStrictEqual(sources, ['base-vertex-source', 'fragment-source'])
+            assert.strictEqual(manager.get('brand'), program)
+            assert.ok(manager.getNames().includes('brand'))
+        })
+
+        test('throws without a shader registry', () => {
+            const manager = new ShaderManager(createMockGL())
+            assert.throws(() => manager.loadCustomShader('brand', { fragment: 'x' }), /registry/)
+        })
+    })
+
     describe('get', () => {
         test('returns registered shader', () => {
             const gl = createMockGL()
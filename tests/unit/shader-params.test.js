@@ -0,0 +1,167 @@
+import { test, describe, mock } from 'node:test'
+import assert from 'node:assert'
+import {
+    getShaderParamSchema,
+    resolveShaderParam,
+    resolveShaderParams,
+    applyShaderParams,
+    parseShaderParams
+} from '../../src/shaders/ShaderParams.js'
+import { normalizeShaderDefinition, addCustomShader } from '../../src/shaders/CustomShaders.js'
+import { SHADER_PARAMS } from '../../src/lib/ShaderRegistry.js'
+
+const FRAGMENT = `#version 300 es
+precision highp float;
+out vec4 fragColor;
+void main() { fragColor = vec4(1.0); }
+`
+
+function createMockShader() {
+    return {
+        setUniform1f: mock.fn(),
+        setUniform1i: mock.fn(),
+        setUniform2f: mock.fn(),
+        setUniform3f: mock.fn(),
+        setUniform4f: mock.fn()
+    }
+}
+
+addCustomShader('params-test', normalizeShaderDefinition('params-test', {
+    fragment: FRAGMENT,
+    uniforms: { u_speed: 'float', u_count: 'int', u_on: 'bool', u_offset: 'vec2', u_tint: 'vec3', u_rect: 'vec4', u_unset: 'float' },
+    defaults: { u_speed: 2, u_count: 3, u_on: true, u_offset: [1, 2], u_tint: [1, 0, 0], u_rect: [0, 0, 1, 1] }
+}))
+
+describe('getShaderParamSchema', () => {
+    test('returns the generated schema for built-in shaders', () => {
+        assert.strictEqual(getShaderParamSchema('holographic'), SHADER_PARAMS.holographic)
+        assert.strictEqual(getShaderParamSchema('holographic').sparkleDensity.uniform, 'u_sparkleDensity')
+    })
+
+    test('derives a schema from custom shader uniforms', () => {
+        const schema = getShaderParamSchema('params-test')
+        assert.deepStrictEqual(schema.speed, { uniform: 'u_speed', type: 'float', default: 2 })
+        assert.deepStrictEqual(schema.tint, { uniform: 'u_tint', type: 'vec3', default: [1, 0, 0] })
+    })
+
+    test('reuses the derived schema', () => {
+        assert.strictEqual(getShaderParamSchema('params-test'), getShaderParamSchema('params-test'))
+    })
+
+    test('returns an empty schema for unknown shaders', () => {
+        assert.deepStrictEqual(getShaderParamSchema('not-a-shader'), {})
+    })
+})
+
+describe('resolveShaderParam', () => {
+    const density = { uniform: 'u_density', type: 'float', default: 80, min: 10, max: 300 }
+    const rays = { uniform: 'u_rays', type: 'int', default: 12, min: 3, max: 64 }
+
+    test('uses the default when no value is given', () => {
+        assert.strictEqual(resolveShaderParam(density, undefined), 80)
+        assert.strictEqual(resolveShaderParam(density, null), 80)
+    })
+
+    test('clamps to the declared range', () => {
+        assert.strictEqual(resolveShaderParam(density, 5), 10)
+        assert.strictEqual(resolveShaderParam(density, 1000), 300)
+        assert.strictEqual(resolveShaderParam(density, 120), 120)
+    })
+
+    test('rounds ints', () => {
+        assert.strictEqual(resolveShaderParam(rays, 16.6), 17)
+    })
+
+    test('falls back to the default for invalid values', () => {
+        assert.strictEqual(resolveShaderParam(density, 'lots'), 80)
+        assert.strictEqual(resolveShaderParam(density, NaN), 80)
+        assert.strictEqual(resolveShaderParam(density, [1, 2]), 80)
+    })
+
+    test('accepts vectors of the right size', () => {
+        const tint = { uniform: 'u_tint', type: 'vec3', default: [1, 1, 1] }
+        assert.deepStrictEqual(resolveShaderParam(tint, [0, 0.5, 1]), [0, 0.5, 1])
+        assert.deepStrictEqual(resolveShaderParam(tint, [0, 0.5]), [1, 1, 1])
+    })
+})
+
+describe('resolveShaderParams', () => {
+    test('resolves every parameter of the shader', () => {
+        const resolved = resolveShaderParams('holographic', { sparkleDensity: 120, unknown: 1 })
+        assert.deepStrictEqual(Object.keys(resolved), Object.keys(SHADER_PARAMS.holographic))
+        assert.strictEqual(resolved.sparkleDensity, 120)
+        assert.strictEqual(resolved.fresnelPower, SHADER_PARAMS.holographic.fresnelPower.default)
+    })
+})
+
+describe('applyShaderParams', () => {
+    test('uploads values with the setter for each type', () => {
+        const shader = createMockShader()
+        applyShaderParams(shader, getShaderParamSchema('params-test'), null)
+
+        assert.deepStrictEqual(shader.setUniform1f.mock.calls.map(c => c.arguments), [['u_speed', 2]])
+        assert.deepStrictEqual(shader.setUniform1i.mock.calls.map(c => c.arguments), [['u_count', 3], ['u_on', 1]])
+        assert.deepStrictEqual(shader.setUniform2f.mock.calls[0].arguments, ['u_offset', 1, 2])
+        assert.deepStrictEqual(shader.setUniform3f.mock.calls[0].arguments, ['u_tint', 1, 0, 0])
+        assert.deepStrictEqual(shader.setUniform4f.mock.calls[0].arguments, ['u_rect', 0, 0, 1, 1])
+    })
+
+    test('skips parameters without a value or default', () => {
+        const shader = createMockShader()
+        applyShaderParams(shader, getShaderParamSchema('params-test'), null)
+        assert.ok(!shader.setUniform1f.mock.calls.some(c => c.arguments[0] === 'u_unset'))
+    })
+
+    test('applies overrides by parameter name', () => {
+        const shader = createMockShader()
+        applyShaderParams(shader, getShaderParamSchema('holographic'), { sparkleDensity: 150 })
+        const call = shader.setUniform1f.mock.calls.find(c => c.arguments[0] === 'u_sparkleDensity')
+        assert.deepStrictEqual(call.arguments, ['u_sparkleDensity', 150])
+    })
+
+    test('uploads int parameters with setUniform1i', () => {
+        const shader = createMockShader()
+        applyShaderParams(shader, getShaderParamSchema('parallax'), { numLayers: 3 })
+        assert.deepStrictEqual(shader.setUniform1i.mock.calls[0].arguments, ['u_numLayers', 3])
+    })
+})
+
+describe('parseShaderParams', () => {
+    test('returns null for empty values', () => {
+        assert.strictEqual(parseShaderParams(null), null)
+        assert.strictEqual(parseShaderParams('  '), null)
+    })
+
+    test('parses JSON', () => {
+        assert.deepStrictEqual(parseShaderParams('{"sparkleDensity": 120, "tint": [1, 0, 0]}'), {
+            sparkleDensity: 120,
+            tint: [1, 0, 0]
+        })
+    })
+
+    test('parses name: value lists', () => {
+        assert.deepStrictEqual(parseShaderParams('sparkleDensity: 120; numRays: 16;'), {
+            sparkleDensity: 120,
+            numRays: 16
+        })
+    })
+
+    test('parses vectors and booleans', () => {
+        assert.deepStrictEqual(parseShaderParams('tint: 1 0.5 0; offset: 0.1, 0.2; on: true'), {
+            tint: [1, 0.5, 0],
+            offset: [0.1, 0.2],
+            on: true
+        })
+    })
+
+    test('skips malformed entries', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.deepStrictEqual(parseShaderParams('sparkleDensity: lots; numRays: 16; junk'), { numRays: 16 })
+        assert.strictEqual(console.warn.mock.callCount(), 2)
+    })
+
+    test('returns null for invalid JSON', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.strictEqual(parseShaderParams('{sparkleDensity: 120}'), null)
+    })
+})
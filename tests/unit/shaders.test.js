@@ -2,6 +2,7 @@ import { test, describe } from 'node:test'
 import assert from 'node:assert'
 import { readFile } from 'node:fs/promises'
 import { parser, generate } from '@shaderfrog/glsl-parser'
+import { SHADER_PARAMS, CARD_SHADERS } from '../../src/lib/ShaderRegistry.js'
 
 const SHADERS_DIR = new URL('../../src/shaders/', import.meta.url)
 
@@ -32,7 +33,7 @@ function extractUniforms(ast) {
             const qualifiers = node.declaration.specified_type.qualifiers
             const hasUniform = qualifiers.some(q => q.token === 'uniform')
             if (hasUniform) {
-                const typeName = node.declaration.specified_type.specifier?.token
+                const typeName = node.declaration.specified_type.specifier?.specifier?.token
                 const declarations = node.declaration.declarations || []
                 for (const decl of declarations) {
                     uniforms.push({
@@ -58,7 +59,7 @@ function extractAttributes(ast) {
             const hasIn = qualifiers.some(q => q.token === 'in')
             const hasLayout = qualifiers.some(q => q.type === 'layout_qualifier')
             if (hasIn && hasLayout) {
-                const typeName = node.declaration.specified_type.specifier?.token
+                const typeName = node.declaration.specified_type.specifier?.specifier?.token
                 const declarations = node.declaration.declarations || []
                 for (const decl of declarations) {
                     attributes.push({
@@ -183,9 +184,69 @@ describe('Effect Shaders', () => {
             assert.ok(ast, `${name} AST should be generated`)
             assert.ok(ast.program.length > 0, `${name} should have program nodes`)
         })
+
+        test(`${name} declares u_layerOpacity for overlay layers`, async () => {
+            const source = await readShader(shaderPath)
+            const uniformNames = extractUniforms(parseGLSL(source)).map(u => u.name)
+            assert.ok(uniformNames.includes('u_layerOpacity'), `${name} should have u_layerOpacity`)
+        })
+
+        test(`${name} perturbs its lighting with the normal map`, async () => {
+            const source = await readShader(shaderPath)
+            const uniformNames = extractUniforms(parseGLSL(source)).map(u => u.name)
+            assert.ok(uniformNames.includes('u_normalMap'), `${name} should have u_normalMap`)
+            assert.ok(uniformNames.includes('u_normalStrength'), `${name} should have u_normalStrength`)
+            assert.ok(source.includes('#include "normal-map.glsl"'), `${name} should include normal-map.glsl`)
+        })
+
+        test(`${name} tints parallels with variant gradients`, async () => {
+            const source = await readShader(shaderPath)
+            const uniformNames = extractUniforms(parseGLSL(source)).map(u => u.name)
+            for (const uniform of ['u_variantColor', 'u_variantStopCount', 'u_variantStops', 'u_variantGradient']) {
+                assert.ok(uniformNames.includes(uniform), `${name} should have ${uniform}`)
+            }
+            assert.ok(source.includes('#include "variant.glsl"'), `${name} should include variant.glsl`)
+        })
+
+        test(`${name} declares every tunable parameter as a uniform`, async () => {
+            const source = await readShader(shaderPath)
+            const uniforms = extractUniforms(parseGLSL(source))
+            const params = Object.values(SHADER_PARAMS[name])
+            assert.ok(params.length > 0, `${name} should have tunable parameters`)
+            for (const param of params) {
+                const uniform = uniforms.find(u => u.name === param.uniform)
+                assert.ok(uniform, `${name} should declare ${param.uniform}`)
+                assert.strictEqual(uniform.type, param.type)
+                assert.ok(param.min <= param.default && param.default <= param.max,
+                    `${param.uniform} default should be within its range`)
+            }
+        })
+    }
+})
+
+describe('Built Shader Registry', () => {
+    for (const [name, shader] of Object.entries(CARD_SHADERS)) {
+        test(`${name} parses with includes resolved`, () => {
+            assert.ok(!shader.fragment.includes('#include'), `${name} should have no unresolved includes`)
+            assert.ok(parseGLSL(shader.fragment), `${name} AST should be generated`)
+        })
     }
 })
 
+describe('Material Shaders', () => {
+    test('edge shader parses without errors', async () => {
+        const source = await readShader('edge/edge.frag.glsl')
+        const ast = parseGLSL(source)
+        assert.ok(ast, 'AST should be generated')
+    })
+
+    test('edge shader exposes u_edgeColor', async () => {
+        const source = await readShader('edge/edge.frag.glsl')
+        const uniformNames = extractUniforms(parseGLSL(source)).map(u => u.name)
+        assert.ok(uniformNames.includes('u_edgeColor'), 'should have u_edgeColor')
+    })
+})
+
 describe('GLSL Syntax Validation', () => {
     test('detects invalid GLSL syntax', () => {
         const invalidGLSL = `#version 300 es
@@ -0,0 +1,185 @@
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import {
+    SharedViewportContext,
+    getViewportRect,
+    intersectViewports,
+    isViewportVisible
+} from '../../src/lib/SharedViewportContext.js'
+
+describe('getViewportRect', () => {
+    test('flips the rect to GL coordinates', () => {
+        const rect = { left: 10, top: 20, width: 100, height: 160 }
+        assert.deepStrictEqual(getViewportRect(rect, 1, 600), [10, 420, 100, 160])
+    })
+
+    test('scales by the device pixel ratio', () => {
+        const rect = { left: 10, top: 20, width: 100, height: 160 }
+        assert.deepStrictEqual(getViewportRect(rect, 2, 1200), [20, 840, 200, 320])
+    })
+
+    test('keeps rects scrolled partly off screen', () => {
+        const rect = { left: 0, top: -50, width: 100, height: 160 }
+        assert.deepStrictEqual(getViewportRect(rect, 1, 600), [0, 490, 100, 160])
+    })
+
+    test('returns null for empty rects', () => {
+        assert.strictEqual(getViewportRect({ left: 0, top: 0, width: 0, height: 160 }, 1, 600), null)
+    })
+})
+
+describe('isViewportVisible', () => {
+    test('is visible when overlapping the canvas', () => {
+        assert.strictEqual(isViewportVisible([0, 490, 100, 160], 800, 600), true)
+        assert.strictEqual(isViewportVisible([-50, -50, 100, 100], 800, 600), true)
+    })
+
+    test('is hidden when entirely outside the canvas', () => {
+        assert.strictEqual(isViewportVisible([0, 600, 100, 160], 800, 600), false)
+        assert.strictEqual(isViewportVisible([0, -160, 100, 160], 800, 600), false)
+        assert.strictEqual(isViewportVisible([800, 0, 100, 160], 800, 600), false)
+    })
+})
+
+describe('intersectViewports', () => {
+    test('returns the overlap', () => {
+        assert.deepStrictEqual(intersectViewports([0, 0, 100, 100], [50, 20, 100, 50]), [50, 20, 50, 50])
+    })
+
+    test('returns null when the rects only touch or are apart', () => {
+        assert.strictEqual(intersectViewports([0, 0, 100, 100], [100, 0, 50, 50]), null)
+        assert.strictEqual(intersectViewports([0, 0, 100, 100], [0, 300, 50, 50]), null)
+    })
+})
+
+describe('SharedViewportContext', () => {
+    const originals = {
+        requestAnimationFrame: globalThis.requestAnimationFrame,
+        cancelAnimationFrame: globalThis.cancelAnimationFrame,
+        getComputedStyle: globalThis.getComputedStyle,
+        window: globalThis.window,
+        document: globalThis.document
+    }
+    let frames
+    let cancelled
+
+    beforeEach(() => {
+        frames = []
+        cancelled = []
+        globalThis.requestAnimationFrame = (callback) => frames.push(callback)
+        globalThis.cancelAnimationFrame = (id) => cancelled.push(id)
+        globalThis.getComputedStyle = (node) => node.style
+        globalThis.window = { devicePixelRatio: 1 }
+        globalThis.document = { body: createElement(null), documentElement: createElement(null) }
+    })
+
+    afterEach(() => {
+        SharedViewportContext.reset()
+        Object.assign(globalThis, originals)
+    })
+
+    // Element stand-in with a fixed client rect
+    function createElement(rect, parentElement = null, overflow = 'visible') {
+        return {
+            parentElement,
+            style: { overflowX: overflow, overflowY: overflow },
+            getBoundingClientRect: () => rect
+        }
+    }
+
+    // Shared context stand-in on an 800x600 canvas, recording gl calls
+    function createShared() {
+        const calls = []
+        const gl = new Proxy({ calls }, {
+            get: (target, name) => name in target ? target[name] : (...args) => calls.push([name, ...args])
+        })
+        const shared = SharedViewportContext.getInstance()
+        shared.context = {
+            gl,
+            canvas: { width: 800, height: 600, clientWidth: 800, clientHeight: 600 },
+            generation: 0,
+            isLost: false,
+            isValid: () => true,
+            resize() {},
+            destroy() {}
+        }
+        return shared
+    }
+
+    // Run the pending animation frame
+    function runFrame() {
+        const pending = frames
+        frames = []
+        for (const callback of pending) callback()
+    }
+
+    test('starts one animation loop for every attached card', () => {
+        const shared = createShared()
+        const a = shared.attach('a', createElement({ left: 0, top: 0, width: 10, height: 10 }))
+        shared.attach('b', createElement({ left: 0, top: 0, width: 10, height: 10 }))
+
+        assert.strictEqual(frames.length, 1)
+        assert.strictEqual(shared.attach('a', null), a)
+        assert.strictEqual(shared.getStats().attached, 2)
+    })
+
+    test('stops the loop and clears the canvas when the last card detaches', () => {
+        const shared = createShared()
+        const a = shared.attach('a', createElement({ left: 0, top: 0, width: 10, height: 10 }))
+        const b = shared.attach('b', createElement({ left: 0, top: 0, width: 10, height: 10 }))
+        runFrame()
+
+        a.release()
+        assert.deepStrictEqual(cancelled, [])
+        shared.context.gl.calls.length = 0
+        b.release()
+        assert.strictEqual(cancelled.length, 1)
+        assert.strictEqual(shared.frameId, null)
+        assert.ok(shared.context.gl.calls.some(([name]) => name === 'clear'))
+    })
+
+    test('clears once, then draws the cards in attach order with their rects', () => {
+        const shared = createShared()
+        const order = []
+        shared.attach('a', createElement({ left: 10, top: 20, width: 100, height: 160 })).onDraw =
+            (viewport) => order.push(['a', viewport])
+        shared.attach('b', createElement({ left: 200, top: 0, width: 100, height: 160 })).onDraw =
+            (viewport) => order.push(['b', viewport])
+        shared.context.gl.calls.length = 0
+
+        runFrame()
+
+        assert.deepStrictEqual(order, [['a', [10, 420, 100, 160]], ['b', [200, 440, 100, 160]]])
+        assert.strictEqual(shared.context.gl.calls.filter(([name]) => name === 'clear').length, 1)
+        assert.strictEqual(frames.length, 1)  // Next frame requested
+    })
+
+    test('skips cards that are off screen', () => {
+        const shared = createShared()
+        const drawn = []
+        shared.attach('a', createElement({ left: 0, top: 700, width: 100, height: 160 })).onDraw = () => drawn.push('a')
+        shared.attach('b', createElement({ left: 0, top: 0, width: 100, height: 160 })).onDraw = () => drawn.push('b')
+
+        runFrame()
+
+        assert.deepStrictEqual(drawn, ['b'])
+        assert.deepStrictEqual(shared.getStats(), { attached: 2, drawn: 1 })
+    })
+
+    test('clips cards to their scroll containers', () => {
+        const shared = createShared()
+        const panel = createElement({ left: 0, top: 100, width: 300, height: 100 }, null, 'auto')
+        const wrapper = createElement({ left: 0, top: 0, width: 800, height: 600 }, panel)
+        const clips = []
+        shared.attach('inside', createElement({ left: 0, top: 50, width: 100, height: 160 }, wrapper)).onDraw =
+            (viewport, clip) => clips.push(['inside', clip])
+        shared.attach('scrolled out', createElement({ left: 0, top: 300, width: 100, height: 160 }, wrapper)).onDraw =
+            (viewport, clip) => clips.push(['scrolled out', clip])
+
+        runFrame()
+
+        // The panel spans y 400-500 in GL coordinates; the card 390-550
+        assert.deepStrictEqual(clips, [['inside', [0, 400, 100, 100]]])
+        assert.strictEqual(shared.getStats().drawn, 1)
+    })
+})
@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { sticker } from '../../src/lib/sticker.js'
+import { Card } from '../../src/card/Card.js'
+import { TextureCache } from '../../src/lib/TextureCache.js'
+
+const GL = {}  // Stand-in WebGL context (only compared by identity)
+
+/**
+ * Texture stand-in that records whether it was destroyed
+ */
+function createFakeTexture(url) {
+    return {
+        url,
+        width: 10,
+        height: 10,
+        destroyed: false,
+        destroy() {
+            this.destroyed = true
+        }
+    }
+}
+
+/**
+ * A sticker with a card and a texture scope but no WebGL: images "load" as
+ * fake textures, and the normal and depth maps are URLs so nothing is
+ * derived from pixels
+ */
+function createSticker(cache) {
+    const card = Object.create(sticker.prototype)
+    return Object.assign(card, {
+        options: { cardSrc: null, cardNormal: 'normal.png', cardDepth: 'depth.png', cardBack: null, mask: 'normal' },
+        gl: GL,
+        canvas: { width: 400, height: 640 },
+        card: new Card(),
+        textureLoader: { load: async (url) => createFakeTexture(url) },
+        textRenderer: null,
+        storedNormalMap: null,
+        storedBrightnessMask: null,
+        storedBackBrightnessMask: null,
+        _textures: cache.createScope(0, GL),
+        _animatedSource: null,
+        _cachedBaseImage: null
+    })
+}
+
+// References the cache counts for a key on context 0
+function refs(cache, key) {
+    return cache.entries.get(`0|${key}`)?.refs ?? 0
+}
+
+describe('sticker texture references', () => {
+    test('swapping the source twice gives back what each swap replaced', async () => {
+        const cache = new TextureCache({ gpuBudget: 10000 })
+        const card = createSticker(cache)
+
+        await card.setCardSrc('a.png')
+        await card.setCardSrc('b.png')
+        assert.strictEqual(refs(cache, 'image:a.png'), 0)
+        assert.strictEqual(refs(cache, 'image:b.png'), 1)
+        assert.strictEqual(refs(cache, 'image:normal.png'), 1)
+        assert.strictEqual(refs(cache, 'image:depth.png'), 1)
+
+        await card.setCardSrc('a.png')
+        assert.strictEqual(refs(cache, 'image:a.png'), 1)
+        assert.strictEqual(refs(cache, 'image:b.png'), 0)
+        assert.strictEqual(refs(cache, 'image:normal.png'), 1)
+        assert.strictEqual(refs(cache, 'image:depth.png'), 1)
+        assert.strictEqual(card.card.getTexture('base').url, 'a.png')
+        assert.strictEqual(card.card.getTexture('effectMask'), card.storedNormalMap)
+    })
+
+    test('swapping the back twice gives back the replaced back', async () => {
+        const cache = new TextureCache({ gpuBudget: 10000 })
+        const card = createSticker(cache)
+        card.options.backMask = 'brightness'
+        // Cached already, so nothing is made from pixels or WebGL
+        for (const key of ['blank', 'brightness:back-a.png', 'brightness:back-b.png']) {
+            cache.release(cache.acquire(0, GL, key, () => createFakeTexture(key)))
+        }
+
+        await card.setCardBack('back-a.png')
+        await card.setCardBack('back-b.png')
+        assert.strictEqual(refs(cache, 'image:back-a.png'), 0)
+        assert.strictEqual(refs(cache, 'brightness:back-a.png'), 0)
+        assert.strictEqual(refs(cache, 'image:back-b.png'), 1)
+        assert.strictEqual(refs(cache, 'brightness:back-b.png'), 1)
+        assert.strictEqual(refs(cache, 'blank'), 1)
+
+        await card.setCardBack(null)
+        assert.strictEqual(refs(cache, 'image:back-b.png'), 0)
+        assert.strictEqual(refs(cache, 'blank'), 0)
+    })
+
+    test('swapping the depth map twice gives back the replaced map', async () => {
+        const cache = new TextureCache({ gpuBudget: 10000 })
+        const card = createSticker(cache)
+        await card.setCardSrc('a.png')
+
+        await card.setCardDepth('depth-b.png')
+        await card.setCardDepth('depth-c.png')
+        assert.strictEqual(refs(cache, 'image:depth.png'), 0)
+        assert.strictEqual(refs(cache, 'image:depth-b.png'), 0)
+        assert.strictEqual(refs(cache, 'image:depth-c.png'), 1)
+        assert.strictEqual(card.card.getTexture('depth').url, 'depth-c.png')
+    })
+})
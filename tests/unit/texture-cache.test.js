@@ -0,0 +1,283 @@
+import { test, describe, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { TextureCache, getTextureBytes } from '../../src/lib/TextureCache.js'
+
+const GL = {}  // Stand-in WebGL context (only compared by identity)
+
+/**
+ * Texture stand-in that records whether it was destroyed
+ */
+function createFakeTexture(width = 10, height = 10) {
+    return {
+        width,
+        height,
+        destroyed: false,
+        destroy() {
+            this.destroyed = true
+        }
+    }
+}
+
+describe('getTextureBytes', () => {
+    test('counts four bytes per texel', () => {
+        assert.strictEqual(getTextureBytes({ width: 4, height: 2 }), 32)
+        assert.strictEqual(getTextureBytes(null), 0)
+    })
+})
+
+describe('TextureCache', () => {
+    test('reuses a texture on the same context and counts hits', () => {
+        const cache = new TextureCache({ gpuBudget: 1000 })
+        const texture = createFakeTexture()
+        const first = cache.acquire(0, GL, 'image:a.png', () => texture)
+        const second = cache.acquire(0, GL, 'image:a.png', () => createFakeTexture())
+
+        assert.strictEqual(first, texture)
+        assert.strictEqual(second, texture)
+        assert.deepStrictEqual(
+            [cache.getStats().hits, cache.getStats().misses, cache.getStats().gpuBytes],
+            [1, 1, 400]
+        )
+    })
+
+    test('keys textures by context id', () => {
+        const cache = new TextureCache({ gpuBudget: 1000 })
+        const a = cache.acquire(0, GL, 'image:a.png', () => createFakeTexture())
+        const b = cache.acquire(1, GL, 'image:a.png', () => createFakeTexture())
+        assert.notStrictEqual(a, b)
+        assert.strictEqual(cache.getStats().textures, 2)
+    })
+
+    test('drops entries left by an older context with the same id', () => {
+        const cache = new TextureCache({ gpuBudget: 1000 })
+        const stale = cache.acquire(0, GL, 'image:a.png', () => createFakeTexture())
+        const fresh = cache.acquire(0, {}, 'image:a.png', () => createFakeTexture())
+        assert.notStrictEqual(stale, fresh)
+        assert.strictEqual(stale.destroyed, true)
+    })
+
+    test('keeps released textures until the budget is exceeded, oldest first', () => {
+        const cache = new TextureCache({ gpuBudget: 800 })
+        const a = cache.acquire(0, GL, 'a', () => createFakeTexture())
+        const b = cache.acquire(0, GL, 'b', () => createFakeTexture())
+        cache.release(a)
+        cache.release(b)
+        assert.strictEqual(cache.getStats().textures, 2)
+
+        // Touch 'a' so 'b' is the least recently used
+        cache.release(cache.acquire(0, GL, 'a', () => createFakeTexture()))
+        cache.acquire(0, GL, 'c', () => createFakeTexture())
+
+        assert.strictEqual(b.destroyed, true)
+        assert.strictEqual(a.destroyed, false)
+        assert.strictEqual(cache.getStats().evictions, 1)
+        assert.strictEqual(cache.getStats().gpuBytes, 800)
+    })
+
+    test('never evicts textures in use', () => {
+        const cache = new TextureCache({ gpuBudget: 100 })
+        const a = cache.acquire(0, GL, 'a', () => createFakeTexture())
+        cache.acquire(0, GL, 'b', () => createFakeTexture())
+        assert.strictEqual(a.destroyed, false)
+        assert.strictEqual(cache.getStats().inUse, 2)
+
+        cache.release(a)
+        assert.strictEqual(a.destroyed, true)
+    })
+
+    test('destroys released textures it does not hold', () => {
+        const cache = new TextureCache()
+        const texture = createFakeTexture()
+        cache.release(texture)
+        assert.strictEqual(texture.destroyed, true)
+    })
+
+    test('shares a load in flight', async () => {
+        const cache = new TextureCache()
+        let loads = 0
+        const create = async () => {
+            loads++
+            return createFakeTexture()
+        }
+        const [a, b] = await Promise.all([
+            cache.load(0, GL, 'image:a.png', create),
+            cache.load(0, GL, 'image:a.png', create)
+        ])
+        assert.strictEqual(loads, 1)
+        assert.strictEqual(a, b)
+        assert.strictEqual(cache.getStats().inUse, 1)
+    })
+
+    test('gives each waiter its own texture when the context is dropped mid-load', async () => {
+        const cache = new TextureCache()
+        let finish
+        const first = cache.load(0, GL, 'image:a.png', () => new Promise(resolve => {
+            finish = resolve
+        }))
+        const second = cache.load(0, GL, 'image:a.png', async () => createFakeTexture())
+        cache.dropContext(0)
+        finish(createFakeTexture())
+
+        const [a, b] = await Promise.all([first, second])
+        assert.notStrictEqual(a, b)
+        cache.release(a)
+        assert.strictEqual(a.destroyed, true)
+        assert.strictEqual(b.destroyed, false)
+        assert.strictEqual(cache.getStats().inUse, 1)
+    })
+
+    test('forgets failed loads', async () => {
+        const cache = new TextureCache()
+        await assert.rejects(cache.load(0, GL, 'image:a.png', async () => {
+            throw new Error('404')
+        }), /404/)
+        assert.strictEqual(cache.getStats().textures, 0)
+    })
+
+    test('dropContext destroys that context\'s textures only', () => {
+        const cache = new TextureCache()
+        const a = cache.acquire(0, GL, 'a', () => createFakeTexture())
+        const b = cache.acquire(1, GL, 'a', () => createFakeTexture())
+        cache.dropContext(0)
+        assert.strictEqual(a.destroyed, true)
+        assert.strictEqual(b.destroyed, false)
+        assert.strictEqual(cache.getStats().gpuBytes, 400)
+    })
+
+    test('resetStats clears the counters only', () => {
+        const cache = new TextureCache()
+        cache.acquire(0, GL, 'a', () => createFakeTexture())
+        cache.resetStats()
+        const stats = cache.getStats()
+        assert.deepStrictEqual([stats.hits, stats.misses, stats.textures], [0, 0, 1])
+    })
+})
+
+describe('TextureScope', () => {
+    test('releaseAll gives every texture back', () => {
+        const cache = new TextureCache()
+        const scope = cache.createScope(0, GL)
+        scope.acquire('a', () => createFakeTexture())
+        scope.acquire('a', () => createFakeTexture())
+        scope.acquire('b', () => createFakeTexture())
+        assert.strictEqual(cache.getStats().inUse, 2)
+
+        scope.releaseAll()
+        assert.strictEqual(cache.getStats().inUse, 0)
+        assert.strictEqual(cache.getStats().textures, 2)
+    })
+
+    test('release only gives back textures the scope holds', () => {
+        const cache = new TextureCache()
+        const scope = cache.createScope(0, GL)
+        const texture = scope.acquire('a', () => createFakeTexture())
+        scope.release(texture)
+        scope.release(texture)
+        assert.strictEqual(cache.entries.get('0|a').refs, 0)
+    })
+
+    test('releases loads that finish after releaseAll', async () => {
+        const cache = new TextureCache()
+        const scope = cache.createScope(0, GL)
+        let finish
+        const loading = scope.load('a', () => new Promise(resolve => {
+            finish = resolve
+        }))
+        scope.releaseAll()
+        finish(createFakeTexture())
+        await loading
+        assert.strictEqual(cache.getStats().inUse, 0)
+    })
+})
+
+describe('TextureCache.decode', () => {
+    const originals = { fetch: globalThis.fetch, createImageBitmap: globalThis.createImageBitmap }
+
+    afterEach(() => {
+        globalThis.fetch = originals.fetch
+        globalThis.createImageBitmap = originals.createImageBitmap
+    })
+
+    // Decodes every URL into a 10x10 "bitmap", counting fetches
+    function stubDecoder() {
+        const counts = { fetches: 0 }
+        globalThis.fetch = async () => {
+            counts.fetches++
+            return { ok: true, blob: async () => ({}) }
+        }
+        globalThis.createImageBitmap = async () => ({
+            width: 10,
+            height: 10,
+            closed: false,
+            close() {
+                this.closed = true
+            }
+        })
+        return counts
+    }
+
+    const keep = image => image
+
+    test('decodes each URL once', async () => {
+        const counts = stubDecoder()
+        const cache = new TextureCache()
+        const a = await cache.decode('https://example.com/a.png', keep)
+        const b = await cache.decode('https://example.com/a.png', keep)
+        assert.strictEqual(a, b)
+        assert.strictEqual(counts.fetches, 1)
+        assert.deepStrictEqual([cache.getStats().decodeHits, cache.getStats().decodedBytes], [1, 400])
+    })
+
+    test('returns what the callback returns', async () => {
+        stubDecoder()
+        const cache = new TextureCache()
+        assert.strictEqual(await cache.decode('https://example.com/a.png', image => image.width * 2), 20)
+    })
+
+    test('closes decoded images beyond the budget, oldest first', async () => {
+        const counts = stubDecoder()
+        const cache = new TextureCache({ decodeBudget: 800 })
+        const a = await cache.decode('https://example.com/a.png', keep)
+        const b = await cache.decode('https://example.com/b.png', keep)
+        await cache.decode('https://example.com/a.png', keep)
+        await cache.decode('https://example.com/c.png', keep)
+
+        assert.deepStrictEqual([...cache.decoded.keys()], ['https://example.com/a.png', 'https://example.com/c.png'])
+        assert.deepStrictEqual([a.closed, b.closed], [false, true])
+        await cache.decode('https://example.com/b.png', keep)
+        assert.strictEqual(counts.fetches, 4)
+    })
+
+    test('keeps images in use until their callback has run', async () => {
+        stubDecoder()
+        const cache = new TextureCache({ decodeBudget: 0 })
+        const seen = await Promise.all([
+            cache.decode('https://example.com/a.png', image => [image, image.closed]),
+            cache.decode('https://example.com/b.png', image => [image, image.closed])
+        ])
+        assert.deepStrictEqual(seen.map(([, closed]) => closed), [false, false])
+        assert.deepStrictEqual(seen.map(([image]) => image.closed), [true, true])
+        assert.strictEqual(cache.getStats().decodedBytes, 0)
+    })
+
+    test('clear closes idle images and images in use once used', async () => {
+        stubDecoder()
+        const cache = new TextureCache()
+        const idle = await cache.decode('https://example.com/a.png', keep)
+        let closedInUse
+        const busy = await cache.decode('https://example.com/b.png', image => {
+            cache.clear()
+            closedInUse = image.closed
+            return image
+        })
+        assert.deepStrictEqual([idle.closed, closedInUse, busy.closed], [true, false, true])
+    })
+
+    test('rejects and forgets failed downloads', async () => {
+        stubDecoder()
+        globalThis.fetch = async () => ({ ok: false, status: 404 })
+        const cache = new TextureCache()
+        await assert.rejects(cache.decode('https://example.com/missing.png', keep), /HTTP 404/)
+        assert.strictEqual(cache.getStats().decoded, 0)
+    })
+})
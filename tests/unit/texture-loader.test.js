@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { isSvgUrl, getSvgRasterSize } from '../../src/lib/TextureLoader.js'
+
+describe('isSvgUrl', () => {
+    test('recognizes SVG files and data URLs', () => {
+        assert.strictEqual(isSvgUrl('cards/logo.svg'), true)
+        assert.strictEqual(isSvgUrl('https://example.com/Logo.SVG?v=3'), true)
+        assert.strictEqual(isSvgUrl('data:image/svg+xml;utf8,<svg/>'), true)
+    })
+
+    test('rejects other sources', () => {
+        assert.strictEqual(isSvgUrl('card.png'), false)
+        assert.strictEqual(isSvgUrl('svg'), false)
+        assert.strictEqual(isSvgUrl(null), false)
+    })
+})
+
+describe('getSvgRasterSize', () => {
+    test('covers the target at the intrinsic aspect ratio', () => {
+        assert.deepStrictEqual(getSvgRasterSize(100, 160, 800, 1280), { width: 800, height: 1280 })
+        assert.deepStrictEqual(getSvgRasterSize(100, 100, 400, 640), { width: 640, height: 640 })
+    })
+
+    test('stretches to the target without an intrinsic size', () => {
+        assert.deepStrictEqual(getSvgRasterSize(0, 0, 400, 640), { width: 400, height: 640 })
+    })
+
+    test('caps the longest side', () => {
+        assert.deepStrictEqual(getSvgRasterSize(100, 200, 3000, 6000, 2048), { width: 1024, height: 2048 })
+    })
+
+    test('rounds to whole pixels', () => {
+        const { width, height } = getSvgRasterSize(3, 7, 100.4, 200.6)
+        assert.strictEqual(width, Math.round(width))
+        assert.strictEqual(height, Math.round(height))
+    })
+})
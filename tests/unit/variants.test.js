@@ -0,0 +1,249 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import {
+    MAX_VARIANT_STOPS,
+    parseCssColor,
+    parseCssGradient,
+    fillStopPositions,
+    resolveVariant,
+    registerVariant,
+    getVariantNames,
+    getVariantData,
+    parseVariantAttribute,
+    applyVariantUniforms
+} from '../../src/card/Variants.js'
+import { CONFIG } from '../../src/config.js'
+
+function assertColor(actual, expected) {
+    assert.strictEqual(actual.length, 3)
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-3, `${actual} ≠ ${expected}`))
+}
+
+describe('parseCssColor', () => {
+    test('parses hex colours', () => {
+        assertColor(parseCssColor('#ff0000'), [1, 0, 0])
+        assertColor(parseCssColor('#0f0'), [0, 1, 0])
+        assertColor(parseCssColor('#0000FF80'), [0, 0, 1])
+        assertColor(parseCssColor('#fff8'), [1, 1, 1])
+    })
+
+    test('parses rgb()', () => {
+        assertColor(parseCssColor('rgb(255, 128, 0)'), [1, 128 / 255, 0])
+        assertColor(parseCssColor('rgba(255 0 0 / 50%)'), [1, 0, 0])
+        assertColor(parseCssColor('rgb(100%, 50%, 0%)'), [1, 0.5, 0])
+    })
+
+    test('parses hsl()', () => {
+        assertColor(parseCssColor('hsl(0, 100%, 50%)'), [1, 0, 0])
+        assertColor(parseCssColor('hsl(120deg 100% 25%)'), [0, 0.5, 0])
+        assertColor(parseCssColor('hsla(240, 100%, 50%, 0.5)'), [0, 0, 1])
+        assertColor(parseCssColor('hsl(0.5turn, 100%, 50%)'), [0, 1, 1])
+    })
+
+    test('rejects invalid colours', () => {
+        assert.strictEqual(parseCssColor('#12345'), null)
+        assert.strictEqual(parseCssColor('rgb(1, 2)'), null)
+        assert.strictEqual(parseCssColor('not a colour'), null)
+        assert.strictEqual(parseCssColor(42), null)
+    })
+
+    test('needs a browser for colour keywords', () => {
+        assert.strictEqual(parseCssColor('teal'), null)
+    })
+})
+
+describe('parseCssGradient', () => {
+    test('returns null for non-gradients', () => {
+        assert.strictEqual(parseCssGradient('#ff0000'), null)
+        assert.strictEqual(parseCssGradient('radial-gradient(red, blue)'), null)
+    })
+
+    test('parses linear gradients', () => {
+        assert.deepStrictEqual(parseCssGradient('linear-gradient(45deg, #f00, rgb(0, 0, 255) 80%)'), {
+            type: 'linear',
+            angle: 45,
+            colors: ['#f00', 'rgb(0, 0, 255)'],
+            positions: [null, 0.8]
+        })
+    })
+
+    test('defaults linear gradients to top-to-bottom', () => {
+        assert.strictEqual(parseCssGradient('linear-gradient(#f00, #00f)').angle, 180)
+    })
+
+    test('parses side keywords and angle units', () => {
+        assert.strictEqual(parseCssGradient('linear-gradient(to right, #f00, #00f)').angle, 90)
+        assert.strictEqual(parseCssGradient('linear-gradient(to left  top, #f00, #00f)').angle, 315)
+        assert.strictEqual(parseCssGradient('linear-gradient(0.5turn, #f00, #00f)').angle, 180)
+        assert.throws(() => parseCssGradient('linear-gradient(to middle, #f00, #00f)'), /unknown gradient direction/)
+    })
+
+    test('parses conic gradients', () => {
+        const gradient = parseCssGradient('conic-gradient(from 90deg, #f00, #0f0, #f00)')
+        assert.strictEqual(gradient.type, 'conic')
+        assert.strictEqual(gradient.angle, 90)
+        assert.deepStrictEqual(gradient.colors, ['#f00', '#0f0', '#f00'])
+        assert.strictEqual(parseCssGradient('conic-gradient(#f00, #00f)').angle, 0)
+    })
+})
+
+describe('fillStopPositions', () => {
+    test('spreads missing positions evenly', () => {
+        assert.deepStrictEqual(fillStopPositions([null, null, null]), [0, 0.5, 1])
+        assert.deepStrictEqual(fillStopPositions([null, 0.2, null, null, 0.8]).map(p => Math.round(p * 100) / 100), [0, 0.2, 0.4, 0.6, 0.8])
+    })
+
+    test('keeps positions in order', () => {
+        assert.deepStrictEqual(fillStopPositions([0.5, 0.2, null]), [0.5, 0.5, 1])
+    })
+
+    test('handles a single stop', () => {
+        assert.deepStrictEqual(fillStopPositions([null]), [0])
+    })
+})
+
+describe('resolveVariant', () => {
+    test('returns null for no variant', () => {
+        assert.strictEqual(resolveVariant(null), null)
+        assert.strictEqual(resolveVariant(''), null)
+    })
+
+    test('resolves the built-in palette', () => {
+        for (const [name, rgb] of Object.entries(CONFIG.variants)) {
+            const variant = resolveVariant(name)
+            assert.deepStrictEqual(variant.color, rgb)
+            assert.strictEqual(variant.stops.length, 1)
+        }
+    })
+
+    test('resolves built-in gradients', () => {
+        const rainbow = resolveVariant('rainbow')
+        assert.strictEqual(rainbow.type, 'conic')
+        assert.ok(rainbow.stops.length > 1)
+    })
+
+    test('resolves CSS colours and RGB triples', () => {
+        assertColor(resolveVariant('#ff5252').color, [1, 82 / 255, 82 / 255])
+        assert.deepStrictEqual(resolveVariant([0.2, 2, -1]).color, [0.2, 1, 0])
+    })
+
+    test('resolves CSS gradients', () => {
+        const variant = resolveVariant('linear-gradient(90deg, #000, #fff)')
+        assert.strictEqual(variant.type, 'linear')
+        assert.strictEqual(variant.angle, Math.PI / 2)
+        assert.deepStrictEqual(variant.stops.map(stop => stop.position), [0, 1])
+        assertColor(variant.color, [0.5, 0.5, 0.5])
+    })
+
+    test('resolves gradient objects', () => {
+        const variant = resolveVariant({ colors: ['#f00', [0, 0, 1]], positions: [0.25], angle: 0 })
+        assert.deepStrictEqual(variant.stops.map(stop => stop.position), [0.25, 1])
+        assert.strictEqual(variant.angle, 0)
+        // Red holds until 0.25, then fades to blue
+        assertColor(variant.color, [0.25 + 0.375, 0, 0.375])
+    })
+
+    test('rejects invalid variants', () => {
+        assert.throws(() => resolveVariant('chartreuse-ish'), /unknown variant/)
+        assert.throws(() => resolveVariant([1, 0]), /RGB triple/)
+        assert.throws(() => resolveVariant({ colors: [] }), /at least one colour/)
+        assert.throws(() => resolveVariant({ colors: ['#f00'], type: 'radial' }), /unknown gradient type/)
+        assert.throws(() => resolveVariant({ colors: ['#f00', 'nope'] }), /invalid gradient colour/)
+        assert.throws(() => resolveVariant({ colors: Array(MAX_VARIANT_STOPS + 1).fill('#f00') }), /at most/)
+        assert.throws(() => resolveVariant(42), /invalid variant/)
+    })
+})
+
+describe('registerVariant', () => {
+    test('adds named variants', () => {
+        registerVariant('test-two-tone', 'linear-gradient(90deg, #000 50%, #fff 50%)')
+        assert.ok(getVariantNames().includes('test-two-tone'))
+        assert.strictEqual(resolveVariant('test-two-tone').stops.length, 2)
+    })
+
+    test('replaces cached variants', () => {
+        registerVariant('test-swap', '#ff0000')
+        assertColor(getVariantData('test-swap').color, [1, 0, 0])
+        registerVariant('test-swap', '#0000ff')
+        assertColor(getVariantData('test-swap').color, [0, 0, 1])
+    })
+
+    test('rejects invalid variants', () => {
+        assert.throws(() => registerVariant('test-none', null), /needs a colour/)
+        assert.throws(() => registerVariant('', '#fff'), /non-empty/)
+    })
+})
+
+describe('getVariantData', () => {
+    test('caches resolved values', () => {
+        const value = { colors: ['#f00', '#00f'] }
+        assert.strictEqual(getVariantData(value), getVariantData(value))
+    })
+
+    test('warns once and renders nothing for invalid variants', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.strictEqual(getVariantData('test-invalid-variant'), null)
+        assert.strictEqual(getVariantData('test-invalid-variant'), null)
+        assert.strictEqual(console.warn.mock.callCount(), 1)
+    })
+})
+
+describe('parseVariantAttribute', () => {
+    test('passes text through', () => {
+        assert.strictEqual(parseVariantAttribute(' gold '), 'gold')
+        assert.strictEqual(parseVariantAttribute('linear-gradient(red, blue)'), 'linear-gradient(red, blue)')
+        assert.strictEqual(parseVariantAttribute(''), null)
+        assert.strictEqual(parseVariantAttribute(null), null)
+    })
+
+    test('parses JSON', () => {
+        assert.deepStrictEqual(parseVariantAttribute('[1, 0.5, 0]'), [1, 0.5, 0])
+        assert.deepStrictEqual(parseVariantAttribute('{"colors": ["#f00", "#00f"]}'), { colors: ['#f00', '#00f'] })
+    })
+
+    test('returns null for invalid JSON', (t) => {
+        t.mock.method(console, 'warn', () => {})
+        assert.strictEqual(parseVariantAttribute('{colors}'), null)
+    })
+})
+
+describe('applyVariantUniforms', () => {
+    function recordingShader() {
+        const calls = {}
+        const record = (name, ...values) => { calls[name] = values }
+        return {
+            calls,
+            setUniform1f: record,
+            setUniform1i: record,
+            setUniform2f: record,
+            setUniform3f: record,
+            setUniform4fv: record
+        }
+    }
+
+    test('disables the variant for null', () => {
+        const shader = recordingShader()
+        applyVariantUniforms(shader, null)
+        assert.deepStrictEqual(shader.calls.u_variantActive, [0])
+        assert.deepStrictEqual(shader.calls.u_variantStopCount, [0])
+        assert.strictEqual(shader.calls.u_variantStops, undefined)
+    })
+
+    test('sets solid colours without stops', () => {
+        const shader = recordingShader()
+        applyVariantUniforms(shader, 'gold')
+        assert.deepStrictEqual(shader.calls.u_variantActive, [1])
+        assert.deepStrictEqual(shader.calls.u_variantColor, CONFIG.variants.gold)
+        assert.deepStrictEqual(shader.calls.u_variantStopCount, [0])
+    })
+
+    test('packs gradient stops', () => {
+        const shader = recordingShader()
+        applyVariantUniforms(shader, 'conic-gradient(from 90deg, #f00, #00f)')
+        assert.deepStrictEqual(shader.calls.u_variantStopCount, [2])
+        const stops = shader.calls.u_variantStops[0]
+        assert.strictEqual(stops.length, MAX_VARIANT_STOPS * 4)
+        assert.deepStrictEqual([...stops.slice(0, 8)], [1, 0, 0, 0, 0, 0, 1, 1])
+        assert.deepStrictEqual(shader.calls.u_variantGradient, [Math.PI / 2, 1])
+    })
+})
@@ -0,0 +1,264 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { WorkerBackend, WorkerSticker, WorkerShaderButton, splitWorkerOptions, supportsWorkerBackend } from '../../src/lib/WorkerBackend.js'
+import { ShaderButton } from '../../src/lib/shaderButton.js'
+
+/**
+ * Stand-in for the Worker that records posted messages
+ */
+function createFakeWorker() {
+    return {
+        messages: [],
+        postMessage(message) {
+            this.messages.push(message)
+        },
+        terminate() {}
+    }
+}
+
+// Backend with a fake worker
+function createBackend() {
+    const backend = new WorkerBackend()
+    backend.worker = createFakeWorker()
+    return backend
+}
+
+describe('splitWorkerOptions', () => {
+    test('keeps input options on the main thread', () => {
+        const { input, render } = splitWorkerOptions({ shader: 'foil', tiltSource: 'gyro', keyboard: false, bloom: 1 })
+        assert.deepStrictEqual(input, { tiltSource: 'gyro', keyboard: false })
+        assert.deepStrictEqual(render, { shader: 'foil', bloom: 1 })
+    })
+
+    test('drops element-only options', () => {
+        const { input, render } = splitWorkerOptions({ lazy: false, backend: 'worker', cardName: 'Link' })
+        assert.deepStrictEqual(input, {})
+        assert.deepStrictEqual(render, { cardName: 'Link' })
+    })
+
+    test('rejects elements as sources', () => {
+        assert.throws(() => splitWorkerOptions({ cardSrc: { nodeType: 1 } }), /cardSrc must be a URL/)
+        assert.doesNotThrow(() => splitWorkerOptions({ cardSrc: { src: 'sheet.png', frames: 8 } }))
+    })
+})
+
+describe('supportsWorkerBackend', () => {
+    test('is false without OffscreenCanvas', () => {
+        assert.strictEqual(supportsWorkerBackend(), false)
+    })
+})
+
+describe('WorkerBackend', () => {
+    test('resolves and rejects requests from worker results', async () => {
+        const backend = createBackend()
+        const ok = backend.request({ type: 'create' })
+        const failed = backend.request({ type: 'create' })
+        const [first, second] = backend.worker.messages
+
+        backend._onMessage({ type: 'result', requestId: first.requestId, error: null })
+        backend._onMessage({ type: 'result', requestId: second.requestId, error: 'no WebGL2' })
+        await ok
+        await assert.rejects(failed, /no WebGL2/)
+        assert.strictEqual(backend.getStats().pendingRequests, 0)
+    })
+
+    test('routes state, source and error messages to the card', () => {
+        const backend = createBackend()
+        const errors = []
+        let loaded = 0
+        const card = { state: null, onSourceLoaded: () => loaded++, onError: (err) => errors.push(err.message) }
+        const id = backend.register(card)
+
+        backend._onMessage({ type: 'state', id, state: { generatedName: 'Blaze' } })
+        assert.strictEqual(card.state.generatedName, 'Blaze')
+        backend._onMessage({ type: 'sourceLoaded', id, state: { generatedName: 'Frost' } })
+        assert.strictEqual(loaded, 1)
+        assert.strictEqual(card.state.generatedName, 'Frost')
+        backend._onMessage({ type: 'error', id, message: 'bad source' })
+        assert.deepStrictEqual(errors, ['bad source'])
+        backend.destroy()
+    })
+
+    test('forwards motion state while cards are registered', () => {
+        const backend = createBackend()
+        const id = backend.register({})
+        assert.ok(backend.worker.messages.some(m => m.type === 'motion'))
+
+        backend.unregister(id)
+        assert.deepStrictEqual(backend.worker.messages.at(-1), { type: 'destroy', id })
+        assert.strictEqual(backend._unsubscribeMotion, null)
+    })
+
+    test('a worker failure rejects pending requests and reports to cards', async () => {
+        const backend = createBackend()
+        const errors = []
+        backend.register({ onError: (err) => errors.push(err.message) })
+        const pending = backend.request({ type: 'create' })
+
+        backend._onWorkerError(new Error('worker crashed'))
+        await assert.rejects(pending, /worker crashed/)
+        assert.deepStrictEqual(errors, ['worker crashed'])
+        backend.destroy()
+    })
+})
+
+describe('WorkerSticker', () => {
+    // Canvas stand-in for a non-interactive card (no input drivers attach)
+    const canvas = { getRootNode: () => ({}), hasAttribute: () => true, transferControlToOffscreen: () => ({}) }
+
+    function createCard(backend) {
+        const card = new WorkerSticker(canvas, { interactive: false })
+        card._backend = backend
+        card._id = backend.register(card)
+        card._createController()
+        return card
+    }
+
+    test('posts programmatic tilt once per change', () => {
+        const backend = createBackend()
+        const card = createCard(backend)
+        backend.worker.messages.length = 0
+
+        card.setTilt(0.5, 0.25)
+        card.setTilt(0.5, 0.25)
+        card.setTilt(null, null)
+        assert.deepStrictEqual(backend.worker.messages, [
+            { type: 'input', inputs: [[card._id, 0.5, -0.25]] },
+            { type: 'input', inputs: [[card._id, null, null]] }
+        ])
+        card.destroy()
+    })
+
+    test('applies a pointer set before init', () => {
+        const backend = createBackend()
+        const card = new WorkerSticker(canvas, { interactive: false })
+        card.setPointer(0.2, -0.4)
+        assert.strictEqual(card.input, null)
+
+        card._backend = backend
+        card._id = backend.register(card)
+        card._createController()
+        assert.deepStrictEqual(card.input, [0.2, -0.4])
+        card.destroy()
+    })
+
+    test('posts render options and keeps input options local', () => {
+        const backend = createBackend()
+        const card = createCard(backend)
+        backend.worker.messages.length = 0
+
+        card.setOptions({ shader: 'foil', gamepad: false })
+        assert.deepStrictEqual(backend.worker.messages, [
+            { type: 'call', id: card._id, method: 'setOptions', args: [{ shader: 'foil' }] }
+        ])
+        assert.strictEqual(card.options.gamepad, false)
+        card.destroy()
+    })
+
+    test('mirrors state reported by the worker', () => {
+        const card = new WorkerSticker(canvas)
+        card.state = { generatedName: 'Blaze', generatedCollection: 'EMOJI', generatedSeed: 42, shaderParams: { numRays: 16 } }
+        assert.strictEqual(card.generatedName, 'Blaze')
+        assert.strictEqual(card.generatedSeed, 42)
+        assert.deepStrictEqual(card.getShaderParams(), { numRays: 16 })
+        assert.notStrictEqual(card.getShaderParams(), card.state.shaderParams)
+    })
+
+    test('posts a display size even without a container', () => {
+        const originalWindow = globalThis.window
+        globalThis.window = { devicePixelRatio: 2 }
+        try {
+            const card = new WorkerSticker(canvas)
+            assert.deepStrictEqual(card._getDisplaySize(), { width: 0, height: 0, dpr: 2 })
+        } finally {
+            globalThis.window = originalWindow
+        }
+    })
+
+    test('fails on construction when the canvas can\'t be handed over', () => {
+        assert.throws(() => new WorkerSticker({}), /needs OffscreenCanvas/)
+        const used = { transferControlToOffscreen() { throw new Error('InvalidStateError') } }
+        assert.throws(() => new WorkerSticker(used), /InvalidStateError/)
+    })
+
+    test('rejects exports', async () => {
+        const card = new WorkerSticker(canvas)
+        await assert.rejects(card.exportImage(), /isn't available with backend 'worker'/)
+        await assert.rejects(card.recordClip(), /isn't available with backend 'worker'/)
+    })
+})
+
+describe('WorkerShaderButton', () => {
+    const canvas = { getRootNode: () => ({}), transferControlToOffscreen: () => ({ offscreen: true }) }
+
+    function createButton(backend) {
+        const button = new WorkerShaderButton(canvas, { shader: 'foil' })
+        button._backend = backend
+        return button
+    }
+
+    test('hands the canvas over with the state set before initialize', async () => {
+        globalThis.devicePixelRatio = 2
+        try {
+            const backend = createBackend()
+            const button = createButton(backend)
+            button.isAnimating = true
+            button.setHovering(true)  // Before initialize: kept for the create message
+
+            const initialized = button.initialize()
+            const create = backend.worker.messages.find(m => m.type === 'createButton')
+            assert.deepStrictEqual(create.canvas, { offscreen: true })
+            assert.deepStrictEqual(create.options, { shader: 'foil' })
+            assert.deepStrictEqual(create.displaySize, { width: 0, height: 0, dpr: 2 })
+            assert.deepStrictEqual(create.state, { isHovering: true, isAnimating: true })
+            assert.ok(!backend.worker.messages.some(m => m.type === 'call'))
+
+            backend._onMessage({ type: 'result', requestId: create.requestId, error: null })
+            await initialized
+            assert.strictEqual(button.isInitialized, true)
+            button.destroy()
+        } finally {
+            delete globalThis.devicePixelRatio
+        }
+    })
+
+    test('posts calls and size changes once created', () => {
+        const backend = createBackend()
+        const button = createButton(backend)
+        button._id = backend.register(button)
+        backend.worker.messages.length = 0
+
+        button.setMousePosition(0.5, -0.5)
+        button.setIntensity(0.8)
+        button.handleResize(120, 40, 2)
+        assert.deepStrictEqual(backend.worker.messages, [
+            { type: 'call', id: button._id, method: 'setMousePosition', args: [0.5, -0.5] },
+            { type: 'call', id: button._id, method: 'setIntensity', args: [0.8] },
+            { type: 'resize', id: button._id, width: 120, height: 40, dpr: 2 }
+        ])
+        assert.strictEqual(button.options.intensity, 0.8)
+
+        button.destroy()
+        assert.deepStrictEqual(backend.worker.messages.at(-1), { type: 'destroy', id: button._id })
+    })
+
+    test('fails on construction when the canvas can\'t be handed over', () => {
+        assert.throws(() => new WorkerShaderButton({}), /needs OffscreenCanvas/)
+    })
+})
+
+describe('ShaderButton in the worker', () => {
+    test('follows posted sizes without layout', () => {
+        const target = { width: 0, height: 0, getContext: () => ({}) }
+        const button = new ShaderButton(target)
+        const resized = []
+        button._displaySize = { width: 0, height: 0, dpr: 1 }
+        button._borrowedContext = { resize: (width, height) => resized.push([width, height]) }
+
+        button.handleResize(100, 30, 2)
+        assert.deepStrictEqual(button._displaySize, { width: 100, height: 30, dpr: 2 })
+        assert.strictEqual(target.width, 200)
+        assert.strictEqual(target.height, 60)
+        assert.deepStrictEqual(resized, [[200, 60]])
+    })
+})